@@ -0,0 +1,107 @@
+/**
+ * Create a User (or Reset Their Password)
+ *
+ * Creates the first admin on a fresh install, and lets someone who is locked
+ * out (or the last admin who forgot their password) get back in. Other users
+ * are managed under Admin → Users.
+ *
+ * The password is taken from the USER_PASSWORD environment variable; without
+ * it a random password is generated and printed once.
+ *
+ * If the user already exists their password is reset, the account is unlocked
+ * and reactivated, and they are signed out everywhere (--role and --name are
+ * applied too when given).
+ *
+ * Usage:
+ *   npm run user:create -- <username>                          # New admin
+ *   npm run user:create -- <username> --role packer --name "Sam"
+ *   USER_PASSWORD='...' npm run user:create -- <username>      # Choose the password
+ *
+ * Set DATABASE_PATH to use another database file.
+ */
+
+const crypto = require('crypto');
+const { db } = require('./db');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+const USAGE = 'Usage: npm run user:create -- <username> [--role <role>] [--name "<display name>"]';
+
+/**
+ * Read the command line
+ * @param {Array} args - process.argv without node and the script
+ * @returns {Object} { username, role, displayName }
+ */
+function parseArgs(args) {
+  const options = { username: null, role: null, displayName: null };
+  for (let index = 0; index < args.length; index++) {
+    if (args[index] === '--role') {
+      options.role = args[++index];
+    } else if (args[index] === '--name') {
+      options.displayName = args[++index];
+    } else if (!args[index].startsWith('--') && !options.username) {
+      options.username = args[index];
+    } else {
+      throw new Error(USAGE);
+    }
+  }
+  if (!options.username) {
+    throw new Error(USAGE);
+  }
+  if (options.role && !User.ROLES.includes(options.role)) {
+    throw new Error(`--role must be one of: ${User.ROLES.join(', ')}`);
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const generated = !process.env.USER_PASSWORD;
+  const password = process.env.USER_PASSWORD || crypto.randomBytes(12).toString('base64url');
+
+  const existing = User.getByUsername(options.username);
+  let user;
+  if (existing) {
+    const updates = { password };
+    if (options.role) {
+      updates.role = options.role;
+    }
+    if (options.displayName) {
+      updates.display_name = options.displayName;
+    }
+    const error = User.validate(updates, true);
+    if (error) {
+      throw new Error(error);
+    }
+    user = User.update(existing.user_id, updates);
+    User.activate(existing.user_id);
+    Session.destroyForUser(existing.user_id);
+    console.log(`✓ Password reset for ${user.username} (${User.ROLE_LABELS[user.role]}) - signed out everywhere`);
+  } else {
+    const userData = {
+      username: options.username,
+      display_name: options.displayName || options.username,
+      role: options.role || 'admin',
+      password
+    };
+    const error = User.validate(userData);
+    if (error) {
+      throw new Error(error);
+    }
+    user = User.create(userData);
+    console.log(`✓ Created ${user.username} (${User.ROLE_LABELS[user.role]})`);
+  }
+
+  if (generated) {
+    console.log(`  Password: ${password}`);
+    console.log('  (shown once - sign in and change it under Admin → Users)');
+  }
+}
+
+try {
+  main();
+  db.close();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
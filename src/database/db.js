@@ -9,18 +9,21 @@
  * - Foreign key enforcement
  * - Synchronous operations for simplicity and reliability
  * - Database integrity checks on startup
+ * - Pending schema migrations applied on startup (see migrate.js)
  */
 
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { migrate } = require('./migrate');
 
 // Determine database path based on environment
 // In production (Fly.io), database is stored in /data volume
 // In development, database is stored in project root
-const DB_PATH = process.env.NODE_ENV === 'production'
+// DATABASE_PATH overrides both (e.g. to run a script against a copy)
+const DB_PATH = process.env.DATABASE_PATH || (process.env.NODE_ENV === 'production'
   ? '/data/printfarm.db'
-  : path.join(__dirname, '../../printfarm.db');
+  : path.join(__dirname, '../../printfarm.db'));
 
 // Ensure the directory exists (for production /data mount)
 const dbDir = path.dirname(DB_PATH);
@@ -77,40 +80,6 @@ function initializeDatabase() {
   return db;
 }
 
-/**
- * Initialize database schema from schema.sql file
- *
- * @param {Database} db - Database instance
- */
-function initializeSchema(db) {
-  console.log('Initializing database schema...');
-
-  // Read schema file
-  const schemaPath = path.join(__dirname, 'schema.sql');
-  const schema = fs.readFileSync(schemaPath, 'utf8');
-
-  // Execute schema (creates all tables, indexes, triggers, views)
-  db.exec(schema);
-
-  console.log('✓ Database schema initialized successfully');
-}
-
-/**
- * Check if database has been initialized (has tables)
- *
- * @param {Database} db - Database instance
- * @returns {boolean} True if database has tables
- */
-function isDatabaseInitialized(db) {
-  // Check if the 'orders' table exists
-  const result = db.prepare(`
-    SELECT name FROM sqlite_master
-    WHERE type='table' AND name='orders'
-  `).get();
-
-  return result !== undefined;
-}
-
 /**
  * Get database statistics for monitoring
  *
@@ -142,13 +111,8 @@ function getDatabaseStats(db) {
 // Create and export the database instance
 const db = initializeDatabase();
 
-// Check if database needs initialization
-if (!isDatabaseInitialized(db)) {
-  console.log('Database not initialized. Running schema initialization...');
-  initializeSchema(db);
-} else {
-  console.log('✓ Database already initialized');
-}
+// Create or upgrade the schema (refuses to start on a database newer than this code)
+migrate(db);
 
 // Log database statistics
 const stats = getDatabaseStats(db);
@@ -166,6 +130,5 @@ console.log('Database statistics:', {
 module.exports = {
   db,
   getDatabaseStats,
-  initializeSchema,
   DB_PATH
 };
@@ -1,154 +1,477 @@
 /**
  * Import ZEUS Database Data
  *
- * This script imports colors and parts from the existing ZEUS database
- * into the new print farm management system.
+ * Brings colors, parts and (optionally) product definitions from a ZEUS
+ * database into the print farm database. The import can be run again at any
+ * time: colors are matched by name, parts by part code and templates by name,
+ * so existing rows are updated in place and everything that references them
+ * (item_colors, item_parts, template_parts, SKU mappings) stays intact.
  *
- * Usage: node src/database/import-zeus.js
+ * - New rows are added; a new color gets its ZEUS stock as opening stock
+ *   (ledgered as an adjustment). The stock of existing colors is not touched -
+ *   the print farm's filament ledger owns it.
+ * - Changed rows are updated (only the fields ZEUS has)
+ * - Rows missing from ZEUS are deactivated, never deleted. An empty ZEUS table
+ *   would deactivate the whole catalog, so the import stops instead unless
+ *   --allow-empty is given
+ * - Every row the import changes gets an audit log entry (actor "import-zeus")
+ * - Nothing is written if any ZEUS row is invalid, and --dry-run only reports
+ *   what would change
+ *
+ * ZEUS tables read:
+ * - colors (name, hex_code, material_type, supplier, category, cost_per_gram, stock_grams)
+ * - standalone_parts (part_id = our part_code, part_name, notes)
+ * - with --templates: products (name, plus description, num_colors and
+ *   print_time_minutes where present) and product_parts (product_id, part_id, quantity)
+ *
+ * Usage:
+ *   npm run db:import-zeus -- /path/to/zeus.db                  # Into the app's database
+ *   npm run db:import-zeus -- /path/to/zeus.db /path/to/printfarm.db
+ *   npm run db:import-zeus -- /path/to/zeus.db --dry-run        # Report changes only
+ *   npm run db:import-zeus -- /path/to/zeus.db --templates      # Also import products as templates
+ *   npm run db:import-zeus -- /path/to/zeus.db --allow-empty    # Import even if a ZEUS table is empty
+ *
+ * The target database is migrated to the current schema when it is opened
+ * (also on a dry run).
+ *
+ * As a module: readZeus() → validateRecords() → diffImport() (dry run) or
+ * applyImport() - only apply records validateRecords() found no problems with. Set DATABASE_PATH before the first call to pick the target.
  */
 
 const Database = require('better-sqlite3');
+const fs = require('fs');
 const path = require('path');
 
-// Path to ZEUS database
-const ZEUS_DB_PATH = '/Users/treeoftales/Documents/ToT Code/ToT-ZEUS/database/zeus.db';
+// ZEUS tables and columns that hold product definitions (see --templates)
+const ZEUS_PRODUCTS = {
+  table: 'products',
+  idColumn: 'product_id',
+  nameColumn: 'name',
+  optionalColumns: ['description', 'num_colors', 'print_time_minutes'],
+  partsTable: 'product_parts'
+};
 
-// Path to print farm database
-const PRINTFARM_DB_PATH = path.join(__dirname, '../../printfarm.db');
+const USAGE = 'Usage: node src/database/import-zeus.js <zeus.db> [printfarm.db] [--dry-run] [--templates] [--allow-empty]';
 
-console.log('╔════════════════════════════════════════════════════════════╗');
-console.log('║  ToT Print Farm - Import ZEUS Data                        ║');
-console.log('╚════════════════════════════════════════════════════════════╝\n');
+// ZEUS table read for each catalog (named in the empty-table error)
+const ZEUS_TABLES = {
+  colors: 'colors',
+  parts: 'standalone_parts',
+  templates: ZEUS_PRODUCTS.table
+};
 
-try {
-  // Open ZEUS database (read-only)
-  console.log('Opening ZEUS database...');
-  const zeusDb = new Database(ZEUS_DB_PATH, { readonly: true });
-  console.log('✓ ZEUS database opened\n');
+/**
+ * Read the command line
+ * @param {Array} args - process.argv without node and the script
+ * @returns {Object} { zeusPath, targetPath, dryRun, withTemplates, allowEmpty }
+ */
+function parseArgs(args) {
+  const unknown = args.filter(arg => arg.startsWith('--') && !['--dry-run', '--templates', '--allow-empty'].includes(arg));
+  const paths = args.filter(arg => !arg.startsWith('--'));
+  if (unknown.length > 0 || paths.length < 1 || paths.length > 2) {
+    throw new Error(USAGE);
+  }
 
-  // Open print farm database
-  console.log('Opening Print Farm database...');
-  const printfarmDb = new Database(PRINTFARM_DB_PATH);
-  printfarmDb.pragma('foreign_keys = ON');
-  console.log('✓ Print Farm database opened\n');
+  return {
+    zeusPath: path.resolve(paths[0]),
+    targetPath: paths[1] ? path.resolve(paths[1]) : null,
+    dryRun: args.includes('--dry-run'),
+    withTemplates: args.includes('--templates'),
+    allowEmpty: args.includes('--allow-empty')
+  };
+}
 
-  // Import Colors
-  console.log('─────────────────────────────────────────────────────────────');
-  console.log('Importing Colors from ZEUS...');
-  console.log('─────────────────────────────────────────────────────────────\n');
-
-  const zeusColors = zeusDb.prepare(`
-    SELECT
-      name,
-      hex_code,
-      material_type,
-      supplier,
-      category,
-      cost_per_gram,
-      stock_grams
+/**
+ * Read text (empty = null)
+ * @param {*} value - ZEUS value
+ * @returns {string|null} Trimmed text or null
+ */
+function toText(value) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Get the columns of a ZEUS table
+ * @param {Database} zeusDb - ZEUS database
+ * @param {string} table - Table name
+ * @returns {Array} Column names ([] if the table doesn't exist)
+ */
+function getColumns(zeusDb, table) {
+  return zeusDb.pragma(`table_info(${table})`).map(column => column.name);
+}
+
+/**
+ * Read the ZEUS colors as catalog records
+ * @param {Database} zeusDb - ZEUS database
+ * @param {Array} errors - Invalid rows are added here
+ * @returns {Array} Color records, each with opening_stock (not a catalog field)
+ */
+function readColors(zeusDb, errors) {
+  const rows = zeusDb.prepare(`
+    SELECT name, hex_code, material_type, supplier, category, cost_per_gram, stock_grams
     FROM colors
     ORDER BY name
   `).all();
 
-  console.log(`Found ${zeusColors.length} colors in ZEUS database\n`);
-
-  // Clear existing colors first (for clean import)
-  printfarmDb.prepare('DELETE FROM colors').run();
-  console.log('✓ Cleared existing colors\n');
-
-  const insertColor = printfarmDb.prepare(`
-    INSERT INTO colors (
-      color_name,
-      hex_code,
-      material_type,
-      supplier,
-      category,
-      cost_per_gram,
-      stock_grams,
-      is_active
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, 1)
-  `);
-
-  const importColors = printfarmDb.transaction((colors) => {
-    for (const color of colors) {
-      insertColor.run(
-        color.name,
-        color.hex_code,
-        color.material_type,
-        color.supplier,
-        color.category,
-        color.cost_per_gram,
-        color.stock_grams
-      );
-      console.log(`  ✓ Imported: ${color.name} (${color.material_type} - ${color.supplier})`);
+  return rows.map(row => ({
+    color_name: toText(row.name),
+    hex_code: toText(row.hex_code),
+    material_type: toText(row.material_type),
+    supplier: toText(row.supplier),
+    category: toText(row.category),
+    cost_per_gram: row.cost_per_gram === null || row.cost_per_gram === '' ? null : Number(row.cost_per_gram),
+    is_active: 1,
+    opening_stock: Number(row.stock_grams) || 0
+  })).filter(color => {
+    if (!color.color_name) {
+      errors.push('ZEUS color without a name');
+      return false;
+    }
+    if (!/^#[0-9A-Fa-f]{6}$/.test(color.hex_code || '')) {
+      errors.push(`Color ${color.color_name}: hex_code must look like #A1B2C3 (got "${color.hex_code || ''}")`);
+      return false;
+    }
+    if (color.cost_per_gram !== null && !(color.cost_per_gram >= 0)) {
+      errors.push(`Color ${color.color_name}: cost_per_gram must be a number of at least 0`);
+      return false;
     }
+    return true;
   });
+}
 
-  importColors(zeusColors);
-  console.log(`\n✓ Successfully imported ${zeusColors.length} colors\n`);
-
-  // Import Parts
-  console.log('─────────────────────────────────────────────────────────────');
-  console.log('Importing Parts from ZEUS...');
-  console.log('─────────────────────────────────────────────────────────────\n');
-
-  const zeusParts = zeusDb.prepare(`
-    SELECT
-      part_id,
-      part_name,
-      notes
+/**
+ * Read the ZEUS standalone parts as catalog records
+ * @param {Database} zeusDb - ZEUS database
+ * @param {Array} errors - Invalid rows are added here
+ * @returns {Array} Part records
+ */
+function readParts(zeusDb, errors) {
+  const rows = zeusDb.prepare(`
+    SELECT part_id, part_name, notes
     FROM standalone_parts
-    ORDER BY part_name
+    ORDER BY part_id
+  `).all();
+
+  return rows.map(row => ({
+    part_code: toText(row.part_id),
+    part_name: toText(row.part_name),
+    description: toText(row.notes),
+    is_active: 1
+  })).filter(part => {
+    if (!part.part_code || !part.part_name) {
+      errors.push(`ZEUS part ${part.part_code || part.part_name || '(blank)'} needs both a part ID and a name`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Read the ZEUS products as template records
+ * @param {Database} zeusDb - ZEUS database
+ * @param {Array} errors - Invalid rows are added here
+ * @returns {Array} Template records (parts sorted by part_code)
+ */
+function readTemplates(zeusDb, errors) {
+  const { table, idColumn, nameColumn, optionalColumns, partsTable } = ZEUS_PRODUCTS;
+  const columns = getColumns(zeusDb, table);
+  if (!columns.includes(idColumn) || !columns.includes(nameColumn)) {
+    throw new Error(`The ZEUS database has no ${table} table with ${idColumn} and ${nameColumn} - can't import templates`);
+  }
+  const extraColumns = optionalColumns.filter(column => columns.includes(column));
+
+  const partsByProduct = {};
+  if (getColumns(zeusDb, partsTable).length > 0) {
+    const partRows = zeusDb.prepare(`SELECT product_id, part_id, quantity FROM ${partsTable}`).all();
+    for (const row of partRows) {
+      (partsByProduct[row.product_id] = partsByProduct[row.product_id] || []).push({
+        part_code: toText(row.part_id),
+        quantity: row.quantity === null ? 1 : Number(row.quantity)
+      });
+    }
+  }
+
+  const rows = zeusDb.prepare(`
+    SELECT ${[idColumn, nameColumn, ...extraColumns].join(', ')} FROM ${table} ORDER BY ${nameColumn}
   `).all();
 
-  console.log(`Found ${zeusParts.length} parts in ZEUS database\n`);
-
-  // Clear existing parts first (for clean import)
-  printfarmDb.prepare('DELETE FROM parts').run();
-  console.log('✓ Cleared existing parts\n');
-
-  const insertPart = printfarmDb.prepare(`
-    INSERT INTO parts (
-      part_code,
-      part_name,
-      description,
-      is_active
-    ) VALUES (?, ?, ?, 1)
-  `);
-
-  const importParts = printfarmDb.transaction((parts) => {
-    for (const part of parts) {
-      insertPart.run(
-        part.part_id,
-        part.part_name,
-        part.notes || ''
-      );
-      console.log(`  ✓ Imported: ${part.part_id} - ${part.part_name}`);
+  return rows.map(row => {
+    const template = { template_name: toText(row[nameColumn]) };
+    if (extraColumns.includes('description')) {
+      template.description = toText(row.description);
+    }
+    if (extraColumns.includes('num_colors')) {
+      template.num_colors = Number(row.num_colors);
+    }
+    if (extraColumns.includes('print_time_minutes')) {
+      template.print_time_minutes = Number(row.print_time_minutes) || 0;
+    }
+    template.parts = (partsByProduct[row[idColumn]] || [])
+      .sort((a, b) => a.part_code.localeCompare(b.part_code));
+    template.is_active = 1;
+    return template;
+  }).filter(template => {
+    if (!template.template_name) {
+      errors.push('ZEUS product without a name');
+      return false;
+    }
+    if ('num_colors' in template && !(Number.isInteger(template.num_colors)
+      && template.num_colors >= 1 && template.num_colors <= 4)) {
+      errors.push(`Product ${template.template_name}: num_colors must be 1-4`);
+      return false;
+    }
+    const badQuantity = template.parts.find(part => !part.part_code || !(Number.isInteger(part.quantity) && part.quantity >= 1));
+    if (badQuantity) {
+      errors.push(`Product ${template.template_name}: part ${badQuantity.part_code || '(blank)'} needs a quantity of at least 1`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Check records against each other and the target database
+ * @param {Object} Catalog - The Catalog model
+ * @param {Object} records - { colors, parts, templates }
+ * @param {Array} errors - Problems are added here
+ */
+function checkRecords(Catalog, records, errors) {
+  for (const [entity, list] of Object.entries(records)) {
+    const { key } = Catalog.ENTITIES[entity];
+    const seen = new Set();
+    for (const record of list) {
+      if (seen.has(record[key])) {
+        errors.push(`${record[key]} appears twice in the ZEUS ${entity}`);
+      }
+      seen.add(record[key]);
+    }
+  }
+
+  // Part names are unique as well - a new part code can't take an existing part's name
+  const codeByName = new Map(Catalog.getRecords('parts').map(part => [part.part_name, part.part_code]));
+  for (const part of records.parts) {
+    const owner = codeByName.get(part.part_name);
+    if (owner !== undefined && owner !== part.part_code) {
+      errors.push(`Part ${part.part_code}: name "${part.part_name}" already belongs to ${owner || 'a part without a code'}`);
+    }
+    codeByName.set(part.part_name, part.part_code);
+  }
+
+  if (records.templates) {
+    const knownCodes = new Set([
+      ...Catalog.getRecords('parts').map(part => part.part_code),
+      ...records.parts.map(part => part.part_code)
+    ]);
+    for (const template of records.templates) {
+      const unknown = template.parts.filter(part => !knownCodes.has(part.part_code));
+      if (unknown.length > 0) {
+        errors.push(`Product ${template.template_name}: unknown part(s) ${unknown.map(part => part.part_code).join(', ')}`);
+      }
+    }
+  }
+}
+
+/**
+ * Print what an import does (or would do) to one catalog
+ * @param {string} title - e.g. "Colors"
+ * @param {Object} result - Catalog.diff()/apply() result
+ * @param {boolean} dryRun - Word the report as "would"
+ */
+function printReport(title, result, dryRun) {
+  const format = value => (value === null || value === undefined ? '(empty)'
+    : typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+  console.log('─────────────────────────────────────────────────────────────');
+  console.log(`${title}: ${result.new.length} new, ${result.changed.length} changed, `
+    + `${result.unchanged.length} unchanged, ${result.missing.length} missing from ZEUS`);
+  console.log('─────────────────────────────────────────────────────────────');
+
+  result.new.forEach(record => console.log(`  + ${Object.values(record)[0]}`));
+  result.changed.forEach(change => {
+    console.log(`  ~ ${change.key}`);
+    change.changes.forEach(({ field, from, to }) => console.log(`      ${field}: ${format(from)} → ${format(to)}`));
+  });
+  result.missing.forEach(row => console.log(`  - ${row.key} (${dryRun ? 'would be deactivated' : 'deactivated'})`));
+  console.log('');
+}
+
+/**
+ * Load the models of the target database
+ * Loaded on first use, so a caller (or main()) can set DATABASE_PATH first.
+ * @returns {Object} { db, Catalog, Filament, AuditLog }
+ */
+function loadModels() {
+  return {
+    db: require('./db').db,
+    Catalog: require('../models/Catalog'),
+    Filament: require('../models/Filament'),
+    AuditLog: require('../models/AuditLog')
+  };
+}
+
+/**
+ * Read a ZEUS database as catalog records
+ * @param {string} zeusPath - Path of the ZEUS database
+ * @param {Object} options - { withTemplates } - also read products as templates
+ * @returns {Object} { records: { colors, parts, templates? }, errors } - invalid rows are left out and listed in errors
+ */
+function readZeus(zeusPath, options = {}) {
+  const zeusDb = new Database(zeusPath, { readonly: true, fileMustExist: true });
+  const errors = [];
+  try {
+    const records = {
+      colors: readColors(zeusDb, errors),
+      parts: readParts(zeusDb, errors)
+    };
+    if (options.withTemplates) {
+      records.templates = readTemplates(zeusDb, errors);
+    }
+    return { records, errors };
+  } finally {
+    zeusDb.close();
+  }
+}
+
+/**
+ * Check ZEUS records against each other and the target database
+ *
+ * An empty list is a problem unless allowEmpty is set: importing it would
+ * deactivate every row of that catalog.
+ *
+ * @param {Object} records - From readZeus()
+ * @param {Object} options - { allowEmpty } - accept empty ZEUS tables (--allow-empty)
+ * @returns {Array} Problems (empty if the records can be imported)
+ */
+function validateRecords(records, options = {}) {
+  const errors = [];
+  if (!options.allowEmpty) {
+    for (const [entity, list] of Object.entries(records)) {
+      if (list.length === 0) {
+        errors.push(`ZEUS ${ZEUS_TABLES[entity]} has no rows - importing it would deactivate every one of our ${entity} `
+          + '(pass --allow-empty to do that anyway)');
+      }
+    }
+  }
+  checkRecords(loadModels().Catalog, records, errors);
+  return errors;
+}
+
+/**
+ * Work out what an import would change, without writing anything (--dry-run)
+ * @param {Object} records - From readZeus()
+ * @returns {Object} Catalog.diff() result per entity ({ colors, parts, templates? })
+ */
+function diffImport(records) {
+  const { Catalog } = loadModels();
+  const diffs = {};
+  for (const [entity, list] of Object.entries(records)) {
+    diffs[entity] = Catalog.diff(entity, list);
+  }
+  return diffs;
+}
+
+/**
+ * Import ZEUS records in one transaction
+ *
+ * Running it again with the same records changes nothing (everything is "unchanged").
+ *
+ * @param {Object} records - From readZeus() (validate them first)
+ * @param {string} actor - Audit log actor (default "import-zeus")
+ * @returns {Object} Catalog.apply() result per entity ({ colors, parts, templates? })
+ */
+function applyImport(records, actor = 'import-zeus') {
+  const { db, Catalog, Filament, AuditLog } = loadModels();
+  const auditTypes = { colors: 'color', parts: 'part', templates: 'template' };
+
+  // Colors and parts first: templates refer to parts
+  const importAll = db.transaction(() => {
+    const results = {};
+    for (const [entity, list] of Object.entries(records)) {
+      const before = Catalog.getRecords(entity);
+      results[entity] = Catalog.apply(entity, list, { deactivateMissing: true });
+      AuditLog.recordChanges(auditTypes[entity], before, Catalog.getRecords(entity), actor, 'ZEUS import');
     }
+
+    const colorIds = new Map(Catalog.getRecords('colors').map(color => [color.color_name, color.id]));
+    for (const color of results.colors.new) {
+      if (color.opening_stock > 0) {
+        Filament.setStock(colorIds.get(color.color_name), color.opening_stock, 'Opening stock imported from ZEUS');
+      }
+    }
+    return results;
   });
 
-  importParts(zeusParts);
-  console.log(`\n✓ Successfully imported ${zeusParts.length} parts\n`);
+  return importAll();
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
 
-  // Summary
   console.log('╔════════════════════════════════════════════════════════════╗');
-  console.log('║  Import Complete!                                         ║');
+  console.log('║  ToT Print Farm - Import ZEUS Data                        ║');
   console.log('╚════════════════════════════════════════════════════════════╝\n');
 
-  const colorCount = printfarmDb.prepare('SELECT COUNT(*) as count FROM colors').get().count;
-  const partCount = printfarmDb.prepare('SELECT COUNT(*) as count FROM parts').get().count;
+  if (!fs.existsSync(options.zeusPath)) {
+    throw new Error(`ZEUS database not found: ${options.zeusPath}`);
+  }
+  if (options.targetPath) {
+    if (!fs.existsSync(options.targetPath)) {
+      throw new Error(`Print farm database not found: ${options.targetPath}`);
+    }
+    // Must be set before the database module is loaded
+    process.env.DATABASE_PATH = options.targetPath;
+  }
+
+  console.log(`\nZEUS database: ${options.zeusPath}`);
+  console.log(options.dryRun ? 'Dry run - nothing will be written\n' : '');
 
-  console.log(`Total Colors: ${colorCount}`);
-  console.log(`Total Parts:  ${partCount}\n`);
+  const { records, errors } = readZeus(options.zeusPath, { withTemplates: options.withTemplates });
+  errors.push(...validateRecords(records, { allowEmpty: options.allowEmpty }));
 
-  // Close databases
-  zeusDb.close();
-  printfarmDb.close();
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`  ✗ ${error}`));
+    throw new Error(`${errors.length} problem(s) with the ZEUS data - nothing was written`);
+  }
+
+  const titles = { colors: 'Colors', parts: 'Parts', templates: 'Product Templates' };
+
+  if (options.dryRun) {
+    for (const [entity, diff] of Object.entries(diffImport(records))) {
+      printReport(titles[entity], diff, true);
+    }
+    console.log('Dry run complete - run again without --dry-run to import.\n');
+    return;
+  }
 
-  console.log('✓ Databases closed\n');
-  console.log('You can now start the server with: npm start\n');
+  const results = applyImport(records);
+  for (const [entity, result] of Object.entries(results)) {
+    printReport(titles[entity], result, false);
+  }
 
-} catch (error) {
-  console.error('❌ Import failed:', error);
-  process.exit(1);
+  console.log('╔════════════════════════════════════════════════════════════╗');
+  console.log('║  Import Complete!                                         ║');
+  console.log('╚════════════════════════════════════════════════════════════╝\n');
 }
+
+// Run from the command line (see Usage above)
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`❌ Import failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  parseArgs,
+  readColors,
+  readParts,
+  readTemplates,
+  readZeus,
+  checkRecords,
+  validateRecords,
+  diffImport,
+  applyImport
+};
@@ -0,0 +1,215 @@
+/**
+ * Schema Migrations
+ *
+ * Every schema change is a numbered SQL file in src/database/migrations
+ * (e.g. 002_audit_log.sql). The versions applied to a database are recorded in
+ * schema_migrations; pending migrations run in order, each in its own
+ * transaction, whenever the app connects (db.js) or with `npm run db:migrate`.
+ *
+ * Rules:
+ * - Never edit or renumber a migration once it is deployed - add a new one
+ * - Never DROP tables or columns that hold data - deactivate, copy or rename instead
+ * - A database whose version is newer than the newest migration file was
+ *   migrated by newer code; we refuse to run against it
+ *
+ * Databases from before migrations existed (tables but no recorded versions)
+ * get the columns that used to be added at startup, then run 001 like a new
+ * database does (it only creates what is missing).
+ *
+ * Usage:
+ *   npm run db:migrate                         # Migrate the default database
+ *   npm run db:migrate -- /path/to/printfarm.db  # Migrate another database
+ *   npm run db:migrate -- --status             # Show applied and pending migrations
+ *
+ * Operations:
+ * - getMigrations() - Migration files in version order
+ * - getStatus(db) - Current, latest, applied and pending versions
+ * - migrate(db) - Apply pending migrations (throws if the database is newer than the code)
+ */
+
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// File names: <version>_<description>.sql, e.g. 002_audit_log.sql
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+
+/**
+ * Columns added with ALTER TABLE at startup before migrations existed
+ *
+ * A database from that time may lack any of them; they are added (when the
+ * table exists) before 001 runs over it, since 001 indexes some of them.
+ */
+const LEGACY_COLUMNS = [
+  { table: 'products', column: 'template_id', definition: 'INTEGER REFERENCES product_templates(template_id)' },
+  { table: 'colors', column: 'version', definition: 'INTEGER NOT NULL DEFAULT 1' },
+  { table: 'parts', column: 'version', definition: 'INTEGER NOT NULL DEFAULT 1' },
+  { table: 'orders', column: 'version', definition: 'INTEGER NOT NULL DEFAULT 1' },
+  { table: 'items', column: 'version', definition: 'INTEGER NOT NULL DEFAULT 1' },
+  { table: 'product_templates', column: 'version', definition: 'INTEGER NOT NULL DEFAULT 1' },
+  { table: 'items', column: 'printer_id', definition: 'INTEGER REFERENCES printers(printer_id)' },
+  { table: 'colors', column: 'reorder_threshold_grams', definition: 'DECIMAL(10,2)' },
+  { table: 'products', column: 'sale_price', definition: 'DECIMAL(10,2)' },
+  { table: 'orders', column: 'external_order_id', definition: 'TEXT' },
+  { table: 'sku_mappings', column: 'color_rule', definition: "TEXT NOT NULL DEFAULT 'fixed' CHECK(color_rule IN ('fixed', 'variant'))" }
+];
+
+/**
+ * Get the migration files in version order
+ * @returns {Array} [{ version, name, file }]
+ */
+function getMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      return match ? { version: Number(match[1]), name: match[2], file } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Two migrations have version ${migration.version}: `
+        + `${migrations[index - 1].file} and ${migration.file}`);
+    }
+  });
+  return migrations;
+}
+
+/**
+ * Create the schema_migrations table if needed
+ * @param {Database} db - Database instance
+ */
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Get the migration status of a database
+ * @param {Database} db - Database instance
+ * @returns {Object} { current_version, latest_version, applied, pending }
+ *   applied: [{ version, name, applied_at }], pending: [{ version, name, file }]
+ */
+function getStatus(db) {
+  ensureMigrationsTable(db);
+  const migrations = getMigrations();
+  const applied = db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+  const appliedVersions = new Set(applied.map(row => row.version));
+
+  return {
+    current_version: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latest_version: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    applied,
+    pending: migrations.filter(migration => !appliedVersions.has(migration.version))
+  };
+}
+
+/**
+ * Add the legacy columns a pre-migrations database is missing
+ * @param {Database} db - Database instance
+ */
+function addLegacyColumns(db) {
+  for (const { table, column, definition } of LEGACY_COLUMNS) {
+    const columns = db.pragma(`table_info(${table})`);
+    if (columns.length > 0 && !columns.some(existing => existing.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`  ✓ Added column ${table}.${column}`);
+    }
+  }
+}
+
+/**
+ * Apply all pending migrations, each in its own transaction
+ *
+ * @param {Database} db - Database instance
+ * @returns {Array} The migrations that were applied ([] if up to date)
+ * @throws {Error} If the database is newer than the code, or a migration fails
+ *   (that migration is rolled back, earlier ones stay applied)
+ */
+function migrate(db) {
+  const status = getStatus(db);
+  if (status.current_version > status.latest_version) {
+    throw new Error(`Database schema is at version ${status.current_version}, but this code only knows `
+      + `migrations up to ${status.latest_version}. Deploy the newer code (or restore a backup) instead.`);
+  }
+  if (status.pending.length === 0) {
+    console.log(`✓ Database schema is up to date (version ${status.current_version})`);
+    return [];
+  }
+
+  const isLegacyDatabase = status.applied.length === 0 && !!db.prepare(`
+    SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'orders'
+  `).get();
+  const recordMigration = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+
+  for (const migration of status.pending) {
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, migration.file), 'utf8');
+    const applyMigration = db.transaction(() => {
+      if (isLegacyDatabase && migration === status.pending[0]) {
+        addLegacyColumns(db);
+      }
+      db.exec(sql);
+      recordMigration.run(migration.version, migration.name);
+    });
+
+    try {
+      applyMigration();
+    } catch (error) {
+      error.message = `Migration ${migration.file} failed: ${error.message}`;
+      throw error;
+    }
+    console.log(`✓ Applied migration ${migration.file}`);
+  }
+
+  return status.pending;
+}
+
+// Run from the command line: node src/database/migrate.js [database path] [--status]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const showStatus = args.includes('--status');
+  const dbPath = args.find(arg => !arg.startsWith('--'))
+    || process.env.DATABASE_PATH
+    || (process.env.NODE_ENV === 'production'
+      ? '/data/printfarm.db'
+      : path.join(__dirname, '../../printfarm.db'));
+
+  console.log(`Database: ${dbPath}\n`);
+  if (!fs.existsSync(dbPath)) {
+    console.error('❌ Database not found. Start the app or run npm run db:setup to create it.');
+    process.exit(1);
+  }
+
+  const db = new Database(dbPath);
+  db.pragma('foreign_keys = ON');
+  try {
+    if (showStatus) {
+      const status = getStatus(db);
+      console.log(`Current version: ${status.current_version}`);
+      console.log(`Latest version:  ${status.latest_version}\n`);
+      status.applied.forEach(row => console.log(`  ✓ ${row.version} ${row.name} (${row.applied_at})`));
+      status.pending.forEach(migration => console.log(`  … ${migration.version} ${migration.name} (pending)`));
+    } else {
+      migrate(db);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = {
+  getMigrations,
+  getStatus,
+  migrate
+};
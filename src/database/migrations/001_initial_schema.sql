@@ -1,6 +1,9 @@
 -- Database Schema for ToT Print Farm Management System
--- This file defines the structure of all database tables
+-- Migration 001: the schema as it was when versioned migrations were introduced
 -- SQLite database with Write-Ahead Logging (WAL) for better concurrent access
+--
+-- Never edit this file once deployed - schema changes go in a new numbered
+-- migration file next to it (see src/database/migrate.js)
 
 -- ============================================================================
 -- COLORS TABLE
@@ -18,9 +21,11 @@ CREATE TABLE IF NOT EXISTS colors (
   category TEXT,                   -- Basic, Matte, Silk, etc.
   cost_per_gram DECIMAL(8,4),      -- Cost per gram for inventory
   stock_grams DECIMAL(10,2) DEFAULT 0,  -- Current stock in grams
+  reorder_threshold_grams DECIMAL(10,2), -- Restock when stock falls below this (NULL = no alert)
   is_active BOOLEAN DEFAULT 1,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  version INTEGER NOT NULL DEFAULT 1     -- Bumped by the models on every update (optimistic concurrency)
 );
 
 -- Index for faster lookups of active colors
@@ -41,7 +46,8 @@ CREATE TABLE IF NOT EXISTS parts (
   description TEXT,
   is_active BOOLEAN DEFAULT 1,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  version INTEGER NOT NULL DEFAULT 1
 );
 
 -- Index for faster lookups of active parts
@@ -52,6 +58,8 @@ CREATE INDEX IF NOT EXISTS idx_parts_code ON parts(part_code);
 -- ORDERS TABLE
 -- Main orders table - one order can contain multiple products
 -- Order numbers are auto-generated but editable
+-- external_order_id is the shop's own order ID for orders taken in automatically
+-- (e.g. from the Shopify webhook) - an external order can only be taken in once
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS orders (
   order_id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -64,10 +72,13 @@ CREATE TABLE IF NOT EXISTS orders (
   is_archived BOOLEAN DEFAULT 0,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-  shipped_at DATETIME
+  shipped_at DATETIME,
+  external_order_id TEXT,
+  version INTEGER NOT NULL DEFAULT 1
 );
 
 -- Indexes for common queries
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_external ON orders(platform, external_order_id);
 CREATE INDEX IF NOT EXISTS idx_orders_archived ON orders(is_archived);
 CREATE INDEX IF NOT EXISTS idx_orders_express ON orders(is_express);
 CREATE INDEX IF NOT EXISTS idx_orders_ship_by_date ON orders(ship_by_date);
@@ -77,24 +88,31 @@ CREATE INDEX IF NOT EXISTS idx_orders_platform ON orders(platform);
 -- PRODUCTS TABLE
 -- One order can have multiple products
 -- Each product can have multiple items (printing plates)
+-- template_id is set when the product was created from a product template
+-- sale_price is what the customer paid for the product (used for margins)
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS products (
   product_id INTEGER PRIMARY KEY AUTOINCREMENT,
   order_id INTEGER NOT NULL,
   product_name TEXT NOT NULL,
+  template_id INTEGER,
+  sale_price DECIMAL(10,2),
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+  FOREIGN KEY (template_id) REFERENCES product_templates(template_id)
 );
 
 -- Index for faster lookups by order
 CREATE INDEX IF NOT EXISTS idx_products_order ON products(order_id);
+CREATE INDEX IF NOT EXISTS idx_products_template ON products(template_id);
 
 -- ============================================================================
 -- ITEMS TABLE
 -- Represents individual printing plates
 -- Each item has a status that drives the workflow
 -- Status can only move forward (except for reprints)
+-- printer_id is the printer an item was assigned to in the print farm
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS items (
   item_id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -104,11 +122,15 @@ CREATE TABLE IF NOT EXISTS items (
     CHECK(status IN ('In Queue', 'In Printfarm', 'Printed', 'Assembled', 'Packed', 'Shipped')),
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-  FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE
+  version INTEGER NOT NULL DEFAULT 1,
+  printer_id INTEGER,
+  FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE,
+  FOREIGN KEY (printer_id) REFERENCES printers(printer_id)
 );
 
 -- Indexes for filtering by status (most common query)
 CREATE INDEX IF NOT EXISTS idx_items_status ON items(status);
+CREATE INDEX IF NOT EXISTS idx_items_printer ON items(printer_id);
 CREATE INDEX IF NOT EXISTS idx_items_product ON items(product_id);
 CREATE INDEX IF NOT EXISTS idx_items_updated ON items(updated_at DESC);
 
@@ -162,7 +184,8 @@ CREATE TABLE IF NOT EXISTS product_templates (
   print_cost DECIMAL(10,2) NOT NULL DEFAULT 0.00,
   is_active BOOLEAN DEFAULT 1,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  version INTEGER NOT NULL DEFAULT 1
 );
 
 -- Index for faster lookups
@@ -187,6 +210,144 @@ CREATE TABLE IF NOT EXISTS template_parts (
 CREATE INDEX IF NOT EXISTS idx_template_parts_template ON template_parts(template_id);
 CREATE INDEX IF NOT EXISTS idx_template_parts_part ON template_parts(part_id);
 
+-- ============================================================================
+-- PART_FILAMENT TABLE
+-- Grams of filament a part uses per color slot
+-- Slot N is drawn from the item's Nth color (item_colors.color_order)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS part_filament (
+  part_id INTEGER NOT NULL,
+  color_slot INTEGER NOT NULL CHECK(color_slot BETWEEN 1 AND 4),
+  grams DECIMAL(8,2) NOT NULL CHECK(grams >= 0),
+  PRIMARY KEY (part_id, color_slot),
+  FOREIGN KEY (part_id) REFERENCES parts(part_id) ON DELETE CASCADE
+);
+
+-- ============================================================================
+-- FILAMENT_LEDGER TABLE
+-- Every movement of colors.stock_grams: prints and reprints draw stock down,
+-- manual adjustments and restocks change it by hand
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS filament_ledger (
+  entry_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  color_id INTEGER NOT NULL,
+  entry_type TEXT NOT NULL CHECK(entry_type IN ('print', 'reprint', 'adjustment', 'restock')),
+  grams DECIMAL(10,2) NOT NULL,          -- Signed change: negative = used, positive = added
+  balance_after DECIMAL(10,2) NOT NULL,  -- colors.stock_grams after this movement
+  item_id INTEGER,                       -- The printed item (print/reprint only)
+  note TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (color_id) REFERENCES colors(color_id),
+  FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE SET NULL
+);
+
+-- Index for faster lookups by color and for usage over time
+CREATE INDEX IF NOT EXISTS idx_filament_ledger_color ON filament_ledger(color_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_filament_ledger_date ON filament_ledger(created_at DESC);
+
+-- ============================================================================
+-- PRINTERS TABLE
+-- The printer fleet - each printer has up to 4 AMS slots (printer_slots)
+-- Never delete printers (soft delete with is_active flag)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS printers (
+  printer_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  printer_name TEXT NOT NULL UNIQUE,
+  printer_model TEXT,              -- e.g., Bambu Lab X1C, P1S
+  build_volume TEXT,               -- e.g., 256x256x256 mm
+  status TEXT NOT NULL DEFAULT 'Idle'
+    CHECK(status IN ('Idle', 'Printing', 'Maintenance', 'Offline')),
+  is_active BOOLEAN DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  version INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE INDEX IF NOT EXISTS idx_printers_active ON printers(is_active);
+
+-- ============================================================================
+-- PRINTER_SLOTS TABLE
+-- AMS slots of a printer (1-4), each loaded with a color (or empty)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS printer_slots (
+  printer_id INTEGER NOT NULL,
+  slot_number INTEGER NOT NULL CHECK(slot_number BETWEEN 1 AND 4),
+  color_id INTEGER,
+  PRIMARY KEY (printer_id, slot_number),
+  FOREIGN KEY (printer_id) REFERENCES printers(printer_id) ON DELETE CASCADE,
+  FOREIGN KEY (color_id) REFERENCES colors(color_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_printer_slots_color ON printer_slots(color_id);
+
+-- ============================================================================
+-- SKU_MAPPINGS TABLE
+-- Links a shop SKU (optionally a single variant of it) to a product template
+-- An empty external_variant matches every variant of the SKU
+-- color_rule: 'fixed' = the colors in sku_mapping_colors,
+--             'variant' = colors named in the shop line's variant (e.g. "Black / Gold")
+-- Never delete mappings (soft delete with is_active flag)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS sku_mappings (
+  mapping_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  platform TEXT NOT NULL CHECK(platform IN ('Shopify', 'Etsy')),
+  external_sku TEXT NOT NULL,
+  external_variant TEXT NOT NULL DEFAULT '',
+  template_id INTEGER NOT NULL,
+  color_rule TEXT NOT NULL DEFAULT 'fixed' CHECK(color_rule IN ('fixed', 'variant')),
+  notes TEXT,
+  is_active BOOLEAN DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  version INTEGER NOT NULL DEFAULT 1,
+  UNIQUE (platform, external_sku, external_variant),
+  FOREIGN KEY (template_id) REFERENCES product_templates(template_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sku_mappings_template ON sku_mappings(template_id);
+
+-- ============================================================================
+-- SKU_MAPPING_COLORS TABLE
+-- Fixed colors for a mapping, in the order they are used (1-4).
+-- With color_rule 'variant' these fill the first slots and the color names in
+-- the shop line's variant fill the rest
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS sku_mapping_colors (
+  mapping_id INTEGER NOT NULL,
+  color_order INTEGER NOT NULL CHECK(color_order BETWEEN 1 AND 4),
+  color_id INTEGER NOT NULL,
+  PRIMARY KEY (mapping_id, color_order),
+  FOREIGN KEY (mapping_id) REFERENCES sku_mappings(mapping_id) ON DELETE CASCADE,
+  FOREIGN KEY (color_id) REFERENCES colors(color_id)
+);
+
+-- ============================================================================
+-- INTAKE_REVIEW TABLE
+-- Order lines from a shop that could not be mapped to a template and colors.
+-- They wait here until someone resolves (adds them to the order) or dismisses them.
+-- order_data holds the order details (JSON) so the order can be created on resolve
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS intake_review (
+  review_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  platform TEXT NOT NULL,
+  external_order_id TEXT NOT NULL,
+  external_sku TEXT,
+  external_variant TEXT,
+  line_title TEXT,
+  quantity INTEGER NOT NULL DEFAULT 1,
+  unit_price DECIMAL(10,2),
+  reason TEXT NOT NULL,
+  order_data TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'Pending' CHECK(status IN ('Pending', 'Resolved', 'Dismissed')),
+  order_id INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  resolved_at DATETIME,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_intake_review_status ON intake_review(status);
+CREATE INDEX IF NOT EXISTS idx_intake_review_order ON intake_review(platform, external_order_id);
+
 -- ============================================================================
 -- STATUS_HISTORY TABLE (Audit Log)
 -- Tracks every status change for auditing and debugging
@@ -295,4 +456,15 @@ INSERT OR IGNORE INTO system_settings (setting_key, setting_value, description)
 ('order_number_padding', '3', 'Number of digits to pad order numbers (3 = 001, 4 = 0001)'),
 ('backup_enabled', '1', 'Enable automatic backups (1 = yes, 0 = no)'),
 ('backup_interval_hours', '1', 'Hours between automatic backups'),
+('forecast_work_start_hour', '8', 'Hour the working day starts (capacity forecast only starts prints during working hours)'),
+('forecast_work_end_hour', '17', 'Hour the working day ends'),
+('forecast_work_days', '1,2,3,4,5', 'Working weekdays, comma separated (0 = Sunday, 6 = Saturday)'),
+('forecast_printer_count', '0', 'Printers used by the capacity forecast (0 = active printers in the registry)'),
+('restock_cover_days', '30', 'Days of use a restock should cover (suggested quantities on the Restock page)'),
+('restock_round_grams', '1000', 'Round suggested restock quantities up to this (e.g., 1000 = whole 1 kg spools)'),
+('cost_machine_per_hour', '0', 'Machine cost per print hour, used when a template has no print_cost'),
+('cost_labor_per_item', '0', 'Labor cost per item (assembly, post-processing)'),
+('cost_packaging_per_order', '0', 'Packaging cost per order'),
+('shopify_processing_days', '3', 'Days between a Shopify order and its ship-by date'),
+('etsy_processing_days', '3', 'Days between an Etsy sale and its ship-by date (Etsy CSV import)'),
 ('app_version', '1.0.0', 'Current application version');
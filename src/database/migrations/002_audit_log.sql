@@ -0,0 +1,29 @@
+-- Migration 002: audit trail for catalog changes
+--
+-- Never edit this file once deployed - schema changes go in a new numbered
+-- migration file next to it (see src/database/migrate.js)
+
+-- ============================================================================
+-- AUDIT_LOG TABLE
+-- One row per change to a color, part or product template made in admin
+-- (including catalog imports)
+-- changes: JSON object of the fields that changed, {"field": {"from": ..., "to": ...}}
+-- entity_name: the record's name at the time, so entries stay readable after a rename
+-- Never delete audit entries
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS audit_log (
+  audit_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entity_type TEXT NOT NULL CHECK(entity_type IN ('color', 'part', 'template')),
+  entity_id INTEGER NOT NULL,
+  entity_name TEXT,
+  action TEXT NOT NULL CHECK(action IN ('created', 'updated', 'deactivated', 'activated', 'parts_changed')),
+  changes TEXT NOT NULL DEFAULT '{}',
+  actor TEXT NOT NULL,
+  note TEXT,                       -- e.g. "Catalog import (colors, csv)"
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- History of one record, and the global feed (newest first)
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor);
@@ -0,0 +1,46 @@
+-- Migration 003: user accounts and sign-in sessions
+--
+-- Never edit this file once deployed - schema changes go in a new numbered
+-- migration file next to it (see src/database/migrate.js)
+
+-- ============================================================================
+-- USERS TABLE
+-- People who can sign in. The role decides which pages and actions they get
+-- (see src/utils/auth.js)
+-- password_hash / pin_hash: scrypt hashes ("scrypt$<salt>$<hash>"), never the secret itself
+-- pin_hash: optional 4-8 digit PIN for switching user on a shared device
+-- failed_attempts / locked_until: sign-in is blocked for a while after repeated failures
+-- Never delete users (audit entries name them) - deactivate instead
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS users (
+  user_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  display_name TEXT NOT NULL,
+  role TEXT NOT NULL CHECK(role IN ('admin', 'order_entry', 'operator', 'packer')),
+  password_hash TEXT NOT NULL,
+  pin_hash TEXT,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  locked_until DATETIME,
+  last_login_at DATETIME,
+  is_active BOOLEAN DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- SESSIONS TABLE
+-- One row per signed-in browser. The cookie holds a random token; only its
+-- SHA-256 is stored, so a copy of the database can't be used to sign in
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS sessions (
+  session_id TEXT PRIMARY KEY,     -- SHA-256 (hex) of the cookie token
+  user_id INTEGER NOT NULL,
+  user_agent TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at);
@@ -0,0 +1,37 @@
+-- Migration 004: who made each status change, and station devices
+--
+-- Never edit this file once deployed - schema changes go in a new numbered
+-- migration file next to it (see src/database/migrate.js)
+
+-- ============================================================================
+-- DEVICES TABLE
+-- Station tablets and scanners that identify themselves with a device token
+-- instead of a person signing in. A device works with its role's pages; people
+-- can still switch to themselves with their PIN on it (see src/utils/auth.js)
+-- token_hash: SHA-256 (hex) of the device token - the token itself is only shown once
+-- Never delete devices (status history names them) - deactivate instead
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS devices (
+  device_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  device_name TEXT NOT NULL UNIQUE COLLATE NOCASE,   -- e.g. "Printfarm iPad", used as the station name
+  role TEXT NOT NULL CHECK(role IN ('order_entry', 'operator', 'packer')),
+  token_hash TEXT UNIQUE,
+  last_seen_at DATETIME,
+  is_active BOOLEAN DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- STATUS_HISTORY: who and where
+-- user_id: the signed-in person (NULL for shop intake, a device nobody switched
+--   to, and rows from before this migration)
+-- device_id: the station device the change was made on (NULL in a normal browser)
+-- station: the device's name, or the page the change was made from (e.g. "printfarm")
+-- ============================================================================
+ALTER TABLE status_history ADD COLUMN user_id INTEGER REFERENCES users(user_id);
+ALTER TABLE status_history ADD COLUMN device_id INTEGER REFERENCES devices(device_id);
+ALTER TABLE status_history ADD COLUMN station TEXT;
+
+-- Actions per operator per day
+CREATE INDEX IF NOT EXISTS idx_status_history_user ON status_history(user_id, changed_at);
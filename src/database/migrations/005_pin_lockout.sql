@@ -0,0 +1,13 @@
+-- Migration 005: separate lockout for PIN sign-ins
+--
+-- Never edit this file once deployed - schema changes go in a new numbered
+-- migration file next to it (see src/database/migrate.js)
+
+-- ============================================================================
+-- USERS: PIN attempts
+-- Wrong PINs are counted apart from wrong passwords, so guessing someone's PIN
+-- on a shared device only locks their PIN - not their password sign-in
+-- pin_failed_attempts / pin_locked_until: like failed_attempts / locked_until
+-- ============================================================================
+ALTER TABLE users ADD COLUMN pin_failed_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN pin_locked_until DATETIME;
@@ -9,15 +9,12 @@
 
 const Database = require('better-sqlite3');
 const path = require('path');
-const fs = require('fs');
+const { migrate } = require('./migrate');
 
 // Database path - use /data for Fly.io production, local for development
-const DB_PATH = process.env.NODE_ENV === 'production'
+const DB_PATH = process.env.DATABASE_PATH || (process.env.NODE_ENV === 'production'
   ? '/data/printfarm.db'
-  : path.join(__dirname, '../../printfarm.db');
-
-// Schema path
-const SCHEMA_PATH = path.join(__dirname, 'schema.sql');
+  : path.join(__dirname, '../../printfarm.db'));
 
 console.log('╔════════════════════════════════════════════════════════════╗');
 console.log('║  ToT Print Farm - Seed Production Data                   ║');
@@ -92,53 +89,10 @@ try {
   db.pragma('foreign_keys = ON');
   console.log('✓ Database opened\n');
 
-  // Initialize schema if needed
+  // Create or upgrade the schema (never drops tables - see migrate.js)
   console.log('Checking database schema...');
-  const tableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='colors'").get();
-
-  if (!tableCheck) {
-    console.log('Database schema not found, initializing...\n');
-    const schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
-    db.exec(schema);
-    console.log('✓ Database schema initialized\n');
-  } else {
-    // Check if schema is up-to-date
-    const columnCheck = db.prepare("SELECT sql FROM sqlite_master WHERE type='table' AND name='colors'").get();
-    const templateCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='product_templates'").get();
-
-    // Check for old schema (missing material_type) or missing product_templates table
-    const needsUpgrade = !columnCheck.sql.includes('material_type') || !templateCheck;
-
-    if (needsUpgrade) {
-      console.log('Schema update needed, upgrading...\n');
-
-      if (!columnCheck.sql.includes('material_type')) {
-        console.log('Detected: Old schema without material tracking');
-      }
-      if (!templateCheck) {
-        console.log('Detected: Missing product_templates table');
-      }
-      console.log('');
-
-      // Drop old tables and recreate with new schema
-      console.log('Dropping old tables...');
-      db.exec('DROP TABLE IF EXISTS template_parts');
-      db.exec('DROP TABLE IF EXISTS product_templates');
-      db.exec('DROP TABLE IF EXISTS print_items');
-      db.exec('DROP TABLE IF EXISTS products');
-      db.exec('DROP TABLE IF EXISTS parts');
-      db.exec('DROP TABLE IF EXISTS colors');
-      db.exec('DROP TABLE IF EXISTS orders');
-      console.log('✓ Old tables dropped\n');
-
-      console.log('Creating new schema...');
-      const schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
-      db.exec(schema);
-      console.log('✓ Database schema upgraded\n');
-    } else {
-      console.log('✓ Database schema is up-to-date\n');
-    }
-  }
+  migrate(db);
+  console.log('');
 
   // Check if data already exists
   const colorCount = db.prepare('SELECT COUNT(*) as count FROM colors').get().count;
@@ -7,7 +7,8 @@
  * Usage: npm run db:setup
  */
 
-const { db, initializeSchema } = require('./db');
+const { db } = require('./db');
+const { getStatus } = require('./migrate');
 const { seed } = require('./seed');
 
 console.log('╔════════════════════════════════════════════════════════════╗');
@@ -15,9 +16,9 @@ console.log('║  ToT Print Farm - Database Setup                          ║')
 console.log('╚════════════════════════════════════════════════════════════╝\n');
 
 try {
-  console.log('Step 1: Initializing database schema...');
-  initializeSchema(db);
-  console.log('✓ Schema initialized\n');
+  // Connecting (require('./db')) already applied the schema migrations
+  console.log('Step 1: Checking database schema...');
+  console.log(`✓ Schema at version ${getStatus(db).current_version}\n`);
 
   console.log('Step 2: Seeding initial data...');
   seed();
@@ -0,0 +1,191 @@
+/**
+ * Archive Model
+ *
+ * Read-only access to archived (shipped) orders - orders with is_archived = 1.
+ * Archived orders never show up in the production views, so this is the only
+ * place they can be looked up after shipping.
+ *
+ * Operations:
+ * - validateFilters(filters) - Check search filters (platform, shipped_at range)
+ * - search(filters, paging) - One page of archived orders plus the total count
+ * - getById(id) - Archived order with products, items and status history
+ * - iterateForExport(filters) - Yield archived orders in batches (for CSV export)
+ */
+
+const { db } = require('../database/db');
+const Order = require('./Order');
+
+// Default and maximum page size for search()
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Rows fetched per query by iterateForExport()
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Validate archive search filters
+ * @param {Object} filters - { search, platform, shipped_from, shipped_to }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateFilters(filters) {
+  if (filters.platform && !Order.PLATFORMS.includes(filters.platform)) {
+    return `platform must be one of: ${Order.PLATFORMS.join(', ')}`;
+  }
+  if (filters.shipped_from && !Order.isValidDate(filters.shipped_from)) {
+    return 'shipped_from must be a valid date (YYYY-MM-DD)';
+  }
+  if (filters.shipped_to && !Order.isValidDate(filters.shipped_to)) {
+    return 'shipped_to must be a valid date (YYYY-MM-DD)';
+  }
+  return null;
+}
+
+/**
+ * Build the WHERE clause for the archive filters
+ * @param {Object} filters - { search, platform, shipped_from, shipped_to }
+ * @returns {Object} { where, params }
+ */
+function buildWhere(filters) {
+  const conditions = ['o.is_archived = 1'];
+  const params = [];
+
+  if (filters.search) {
+    conditions.push('(o.order_number LIKE ? OR o.customer_name LIKE ?)');
+    params.push(`%${filters.search}%`, `%${filters.search}%`);
+  }
+  if (filters.platform) {
+    conditions.push('o.platform = ?');
+    params.push(filters.platform);
+  }
+  // shipped_at is a full timestamp - compare on the date part so the range is inclusive
+  if (filters.shipped_from) {
+    conditions.push('date(o.shipped_at) >= ?');
+    params.push(filters.shipped_from);
+  }
+  if (filters.shipped_to) {
+    conditions.push('date(o.shipped_at) <= ?');
+    params.push(filters.shipped_to);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Search archived orders, one page at a time
+ *
+ * Sorted by shipped_at, most recent first.
+ *
+ * @param {Object} filters - { search, platform, shipped_from, shipped_to }
+ * @param {Object} paging - { page (1-based), page_size }
+ * @returns {Object} { orders, total, page, page_size, total_pages }
+ */
+function search(filters = {}, paging = {}) {
+  const pageSize = Math.min(Math.max(parseInt(paging.page_size) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(paging.page) || 1, 1);
+  const { where, params } = buildWhere(filters);
+
+  const total = db.prepare(`SELECT COUNT(*) as count FROM orders o WHERE ${where}`)
+    .get(...params).count;
+
+  const orders = db.prepare(`
+    SELECT
+      o.*,
+      (SELECT COUNT(*) FROM products p WHERE p.order_id = o.order_id) as product_count,
+      (SELECT COUNT(*) FROM items i JOIN products p ON i.product_id = p.product_id
+        WHERE p.order_id = o.order_id) as item_count
+    FROM orders o
+    WHERE ${where}
+    ORDER BY o.shipped_at DESC, o.order_id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, pageSize, (page - 1) * pageSize);
+
+  return {
+    orders,
+    total,
+    page,
+    page_size: pageSize,
+    total_pages: Math.max(Math.ceil(total / pageSize), 1)
+  };
+}
+
+/**
+ * Get an archived order with products, items, colors, parts and the
+ * status_history timeline of every item (with who made each change)
+ * @param {number} orderId - The order ID
+ * @returns {Object|null} Order (same shape as Order.getById), or null if not found or not archived
+ */
+function getById(orderId) {
+  const order = Order.getById(orderId);
+  if (!order || !order.is_archived) {
+    return null;
+  }
+
+  const history = db.prepare(`
+    SELECT sh.*, u.display_name AS changed_by_name
+    FROM status_history sh
+    JOIN items i ON sh.item_id = i.item_id
+    JOIN products p ON i.product_id = p.product_id
+    LEFT JOIN users u ON sh.user_id = u.user_id
+    WHERE p.order_id = ?
+    ORDER BY sh.changed_at ASC, sh.history_id ASC
+  `).all(orderId);
+
+  return {
+    ...order,
+    products: order.products.map(product => ({
+      ...product,
+      items: product.items.map(item => ({
+        ...item,
+        history: history.filter(entry => entry.item_id === item.item_id)
+      }))
+    }))
+  };
+}
+
+/**
+ * Iterate over all archived orders matching the filters, for export
+ *
+ * Reads EXPORT_BATCH_SIZE rows per query (keyset paging on order_id), so
+ * thousands of orders never sit in memory at once and the shared connection
+ * is free between batches.
+ *
+ * @param {Object} filters - { search, platform, shipped_from, shipped_to }
+ * @yields {Object} Order row with product_count, item_count and product_names
+ */
+function* iterateForExport(filters = {}) {
+  const { where, params } = buildWhere(filters);
+  const stmt = db.prepare(`
+    SELECT
+      o.*,
+      (SELECT COUNT(*) FROM products p WHERE p.order_id = o.order_id) as product_count,
+      (SELECT COUNT(*) FROM items i JOIN products p ON i.product_id = p.product_id
+        WHERE p.order_id = o.order_id) as item_count,
+      (SELECT GROUP_CONCAT(p.product_name, '; ') FROM products p
+        WHERE p.order_id = o.order_id) as product_names
+    FROM orders o
+    WHERE ${where} AND o.order_id > ?
+    ORDER BY o.order_id ASC
+    LIMIT ?
+  `);
+
+  let lastOrderId = 0;
+  while (true) {
+    const batch = stmt.all(...params, lastOrderId, EXPORT_BATCH_SIZE);
+    for (const order of batch) {
+      yield order;
+    }
+    if (batch.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+    lastOrderId = batch[batch.length - 1].order_id;
+  }
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  validateFilters,
+  search,
+  getById,
+  iterateForExport
+};
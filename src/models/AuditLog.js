@@ -0,0 +1,264 @@
+/**
+ * Audit Log Model
+ *
+ * Records who changed which color, part or product template, when, and what
+ * changed (before/after per field). Entries are written by the admin routes and
+ * the catalog import after a change succeeds, and are never edited or deleted.
+ *
+ * Snapshots are catalog records (see Catalog.getRecord): only catalog fields are
+ * compared - stock movements have their own ledger (filament_ledger).
+ *
+ * Operations:
+ * - ENTITY_TYPES / ACTIONS - Allowed values (mirror the CHECK constraints in the schema migrations)
+ * - diffRecords(before, after) - Fields that differ between two snapshots
+ * - record(entry) - Write an entry (skips changes that changed nothing)
+ * - recordChanges(entityType, before, after, actor, note) - Write entries for bulk changes (e.g. imports)
+ * - getHistory(entityType, entityId) - Entries of one record, newest first
+ * - validateFilters(filters) - Check feed filters (entity type, action, date range)
+ * - getFeed(filters) - Entries of all records, newest first, filtered
+ * - getActors() - Everyone who has an entry (for the feed filter)
+ */
+
+const { db } = require('../database/db');
+const Order = require('./Order');
+
+// Allowed values for audit_log.entity_type and audit_log.action (mirror the CHECK constraints in the schema migrations)
+const ENTITY_TYPES = ['color', 'part', 'template'];
+const ACTIONS = ['created', 'updated', 'deactivated', 'activated', 'parts_changed'];
+
+// Catalog entity (see Catalog.ENTITIES) and name field per entity type
+const ENTITY_CONFIG = {
+  color: { catalog: 'colors', nameField: 'color_name' },
+  part: { catalog: 'parts', nameField: 'part_name' },
+  template: { catalog: 'templates', nameField: 'template_name' }
+};
+
+// Default and maximum number of feed entries per page
+const FEED_LIMIT = 100;
+const MAX_FEED_LIMIT = 500;
+
+/**
+ * Get the fields that differ between two snapshots
+ * @param {Object|null} before - Snapshot before the change (null for a new record)
+ * @param {Object|null} after - Snapshot after the change
+ * @returns {Object} { field: { from, to } } - the id field is ignored
+ */
+function diffRecords(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.delete('id');
+
+  for (const field of fields) {
+    const from = before && field in before ? before[field] : null;
+    const to = after && field in after ? after[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Turn a database row into an entry
+ * @param {Object} row - audit_log row
+ * @returns {Object} Entry with changes parsed
+ */
+function toEntry(row) {
+  return { ...row, changes: JSON.parse(row.changes) };
+}
+
+/**
+ * Write an audit entry
+ *
+ * @param {Object} entry - Entry data
+ * @param {string} entry.entity_type - One of ENTITY_TYPES
+ * @param {number} entry.entity_id - ID of the changed record
+ * @param {string} entry.action - One of ACTIONS
+ * @param {Object|null} entry.before - Snapshot before the change (null when created)
+ * @param {Object|null} entry.after - Snapshot after the change
+ * @param {string} entry.actor - Who made the change
+ * @param {string} entry.note - Optional context, e.g. "Catalog import"
+ * @returns {Object|null} The entry, or null when nothing changed (e.g. deactivating an inactive color)
+ */
+function record({ entity_type, entity_id, action, before, after, actor, note = null }) {
+  if (!ENTITY_TYPES.includes(entity_type)) {
+    throw new Error(`entity_type must be one of: ${ENTITY_TYPES.join(', ')}`);
+  }
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`action must be one of: ${ACTIONS.join(', ')}`);
+  }
+
+  const changes = diffRecords(before, after);
+  if (action !== 'created' && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  const { nameField } = ENTITY_CONFIG[entity_type];
+  const snapshot = after || before || {};
+  const result = db.prepare(`
+    INSERT INTO audit_log (entity_type, entity_id, entity_name, action, changes, actor, note)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(entity_type, Number(entity_id), snapshot[nameField] || null, action, JSON.stringify(changes), actor, note);
+
+  return toEntry(db.prepare('SELECT * FROM audit_log WHERE audit_id = ?').get(result.lastInsertRowid));
+}
+
+/**
+ * Write entries for every record that differs between two lists of snapshots
+ * (e.g. a catalog before and after an import)
+ *
+ * The action follows from the change: new id = created, is_active 1 -> 0 =
+ * deactivated, 0 -> 1 = activated, only the template parts = parts_changed,
+ * anything else = updated.
+ *
+ * @param {string} entityType - One of ENTITY_TYPES
+ * @param {Array} before - Snapshots (with id) before the change
+ * @param {Array} after - Snapshots (with id) after the change
+ * @param {string} actor - Who made the change
+ * @param {string} note - Optional context
+ * @returns {Array} The entries written
+ */
+function recordChanges(entityType, before, after, actor, note = null) {
+  const beforeById = new Map(before.map(snapshot => [snapshot.id, snapshot]));
+  const entries = [];
+
+  for (const snapshot of after) {
+    const previous = beforeById.get(snapshot.id) || null;
+    const changes = diffRecords(previous, snapshot);
+    let action = 'updated';
+    if (!previous) {
+      action = 'created';
+    } else if (changes.is_active) {
+      action = snapshot.is_active ? 'activated' : 'deactivated';
+    } else if (Object.keys(changes).length === 1 && changes.parts) {
+      action = 'parts_changed';
+    }
+
+    const entry = record({
+      entity_type: entityType,
+      entity_id: snapshot.id,
+      action,
+      before: previous,
+      after: snapshot,
+      actor,
+      note
+    });
+    if (entry) {
+      entries.push(entry);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Get the entries of one record (newest first)
+ * @param {string} entityType - One of ENTITY_TYPES
+ * @param {number} entityId - Record ID
+ * @returns {Array} Entries
+ */
+function getHistory(entityType, entityId) {
+  return db.prepare(`
+    SELECT * FROM audit_log
+    WHERE entity_type = ? AND entity_id = ?
+    ORDER BY audit_id DESC
+  `).all(entityType, Number(entityId)).map(toEntry);
+}
+
+/**
+ * Validate feed filters
+ * @param {Object} filters - { entity_type, action, from, to, ... }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateFilters(filters) {
+  if (filters.entity_type && !ENTITY_TYPES.includes(filters.entity_type)) {
+    return `entity_type must be one of: ${ENTITY_TYPES.join(', ')}`;
+  }
+  if (filters.action && !ACTIONS.includes(filters.action)) {
+    return `action must be one of: ${ACTIONS.join(', ')}`;
+  }
+  if (filters.from && !Order.isValidDate(filters.from)) {
+    return 'from must be a valid date (YYYY-MM-DD)';
+  }
+  if (filters.to && !Order.isValidDate(filters.to)) {
+    return 'to must be a valid date (YYYY-MM-DD)';
+  }
+  return null;
+}
+
+/**
+ * Get the entries of all records (newest first)
+ *
+ * @param {Object} filters - All optional
+ * @param {string} filters.entity_type - One of ENTITY_TYPES
+ * @param {string} filters.action - One of ACTIONS
+ * @param {string} filters.actor - Exact actor
+ * @param {string} filters.field - Only entries that changed this field (e.g. "cost_per_gram")
+ * @param {string} filters.search - Part of the record's name
+ * @param {string} filters.from - First day (YYYY-MM-DD, UTC)
+ * @param {string} filters.to - Last day (YYYY-MM-DD, UTC)
+ * @param {number} filters.limit - Number of entries (default FEED_LIMIT, max MAX_FEED_LIMIT)
+ * @returns {Array} Entries
+ */
+function getFeed(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.entity_type) {
+    conditions.push('entity_type = ?');
+    params.push(filters.entity_type);
+  }
+  if (filters.action) {
+    conditions.push('action = ?');
+    params.push(filters.action);
+  }
+  if (filters.actor) {
+    conditions.push('actor = ?');
+    params.push(filters.actor);
+  }
+  if (filters.field) {
+    conditions.push('json_type(changes, ?) IS NOT NULL');
+    params.push(`$."${String(filters.field).replace(/"/g, '')}"`);
+  }
+  if (filters.search) {
+    conditions.push('entity_name LIKE ?');
+    params.push(`%${filters.search}%`);
+  }
+  if (filters.from) {
+    conditions.push('DATE(created_at) >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('DATE(created_at) <= ?');
+    params.push(filters.to);
+  }
+
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || FEED_LIMIT, 1), MAX_FEED_LIMIT);
+  return db.prepare(`
+    SELECT * FROM audit_log
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY audit_id DESC
+    LIMIT ?
+  `).all(...params, limit).map(toEntry);
+}
+
+/**
+ * Get everyone who has an audit entry
+ * @returns {Array} Actor names, sorted
+ */
+function getActors() {
+  return db.prepare('SELECT DISTINCT actor FROM audit_log ORDER BY actor').all().map(row => row.actor);
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  ACTIONS,
+  ENTITY_CONFIG,
+  FEED_LIMIT,
+  diffRecords,
+  record,
+  recordChanges,
+  getHistory,
+  validateFilters,
+  getFeed,
+  getActors
+};
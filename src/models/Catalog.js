@@ -0,0 +1,299 @@
+/**
+ * Catalog Model
+ *
+ * Moves colors, parts and product templates in and out of the database as plain
+ * records, for the catalog import/export (see services/catalogTransfer.js for the
+ * CSV and JSON formats).
+ *
+ * Records are matched by their natural key - color_name, part_code or
+ * template_name - so the same file can be imported again and again. Importing
+ * only inserts and updates rows: rows missing from a file can be deactivated,
+ * but never deleted, because orders keep referencing them.
+ *
+ * Record fields:
+ * - colors: color_name, hex_code, pantone_code, material_type, supplier, category,
+ *   cost_per_gram, reorder_threshold_grams, is_active
+ * - parts: part_code, part_name, description, filament_grams (grams per color slot,
+ *   null for none), is_active
+ * - templates: template_name, description, num_colors, print_time_minutes,
+ *   print_cost, parts ([{ part_code, quantity }], sorted by part_code), is_active
+ *
+ * Operations:
+ * - ENTITIES - The catalogs, with table, key and fields
+ * - getRecords(entity) - Every row (active or not) as a record
+ * - getRecord(entity, id) - One row as a record (e.g. for the audit log)
+ * - diff(entity, records) - Compare records with the database (read only)
+ * - apply(entity, records, options) - Insert new and update changed rows (one transaction)
+ */
+
+const { db } = require('../database/db');
+
+// Number of color slots a part can have filament figures for (same as Part.COLOR_SLOTS)
+const COLOR_SLOTS = 4;
+
+const ENTITIES = {
+  colors: {
+    table: 'colors',
+    idColumn: 'color_id',
+    key: 'color_name',
+    fields: [
+      'hex_code', 'pantone_code', 'material_type', 'supplier', 'category',
+      'cost_per_gram', 'reorder_threshold_grams', 'is_active'
+    ]
+  },
+  parts: {
+    table: 'parts',
+    idColumn: 'part_id',
+    key: 'part_code',
+    fields: ['part_name', 'description', 'filament_grams', 'is_active']
+  },
+  templates: {
+    table: 'product_templates',
+    idColumn: 'template_id',
+    key: 'template_name',
+    fields: ['description', 'num_colors', 'print_time_minutes', 'print_cost', 'parts', 'is_active']
+  }
+};
+
+// Fields stored in a child table rather than a column of the entity's table
+const CHILD_FIELDS = ['filament_grams', 'parts'];
+
+/**
+ * Get the configuration of a catalog
+ * @param {string} entity - colors, parts or templates
+ * @returns {Object} Entry of ENTITIES
+ */
+function getEntity(entity) {
+  const config = ENTITIES[entity];
+  if (!config) {
+    throw new Error(`Unknown catalog "${entity}"`);
+  }
+  return config;
+}
+
+/**
+ * Get the filament figures of all parts
+ * @returns {Object} Map of part_id -> grams per color slot (null for none)
+ */
+function getFilamentByPart() {
+  const byPart = {};
+  for (const row of db.prepare('SELECT part_id, color_slot, grams FROM part_filament').all()) {
+    byPart[row.part_id] = byPart[row.part_id] || Array(COLOR_SLOTS).fill(null);
+    byPart[row.part_id][row.color_slot - 1] = row.grams;
+  }
+  return byPart;
+}
+
+/**
+ * Get the parts of all templates
+ * @returns {Object} Map of template_id -> [{ part_code, quantity }] sorted by part_code
+ */
+function getPartsByTemplate() {
+  const byTemplate = {};
+  const rows = db.prepare(`
+    SELECT tp.template_id, p.part_code, tp.quantity
+    FROM template_parts tp
+    JOIN parts p ON tp.part_id = p.part_id
+    ORDER BY tp.template_id, p.part_code
+  `).all();
+  for (const { template_id, ...part } of rows) {
+    (byTemplate[template_id] = byTemplate[template_id] || []).push(part);
+  }
+  return byTemplate;
+}
+
+/**
+ * Get every row of a catalog as a record (plus its id)
+ * @param {string} entity - colors, parts or templates
+ * @param {number} id - Only this row (optional)
+ * @returns {Array} Records ordered by key, each with id
+ */
+function getRecords(entity, id = null) {
+  const { table, idColumn, key, fields } = getEntity(entity);
+  const columns = fields.filter(field => !CHILD_FIELDS.includes(field));
+  const rows = db.prepare(`
+    SELECT ${idColumn} AS id, ${key}, ${columns.join(', ')} FROM ${table}
+    ${id === null ? '' : `WHERE ${idColumn} = ?`}
+    ORDER BY ${key}
+  `).all(...(id === null ? [] : [id]));
+
+  const filamentByPart = entity === 'parts' ? getFilamentByPart() : {};
+  const partsByTemplate = entity === 'templates' ? getPartsByTemplate() : {};
+
+  return rows.map(row => {
+    const record = { ...row, is_active: row.is_active ? 1 : 0 };
+    // Empty text and NULL mean the same thing in an import file
+    for (const column of columns) {
+      if (record[column] === '') {
+        record[column] = null;
+      }
+    }
+    if (entity === 'parts') {
+      record.filament_grams = filamentByPart[row.id] || Array(COLOR_SLOTS).fill(null);
+    }
+    if (entity === 'templates') {
+      record.parts = partsByTemplate[row.id] || [];
+    }
+    return record;
+  });
+}
+
+/**
+ * Get one row of a catalog as a record (plus its id)
+ * @param {string} entity - colors, parts or templates
+ * @param {number} id - Row ID
+ * @returns {Object|null} Record, or null if not found
+ */
+function getRecord(entity, id) {
+  return getRecords(entity, Number(id))[0] || null;
+}
+
+/**
+ * Compare records with the database (nothing is written)
+ *
+ * Only fields present in a record are compared, so a file with a few columns
+ * changes only those.
+ *
+ * @param {string} entity - colors, parts or templates
+ * @param {Array} records - Records with the entity's key and fields
+ * @returns {Object} { new, changed, unchanged, missing }
+ *   new: records not in the database
+ *   changed: [{ id, key, record, changes: [{ field, from, to }] }]
+ *   unchanged: keys that match the database
+ *   missing: active rows that aren't in the records ([{ id, key }], rows without a key are left out)
+ */
+function diff(entity, records) {
+  const { key, fields } = getEntity(entity);
+  const existingByKey = new Map(getRecords(entity).map(row => [row[key], row]));
+  const result = { new: [], changed: [], unchanged: [], missing: [] };
+
+  for (const record of records) {
+    const existing = existingByKey.get(record[key]);
+    if (!existing) {
+      result.new.push(record);
+      continue;
+    }
+
+    const changes = fields
+      .filter(field => field in record && JSON.stringify(record[field]) !== JSON.stringify(existing[field]))
+      .map(field => ({ field, from: existing[field], to: record[field] }));
+    if (changes.length > 0) {
+      result.changed.push({ id: existing.id, key: record[key], record, changes });
+    } else {
+      result.unchanged.push(record[key]);
+    }
+  }
+
+  const recordKeys = new Set(records.map(record => record[key]));
+  for (const existing of existingByKey.values()) {
+    if (existing[key] !== null && existing.is_active && !recordKeys.has(existing[key])) {
+      result.missing.push({ id: existing.id, key: existing[key] });
+    }
+  }
+  return result;
+}
+
+/**
+ * Replace a part's filament figures - no transaction of its own
+ * @param {number} partId - The part ID
+ * @param {Array} filamentGrams - Grams per color slot (null for none)
+ */
+function saveFilamentGrams(partId, filamentGrams) {
+  db.prepare('DELETE FROM part_filament WHERE part_id = ?').run(partId);
+  const insert = db.prepare('INSERT INTO part_filament (part_id, color_slot, grams) VALUES (?, ?, ?)');
+  filamentGrams.forEach((grams, index) => {
+    if (grams > 0) {
+      insert.run(partId, index + 1, grams);
+    }
+  });
+}
+
+/**
+ * Replace a template's parts - no transaction of its own
+ * @param {number} templateId - The template ID
+ * @param {Array} parts - [{ part_code, quantity }] (every part_code must exist)
+ */
+function saveTemplateParts(templateId, parts) {
+  db.prepare('DELETE FROM template_parts WHERE template_id = ?').run(templateId);
+  const insert = db.prepare(`
+    INSERT INTO template_parts (template_id, part_id, quantity)
+    SELECT ?, part_id, ? FROM parts WHERE part_code = ?
+  `);
+  for (const part of parts) {
+    if (insert.run(templateId, part.quantity, part.part_code).changes === 0) {
+      throw new Error(`Unknown part code "${part.part_code}"`);
+    }
+  }
+}
+
+/**
+ * Save the child-table fields of a record - no transaction of its own
+ * @param {string} entity - colors, parts or templates
+ * @param {number} id - Row ID
+ * @param {Object} record - Record (only fields present are saved)
+ */
+function saveChildFields(entity, id, record) {
+  if (entity === 'parts' && record.filament_grams) {
+    saveFilamentGrams(id, record.filament_grams);
+  }
+  if (entity === 'templates' && record.parts) {
+    saveTemplateParts(id, record.parts);
+  }
+}
+
+/**
+ * Import records: insert new rows, update changed ones (one transaction)
+ *
+ * @param {string} entity - colors, parts or templates
+ * @param {Array} records - Records, already validated (see services/catalogTransfer.js)
+ * @param {Object} options - { deactivateMissing } - also deactivate active rows missing from the records
+ * @returns {Object} The diff that was applied (see diff()), plus deactivated_count
+ */
+function apply(entity, records, options = {}) {
+  const { table, idColumn, key, fields } = getEntity(entity);
+
+  const transaction = db.transaction(() => {
+    const result = diff(entity, records);
+
+    for (const record of result.new) {
+      const columns = [key, ...fields.filter(field => field in record && !CHILD_FIELDS.includes(field))];
+      const insert = db.prepare(`
+        INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+      `).run(...columns.map(column => record[column]));
+      saveChildFields(entity, insert.lastInsertRowid, record);
+    }
+
+    for (const { id, record, changes } of result.changed) {
+      const columns = changes.map(change => change.field).filter(field => !CHILD_FIELDS.includes(field));
+      db.prepare(`
+        UPDATE ${table}
+        SET ${columns.map(column => `${column} = ?, `).join('')}updated_at = CURRENT_TIMESTAMP, version = version + 1
+        WHERE ${idColumn} = ?
+      `).run(...columns.map(column => record[column]), id);
+      saveChildFields(entity, id, record);
+    }
+
+    let deactivatedCount = 0;
+    if (options.deactivateMissing) {
+      const deactivate = db.prepare(`
+        UPDATE ${table} SET is_active = 0, updated_at = CURRENT_TIMESTAMP, version = version + 1
+        WHERE ${idColumn} = ?
+      `);
+      for (const { id } of result.missing) {
+        deactivatedCount += deactivate.run(id).changes;
+      }
+    }
+
+    return { ...result, deactivated_count: deactivatedCount };
+  });
+
+  return transaction();
+}
+
+module.exports = {
+  ENTITIES,
+  getRecords,
+  getRecord,
+  diff,
+  apply
+};
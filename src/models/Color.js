@@ -11,18 +11,22 @@
  * - update(id, data) - Update an existing color
  * - deactivate(id) - Soft delete a color (sets is_active = 0)
  * - activate(id) - Reactivate a deactivated color
+ * - search(term) - Search colors by name
+ * - getBySupplier(supplier) - Get the active colors of one supplier
  */
 
-const Database = require('better-sqlite3');
-const path = require('path');
+const { db } = require('../database/db');
+const Filament = require('./Filament');
+const { checkVersion } = require('../utils/concurrency');
 
-// Database connection
-const DB_PATH = process.env.NODE_ENV === 'production'
-  ? '/data/printfarm.db'
-  : path.join(__dirname, '../../printfarm.db');
-
-const db = new Database(DB_PATH);
-db.pragma('foreign_keys = ON');
+/**
+ * Normalize a reorder threshold from a request ('' or null = no threshold)
+ * @param {*} value - Threshold in grams
+ * @returns {number|null} Threshold, or null for none
+ */
+function toThreshold(value) {
+  return value === undefined || value === null || value === '' ? null : Number(value);
+}
 
 /**
  * Get all active colors
@@ -56,7 +60,8 @@ function getById(colorId) {
  * @param {string} colorData.supplier - Supplier name (Bambu Lab, etc.)
  * @param {string} colorData.category - Category (Basic, Matte, Silk, etc.)
  * @param {number} colorData.cost_per_gram - Cost per gram
- * @param {number} colorData.stock_grams - Current stock in grams
+ * @param {number} colorData.stock_grams - Starting stock in grams (recorded in the filament ledger)
+ * @param {number} colorData.reorder_threshold_grams - Optional low-stock threshold in grams
  * @returns {Object} The created color with its new ID
  */
 function create(colorData) {
@@ -69,7 +74,7 @@ function create(colorData) {
       supplier,
       category,
       cost_per_gram,
-      stock_grams,
+      reorder_threshold_grams,
       is_active
     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
   `);
@@ -82,19 +87,27 @@ function create(colorData) {
     colorData.supplier || null,
     colorData.category || null,
     colorData.cost_per_gram || 0,
-    colorData.stock_grams || 0
+    toThreshold(colorData.reorder_threshold_grams)
   );
 
+  // Starting stock goes through the filament ledger like every other stock change
+  if (colorData.stock_grams) {
+    Filament.setStock(result.lastInsertRowid, colorData.stock_grams, 'Initial stock');
+  }
+
   return getById(result.lastInsertRowid);
 }
 
 /**
  * Update an existing color
+ * A different stock_grams is recorded in the filament ledger as a manual adjustment.
  * @param {number} colorId - The color ID to update
  * @param {Object} colorData - Updated color information (same as create)
+ * @param {number} expectedVersion - Optional version the client last saw
+ *   (throws a VERSION_CONFLICT error if the color changed since)
  * @returns {Object|null} Updated color or null if not found
  */
-function update(colorId, colorData) {
+function update(colorId, colorData, expectedVersion = null) {
   const stmt = db.prepare(`
     UPDATE colors
     SET color_name = ?,
@@ -104,9 +117,10 @@ function update(colorId, colorData) {
         supplier = ?,
         category = ?,
         cost_per_gram = ?,
-        stock_grams = ?,
-        updated_at = CURRENT_TIMESTAMP
-    WHERE color_id = ?
+        reorder_threshold_grams = CASE WHEN ? THEN ? ELSE reorder_threshold_grams END,
+        updated_at = CURRENT_TIMESTAMP,
+        version = version + 1
+    WHERE color_id = ? AND (? IS NULL OR version = ?)
   `);
 
   const result = stmt.run(
@@ -117,11 +131,27 @@ function update(colorId, colorData) {
     colorData.supplier || null,
     colorData.category || null,
     colorData.cost_per_gram || 0,
-    colorData.stock_grams || 0,
-    colorId
+    // The threshold is only changed when given
+    'reorder_threshold_grams' in colorData ? 1 : 0,
+    toThreshold(colorData.reorder_threshold_grams),
+    colorId,
+    expectedVersion,
+    expectedVersion
   );
 
-  return result.changes > 0 ? getById(colorId) : null;
+  if (result.changes === 0) {
+    const current = getById(colorId);
+    if (current) {
+      checkVersion('Color', current, expectedVersion);
+    }
+    return null;
+  }
+
+  // A changed stock figure is a manual correction - record it in the filament ledger
+  if (colorData.stock_grams !== undefined && colorData.stock_grams !== null && colorData.stock_grams !== '') {
+    Filament.setStock(colorId, colorData.stock_grams, 'Stock corrected in admin');
+  }
+  return getById(colorId);
 }
 
 /**
@@ -131,7 +161,7 @@ function update(colorId, colorData) {
  * @returns {boolean} True if successful
  */
 function deactivate(colorId) {
-  const stmt = db.prepare('UPDATE colors SET is_active = 0 WHERE color_id = ?');
+  const stmt = db.prepare('UPDATE colors SET is_active = 0, version = version + 1 WHERE color_id = ?');
   const result = stmt.run(colorId);
   return result.changes > 0;
 }
@@ -142,7 +172,7 @@ function deactivate(colorId) {
  * @returns {boolean} True if successful
  */
 function activate(colorId) {
-  const stmt = db.prepare('UPDATE colors SET is_active = 1 WHERE color_id = ?');
+  const stmt = db.prepare('UPDATE colors SET is_active = 1, version = version + 1 WHERE color_id = ?');
   const result = stmt.run(colorId);
   return result.changes > 0;
 }
@@ -170,7 +200,7 @@ function getBySupplier(supplier) {
     SELECT * FROM colors
     WHERE supplier = ? AND is_active = 1
     ORDER BY color_name ASC
-  `).get(supplier);
+  `).all(supplier);
 }
 
 module.exports = {
@@ -0,0 +1,218 @@
+/**
+ * Device Model
+ *
+ * Station devices (printfarm iPad, packing table scanner, ...) that identify
+ * themselves with a device token instead of a person signing in. The device
+ * keeps the token in a cookie (or sends it as "Authorization: Bearer <token>");
+ * the devices table stores only its SHA-256. A device gets the pages of its
+ * role, and its name is recorded as the station of every status change made
+ * on it (see src/utils/actor.js).
+ *
+ * Tokens are shown once, when a device is added or its token is regenerated.
+ *
+ * Operations:
+ * - ROLES - Roles a device may have (never admin)
+ * - getAll(includeInactive) - List devices
+ * - getById(id) - Get a device
+ * - validate(data, partial) - Validate device data before create/update
+ * - create(data) - Add a device, returns { device, token }
+ * - update(id, data) - Rename a device or change its role
+ * - regenerateToken(id) - Replace a device's token (the old one stops working)
+ * - deactivate(id) / activate(id) - Soft delete / reactivate
+ * - authenticate(token) - The active device of a token (and mark it as seen)
+ */
+
+const crypto = require('crypto');
+const { db } = require('../database/db');
+
+// Allowed values for devices.role (mirrors the CHECK constraint in the schema migrations)
+const ROLES = ['order_entry', 'operator', 'packer'];
+
+// last_seen_at is only written when it is older than this (not on every request)
+const SEEN_INTERVAL_MINUTES = 5;
+
+// Columns returned to callers (never the token hash)
+const PUBLIC_COLUMNS = 'device_id, device_name, role, last_seen_at, is_active, created_at, updated_at';
+
+/**
+ * Hash a device token for storage / lookup
+ * @param {string} token - Device token
+ * @returns {string} SHA-256 (hex)
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Make a new device token
+ * @returns {string} Random token (base64url)
+ */
+function newToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Get all devices
+ * @param {boolean} includeInactive - Include deactivated devices (default: false)
+ * @returns {Array} Devices ordered by name
+ */
+function getAll(includeInactive = false) {
+  return db.prepare(`
+    SELECT ${PUBLIC_COLUMNS} FROM devices
+    ${includeInactive ? '' : 'WHERE is_active = 1'}
+    ORDER BY device_name ASC
+  `).all();
+}
+
+/**
+ * Get a device by ID
+ * @param {number} deviceId - The device ID
+ * @returns {Object|undefined} Device, or undefined if not found
+ */
+function getById(deviceId) {
+  return db.prepare(`SELECT ${PUBLIC_COLUMNS} FROM devices WHERE device_id = ?`).get(deviceId);
+}
+
+/**
+ * Validate device data before create/update
+ * @param {Object} deviceData - { device_name, role }
+ * @param {boolean} partial - Only check the fields present (for updates)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validate(deviceData, partial = false) {
+  if (!deviceData) {
+    return 'Device data is required';
+  }
+  if (!partial || 'device_name' in deviceData) {
+    const name = String(deviceData.device_name || '').trim();
+    if (!name || name.length > 60) {
+      return 'device_name is required (at most 60 characters)';
+    }
+  }
+  if ((!partial || 'role' in deviceData) && !ROLES.includes(deviceData.role)) {
+    return `role must be one of: ${ROLES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Create a new device
+ * @param {Object} deviceData - { device_name, role }
+ * @returns {Object} { device, token } - token is only available now
+ */
+function create(deviceData) {
+  const error = validate(deviceData);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const token = newToken();
+  const result = db.prepare(`
+    INSERT INTO devices (device_name, role, token_hash) VALUES (?, ?, ?)
+  `).run(deviceData.device_name.trim(), deviceData.role, hashToken(token));
+  return { device: getById(result.lastInsertRowid), token };
+}
+
+/**
+ * Update a device
+ * @param {number} deviceId - The device ID
+ * @param {Object} updates - Fields to update (device_name, role)
+ * @returns {Object|null} Updated device, or null if not found
+ */
+function update(deviceId, updates) {
+  const error = validate(updates, true);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const sets = [];
+  const values = [];
+  if ('device_name' in updates) {
+    sets.push('device_name = ?');
+    values.push(String(updates.device_name).trim());
+  }
+  if ('role' in updates) {
+    sets.push('role = ?');
+    values.push(updates.role);
+  }
+
+  const result = db.prepare(`
+    UPDATE devices
+    SET ${sets.map(set => `${set}, `).join('')}updated_at = CURRENT_TIMESTAMP
+    WHERE device_id = ?
+  `).run(...values, deviceId);
+  return result.changes > 0 ? getById(deviceId) : null;
+}
+
+/**
+ * Replace a device's token (the old token stops working immediately)
+ * @param {number} deviceId - The device ID
+ * @returns {string|null} The new token, or null if the device was not found
+ */
+function regenerateToken(deviceId) {
+  const token = newToken();
+  const result = db.prepare(`
+    UPDATE devices SET token_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE device_id = ?
+  `).run(hashToken(token), deviceId);
+  return result.changes > 0 ? token : null;
+}
+
+/**
+ * Deactivate a device (soft delete - its token no longer works)
+ * @param {number} deviceId - The device ID
+ * @returns {boolean} True if successful
+ */
+function deactivate(deviceId) {
+  const stmt = db.prepare('UPDATE devices SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE device_id = ?');
+  return stmt.run(deviceId).changes > 0;
+}
+
+/**
+ * Reactivate a deactivated device
+ * @param {number} deviceId - The device ID
+ * @returns {boolean} True if successful
+ */
+function activate(deviceId) {
+  const stmt = db.prepare('UPDATE devices SET is_active = 1, updated_at = CURRENT_TIMESTAMP WHERE device_id = ?');
+  return stmt.run(deviceId).changes > 0;
+}
+
+/**
+ * Get the device a token belongs to
+ * @param {string} token - Device token
+ * @returns {Object|null} { device_id, device_name, role }, or null if the token
+ *   is unknown or the device is inactive
+ */
+function authenticate(token) {
+  if (!token) {
+    return null;
+  }
+  const row = db.prepare(`
+    SELECT device_id, device_name, role,
+      (last_seen_at IS NULL OR last_seen_at < DATETIME('now', ?)) AS needs_touch
+    FROM devices
+    WHERE token_hash = ? AND is_active = 1
+  `).get(`-${SEEN_INTERVAL_MINUTES} minutes`, hashToken(token));
+  if (!row) {
+    return null;
+  }
+
+  const { needs_touch, ...device } = row;
+  if (needs_touch) {
+    db.prepare('UPDATE devices SET last_seen_at = CURRENT_TIMESTAMP WHERE device_id = ?').run(device.device_id);
+  }
+  return device;
+}
+
+module.exports = {
+  ROLES,
+  getAll,
+  getById,
+  validate,
+  create,
+  update,
+  regenerateToken,
+  deactivate,
+  activate,
+  authenticate
+};
@@ -0,0 +1,286 @@
+/**
+ * Filament Model
+ *
+ * Tracks filament stock (colors.stock_grams) through a ledger. Stock is never
+ * changed without a filament_ledger entry:
+ * - print / reprint - Written automatically when an item is marked "Printed"
+ * - adjustment - Manual correction (e.g., after weighing spools)
+ * - restock - New filament received
+ *
+ * Usage per item comes from part_filament (grams per part per color slot):
+ * slot N is drawn from the item's Nth color. Slots the item doesn't have a color
+ * for are drawn from its first color. For items built from a template, grams are
+ * multiplied by the part's template quantity.
+ *
+ * Operations:
+ * - getItemUsage(itemId, reprintOnly) - Grams per color an item uses
+ * - getUsageForItems(itemIds, reprintOnly) - Grams per color for several items at once
+ * - getTemplateGrams() - Total grams a product built from each template uses
+ * - consumeForItem(itemId) - Deduct an item's usage when it is printed (inside a transaction)
+ * - validateMovement(data) - Validate a manual adjustment/restock
+ * - adjustStock(colorId, data) - Record a manual adjustment or restock
+ * - setStock(colorId, stockGrams, note) - Set stock to a counted value (ledgered as an adjustment)
+ * - getLedger(colorId, limit) - Latest ledger entries for a color
+ * - getStockSummary(days) - Use over the last N days and days of cover per color
+ */
+
+const { db } = require('../database/db');
+
+// Allowed values for filament_ledger.entry_type (mirrors the CHECK constraint in the schema migrations)
+const ENTRY_TYPES = ['print', 'reprint', 'adjustment', 'restock'];
+
+// Entry types that count as filament use
+const CONSUMPTION_TYPES = ['print', 'reprint'];
+
+// Entry types that can be recorded by hand
+const MANUAL_ENTRY_TYPES = ['adjustment', 'restock'];
+
+// Default period for "use over the last N days"
+const USAGE_DAYS = 30;
+
+/**
+ * Get the grams of filament an item uses per color
+ * @param {number} itemId - The item ID
+ * @param {boolean} reprintOnly - Only count parts flagged needs_reprint
+ * @returns {Array} Array of { color_id, grams }
+ */
+function getItemUsage(itemId, reprintOnly = false) {
+  return getUsageForItems([itemId], reprintOnly).map(({ color_id, grams }) => ({ color_id, grams }));
+}
+
+/**
+ * Get the grams of filament several items use per color
+ * @param {Array<number>} itemIds - Item IDs
+ * @param {boolean} reprintOnly - Only count parts flagged needs_reprint
+ * @returns {Array} Array of { item_id, color_id, color_name, cost_per_gram, grams }
+ */
+function getUsageForItems(itemIds, reprintOnly = false) {
+  if (itemIds.length === 0) {
+    return [];
+  }
+
+  return db.prepare(`
+    SELECT ip.item_id, ic.color_id, c.color_name, c.cost_per_gram,
+      SUM(pf.grams * COALESCE(tp.quantity, 1)) as grams
+    FROM item_parts ip
+    JOIN items i ON i.item_id = ip.item_id
+    JOIN products pr ON pr.product_id = i.product_id
+    LEFT JOIN template_parts tp ON tp.template_id = pr.template_id AND tp.part_id = ip.part_id
+    JOIN part_filament pf ON pf.part_id = ip.part_id
+    JOIN item_colors ic ON ic.item_id = ip.item_id AND ic.color_order = (
+      CASE WHEN EXISTS (
+        SELECT 1 FROM item_colors slot WHERE slot.item_id = ip.item_id AND slot.color_order = pf.color_slot
+      ) THEN pf.color_slot ELSE 1 END
+    )
+    JOIN colors c ON c.color_id = ic.color_id
+    WHERE ip.item_id IN (${itemIds.map(() => '?').join(', ')})
+      ${reprintOnly ? 'AND ip.needs_reprint = 1' : ''}
+    GROUP BY ip.item_id, ic.color_id
+    HAVING grams > 0
+  `).all(...itemIds);
+}
+
+/**
+ * Get the total grams of filament a product built from each template uses
+ * (active parts only, all color slots, times the part's template quantity)
+ * @returns {Object} Map of template_id -> grams
+ */
+function getTemplateGrams() {
+  const rows = db.prepare(`
+    SELECT tp.template_id, SUM(pf.grams * tp.quantity) as grams
+    FROM template_parts tp
+    JOIN parts p ON p.part_id = tp.part_id AND p.is_active = 1
+    JOIN part_filament pf ON pf.part_id = tp.part_id
+    GROUP BY tp.template_id
+  `).all();
+
+  return Object.fromEntries(rows.map(row => [row.template_id, row.grams]));
+}
+
+/**
+ * Change a color's stock and write the ledger entry - no transaction of its own
+ * @param {number} colorId - The color ID
+ * @param {string} entryType - One of ENTRY_TYPES
+ * @param {number} grams - Signed change (negative = used)
+ * @param {Object} details - Optional { item_id, note }
+ * @returns {Object} The ledger entry
+ */
+function recordMovement(colorId, entryType, grams, details = {}) {
+  db.prepare(`
+    UPDATE colors
+    SET stock_grams = COALESCE(stock_grams, 0) + ?, updated_at = CURRENT_TIMESTAMP, version = version + 1
+    WHERE color_id = ?
+  `).run(grams, colorId);
+
+  const { stock_grams } = db.prepare('SELECT stock_grams FROM colors WHERE color_id = ?').get(colorId);
+  const result = db.prepare(`
+    INSERT INTO filament_ledger (color_id, entry_type, grams, balance_after, item_id, note)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(colorId, entryType, grams, stock_grams, details.item_id || null, details.note || null);
+
+  return db.prepare('SELECT * FROM filament_ledger WHERE entry_id = ?').get(result.lastInsertRowid);
+}
+
+/**
+ * Deduct the filament an item used from stock
+ *
+ * Must be called inside the transaction that marks the item "Printed", before the
+ * reprint flags are cleared: if any part is flagged for reprint only those parts
+ * are deducted (as "reprint"), otherwise the whole item (as "print"). An item
+ * without an earlier "print" entry is deducted whole even if parts are flagged -
+ * it was sent back before its first run was ever marked Printed, so none of its
+ * parts have come off stock yet.
+ *
+ * @param {number} itemId - The item ID
+ * @returns {Array} The ledger entries written (empty if no filament figures are set)
+ */
+function consumeForItem(itemId) {
+  const wasPrinted = !!db.prepare(`
+    SELECT 1 FROM filament_ledger WHERE item_id = ? AND entry_type = 'print'
+  `).get(itemId);
+  const isReprint = wasPrinted && !!db.prepare(`
+    SELECT 1 FROM item_parts WHERE item_id = ? AND needs_reprint = 1
+  `).get(itemId);
+
+  const entryType = isReprint ? 'reprint' : 'print';
+  return getItemUsage(itemId, isReprint).map(usage => (
+    recordMovement(usage.color_id, entryType, -usage.grams, { item_id: itemId })
+  ));
+}
+
+/**
+ * Validate a manual stock movement
+ * @param {Object} movement - { entry_type, grams, note }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateMovement(movement) {
+  if (!movement || !MANUAL_ENTRY_TYPES.includes(movement.entry_type)) {
+    return `entry_type must be one of: ${MANUAL_ENTRY_TYPES.join(', ')}`;
+  }
+  const grams = Number(movement.grams);
+  if (movement.grams === '' || movement.grams === null || !Number.isFinite(grams) || grams === 0) {
+    return 'grams must be a non-zero number';
+  }
+  if (movement.entry_type === 'restock' && grams < 0) {
+    return 'grams must be positive for a restock';
+  }
+  return null;
+}
+
+/**
+ * Record a manual adjustment or restock
+ * @param {number} colorId - The color ID
+ * @param {Object} movement - { entry_type: "adjustment"|"restock", grams (signed), note }
+ * @returns {Object|null} { entry, stock_grams }, or null if the color was not found
+ */
+function adjustStock(colorId, movement) {
+  const error = validateMovement(movement);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const transaction = db.transaction(() => {
+    const color = db.prepare('SELECT color_id FROM colors WHERE color_id = ?').get(colorId);
+    if (!color) {
+      return null;
+    }
+    const entry = recordMovement(colorId, movement.entry_type, Number(movement.grams), {
+      note: movement.note ? String(movement.note).trim() : null
+    });
+    return { entry, stock_grams: entry.balance_after };
+  });
+
+  return transaction();
+}
+
+/**
+ * Set a color's stock to a counted value, ledgered as an adjustment for the difference
+ * @param {number} colorId - The color ID
+ * @param {number} stockGrams - New stock level in grams
+ * @param {string} note - Optional note for the ledger entry
+ * @returns {Object|null} The ledger entry, or null if unchanged or the color was not found
+ */
+function setStock(colorId, stockGrams, note = null) {
+  const transaction = db.transaction(() => {
+    const color = db.prepare('SELECT stock_grams FROM colors WHERE color_id = ?').get(colorId);
+    if (!color) {
+      return null;
+    }
+    const difference = Number(stockGrams) - (color.stock_grams || 0);
+    if (!Number.isFinite(difference) || difference === 0) {
+      return null;
+    }
+    return recordMovement(colorId, 'adjustment', difference, { note });
+  });
+
+  return transaction();
+}
+
+/**
+ * Get the latest ledger entries for a color (newest first)
+ * @param {number} colorId - The color ID
+ * @param {number} limit - Maximum number of entries (default: 100)
+ * @returns {Array} Ledger entries with the item's order number for print/reprint entries
+ */
+function getLedger(colorId, limit = 100) {
+  return db.prepare(`
+    SELECT fl.*, i.item_name, o.order_number
+    FROM filament_ledger fl
+    LEFT JOIN items i ON fl.item_id = i.item_id
+    LEFT JOIN products p ON i.product_id = p.product_id
+    LEFT JOIN orders o ON p.order_id = o.order_id
+    WHERE fl.color_id = ?
+    ORDER BY fl.entry_id DESC
+    LIMIT ?
+  `).all(colorId, limit);
+}
+
+/**
+ * Get filament use over the last N days and days of cover for every color
+ *
+ * Days of cover = current stock / average daily use (null when nothing was used).
+ *
+ * @param {number} days - Period in days (default: 30)
+ * @returns {Object} Map of color_id -> { stock_grams, used_grams, daily_grams, days_of_cover }
+ */
+function getStockSummary(days = USAGE_DAYS) {
+  const rows = db.prepare(`
+    SELECT
+      c.color_id,
+      COALESCE(c.stock_grams, 0) as stock_grams,
+      COALESCE((
+        SELECT -SUM(fl.grams) FROM filament_ledger fl
+        WHERE fl.color_id = c.color_id
+          AND fl.entry_type IN (${CONSUMPTION_TYPES.map(() => '?').join(', ')})
+          AND fl.created_at >= datetime('now', ?)
+      ), 0) as used_grams
+    FROM colors c
+  `).all(...CONSUMPTION_TYPES, `-${days} days`);
+
+  const summary = {};
+  for (const row of rows) {
+    const dailyGrams = row.used_grams / days;
+    summary[row.color_id] = {
+      stock_grams: row.stock_grams,
+      used_grams: Math.round(row.used_grams * 100) / 100,
+      daily_grams: Math.round(dailyGrams * 100) / 100,
+      days_of_cover: dailyGrams > 0 ? Math.max(0, Math.floor(row.stock_grams / dailyGrams)) : null
+    };
+  }
+  return summary;
+}
+
+module.exports = {
+  ENTRY_TYPES,
+  MANUAL_ENTRY_TYPES,
+  USAGE_DAYS,
+  getItemUsage,
+  getUsageForItems,
+  getTemplateGrams,
+  consumeForItem,
+  validateMovement,
+  adjustStock,
+  setStock,
+  getLedger,
+  getStockSummary
+};
@@ -0,0 +1,339 @@
+/**
+ * Intake Model
+ *
+ * Takes in orders from the shops (Shopify, Etsy) and keeps the review queue
+ * (intake_review) for lines that can't be taken in automatically.
+ *
+ * Every shop line is mapped through sku_mappings to a template and colors. Mapped
+ * lines become products of a normal order (Order.create); lines without a usable
+ * mapping are never dropped - they go to the review queue, where someone either
+ * resolves them (picks the template and colors, the product is added to the order)
+ * or dismisses them.
+ *
+ * Intake is idempotent on the shop's order ID: an order that was already taken in
+ * (as an order or as review lines) is reported as a duplicate and not touched.
+ *
+ * Operations:
+ * - shipByFromOrderDate(orderDate, processingDays) - Ship-by date for a shop order
+ * - isTakenIn(platform, externalOrderId) - Whether a shop order was already taken in
+ * - mapLine(platform, line) - Map a shop line to template products (read only)
+ * - ingest(intake) - Take in a shop order (one transaction)
+ * - ingestMany(intakes) - Take in several shop orders in one transaction (e.g. a CSV import)
+ * - getReviewLines(status) - Review queue lines (pending by default)
+ * - getReviewLine(id) - A single review line
+ * - getPendingCount() - Number of lines waiting for review
+ * - resolveLine(id, selection) - Add a review line to its order as a template product
+ * - dismissLine(id) - Drop a review line without adding it
+ */
+
+const { db } = require('../database/db');
+const Order = require('./Order');
+const SkuMapping = require('./SkuMapping');
+
+// Allowed values for intake_review.status (mirrors the CHECK constraint in the schema migrations)
+const REVIEW_STATUSES = ['Pending', 'Resolved', 'Dismissed'];
+
+// Error code used when a review line was already resolved or dismissed (routes turn this into a 422)
+const REVIEW_NOT_PENDING = 'REVIEW_NOT_PENDING';
+
+/**
+ * Ship-by date for a shop order: the order date plus the processing time
+ * @param {string} orderDate - Order date (YYYY-MM-DD, extra time information is ignored)
+ * @param {number} processingDays - Calendar days we promise to ship within
+ * @returns {string} Ship-by date (YYYY-MM-DD)
+ *
+ * Example usage:
+ * shipByFromOrderDate('2024-03-30T14:12:00-04:00', 3); // "2024-04-02"
+ */
+function shipByFromOrderDate(orderDate, processingDays) {
+  const [year, month, day] = String(orderDate).slice(0, 10).split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + processingDays));
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Check whether a shop order was already taken in (as an order or as review lines)
+ * @param {string} platform - Shopify or Etsy
+ * @param {string} externalOrderId - The shop's order ID
+ * @returns {boolean} True if it was taken in before
+ */
+function isTakenIn(platform, externalOrderId) {
+  return !!Order.getByExternalId(platform, externalOrderId)
+    || !!db.prepare(`
+      SELECT 1 FROM intake_review WHERE platform = ? AND external_order_id = ?
+    `).get(platform, String(externalOrderId));
+}
+
+/**
+ * Map a shop line to template products
+ * @param {string} platform - Shopify or Etsy
+ * @param {Object} line - { sku, variant, title, quantity, unit_price }
+ * @returns {Object} { products, mapping, colors } when mapped, or { reason } (and the mapping,
+ *   if there is one) when the line needs review
+ */
+function mapLine(platform, line) {
+  if (!line.sku) {
+    return { reason: 'Line has no SKU' };
+  }
+
+  const mapping = SkuMapping.resolve(platform, line.sku, line.variant);
+  if (!mapping) {
+    return { reason: `No mapping for SKU "${line.sku}"${line.variant ? ` (${line.variant})` : ''}` };
+  }
+
+  const { colors, error: colorError } = SkuMapping.resolveColors(mapping, line.variant);
+  const colorIds = colors ? colors.map(color => color.color_id) : [];
+  const error = colorError || Order.validateTemplateSelection(mapping.template_id, colorIds);
+  if (error) {
+    return { reason: `Mapping for SKU "${line.sku}" can't be used: ${error}`, mapping };
+  }
+
+  const product = {
+    template_id: mapping.template_id,
+    color_ids: colorIds,
+    sale_price: line.unit_price
+  };
+  return { products: Array.from({ length: line.quantity }, () => ({ ...product })), mapping, colors };
+}
+
+/**
+ * Take in an order from a shop
+ *
+ * Runs in one transaction: mapped lines become the products of a new order,
+ * everything else goes to the review queue (linked to that order, if any).
+ *
+ * @param {Object} intake - Shop order, already converted from the shop's format
+ * @param {string} intake.platform - Shopify or Etsy
+ * @param {string} intake.external_order_id - The shop's order ID
+ * @param {Object} intake.order - { customer_name, ship_by_date, is_express, order_notes }
+ * @param {Array} intake.lines - [{ sku, variant, title, quantity, unit_price }]
+ * @returns {Object} { status, order, review_count }
+ *   status is "created" (order created), "review" (nothing could be mapped, every
+ *   line is waiting for review) or "duplicate" (taken in before, nothing changed)
+ */
+function ingest(intake) {
+  const externalOrderId = String(intake.external_order_id || '').trim();
+  if (!externalOrderId) {
+    throw new Error('external_order_id is required');
+  }
+  if (!Array.isArray(intake.lines) || intake.lines.length === 0) {
+    throw new Error('The order has no lines');
+  }
+
+  const transaction = db.transaction(() => {
+    if (isTakenIn(intake.platform, externalOrderId)) {
+      return {
+        status: 'duplicate',
+        order: Order.getByExternalId(intake.platform, externalOrderId),
+        review_count: 0
+      };
+    }
+
+    const products = [];
+    const reviewLines = [];
+    for (const rawLine of intake.lines) {
+      const price = Number(rawLine.unit_price);
+      const line = {
+        ...rawLine,
+        quantity: Math.max(1, parseInt(rawLine.quantity, 10) || 1),
+        unit_price: rawLine.unit_price !== null && rawLine.unit_price !== '' && price >= 0 ? price : null
+      };
+      const mapped = mapLine(intake.platform, line);
+      if (mapped.products) {
+        products.push(...mapped.products);
+      } else {
+        reviewLines.push({ ...line, reason: mapped.reason });
+      }
+    }
+
+    const order = products.length > 0
+      ? Order.create({
+        ...intake.order,
+        platform: intake.platform,
+        external_order_id: externalOrderId,
+        products
+      })
+      : null;
+
+    const insertReview = db.prepare(`
+      INSERT INTO intake_review (
+        platform, external_order_id, external_sku, external_variant, line_title,
+        quantity, unit_price, reason, order_data, order_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const line of reviewLines) {
+      insertReview.run(
+        intake.platform,
+        externalOrderId,
+        line.sku || null,
+        line.variant || null,
+        line.title || null,
+        line.quantity,
+        line.unit_price,
+        line.reason,
+        JSON.stringify(intake.order),
+        order ? order.order_id : null
+      );
+    }
+
+    return {
+      status: order ? 'created' : 'review',
+      order,
+      review_count: reviewLines.length
+    };
+  });
+
+  return transaction();
+}
+
+/**
+ * Take in several shop orders in one transaction (all or nothing)
+ * @param {Array} intakes - Intakes as for ingest()
+ * @returns {Array} ingest() result per intake, in the same order
+ */
+function ingestMany(intakes) {
+  const transaction = db.transaction(() => intakes.map(intake => ingest(intake)));
+  return transaction();
+}
+
+/**
+ * Get review queue lines (newest first)
+ * @param {string} status - Pending, Resolved or Dismissed (default: Pending)
+ * @returns {Array} Review lines with the order number they belong to (if any)
+ */
+function getReviewLines(status = 'Pending') {
+  return db.prepare(`
+    SELECT r.*, o.order_number
+    FROM intake_review r
+    LEFT JOIN orders o ON r.order_id = o.order_id
+    WHERE r.status = ?
+    ORDER BY r.review_id DESC
+  `).all(status);
+}
+
+/**
+ * Get a single review line
+ * @param {number} reviewId - The review line ID
+ * @returns {Object|null} Review line, or null if not found
+ */
+function getReviewLine(reviewId) {
+  return db.prepare(`
+    SELECT r.*, o.order_number
+    FROM intake_review r
+    LEFT JOIN orders o ON r.order_id = o.order_id
+    WHERE r.review_id = ?
+  `).get(reviewId) || null;
+}
+
+/**
+ * Number of lines waiting for review
+ * @returns {number} Pending line count
+ */
+function getPendingCount() {
+  return db.prepare("SELECT COUNT(*) as count FROM intake_review WHERE status = 'Pending'").get().count;
+}
+
+/**
+ * Load a review line that is still pending - must run inside a transaction
+ * @param {number} reviewId - The review line ID
+ * @returns {Object|null} Review line, or null if not found
+ */
+function getPendingLine(reviewId) {
+  const line = getReviewLine(reviewId);
+  if (line && line.status !== 'Pending') {
+    const error = new Error(`Review line was already ${line.status.toLowerCase()}`);
+    error.code = REVIEW_NOT_PENDING;
+    throw error;
+  }
+  return line;
+}
+
+/**
+ * Resolve a review line by adding it to its order as template products
+ *
+ * The line's quantity becomes that many products. If no order exists for the
+ * shop order yet (every line needed review), the order is created now from the
+ * order details saved with the line.
+ *
+ * @param {number} reviewId - The review line ID
+ * @param {Object} selection - { template_id, color_ids }
+ * @returns {Object|null} { line, order }, or null if the line was not found
+ */
+function resolveLine(reviewId, selection) {
+  const error = Order.validateTemplateSelection(selection.template_id, selection.color_ids);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const transaction = db.transaction(() => {
+    const line = getPendingLine(reviewId);
+    if (!line) {
+      return null;
+    }
+
+    const products = Array.from({ length: line.quantity }, () => ({
+      template_id: selection.template_id,
+      color_ids: selection.color_ids,
+      sale_price: line.unit_price
+    }));
+
+    let order = Order.getByExternalId(line.platform, line.external_order_id);
+    if (order) {
+      for (const product of products) {
+        Order.addProductFromTemplate(order.order_id, product);
+      }
+    } else {
+      order = Order.create({
+        ...JSON.parse(line.order_data),
+        platform: line.platform,
+        external_order_id: line.external_order_id,
+        products
+      });
+    }
+
+    db.prepare(`
+      UPDATE intake_review
+      SET status = 'Resolved', order_id = ?, resolved_at = CURRENT_TIMESTAMP
+      WHERE review_id = ?
+    `).run(order.order_id, reviewId);
+
+    return { line: getReviewLine(reviewId), order: Order.getById(order.order_id) };
+  });
+
+  return transaction();
+}
+
+/**
+ * Dismiss a review line (e.g. a gift wrap add-on that isn't printed)
+ * @param {number} reviewId - The review line ID
+ * @returns {Object|null} The dismissed line, or null if not found
+ */
+function dismissLine(reviewId) {
+  const transaction = db.transaction(() => {
+    const line = getPendingLine(reviewId);
+    if (!line) {
+      return null;
+    }
+    db.prepare(`
+      UPDATE intake_review SET status = 'Dismissed', resolved_at = CURRENT_TIMESTAMP WHERE review_id = ?
+    `).run(reviewId);
+    return getReviewLine(reviewId);
+  });
+
+  return transaction();
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  REVIEW_NOT_PENDING,
+  shipByFromOrderDate,
+  isTakenIn,
+  mapLine,
+  ingest,
+  ingestMany,
+  getReviewLines,
+  getReviewLine,
+  getPendingCount,
+  resolveLine,
+  dismissLine
+};
@@ -0,0 +1,476 @@
+/**
+ * Item Model
+ *
+ * Handles items (printing plates) and is the ONLY place where item status changes.
+ * Every status change goes through transitionStatus()/transitionMany(), which enforce
+ * the workflow rules from PLAN.md and write a status_history row in the same
+ * transaction as the change.
+ *
+ * Status workflow:
+ *   In Queue → In Printfarm → Printed → Assembled → Packed → Shipped
+ *                    ↑______________|
+ *                  (Reprint resets to In Queue)
+ *
+ * Rules:
+ * 1. Items only move one step forward (no skipping stages)
+ * 2. Reprint is the only backwards move - back to "In Queue" from "In Printfarm" or "Printed"
+ * 3. Items of archived orders can't change status
+ *
+ * Reprints flag the affected parts with item_parts.needs_reprint = 1. The flags
+ * are cleared automatically when the item is marked "Printed" again.
+ * Marking an item "Printed" also deducts its filament from stock (see Filament).
+ *
+ * Status changes optionally take the item version the client last saw; a stale
+ * version throws a VERSION_CONFLICT error instead of changing the item.
+ *
+ * Status changes also take who made them (changedBy: { user_id, device_id,
+ * station }, see getIdentity() in utils/actor.js), stored with the
+ * status_history row.
+ *
+ * Operations:
+ * - getById(id) - Get an item with its order/product context
+ * - getHistory(id) - Get the status history for an item
+ * - getByStatus(status, filters) - List items in one status with colors and parts
+ * - getAllowedTransitions(status) - Statuses an item can move to next
+ * - transitionStatus(id, newStatus, reason, version, changedBy) - Change one item's status
+ * - transitionMany(ids, newStatus, reason, versions, changedBy) - Change several items in one transaction
+ * - getParts(id) - Get an item's parts with their needs_reprint flags
+ * - reprint(id, request, changedBy) - Send an item (or some of its parts) back to the queue
+ */
+
+const { db } = require('../database/db');
+const Filament = require('./Filament');
+const { checkVersion } = require('../utils/concurrency');
+
+// All item statuses in workflow order (mirrors the CHECK constraint in the schema migrations)
+const STATUSES = ['In Queue', 'In Printfarm', 'Printed', 'Assembled', 'Packed', 'Shipped'];
+
+// Statuses an item can be sent back to the queue from (reprint)
+const REPRINTABLE_STATUSES = ['In Printfarm', 'Printed'];
+
+// Error code used for rejected status changes (routes turn this into a 422)
+const INVALID_TRANSITION = 'INVALID_STATUS_TRANSITION';
+
+// Error code used internally to roll back a batch when an item doesn't exist
+const ITEM_NOT_FOUND = 'ITEM_NOT_FOUND';
+
+/**
+ * Get the statuses an item can move to from its current status
+ *
+ * @param {string} status - Current status
+ * @returns {Array<string>} Allowed next statuses (empty for "Shipped")
+ *
+ * Example usage:
+ * getAllowedTransitions('Printed'); // ['Assembled', 'In Queue']
+ */
+function getAllowedTransitions(status) {
+  const index = STATUSES.indexOf(status);
+  if (index === -1) {
+    return [];
+  }
+
+  const allowed = [];
+  if (index < STATUSES.length - 1) {
+    allowed.push(STATUSES[index + 1]);
+  }
+  if (REPRINTABLE_STATUSES.includes(status)) {
+    allowed.push('In Queue');
+  }
+  return allowed;
+}
+
+/**
+ * Check whether a status change is allowed
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean} True if allowed
+ */
+function isValidTransition(fromStatus, toStatus) {
+  return getAllowedTransitions(fromStatus).includes(toStatus);
+}
+
+/**
+ * Create the error thrown for a rejected status change
+ * Carries the current and allowed statuses so routes can send them to the UI.
+ *
+ * @param {Object} item - The item (needs item_id, status and is_archived)
+ * @param {string} newStatus - The requested status
+ * @returns {Error} Error with code, item_id, current_status and allowed_statuses
+ */
+function createTransitionError(item, newStatus) {
+  const error = new Error(item.is_archived
+    ? `Item ${item.item_id} belongs to an archived order and can't change status`
+    : `Cannot change item ${item.item_id} from "${item.status}" to "${newStatus}"`);
+  error.code = INVALID_TRANSITION;
+  error.item_id = item.item_id;
+  error.current_status = item.status;
+  error.allowed_statuses = item.is_archived ? [] : getAllowedTransitions(item.status);
+  return error;
+}
+
+/**
+ * Get a single item with its order and product context
+ * @param {number} itemId - The item ID
+ * @returns {Object|null} Item object or null if not found
+ */
+function getById(itemId) {
+  return db.prepare(`
+    SELECT
+      i.*,
+      p.product_name,
+      p.order_id,
+      o.order_number,
+      o.customer_name,
+      o.is_archived
+    FROM items i
+    JOIN products p ON i.product_id = p.product_id
+    JOIN orders o ON p.order_id = o.order_id
+    WHERE i.item_id = ?
+  `).get(itemId) || null;
+}
+
+/**
+ * Get the status history for an item (oldest first)
+ * @param {number} itemId - The item ID
+ * @returns {Array} Array of status_history rows, with the operator's
+ *   changed_by_name and the device_name (null if unknown)
+ */
+function getHistory(itemId) {
+  return db.prepare(`
+    SELECT sh.*, u.display_name AS changed_by_name, d.device_name
+    FROM status_history sh
+    LEFT JOIN users u ON sh.user_id = u.user_id
+    LEFT JOIN devices d ON sh.device_id = d.device_id
+    WHERE sh.item_id = ?
+    ORDER BY sh.changed_at ASC, sh.history_id ASC
+  `).all(itemId);
+}
+
+/**
+ * Apply a status change and log it - no transaction of its own
+ * Callers must run this inside db.transaction().
+ *
+ * @param {number} itemId - The item ID
+ * @param {string} newStatus - Requested status
+ * @param {string} reason - Optional reason (stored in status_history)
+ * @param {number} expectedVersion - Optional item version the client last saw
+ * @param {Object} changedBy - Optional { user_id, device_id, station } of who made the change
+ * @returns {Object|null} Updated item, or null if not found
+ */
+function applyTransition(itemId, newStatus, reason, expectedVersion, changedBy = {}) {
+  const item = db.prepare(`
+    SELECT i.item_id, i.status, i.version, o.is_archived
+    FROM items i
+    JOIN products p ON i.product_id = p.product_id
+    JOIN orders o ON p.order_id = o.order_id
+    WHERE i.item_id = ?
+  `).get(itemId);
+  if (!item) {
+    return null;
+  }
+
+  // Someone else changed the item since the client loaded it
+  checkVersion('Item', item, expectedVersion, () => getById(itemId));
+
+  // Archived orders are read-only
+  if (item.is_archived || !isValidTransition(item.status, newStatus)) {
+    throw createTransitionError(item, newStatus);
+  }
+
+  db.prepare(`
+    UPDATE items
+    SET status = ?, updated_at = CURRENT_TIMESTAMP, version = version + 1
+    WHERE item_id = ?
+  `).run(newStatus, itemId);
+
+  const { user_id = null, device_id = null, station = null } = changedBy || {};
+  db.prepare(`
+    INSERT INTO status_history (item_id, old_status, new_status, reason, user_id, device_id, station)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(itemId, item.status, newStatus, reason || null, user_id, device_id, station);
+
+  // Back in the queue (reprint) - the next print run may go to a different printer
+  if (newStatus === 'In Queue') {
+    db.prepare('UPDATE items SET printer_id = NULL WHERE item_id = ?').run(itemId);
+  }
+
+  // Printed - draw the filament from stock (for a reprint of an item printed
+  // before only the flagged parts), then clear the reprint flags
+  if (newStatus === 'Printed') {
+    Filament.consumeForItem(itemId);
+    db.prepare('UPDATE item_parts SET needs_reprint = 0 WHERE item_id = ?').run(itemId);
+  }
+
+  return getById(itemId);
+}
+
+/**
+ * Change the status of a single item
+ *
+ * The update and the status_history entry are written in one transaction.
+ * Throws an error with code INVALID_STATUS_TRANSITION if the move is not allowed,
+ * or VERSION_CONFLICT if expectedVersion is given and the item has changed since.
+ *
+ * @param {number} itemId - The item ID
+ * @param {string} newStatus - Requested status
+ * @param {string} reason - Optional reason (e.g., "Reprint requested - warped lid")
+ * @param {number} expectedVersion - Optional item version the client last saw
+ * @param {Object} changedBy - Optional { user_id, device_id, station } of who made the change
+ * @returns {Object|null} Updated item, or null if not found
+ *
+ * Example usage:
+ * const item = transitionStatus(42, 'In Printfarm');
+ */
+function transitionStatus(itemId, newStatus, reason = null, expectedVersion = null, changedBy = {}) {
+  const transaction = db.transaction(() => applyTransition(itemId, newStatus, reason, expectedVersion, changedBy));
+  return transaction();
+}
+
+/**
+ * Change the status of several items at once (all-or-nothing)
+ *
+ * If any item is missing or can't make the move, nothing is changed.
+ *
+ * @param {Array<number>} itemIds - Item IDs
+ * @param {string} newStatus - Requested status
+ * @param {string} reason - Optional reason
+ * @param {Object} versions - Optional map of item_id -> version the client last saw
+ * @param {Object} changedBy - Optional { user_id, device_id, station } of who made the change
+ * @returns {Array|null} Updated items, or null if any item was not found
+ */
+function transitionMany(itemIds, newStatus, reason = null, versions = {}, changedBy = {}) {
+  const transaction = db.transaction(() => {
+    const updated = [];
+    for (const itemId of itemIds) {
+      const item = applyTransition(itemId, newStatus, reason, (versions || {})[itemId], changedBy);
+      if (!item) {
+        // Throwing rolls back the items already changed in this batch
+        const error = new Error(`Item ${itemId} not found`);
+        error.code = ITEM_NOT_FOUND;
+        throw error;
+      }
+      updated.push(item);
+    }
+    return updated;
+  });
+
+  try {
+    return transaction();
+  } catch (error) {
+    if (error.code === ITEM_NOT_FOUND) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get colors for a list of items, grouped by item ID
+ * @param {Array<number>} itemIds - Item IDs
+ * @returns {Object} Map of item_id -> array of colors (sorted by color_order)
+ */
+function getColorsForItems(itemIds) {
+  const grouped = {};
+  if (itemIds.length === 0) {
+    return grouped;
+  }
+
+  const rows = db.prepare(`
+    SELECT ic.item_id, ic.color_order, c.color_id, c.color_name, c.hex_code, c.material_type
+    FROM item_colors ic
+    JOIN colors c ON ic.color_id = c.color_id
+    WHERE ic.item_id IN (${itemIds.map(() => '?').join(', ')})
+    ORDER BY ic.item_id, ic.color_order
+  `).all(...itemIds);
+
+  for (const row of rows) {
+    const { item_id, ...color } = row;
+    (grouped[item_id] = grouped[item_id] || []).push(color);
+  }
+  return grouped;
+}
+
+/**
+ * Get parts for a list of items, grouped by item ID
+ * @param {Array<number>} itemIds - Item IDs
+ * @returns {Object} Map of item_id -> array of parts (with needs_reprint flag)
+ */
+function getPartsForItems(itemIds) {
+  const grouped = {};
+  if (itemIds.length === 0) {
+    return grouped;
+  }
+
+  const rows = db.prepare(`
+    SELECT ip.item_id, ip.needs_reprint, p.part_id, p.part_code, p.part_name
+    FROM item_parts ip
+    JOIN parts p ON ip.part_id = p.part_id
+    WHERE ip.item_id IN (${itemIds.map(() => '?').join(', ')})
+    ORDER BY ip.item_id, p.part_name
+  `).all(...itemIds);
+
+  for (const row of rows) {
+    const { item_id, ...part } = row;
+    (grouped[item_id] = grouped[item_id] || []).push(part);
+  }
+  return grouped;
+}
+
+/**
+ * Get all items in a given status, with their colors and parts
+ *
+ * Only items of active (not archived) orders are returned.
+ * Sorted by express flag first, then ship_by_date (most urgent first).
+ * Each item also gets needs_reprint (true if any part is flagged),
+ * reprint_requested_at (when it was last sent back to the queue), status_changed_at
+ * (when it entered its current status) and, for items built from a template,
+ * the template's print_time_minutes.
+ *
+ * @param {string} status - Item status (e.g., "In Queue")
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.platform - Only items from orders on this platform
+ * @param {string} filters.search - Match order number or customer name
+ * @param {number|string} filters.printer_id - Only items assigned to this printer ('unassigned' for none)
+ * @returns {Array} Array of items with colors and parts arrays
+ *
+ * Example usage:
+ * const queue = getByStatus('In Queue', { platform: 'Etsy' });
+ */
+function getByStatus(status, filters = {}) {
+  const conditions = ['v.status = ?'];
+  const params = [status];
+
+  if (filters.platform) {
+    conditions.push('v.platform = ?');
+    params.push(filters.platform);
+  }
+  if (filters.search) {
+    conditions.push('(v.order_number LIKE ? OR v.customer_name LIKE ?)');
+    params.push(`%${filters.search}%`, `%${filters.search}%`);
+  }
+  if (filters.printer_id === 'unassigned') {
+    conditions.push('i.printer_id IS NULL');
+  } else if (filters.printer_id) {
+    conditions.push('i.printer_id = ?');
+    params.push(filters.printer_id);
+  }
+
+  // view_items_full already excludes archived orders
+  const items = db.prepare(`
+    SELECT
+      v.*,
+      i.version,
+      i.printer_id,
+      pr.template_id,
+      t.print_time_minutes,
+      EXISTS (
+        SELECT 1 FROM item_parts ip WHERE ip.item_id = v.item_id AND ip.needs_reprint = 1
+      ) as needs_reprint,
+      (
+        SELECT MAX(sh.changed_at) FROM status_history sh
+        WHERE sh.item_id = v.item_id AND sh.new_status = 'In Queue' AND sh.old_status IS NOT NULL
+      ) as reprint_requested_at,
+      (
+        SELECT MAX(sh.changed_at) FROM status_history sh
+        WHERE sh.item_id = v.item_id AND sh.new_status = v.status
+      ) as status_changed_at
+    FROM view_items_full v
+    JOIN items i ON i.item_id = v.item_id
+    JOIN products pr ON pr.product_id = v.product_id
+    LEFT JOIN product_templates t ON t.template_id = pr.template_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY v.is_express DESC, v.ship_by_date ASC, v.created_at ASC
+  `).all(...params);
+
+  const itemIds = items.map(item => item.item_id);
+  const colorsByItem = getColorsForItems(itemIds);
+  const partsByItem = getPartsForItems(itemIds);
+
+  return items.map(item => ({
+    ...item,
+    colors: colorsByItem[item.item_id] || [],
+    parts: partsByItem[item.item_id] || []
+  }));
+}
+
+/**
+ * Get the parts of an item with their reprint flags
+ * @param {number} itemId - The item ID
+ * @returns {Array} Array of parts ({ part_id, part_code, part_name, needs_reprint })
+ */
+function getParts(itemId) {
+  return db.prepare(`
+    SELECT p.part_id, p.part_code, p.part_name, ip.needs_reprint
+    FROM item_parts ip
+    JOIN parts p ON ip.part_id = p.part_id
+    WHERE ip.item_id = ?
+    ORDER BY p.part_name
+  `).all(itemId);
+}
+
+/**
+ * Send an item back to the queue for reprinting
+ *
+ * Either the whole item or a subset of its parts is flagged with needs_reprint = 1,
+ * then the item moves back to "In Queue" through the normal transition rules
+ * (only allowed from "In Printfarm" or "Printed"). Flags and status change are
+ * written in one transaction.
+ *
+ * @param {number} itemId - The item ID
+ * @param {Object} reprintRequest - What to reprint
+ * @param {boolean} reprintRequest.whole_item - Reprint every part of the item
+ * @param {Array<number>} reprintRequest.part_ids - Parts to reprint (when not whole_item)
+ * @param {string} reprintRequest.reason - Why (e.g., "Lid warped")
+ * @param {number} reprintRequest.version - Optional item version the client last saw
+ * @param {Object} changedBy - Optional { user_id, device_id, station } of who asked for the reprint
+ * @returns {Object|null} Updated item with its parts, or null if not found
+ *
+ * Example usage:
+ * reprint(42, { part_ids: [7], reason: 'Lid warped' });
+ */
+function reprint(itemId, reprintRequest, changedBy = {}) {
+  const { whole_item, part_ids = [], reason, version } = reprintRequest;
+
+  const transaction = db.transaction(() => {
+    const existing = db.prepare('SELECT item_id FROM items WHERE item_id = ?').get(itemId);
+    if (!existing) {
+      return null;
+    }
+
+    if (whole_item) {
+      db.prepare('UPDATE item_parts SET needs_reprint = 1 WHERE item_id = ?').run(itemId);
+    } else {
+      const flagPart = db.prepare(`
+        UPDATE item_parts SET needs_reprint = 1
+        WHERE item_id = ? AND part_id = ?
+      `);
+      for (const partId of part_ids) {
+        flagPart.run(itemId, partId);
+      }
+    }
+
+    const label = whole_item ? 'whole item' : `${part_ids.length} part(s)`;
+    const item = applyTransition(itemId, 'In Queue', `Reprint (${label}): ${reason}`, version, changedBy);
+    return { ...item, parts: getParts(itemId) };
+  });
+
+  return transaction();
+}
+
+module.exports = {
+  STATUSES,
+  REPRINTABLE_STATUSES,
+  INVALID_TRANSITION,
+  getAllowedTransitions,
+  isValidTransition,
+  getById,
+  getHistory,
+  applyTransition,
+  transitionStatus,
+  transitionMany,
+  getByStatus,
+  getParts,
+  getColorsForItems,
+  getPartsForItems,
+  reprint
+};
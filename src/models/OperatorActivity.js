@@ -0,0 +1,192 @@
+/**
+ * Operator Activity Model
+ *
+ * Reports on who moved items through the workflow, from status_history (every
+ * status change records the signed-in user, the paired device and the station,
+ * see Item.applyTransition). The "Item created" rows are not operator actions
+ * and are left out.
+ *
+ * Changes made on a paired device with nobody switched in count for the device
+ * (operator "unknown"), so they still show up per station.
+ *
+ * Operations:
+ * - ACTION_STATUSES - Statuses counted as actions, with their column labels
+ * - validateFilters(filters) - Check report filters (date range, operator)
+ * - getDailyActions(filters) - Actions per operator per day, by new status
+ * - getReprints(filters) - Reprint requests with who asked, where and why
+ * - getOperators() / getStations() - Everyone / every station with an action (for the filters)
+ */
+
+const { db } = require('../database/db');
+const Order = require('./Order');
+
+// New status of an action -> report column (back to "In Queue" is always a reprint)
+const ACTION_STATUSES = {
+  'In Printfarm': 'To printfarm',
+  Printed: 'Printed',
+  Assembled: 'Assembled',
+  Packed: 'Packed',
+  Shipped: 'Shipped',
+  'In Queue': 'Reprints'
+};
+
+// Maximum number of reprints listed
+const REPRINT_LIMIT = 200;
+
+/**
+ * Validate report filters
+ * @param {Object} filters - { from, to, user_id }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateFilters(filters) {
+  if (filters.from && !Order.isValidDate(filters.from)) {
+    return 'from must be a valid date (YYYY-MM-DD)';
+  }
+  if (filters.to && !Order.isValidDate(filters.to)) {
+    return 'to must be a valid date (YYYY-MM-DD)';
+  }
+  if (filters.user_id && !/^\d+$/.test(String(filters.user_id))) {
+    return 'user_id must be a user ID';
+  }
+  return null;
+}
+
+/**
+ * Build the WHERE clause for the report filters (operator actions only)
+ * @param {Object} filters - { from, to, user_id, station }
+ * @returns {Object} { where, params }
+ */
+function buildWhere(filters) {
+  const conditions = ['sh.old_status IS NOT NULL'];
+  const params = [];
+
+  if (filters.from) {
+    conditions.push('DATE(sh.changed_at) >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('DATE(sh.changed_at) <= ?');
+    params.push(filters.to);
+  }
+  if (filters.user_id) {
+    conditions.push('sh.user_id = ?');
+    params.push(Number(filters.user_id));
+  }
+  if (filters.station) {
+    conditions.push('sh.station = ?');
+    params.push(filters.station);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Get the actions per operator per day (newest day first)
+ *
+ * @param {Object} filters - All optional
+ * @param {string} filters.from - First day (YYYY-MM-DD, UTC)
+ * @param {string} filters.to - Last day (YYYY-MM-DD, UTC)
+ * @param {number} filters.user_id - Only this operator
+ * @param {string} filters.station - Only this station
+ * @returns {Array} [{ day, user_id, operator, device_id, stations, counts: { status: n }, total }]
+ */
+function getDailyActions(filters = {}) {
+  const { where, params } = buildWhere(filters);
+  const rows = db.prepare(`
+    SELECT
+      DATE(sh.changed_at) AS day,
+      sh.user_id,
+      u.display_name AS operator,
+      CASE WHEN sh.user_id IS NULL THEN sh.device_id END AS device_id,
+      CASE WHEN sh.user_id IS NULL THEN d.device_name END AS device_name,
+      sh.new_status,
+      sh.station,
+      COUNT(*) AS count
+    FROM status_history sh
+    LEFT JOIN users u ON sh.user_id = u.user_id
+    LEFT JOIN devices d ON sh.device_id = d.device_id
+    WHERE ${where}
+    GROUP BY day, sh.user_id, CASE WHEN sh.user_id IS NULL THEN sh.device_id END, sh.new_status, sh.station
+    ORDER BY day DESC, operator IS NULL, operator COLLATE NOCASE ASC, device_name COLLATE NOCASE ASC
+  `).all(...params);
+
+  // One report row per day and operator, with a count per new status
+  const report = new Map();
+  for (const row of rows) {
+    const key = `${row.day}|${row.user_id}|${row.device_id}`;
+    if (!report.has(key)) {
+      report.set(key, {
+        day: row.day,
+        user_id: row.user_id,
+        operator: row.operator || (row.device_name ? `unknown (${row.device_name})` : 'unknown'),
+        device_id: row.device_id,
+        stations: new Set(),
+        counts: {},
+        total: 0
+      });
+    }
+    const entry = report.get(key);
+    entry.counts[row.new_status] = (entry.counts[row.new_status] || 0) + row.count;
+    entry.total += row.count;
+    if (row.station) {
+      entry.stations.add(row.station);
+    }
+  }
+
+  return [...report.values()].map(entry => ({ ...entry, stations: [...entry.stations].sort() }));
+}
+
+/**
+ * Get the reprint requests (newest first)
+ * @param {Object} filters - Same as getDailyActions
+ * @returns {Array} [{ history_id, changed_at, item_id, item_name, order_number,
+ *   old_status, reason, operator, station }]
+ */
+function getReprints(filters = {}) {
+  const { where, params } = buildWhere(filters);
+  return db.prepare(`
+    SELECT
+      sh.history_id, sh.changed_at, sh.item_id, i.item_name, o.order_number,
+      sh.old_status, sh.reason, u.display_name AS operator, sh.station
+    FROM status_history sh
+    JOIN items i ON sh.item_id = i.item_id
+    JOIN products p ON i.product_id = p.product_id
+    JOIN orders o ON p.order_id = o.order_id
+    LEFT JOIN users u ON sh.user_id = u.user_id
+    WHERE ${where} AND sh.new_status = 'In Queue'
+    ORDER BY sh.changed_at DESC, sh.history_id DESC
+    LIMIT ?
+  `).all(...params, REPRINT_LIMIT);
+}
+
+/**
+ * Get everyone who has made a status change
+ * @returns {Array} [{ user_id, display_name }] ordered by name
+ */
+function getOperators() {
+  return db.prepare(`
+    SELECT u.user_id, u.display_name FROM users u
+    WHERE EXISTS (SELECT 1 FROM status_history sh WHERE sh.user_id = u.user_id)
+    ORDER BY u.display_name COLLATE NOCASE ASC
+  `).all();
+}
+
+/**
+ * Get every station a status change was made at
+ * @returns {Array} Station names, sorted
+ */
+function getStations() {
+  return db.prepare(`
+    SELECT DISTINCT station FROM status_history WHERE station IS NOT NULL ORDER BY station COLLATE NOCASE
+  `).all().map(row => row.station);
+}
+
+module.exports = {
+  ACTION_STATUSES,
+  REPRINT_LIMIT,
+  validateFilters,
+  getDailyActions,
+  getReprints,
+  getOperators,
+  getStations
+};
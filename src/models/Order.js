@@ -0,0 +1,846 @@
+/**
+ * Order Model
+ *
+ * Handles all database operations for orders and everything that belongs to them:
+ * products, items (printing plates) and the item_colors / item_parts junction rows.
+ *
+ * An order is always created as one unit - the order, its products, items and
+ * junction rows are written in a single transaction (all-or-nothing).
+ *
+ * Order numbers are generated from the order_number_prefix and order_number_padding
+ * system settings (e.g., prefix "TOT-" and padding 3 gives "TOT-001"), but can be
+ * overridden by the user as long as they stay unique.
+ *
+ * Changes to an existing order optionally take the order version the client last
+ * saw; a stale version throws a VERSION_CONFLICT error with the current order.
+ * Adding products and packing also bump the order version.
+ *
+ * Operations:
+ * - getAll(filters) - List orders (active by default)
+ * - getById(id) - Get an order with products, items, colors and parts
+ * - getPricedTemplateProducts() - Products with a sale price that were built from a template
+ * - getByExternalId(platform, externalOrderId) - Find an order taken in from a shop
+ * - getNextOrderNumber() - Preview the next auto-generated order number
+ * - isOrderNumberAvailable(number) - Check order number uniqueness
+ * - validate(data) - Validate order data before creating
+ * - create(data) - Create an order with products and items
+ * - addProductFromTemplate(orderId, selection) - Add a product built from a template
+ * - setProductPrice(orderId, productId, salePrice) - Set what the customer paid for a product
+ * - update(id, data) - Update order details (not products/items)
+ * - archive(id) - Archive an order (sets is_archived = 1)
+ * - getReadyForPacking() - Orders whose items are all "Assembled" or all "Packed"
+ * - pack(id) - Move every item of an assembled order to "Packed"
+ * - ship(id) - Move every item to "Shipped" and archive the order
+ */
+
+const { db } = require('../database/db');
+const Setting = require('./Setting');
+const ProductTemplate = require('./ProductTemplate');
+const Item = require('./Item');
+const { checkVersion } = require('../utils/concurrency');
+
+// Allowed values for orders.platform (mirrors the CHECK constraint in the schema migrations)
+const PLATFORMS = ['Shopify', 'Etsy', 'Custom Order'];
+
+// Order fields update() can change (not products or items)
+const UPDATABLE_FIELDS = ['order_number', 'customer_name', 'platform', 'order_notes', 'ship_by_date', 'is_express'];
+
+// Items can have between 1 and 4 colors
+const MAX_COLORS_PER_ITEM = 4;
+
+// Error code used when an order is not ready to pack or ship (routes turn this into a 422)
+const ORDER_NOT_READY = 'ORDER_NOT_READY';
+
+/**
+ * Generate the next order number from the system settings
+ *
+ * Looks at existing order numbers that use the current prefix and have a purely
+ * numeric remainder, takes the highest one and adds 1. Numbers that were edited
+ * by hand into another format are ignored.
+ *
+ * @returns {string} Next order number (e.g., "TOT-042" or "042")
+ *
+ * Example usage:
+ * const orderNumber = getNextOrderNumber(); // "001" on an empty database
+ */
+function getNextOrderNumber() {
+  const prefix = Setting.get('order_number_prefix', '');
+  const padding = Setting.getNumber('order_number_padding', 3);
+
+  // Highest numeric suffix among order numbers starting with the prefix
+  const row = db.prepare(`
+    SELECT MAX(CAST(substr(order_number, length(@prefix) + 1) AS INTEGER)) as highest
+    FROM orders
+    WHERE substr(order_number, 1, length(@prefix)) = @prefix
+      AND length(order_number) > length(@prefix)
+      AND substr(order_number, length(@prefix) + 1) NOT GLOB '*[^0-9]*'
+  `).get({ prefix });
+
+  const next = (row.highest || 0) + 1;
+  return `${prefix}${String(next).padStart(padding, '0')}`;
+}
+
+/**
+ * Check whether an order number is free to use
+ * @param {string} orderNumber - The order number to check
+ * @param {number} excludeOrderId - Ignore this order (used when editing an order)
+ * @returns {boolean} True if no other order uses this number
+ */
+function isOrderNumberAvailable(orderNumber, excludeOrderId = null) {
+  const existing = db.prepare('SELECT order_id FROM orders WHERE order_number = ?').get(orderNumber);
+  return !existing || Number(existing.order_id) === Number(excludeOrderId);
+}
+
+/**
+ * Check that a date string is a valid YYYY-MM-DD date
+ * @param {string} value - Date string
+ * @returns {boolean} True if valid
+ */
+function isValidDate(value) {
+  return typeof value === 'string'
+    && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Check that a sale price is empty (not priced yet) or a non-negative amount
+ * @param {*} value - Sale price
+ * @returns {boolean} True if valid
+ */
+function isValidPrice(value) {
+  if (value === undefined || value === null || value === '') {
+    return true;
+  }
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0;
+}
+
+/**
+ * Turn a sale price into the value stored in products.sale_price
+ * @param {*} value - Sale price (empty = not priced)
+ * @returns {number|null} Price rounded to cents, or null
+ */
+function toPrice(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return Math.round(Number(value) * 100) / 100;
+}
+
+/**
+ * Validate a single item definition
+ * @param {Object} item - Item data ({ item_name, color_ids, part_ids })
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateItem(item) {
+  if (!item || !item.item_name) {
+    return 'Every item needs an item_name';
+  }
+
+  const colorIds = item.color_ids || [];
+  if (!Array.isArray(colorIds) || colorIds.length < 1 || colorIds.length > MAX_COLORS_PER_ITEM) {
+    return `Item "${item.item_name}" must have between 1 and ${MAX_COLORS_PER_ITEM} colors`;
+  }
+  if (new Set(colorIds.map(Number)).size !== colorIds.length) {
+    return `Item "${item.item_name}" uses the same color more than once`;
+  }
+
+  if (item.part_ids && !Array.isArray(item.part_ids)) {
+    return `Item "${item.item_name}" part_ids must be an array`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate order data before creating an order
+ *
+ * @param {Object} orderData - Order data (see create())
+ * @returns {string|null} Error message, or null if valid
+ */
+function validate(orderData) {
+  if (!orderData.customer_name) {
+    return 'customer_name is required';
+  }
+  if (!PLATFORMS.includes(orderData.platform)) {
+    return `platform must be one of: ${PLATFORMS.join(', ')}`;
+  }
+  if (!isValidDate(orderData.ship_by_date)) {
+    return 'ship_by_date must be a valid date (YYYY-MM-DD)';
+  }
+
+  const products = orderData.products || [];
+  if (!Array.isArray(products) || products.length === 0) {
+    return 'An order needs at least one product';
+  }
+
+  for (const product of products) {
+    if (!isValidPrice(product.sale_price)) {
+      return 'sale_price must be a non-negative number';
+    }
+
+    // Products built from a template get their items from the template
+    if (product.template_id) {
+      const error = validateTemplateSelection(product.template_id, product.color_ids);
+      if (error) {
+        return error;
+      }
+      continue;
+    }
+
+    if (!product.product_name) {
+      return 'Every product needs a product_name';
+    }
+    if (!Array.isArray(product.items) || product.items.length === 0) {
+      return `Product "${product.product_name}" needs at least one item`;
+    }
+    for (const item of product.items) {
+      const error = validateItem(item);
+      if (error) {
+        return error;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the chosen colors that are still active, in the order they were chosen
+ * Inactive or unknown colors are skipped.
+ * @param {Array<number>} colorIds - Chosen color IDs
+ * @returns {Array<number>} Active color IDs
+ */
+function getActiveColorIds(colorIds) {
+  return colorIds.filter(colorId => {
+    const color = db.prepare('SELECT is_active FROM colors WHERE color_id = ?').get(colorId);
+    return color && color.is_active;
+  });
+}
+
+/**
+ * Validate a template + color selection
+ *
+ * The template must exist and be active, and the number of chosen (active)
+ * colors must match the template's num_colors exactly.
+ *
+ * @param {number} templateId - The product template ID
+ * @param {Array<number>} colorIds - Chosen color IDs in order
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTemplateSelection(templateId, colorIds) {
+  const template = ProductTemplate.getById(templateId);
+  if (!template || !template.is_active) {
+    return 'Product template not found or inactive';
+  }
+
+  if (!Array.isArray(colorIds)) {
+    return 'color_ids must be an array';
+  }
+  if (new Set(colorIds.map(Number)).size !== colorIds.length) {
+    return 'The same color was chosen more than once';
+  }
+
+  const activeColorIds = getActiveColorIds(colorIds);
+  if (activeColorIds.length !== template.num_colors) {
+    const skipped = colorIds.length - activeColorIds.length;
+    return `"${template.template_name}" needs exactly ${template.num_colors} active color(s), got ${activeColorIds.length}`
+      + (skipped > 0 ? ` (${skipped} inactive or unknown color(s) skipped)` : '');
+  }
+
+  return null;
+}
+
+/**
+ * Build product data from a product template
+ *
+ * The template becomes one product with one item (the printing plate).
+ * The item gets every active part from the template's bill of materials and
+ * the chosen colors in order. Inactive parts and colors are skipped.
+ *
+ * @param {number} templateId - The product template ID
+ * @param {Array<number>} colorIds - Chosen color IDs in order
+ * @param {string} productName - Optional product name (defaults to the template name)
+ * @returns {Object} Product data ready for insertProduct()
+ *
+ * Example usage:
+ * const product = buildProductFromTemplate(3, [12, 4]);
+ * // { product_name: '5L Token Box with Skull lid', template_id: 3, items: [...] }
+ */
+function buildProductFromTemplate(templateId, colorIds, productName = null) {
+  const error = validateTemplateSelection(templateId, colorIds);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const template = ProductTemplate.getById(templateId);
+
+  return {
+    product_name: productName || template.template_name,
+    template_id: template.template_id,
+    items: [{
+      item_name: template.template_name,
+      color_ids: getActiveColorIds(colorIds),
+      part_ids: template.parts
+        .filter(part => part.is_active)
+        .map(part => part.part_id)
+    }]
+  };
+}
+
+/**
+ * Insert an item with its colors and parts
+ * Must be called inside a transaction.
+ *
+ * @param {number} productId - The product the item belongs to
+ * @param {Object} item - Item data
+ * @param {string} item.item_name - Name of the item (printing plate)
+ * @param {Array<number>} item.color_ids - Color IDs in display order (1-4)
+ * @param {Array<number>} item.part_ids - Part IDs included in this item
+ * @returns {number} The new item ID
+ */
+function insertItem(productId, item) {
+  const itemResult = db.prepare(`
+    INSERT INTO items (product_id, item_name, status)
+    VALUES (?, ?, 'In Queue')
+  `).run(productId, item.item_name);
+
+  const itemId = itemResult.lastInsertRowid;
+
+  // First status_history entry - every item's timeline starts when it enters the queue
+  db.prepare(`
+    INSERT INTO status_history (item_id, old_status, new_status, reason)
+    VALUES (?, NULL, 'In Queue', 'Item created')
+  `).run(itemId);
+
+  // color_order starts at 1 and follows the order the colors were chosen in
+  const colorStmt = db.prepare(`
+    INSERT INTO item_colors (item_id, color_id, color_order)
+    VALUES (?, ?, ?)
+  `);
+  (item.color_ids || []).forEach((colorId, index) => {
+    colorStmt.run(itemId, colorId, index + 1);
+  });
+
+  const partStmt = db.prepare(`
+    INSERT OR IGNORE INTO item_parts (item_id, part_id, needs_reprint)
+    VALUES (?, ?, 0)
+  `);
+  for (const partId of item.part_ids || []) {
+    partStmt.run(itemId, partId);
+  }
+
+  return itemId;
+}
+
+/**
+ * Insert a product with all its items
+ * Must be called inside a transaction.
+ *
+ * @param {number} orderId - The order the product belongs to
+ * @param {Object} product - Product data ({ product_name, items, sale_price }),
+ *   or a template selection ({ template_id, color_ids, product_name, sale_price })
+ * @returns {number} The new product ID
+ */
+function insertProduct(orderId, product) {
+  if (product.template_id && !product.items) {
+    product = {
+      ...buildProductFromTemplate(product.template_id, product.color_ids, product.product_name),
+      sale_price: product.sale_price
+    };
+  }
+
+  const result = db.prepare(`
+    INSERT INTO products (order_id, product_name, template_id, sale_price)
+    VALUES (?, ?, ?, ?)
+  `).run(orderId, product.product_name, product.template_id || null, toPrice(product.sale_price));
+
+  const productId = result.lastInsertRowid;
+
+  for (const item of product.items || []) {
+    insertItem(productId, item);
+  }
+
+  return productId;
+}
+
+/**
+ * Get all orders (active by default)
+ *
+ * Sorted by express flag first, then by ship_by_date (most urgent first).
+ *
+ * @param {Object} filters - Optional filters
+ * @param {boolean} filters.includeArchived - Include archived (shipped) orders
+ * @param {string} filters.platform - Only orders from this platform
+ * @param {string} filters.search - Match order number or customer name
+ * @returns {Array} Array of order objects with product and item counts
+ */
+function getAll(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (!filters.includeArchived) {
+    conditions.push('o.is_archived = 0');
+  }
+  if (filters.platform) {
+    conditions.push('o.platform = ?');
+    params.push(filters.platform);
+  }
+  if (filters.search) {
+    conditions.push('(o.order_number LIKE ? OR o.customer_name LIKE ?)');
+    params.push(`%${filters.search}%`, `%${filters.search}%`);
+  }
+
+  return db.prepare(`
+    SELECT
+      o.*,
+      COUNT(DISTINCT p.product_id) as product_count,
+      COUNT(DISTINCT i.item_id) as item_count
+    FROM orders o
+    LEFT JOIN products p ON o.order_id = p.order_id
+    LEFT JOIN items i ON p.product_id = i.product_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    GROUP BY o.order_id
+    ORDER BY o.is_express DESC, o.ship_by_date ASC, o.order_id ASC
+  `).all(...params);
+}
+
+/**
+ * Get a single order with its products, items, colors and parts
+ * @param {number} orderId - The order ID
+ * @returns {Object|null} Order object with nested products, or null if not found
+ */
+function getById(orderId) {
+  const order = db.prepare('SELECT * FROM orders WHERE order_id = ?').get(orderId);
+  if (!order) {
+    return null;
+  }
+
+  const products = db.prepare(`
+    SELECT * FROM products WHERE order_id = ? ORDER BY product_id
+  `).all(orderId);
+
+  const items = db.prepare(`
+    SELECT i.*
+    FROM items i
+    JOIN products p ON i.product_id = p.product_id
+    WHERE p.order_id = ?
+    ORDER BY i.item_id
+  `).all(orderId);
+
+  const itemIds = items.map(item => item.item_id);
+  const colorsByItem = Item.getColorsForItems(itemIds);
+  const partsByItem = Item.getPartsForItems(itemIds);
+
+  return {
+    ...order,
+    products: products.map(product => ({
+      ...product,
+      items: items
+        .filter(item => item.product_id === product.product_id)
+        .map(item => ({
+          ...item,
+          colors: colorsByItem[item.item_id] || [],
+          parts: partsByItem[item.item_id] || []
+        }))
+    }))
+  };
+}
+
+/**
+ * Find an order taken in from a shop by the shop's own order ID
+ * @param {string} platform - Shopify or Etsy
+ * @param {string} externalOrderId - The shop's order ID
+ * @returns {Object|null} Order row, or null if that order was never taken in
+ */
+function getByExternalId(platform, externalOrderId) {
+  return db.prepare(`
+    SELECT * FROM orders WHERE platform = ? AND external_order_id = ?
+  `).get(platform, String(externalOrderId)) || null;
+}
+
+/**
+ * Get every product with a sale price that was built from a template
+ * Includes archived (shipped) orders - they are the sales history.
+ * @returns {Array} Products with template_id, sale_price and item_ids
+ */
+function getPricedTemplateProducts() {
+  const products = db.prepare(`
+    SELECT p.product_id, p.order_id, p.template_id, p.sale_price,
+      GROUP_CONCAT(i.item_id) as item_ids
+    FROM products p
+    LEFT JOIN items i ON i.product_id = p.product_id
+    WHERE p.template_id IS NOT NULL AND p.sale_price IS NOT NULL
+    GROUP BY p.product_id
+  `).all();
+
+  return products.map(product => ({
+    ...product,
+    item_ids: product.item_ids ? product.item_ids.split(',').map(Number) : []
+  }));
+}
+
+/**
+ * Create a new order with all its products and items
+ *
+ * Everything is written in a single transaction. If order_number is left empty,
+ * the next number is generated from the system settings.
+ *
+ * @param {Object} orderData - Order information
+ * @param {string} orderData.order_number - Optional order number (auto-generated if empty)
+ * @param {string} orderData.customer_name - Customer name
+ * @param {string} orderData.platform - Shopify, Etsy or Custom Order
+ * @param {string} orderData.order_notes - Optional notes
+ * @param {string} orderData.ship_by_date - Ship-by date (YYYY-MM-DD)
+ * @param {boolean} orderData.is_express - Express shipping flag
+ * @param {string} orderData.external_order_id - Optional order ID in the shop it came from
+ * @param {Array} orderData.products - Array of {product_name, sale_price, items: [{item_name, color_ids, part_ids}]}
+ *   or template selections {template_id, color_ids, product_name, sale_price}
+ * @returns {Object} The created order (same shape as getById)
+ */
+function create(orderData) {
+  const error = validate(orderData);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const transaction = db.transaction(() => {
+    // Generate the number inside the transaction so two orders can't get the same one
+    const orderNumber = String(orderData.order_number || '').trim() || getNextOrderNumber();
+
+    const result = db.prepare(`
+      INSERT INTO orders (
+        order_number, customer_name, platform, order_notes,
+        ship_by_date, is_express, is_archived, external_order_id
+      ) VALUES (?, ?, ?, ?, ?, ?, 0, ?)
+    `).run(
+      orderNumber,
+      orderData.customer_name,
+      orderData.platform,
+      orderData.order_notes || null,
+      orderData.ship_by_date,
+      orderData.is_express ? 1 : 0,
+      orderData.external_order_id ? String(orderData.external_order_id) : null
+    );
+
+    const orderId = result.lastInsertRowid;
+
+    for (const product of orderData.products) {
+      insertProduct(orderId, product);
+    }
+
+    return orderId;
+  });
+
+  const orderId = transaction();
+  return getById(orderId);
+}
+
+/**
+ * Add a product built from a product template to an existing order
+ *
+ * Creates the products row, its item, item_parts and ordered item_colors
+ * in one transaction.
+ *
+ * @param {number} orderId - The order ID
+ * @param {Object} selection - Template selection
+ * @param {number} selection.template_id - The product template ID
+ * @param {Array<number>} selection.color_ids - Chosen color IDs in order
+ * @param {string} selection.product_name - Optional product name
+ * @param {number} selection.sale_price - Optional price the customer paid
+ * @param {number} selection.version - Optional order version the client last saw
+ * @returns {number|null} The new product ID, or null if the order was not found
+ */
+function addProductFromTemplate(orderId, selection) {
+  if (!isValidPrice(selection.sale_price)) {
+    throw new Error('sale_price must be a non-negative number');
+  }
+
+  const product = {
+    ...buildProductFromTemplate(selection.template_id, selection.color_ids, selection.product_name),
+    sale_price: selection.sale_price
+  };
+
+  const transaction = db.transaction(() => {
+    const order = lockForChange(orderId, selection.version);
+    if (!order) {
+      return null;
+    }
+    touch(orderId);
+    return insertProduct(orderId, product);
+  });
+
+  return transaction();
+}
+
+/**
+ * Set the price the customer paid for a product (bumps the order version)
+ *
+ * @param {number} orderId - The order ID
+ * @param {number} productId - The product ID (must belong to the order)
+ * @param {number|null} salePrice - Sale price, or null/empty to clear it
+ * @param {number} expectedVersion - Optional order version the client last saw
+ * @returns {boolean} True if updated, false if the order or product was not found
+ */
+function setProductPrice(orderId, productId, salePrice, expectedVersion = null) {
+  if (!isValidPrice(salePrice)) {
+    throw new Error('sale_price must be a non-negative number');
+  }
+
+  const transaction = db.transaction(() => {
+    if (!lockForChange(orderId, expectedVersion)) {
+      return false;
+    }
+    const result = db.prepare(`
+      UPDATE products
+      SET sale_price = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE product_id = ? AND order_id = ?
+    `).run(toPrice(salePrice), productId, orderId);
+    if (result.changes === 0) {
+      return false;
+    }
+    touch(orderId);
+    return true;
+  });
+
+  return transaction();
+}
+
+/**
+ * Load an order row and check the client's expected version
+ * Must run inside a transaction, before the change.
+ *
+ * @param {number} orderId - The order ID
+ * @param {number} expectedVersion - Optional order version the client last saw
+ * @returns {Object|null} The order row, or null if not found
+ */
+function lockForChange(orderId, expectedVersion) {
+  const order = db.prepare('SELECT order_id, version FROM orders WHERE order_id = ?').get(orderId);
+  if (order) {
+    checkVersion('Order', order, expectedVersion, () => getById(orderId));
+  }
+  return order || null;
+}
+
+/**
+ * Mark an order as changed (bumps updated_at and version)
+ * @param {number} orderId - The order ID
+ */
+function touch(orderId) {
+  db.prepare('UPDATE orders SET updated_at = CURRENT_TIMESTAMP, version = version + 1 WHERE order_id = ?').run(orderId);
+}
+
+/**
+ * Update order details
+ * NOTE: This updates the order itself only, not its products or items.
+ *
+ * @param {number} orderId - The order ID
+ * @param {Object} updates - Fields to update (see UPDATABLE_FIELDS, others are ignored)
+ * @param {number} expectedVersion - Optional order version the client last saw
+ * @returns {boolean} True if updated, false if not found or there was nothing to update
+ */
+function update(orderId, updates, expectedVersion = null) {
+  const fields = Object.keys(updates).filter(field => UPDATABLE_FIELDS.includes(field));
+
+  if (fields.length === 0) {
+    return false;
+  }
+
+  const setClause = fields.map(field => `${field} = ?`).join(', ');
+  const values = fields.map(field => (
+    field === 'is_express' ? (updates[field] ? 1 : 0) : updates[field]
+  ));
+
+  const stmt = db.prepare(`
+    UPDATE orders
+    SET ${setClause}, updated_at = CURRENT_TIMESTAMP, version = version + 1
+    WHERE order_id = ?
+  `);
+
+  const transaction = db.transaction(() => {
+    if (!lockForChange(orderId, expectedVersion)) {
+      return false;
+    }
+    return stmt.run(...values, orderId).changes > 0;
+  });
+
+  return transaction();
+}
+
+/**
+ * Archive an order (hides it from all production views)
+ * @param {number} orderId - The order ID
+ * @param {number} expectedVersion - Optional order version the client last saw
+ * @returns {boolean} True if archived, false if not found
+ */
+function archive(orderId, expectedVersion = null) {
+  const stmt = db.prepare(`
+    UPDATE orders
+    SET is_archived = 1, updated_at = CURRENT_TIMESTAMP, version = version + 1
+    WHERE order_id = ?
+  `);
+
+  const transaction = db.transaction(() => {
+    if (!lockForChange(orderId, expectedVersion)) {
+      return false;
+    }
+    return stmt.run(orderId).changes > 0;
+  });
+
+  return transaction();
+}
+
+/**
+ * Get all orders on the packing table
+ *
+ * An order shows up once every item is "Assembled" (ready to pack) and stays
+ * until it is shipped (every item "Packed"). Each order gets an `is_packed` flag
+ * so the view knows which step comes next.
+ *
+ * @returns {Array} Orders (same shape as getById) with an is_packed flag
+ */
+function getReadyForPacking() {
+  const orderIds = db.prepare(`
+    SELECT o.order_id
+    FROM orders o
+    WHERE o.is_archived = 0
+      AND EXISTS (
+        SELECT 1 FROM items i
+        JOIN products p ON i.product_id = p.product_id
+        WHERE p.order_id = o.order_id
+      )
+      AND (
+        NOT EXISTS (
+          SELECT 1 FROM items i
+          JOIN products p ON i.product_id = p.product_id
+          WHERE p.order_id = o.order_id AND i.status != 'Assembled'
+        )
+        OR NOT EXISTS (
+          SELECT 1 FROM items i
+          JOIN products p ON i.product_id = p.product_id
+          WHERE p.order_id = o.order_id AND i.status != 'Packed'
+        )
+      )
+    ORDER BY o.is_express DESC, o.ship_by_date ASC, o.order_id ASC
+  `).all().map(row => row.order_id);
+
+  return orderIds.map(orderId => {
+    const order = getById(orderId);
+    const items = order.products.flatMap(product => product.items);
+    return { ...order, is_packed: items.every(item => item.status === 'Packed') };
+  });
+}
+
+/**
+ * Move every item of an order to the next packing status in one transaction
+ *
+ * Throws an error with code ORDER_NOT_READY (and a not_ready_items list) unless
+ * every item is in requiredStatus.
+ *
+ * @param {Object} order - Order from getById
+ * @param {string} requiredStatus - Status every item must have
+ * @param {string} newStatus - Status to move the items to
+ * @param {string} reason - Reason recorded in status_history
+ * @param {Object} changedBy - Optional { user_id, device_id, station } of who made the change
+ */
+function transitionAllItems(order, requiredStatus, newStatus, reason, changedBy = {}) {
+  const items = order.products.flatMap(product => product.items);
+  const notReady = items.filter(item => item.status !== requiredStatus);
+
+  if (items.length === 0 || notReady.length > 0) {
+    const error = new Error(`Order ${order.order_number} is not ready to be ${newStatus.toLowerCase()}`);
+    error.code = ORDER_NOT_READY;
+    error.not_ready_items = notReady.map(item => ({
+      item_id: item.item_id,
+      item_name: item.item_name,
+      status: item.status
+    }));
+    throw error;
+  }
+
+  for (const item of items) {
+    Item.applyTransition(item.item_id, newStatus, reason, null, changedBy);
+  }
+}
+
+/**
+ * Pack an order (all items "Assembled" -> "Packed")
+ * @param {number} orderId - The order ID
+ * @param {number} expectedVersion - Optional order version the client last saw
+ * @param {Object} changedBy - Optional { user_id, device_id, station } of who packed it
+ * @returns {Object|null} The updated order, or null if not found
+ */
+function pack(orderId, expectedVersion = null, changedBy = {}) {
+  const transaction = db.transaction(() => {
+    if (!lockForChange(orderId, expectedVersion)) {
+      return null;
+    }
+
+    transitionAllItems(getById(orderId), 'Assembled', 'Packed', 'Packed', changedBy);
+    touch(orderId);
+    return getById(orderId);
+  });
+
+  return transaction();
+}
+
+/**
+ * Ship an order (all items "Packed" -> "Shipped")
+ *
+ * Archives the order and stamps shipped_at in the same transaction, so the
+ * order leaves every production view (and the active order count) at once.
+ * Items are moved before archiving - archived orders can't change status.
+ *
+ * @param {number} orderId - The order ID
+ * @param {number} expectedVersion - Optional order version the client last saw
+ * @param {Object} changedBy - Optional { user_id, device_id, station } of who shipped it
+ * @returns {Object|null} The updated order, or null if not found
+ */
+function ship(orderId, expectedVersion = null, changedBy = {}) {
+  const transaction = db.transaction(() => {
+    if (!lockForChange(orderId, expectedVersion)) {
+      return null;
+    }
+
+    transitionAllItems(getById(orderId), 'Packed', 'Shipped', 'Shipped', changedBy);
+
+    db.prepare(`
+      UPDATE orders
+      SET is_archived = 1, shipped_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+          version = version + 1
+      WHERE order_id = ?
+    `).run(orderId);
+
+    return getById(orderId);
+  });
+
+  return transaction();
+}
+
+module.exports = {
+  PLATFORMS,
+  UPDATABLE_FIELDS,
+  MAX_COLORS_PER_ITEM,
+  ORDER_NOT_READY,
+  getAll,
+  getById,
+  getPricedTemplateProducts,
+  getByExternalId,
+  getNextOrderNumber,
+  isOrderNumberAvailable,
+  isValidDate,
+  isValidPrice,
+  validate,
+  create,
+  addProductFromTemplate,
+  setProductPrice,
+  validateTemplateSelection,
+  buildProductFromTemplate,
+  update,
+  archive,
+  getReadyForPacking,
+  pack,
+  ship,
+  insertProduct,
+  insertItem
+};
@@ -3,6 +3,8 @@
  *
  * Handles all database operations for parts (standalone printable items).
  * Parts are individual items like "16mm Wound Marker" or "Token Box Lid".
+ * Each part can have the grams of filament it uses per color slot (part_filament),
+ * which is drawn from stock when an item is printed.
  *
  * Operations:
  * - getAll() - Get all active parts
@@ -13,16 +15,60 @@
  * - activate(id) - Reactivate a deactivated part
  */
 
-const Database = require('better-sqlite3');
-const path = require('path');
+const { db } = require('../database/db');
+const { checkVersion } = require('../utils/concurrency');
 
-// Database connection
-const DB_PATH = process.env.NODE_ENV === 'production'
-  ? '/data/printfarm.db'
-  : path.join(__dirname, '../../printfarm.db');
+// Number of color slots a part can have filament figures for (AMS slots)
+const COLOR_SLOTS = 4;
 
-const db = new Database(DB_PATH);
-db.pragma('foreign_keys = ON');
+/**
+ * Attach filament_grams (grams per color slot, index 0 = slot 1) to parts
+ * @param {Array} parts - Part rows
+ * @returns {Array} Parts with a filament_grams array (null for slots without a figure)
+ */
+function withFilamentGrams(parts) {
+  const rows = db.prepare('SELECT part_id, color_slot, grams FROM part_filament').all();
+  return parts.map(part => {
+    const filamentGrams = Array(COLOR_SLOTS).fill(null);
+    rows
+      .filter(row => row.part_id === part.part_id)
+      .forEach(row => { filamentGrams[row.color_slot - 1] = row.grams; });
+    return { ...part, filament_grams: filamentGrams };
+  });
+}
+
+/**
+ * Validate filament figures
+ * @param {*} filamentGrams - Array of up to 4 grams per color slot (null/'' for none)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateFilamentGrams(filamentGrams) {
+  if (filamentGrams === undefined) {
+    return null;
+  }
+  if (!Array.isArray(filamentGrams) || filamentGrams.length > COLOR_SLOTS) {
+    return `filament_grams must be an array of at most ${COLOR_SLOTS} values`;
+  }
+  const invalid = filamentGrams.some(grams => (
+    grams !== null && grams !== '' && !(Number(grams) >= 0)
+  ));
+  return invalid ? 'filament_grams must contain non-negative numbers' : null;
+}
+
+/**
+ * Replace a part's filament figures
+ * @param {number} partId - The part ID
+ * @param {Array} filamentGrams - Grams per color slot (null/'' or 0 for none)
+ */
+function saveFilamentGrams(partId, filamentGrams) {
+  db.prepare('DELETE FROM part_filament WHERE part_id = ?').run(partId);
+  const insert = db.prepare('INSERT INTO part_filament (part_id, color_slot, grams) VALUES (?, ?, ?)');
+  filamentGrams.forEach((grams, index) => {
+    if (grams !== null && grams !== '' && Number(grams) > 0) {
+      insert.run(partId, index + 1, Number(grams));
+    }
+  });
+}
 
 /**
  * Get all active parts
@@ -34,7 +80,7 @@ function getAll(includeInactive = false) {
     ? 'SELECT * FROM parts ORDER BY part_name ASC'
     : 'SELECT * FROM parts WHERE is_active = 1 ORDER BY part_name ASC';
 
-  return db.prepare(query).all();
+  return withFilamentGrams(db.prepare(query).all());
 }
 
 /**
@@ -43,7 +89,8 @@ function getAll(includeInactive = false) {
  * @returns {Object|null} Part object or null if not found
  */
 function getById(partId) {
-  return db.prepare('SELECT * FROM parts WHERE part_id = ?').get(partId);
+  const part = db.prepare('SELECT * FROM parts WHERE part_id = ?').get(partId);
+  return part ? withFilamentGrams([part])[0] : part;
 }
 
 /**
@@ -61,9 +108,15 @@ function getByCode(partCode) {
  * @param {string} partData.part_code - Unique part code/SKU (e.g., "WM16001")
  * @param {string} partData.part_name - Name of the part
  * @param {string} partData.description - Optional description
+ * @param {Array<number>} partData.filament_grams - Optional grams per color slot (up to 4)
  * @returns {Object} The created part with its new ID
  */
 function create(partData) {
+  const error = validateFilamentGrams(partData.filament_grams);
+  if (error) {
+    throw new Error(error);
+  }
+
   const stmt = db.prepare(`
     INSERT INTO parts (
       part_code,
@@ -73,39 +126,69 @@ function create(partData) {
     ) VALUES (?, ?, ?, 1)
   `);
 
-  const result = stmt.run(
-    partData.part_code,
-    partData.part_name,
-    partData.description || null
-  );
-
-  return getById(result.lastInsertRowid);
+  const transaction = db.transaction(() => {
+    const result = stmt.run(
+      partData.part_code,
+      partData.part_name,
+      partData.description || null
+    );
+    saveFilamentGrams(result.lastInsertRowid, partData.filament_grams || []);
+    return result.lastInsertRowid;
+  });
+
+  return getById(transaction());
 }
 
 /**
  * Update an existing part
  * @param {number} partId - The part ID to update
- * @param {Object} partData - Updated part information (same as create)
+ * @param {Object} partData - Updated part information (same as create;
+ *   filament_grams is only replaced when given)
+ * @param {number} expectedVersion - Optional version the client last saw
+ *   (throws a VERSION_CONFLICT error if the part changed since)
  * @returns {Object|null} Updated part or null if not found
  */
-function update(partId, partData) {
+function update(partId, partData, expectedVersion = null) {
+  const error = validateFilamentGrams(partData.filament_grams);
+  if (error) {
+    throw new Error(error);
+  }
+
   const stmt = db.prepare(`
     UPDATE parts
     SET part_code = ?,
         part_name = ?,
         description = ?,
-        updated_at = CURRENT_TIMESTAMP
-    WHERE part_id = ?
+        updated_at = CURRENT_TIMESTAMP,
+        version = version + 1
+    WHERE part_id = ? AND (? IS NULL OR version = ?)
   `);
 
-  const result = stmt.run(
-    partData.part_code,
-    partData.part_name,
-    partData.description || null,
-    partId
-  );
-
-  return result.changes > 0 ? getById(partId) : null;
+  const transaction = db.transaction(() => {
+    const result = stmt.run(
+      partData.part_code,
+      partData.part_name,
+      partData.description || null,
+      partId,
+      expectedVersion,
+      expectedVersion
+    );
+    // Filament figures are only replaced when given
+    if (result.changes > 0 && partData.filament_grams !== undefined) {
+      saveFilamentGrams(partId, partData.filament_grams);
+    }
+    return result;
+  });
+  const result = transaction();
+
+  if (result.changes === 0) {
+    const current = getById(partId);
+    if (current) {
+      checkVersion('Part', current, expectedVersion);
+    }
+    return null;
+  }
+  return getById(partId);
 }
 
 /**
@@ -115,7 +198,7 @@ function update(partId, partData) {
  * @returns {boolean} True if successful
  */
 function deactivate(partId) {
-  const stmt = db.prepare('UPDATE parts SET is_active = 0 WHERE part_id = ?');
+  const stmt = db.prepare('UPDATE parts SET is_active = 0, version = version + 1 WHERE part_id = ?');
   const result = stmt.run(partId);
   return result.changes > 0;
 }
@@ -126,7 +209,7 @@ function deactivate(partId) {
  * @returns {boolean} True if successful
  */
 function activate(partId) {
-  const stmt = db.prepare('UPDATE parts SET is_active = 1 WHERE part_id = ?');
+  const stmt = db.prepare('UPDATE parts SET is_active = 1, version = version + 1 WHERE part_id = ?');
   const result = stmt.run(partId);
   return result.changes > 0;
 }
@@ -137,14 +220,16 @@ function activate(partId) {
  * @returns {Array} Array of matching parts
  */
 function search(searchTerm) {
-  return db.prepare(`
+  return withFilamentGrams(db.prepare(`
     SELECT * FROM parts
     WHERE (part_name LIKE ? OR part_code LIKE ?) AND is_active = 1
     ORDER BY part_name ASC
-  `).all(`%${searchTerm}%`, `%${searchTerm}%`);
+  `).all(`%${searchTerm}%`, `%${searchTerm}%`));
 }
 
 module.exports = {
+  COLOR_SLOTS,
+  validateFilamentGrams,
   getAll,
   getById,
   getByCode,
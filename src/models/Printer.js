@@ -0,0 +1,319 @@
+/**
+ * Printer Model
+ *
+ * Handles the printer fleet. Every printer has up to 4 AMS slots (printer_slots),
+ * each loaded with a color or empty. Items in the print farm can be assigned to
+ * a printer; the assignment warns (but doesn't block) when the printer's loaded
+ * colors don't cover the item's colors.
+ *
+ * Operations:
+ * - getAll(includeInactive) - List printers with their slots
+ * - getById(id) - Get a printer with its slots
+ * - validate(data) - Validate printer data before create/update
+ * - create(data) - Add a printer (with slots)
+ * - update(id, data, expectedVersion) - Update a printer (and its slots, if given)
+ * - deactivate(id) / activate(id) - Soft delete / reactivate
+ * - getMissingColors(printer, colors) - Item colors not loaded on the printer
+ * - assignItem(itemId, printerId, expectedVersion) - Assign an "In Printfarm" item to a printer
+ */
+
+const { db } = require('../database/db');
+const Item = require('./Item');
+const { checkVersion } = require('../utils/concurrency');
+
+// Allowed values for printers.status (mirrors the CHECK constraint in the schema migrations)
+const STATUSES = ['Idle', 'Printing', 'Maintenance', 'Offline'];
+
+// Bambu Lab AMS units have 4 slots
+const MAX_SLOTS = 4;
+
+// Error code used when an item can't be assigned (routes turn this into a 422)
+const ASSIGNMENT_NOT_ALLOWED = 'PRINTER_ASSIGNMENT_NOT_ALLOWED';
+
+/**
+ * Get the slots for a list of printers, grouped by printer ID
+ * @param {Array<number>} printerIds - Printer IDs
+ * @returns {Object} Map of printer_id -> array of MAX_SLOTS slots (color fields null when empty)
+ */
+function getSlotsForPrinters(printerIds) {
+  const grouped = {};
+  for (const printerId of printerIds) {
+    grouped[printerId] = Array.from({ length: MAX_SLOTS }, (_, index) => ({
+      slot_number: index + 1,
+      color_id: null,
+      color_name: null,
+      hex_code: null,
+      material_type: null
+    }));
+  }
+  if (printerIds.length === 0) {
+    return grouped;
+  }
+
+  const rows = db.prepare(`
+    SELECT ps.printer_id, ps.slot_number, c.color_id, c.color_name, c.hex_code, c.material_type
+    FROM printer_slots ps
+    LEFT JOIN colors c ON ps.color_id = c.color_id
+    WHERE ps.printer_id IN (${printerIds.map(() => '?').join(', ')})
+  `).all(...printerIds);
+
+  for (const row of rows) {
+    const { printer_id, ...slot } = row;
+    grouped[printer_id][slot.slot_number - 1] = slot;
+  }
+  return grouped;
+}
+
+/**
+ * Get all printers with their AMS slots
+ * @param {boolean} includeInactive - Include deactivated printers (default: false)
+ * @returns {Array} Array of printers, each with a slots array
+ */
+function getAll(includeInactive = false) {
+  const printers = db.prepare(`
+    SELECT p.*,
+      (SELECT COUNT(*) FROM items i WHERE i.printer_id = p.printer_id AND i.status = 'In Printfarm')
+        as assigned_count
+    FROM printers p
+    ${includeInactive ? '' : 'WHERE p.is_active = 1'}
+    ORDER BY p.printer_name ASC
+  `).all();
+
+  const slotsByPrinter = getSlotsForPrinters(printers.map(printer => printer.printer_id));
+  return printers.map(printer => ({ ...printer, slots: slotsByPrinter[printer.printer_id] }));
+}
+
+/**
+ * Get a printer with its AMS slots
+ * @param {number} printerId - The printer ID
+ * @returns {Object|null} Printer with slots array, or null if not found
+ */
+function getById(printerId) {
+  const printer = db.prepare('SELECT * FROM printers WHERE printer_id = ?').get(printerId);
+  if (!printer) {
+    return null;
+  }
+  return { ...printer, slots: getSlotsForPrinters([printer.printer_id])[printer.printer_id] };
+}
+
+/**
+ * Validate printer data
+ *
+ * @param {Object} printerData - { printer_name, printer_model, build_volume, status, slots }
+ *   slots is an optional array of up to 4 color IDs (or null for an empty slot), in slot order
+ * @param {boolean} partial - True for updates (printer_name only checked when given)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validate(printerData, partial = false) {
+  if (!printerData) {
+    return 'Printer data is required';
+  }
+  if ((!partial || 'printer_name' in printerData) && !String(printerData.printer_name || '').trim()) {
+    return 'printer_name is required';
+  }
+  if (printerData.status !== undefined && !STATUSES.includes(printerData.status)) {
+    return `status must be one of: ${STATUSES.join(', ')}`;
+  }
+  if (printerData.slots !== undefined) {
+    if (!Array.isArray(printerData.slots) || printerData.slots.length > MAX_SLOTS) {
+      return `slots must be an array of at most ${MAX_SLOTS} color IDs`;
+    }
+    const colorIds = printerData.slots.filter(colorId => colorId !== null && colorId !== '');
+    if (colorIds.some(colorId => !Number.isInteger(Number(colorId)))) {
+      return 'slots must contain color IDs or null';
+    }
+    const unknown = colorIds.filter(colorId => (
+      !db.prepare('SELECT 1 FROM colors WHERE color_id = ?').get(colorId)
+    ));
+    if (unknown.length > 0) {
+      return `Unknown color(s) in slots: ${unknown.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Replace a printer's slots - no transaction of its own
+ * @param {number} printerId - The printer ID
+ * @param {Array} slots - Color IDs (or null) in slot order
+ */
+function saveSlots(printerId, slots) {
+  db.prepare('DELETE FROM printer_slots WHERE printer_id = ?').run(printerId);
+  const insertSlot = db.prepare(`
+    INSERT INTO printer_slots (printer_id, slot_number, color_id) VALUES (?, ?, ?)
+  `);
+  slots.forEach((colorId, index) => {
+    if (colorId !== null && colorId !== '') {
+      insertSlot.run(printerId, index + 1, colorId);
+    }
+  });
+}
+
+/**
+ * Create a new printer
+ * @param {Object} printerData - { printer_name, printer_model, build_volume, status, slots }
+ * @returns {Object} The created printer with slots
+ */
+function create(printerData) {
+  const error = validate(printerData);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const transaction = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO printers (printer_name, printer_model, build_volume, status)
+      VALUES (?, ?, ?, ?)
+    `).run(
+      printerData.printer_name.trim(),
+      printerData.printer_model || null,
+      printerData.build_volume || null,
+      printerData.status || 'Idle'
+    );
+
+    saveSlots(result.lastInsertRowid, printerData.slots || []);
+    return getById(result.lastInsertRowid);
+  });
+
+  return transaction();
+}
+
+/**
+ * Update a printer (and its slots, if slots is given)
+ * @param {number} printerId - The printer ID
+ * @param {Object} updates - Fields to update (printer_name, printer_model, build_volume, status, slots)
+ * @param {number} expectedVersion - Optional version the client last saw
+ * @returns {Object|null} Updated printer, or null if not found
+ */
+function update(printerId, updates, expectedVersion = null) {
+  const error = validate(updates, true);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const allowedFields = ['printer_name', 'printer_model', 'build_volume', 'status'];
+  const fields = Object.keys(updates).filter(field => allowedFields.includes(field));
+
+  const transaction = db.transaction(() => {
+    const printer = db.prepare('SELECT printer_id, version FROM printers WHERE printer_id = ?').get(printerId);
+    if (!printer) {
+      return null;
+    }
+    checkVersion('Printer', printer, expectedVersion, () => getById(printerId));
+
+    const setClause = fields.map(field => `${field} = ?`).join(', ');
+    const values = fields.map(field => (
+      field === 'printer_name' ? String(updates[field]).trim() : (updates[field] || null)
+    ));
+    db.prepare(`
+      UPDATE printers
+      SET ${setClause}${fields.length > 0 ? ',' : ''} updated_at = CURRENT_TIMESTAMP, version = version + 1
+      WHERE printer_id = ?
+    `).run(...values, printerId);
+
+    if (updates.slots !== undefined) {
+      saveSlots(printerId, updates.slots);
+    }
+    return getById(printerId);
+  });
+
+  return transaction();
+}
+
+/**
+ * Deactivate a printer (soft delete)
+ * @param {number} printerId - The printer ID
+ * @returns {boolean} True if successful
+ */
+function deactivate(printerId) {
+  const stmt = db.prepare('UPDATE printers SET is_active = 0, version = version + 1 WHERE printer_id = ?');
+  return stmt.run(printerId).changes > 0;
+}
+
+/**
+ * Reactivate a deactivated printer
+ * @param {number} printerId - The printer ID
+ * @returns {boolean} True if successful
+ */
+function activate(printerId) {
+  const stmt = db.prepare('UPDATE printers SET is_active = 1, version = version + 1 WHERE printer_id = ?');
+  return stmt.run(printerId).changes > 0;
+}
+
+/**
+ * Find the colors an item needs that aren't loaded on a printer
+ * @param {Object} printer - Printer with slots
+ * @param {Array} colors - The item's colors ({ color_id, color_name, ... })
+ * @returns {Array} Missing colors (empty if the printer covers all of them)
+ */
+function getMissingColors(printer, colors) {
+  const loaded = printer.slots.map(slot => slot.color_id).filter(Boolean);
+  return colors.filter(color => !loaded.includes(color.color_id));
+}
+
+/**
+ * Assign an item in the print farm to a printer (or clear the assignment)
+ *
+ * Only items "In Printfarm" can be assigned, and only to active printers.
+ * Throws an error with code PRINTER_ASSIGNMENT_NOT_ALLOWED otherwise.
+ *
+ * @param {number} itemId - The item ID
+ * @param {number|null} printerId - The printer ID, or null to unassign
+ * @param {number} expectedVersion - Optional item version the client last saw
+ * @returns {Object|null} { item, printer, missing_colors }, or null if the item was not found
+ */
+function assignItem(itemId, printerId, expectedVersion = null) {
+  const transaction = db.transaction(() => {
+    const item = Item.getById(itemId);
+    if (!item) {
+      return null;
+    }
+    checkVersion('Item', item, expectedVersion, () => Item.getById(itemId));
+
+    if (item.status !== 'In Printfarm') {
+      const error = new Error(`Only items "In Printfarm" can be assigned to a printer (item is "${item.status}")`);
+      error.code = ASSIGNMENT_NOT_ALLOWED;
+      throw error;
+    }
+
+    let printer = null;
+    if (printerId !== null) {
+      printer = getById(printerId);
+      if (!printer || !printer.is_active) {
+        const error = new Error('Printer not found or inactive');
+        error.code = ASSIGNMENT_NOT_ALLOWED;
+        throw error;
+      }
+    }
+
+    db.prepare(`
+      UPDATE items
+      SET printer_id = ?, updated_at = CURRENT_TIMESTAMP, version = version + 1
+      WHERE item_id = ?
+    `).run(printerId, itemId);
+
+    const colors = Item.getColorsForItems([itemId])[itemId] || [];
+    return {
+      item: Item.getById(itemId),
+      printer,
+      missing_colors: printer ? getMissingColors(printer, colors) : []
+    };
+  });
+
+  return transaction();
+}
+
+module.exports = {
+  STATUSES,
+  MAX_SLOTS,
+  ASSIGNMENT_NOT_ALLOWED,
+  getAll,
+  getById,
+  validate,
+  create,
+  update,
+  deactivate,
+  activate,
+  getMissingColors,
+  assignItem
+};
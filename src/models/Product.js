@@ -0,0 +1,159 @@
+/**
+ * Product Model
+ *
+ * Handles product-level workflow. A product's status is derived from its items:
+ * a product is "ready for assembly" when ALL of its items are "Printed".
+ *
+ * Operations:
+ * - getById(id) - Get a product with its items
+ * - getReadyForAssembly() - Products whose items are all "Printed", grouped by order
+ * - markAssembled(id, versions, changedBy) - Move every item of a ready product to "Assembled"
+ */
+
+const { db } = require('../database/db');
+const Item = require('./Item');
+
+// Error code used when a product is not ready for assembly (routes turn this into a 422)
+const PRODUCT_NOT_READY = 'PRODUCT_NOT_READY';
+
+/**
+ * Get a product with its items
+ * @param {number} productId - The product ID
+ * @returns {Object|null} Product with items array, or null if not found
+ */
+function getById(productId) {
+  const product = db.prepare('SELECT * FROM products WHERE product_id = ?').get(productId);
+  if (!product) {
+    return null;
+  }
+
+  const items = db.prepare(`
+    SELECT * FROM items WHERE product_id = ? ORDER BY item_id
+  `).all(productId);
+
+  return { ...product, items };
+}
+
+/**
+ * Get all products that are ready for assembly, grouped by order
+ *
+ * A product is ready when it has items and every item is "Printed".
+ * Orders are sorted by express flag first, then ship_by_date.
+ *
+ * @returns {Array} Orders, each with a products array (items with colors and parts)
+ */
+function getReadyForAssembly() {
+  // Products in active orders where no item is in any status other than "Printed"
+  const products = db.prepare(`
+    SELECT
+      p.*,
+      o.order_number,
+      o.customer_name,
+      o.platform,
+      o.ship_by_date,
+      o.is_express
+    FROM products p
+    JOIN orders o ON p.order_id = o.order_id
+    WHERE o.is_archived = 0
+      AND EXISTS (SELECT 1 FROM items i WHERE i.product_id = p.product_id)
+      AND NOT EXISTS (
+        SELECT 1 FROM items i WHERE i.product_id = p.product_id AND i.status != 'Printed'
+      )
+    ORDER BY o.is_express DESC, o.ship_by_date ASC, o.order_id ASC, p.product_id ASC
+  `).all();
+
+  const productIds = products.map(product => product.product_id);
+  const items = productIds.length === 0 ? [] : db.prepare(`
+    SELECT * FROM items
+    WHERE product_id IN (${productIds.map(() => '?').join(', ')})
+    ORDER BY item_id
+  `).all(...productIds);
+
+  const itemIds = items.map(item => item.item_id);
+  const colorsByItem = Item.getColorsForItems(itemIds);
+  const partsByItem = Item.getPartsForItems(itemIds);
+
+  // Group products under their order, keeping the sort order
+  const orders = [];
+  const ordersById = {};
+  for (const product of products) {
+    if (!ordersById[product.order_id]) {
+      ordersById[product.order_id] = {
+        order_id: product.order_id,
+        order_number: product.order_number,
+        customer_name: product.customer_name,
+        platform: product.platform,
+        ship_by_date: product.ship_by_date,
+        is_express: product.is_express,
+        products: []
+      };
+      orders.push(ordersById[product.order_id]);
+    }
+
+    ordersById[product.order_id].products.push({
+      product_id: product.product_id,
+      product_name: product.product_name,
+      items: items
+        .filter(item => item.product_id === product.product_id)
+        .map(item => ({
+          ...item,
+          colors: colorsByItem[item.item_id] || [],
+          parts: partsByItem[item.item_id] || []
+        }))
+    });
+  }
+
+  return orders;
+}
+
+/**
+ * Mark a product as assembled (all of its items move to "Assembled")
+ *
+ * Validates that every item is "Printed" first - assembly can't be skipped.
+ * Throws an error with code PRODUCT_NOT_READY (and a not_ready_items list) otherwise.
+ * All items change in one transaction, each with a status_history entry.
+ *
+ * @param {number} productId - The product ID
+ * @param {Object} versions - Optional map of item_id -> version the client last saw
+ * @param {Object} changedBy - Optional { user_id, device_id, station } of who assembled it
+ * @returns {Object|null} Product with updated items, or null if not found
+ */
+function markAssembled(productId, versions = {}, changedBy = {}) {
+  const transaction = db.transaction(() => {
+    const product = getById(productId);
+    if (!product) {
+      return null;
+    }
+
+    // Check if all items in product are "Printed" before allowing assembly
+    // This ensures quality control cannot be skipped
+    const notReady = product.items.filter(item => item.status !== 'Printed');
+    if (product.items.length === 0 || notReady.length > 0) {
+      const error = new Error(`Product "${product.product_name}" is not ready for assembly`);
+      error.code = PRODUCT_NOT_READY;
+      error.not_ready_items = notReady.map(item => ({
+        item_id: item.item_id,
+        item_name: item.item_name,
+        status: item.status
+      }));
+      throw error;
+    }
+
+    for (const item of product.items) {
+      Item.applyTransition(
+        item.item_id, 'Assembled', 'Assembled and QC passed', (versions || {})[item.item_id], changedBy
+      );
+    }
+
+    return getById(productId);
+  });
+
+  return transaction();
+}
+
+module.exports = {
+  PRODUCT_NOT_READY,
+  getById,
+  getReadyForAssembly,
+  markAssembled
+};
@@ -16,16 +16,8 @@
  * - "Token Box with 25 Tokens" (1 box + 25 tokens + lid, 2 colors, 90 min, $3.00)
  */
 
-const Database = require('better-sqlite3');
-const path = require('path');
-
-// Database connection
-const DB_PATH = process.env.NODE_ENV === 'production'
-  ? '/data/printfarm.db'
-  : path.join(__dirname, '../../printfarm.db');
-
-const db = new Database(DB_PATH);
-db.pragma('foreign_keys = ON');
+const { db } = require('../database/db');
+const { checkVersion } = require('../utils/concurrency');
 
 /**
  * Get all product templates
@@ -85,6 +77,7 @@ function getById(templateId) {
       p.part_code,
       p.part_name,
       p.description,
+      p.is_active,
       tp.quantity
     FROM template_parts tp
     JOIN parts p ON tp.part_id = p.part_id
@@ -166,9 +159,11 @@ function create(templateData) {
  *
  * @param {number} templateId - The template ID
  * @param {object} updates - Fields to update
+ * @param {number} expectedVersion - Optional version the client last saw
+ *   (throws a VERSION_CONFLICT error if the template changed since)
  * @returns {boolean} True if updated, false if not found
  */
-function update(templateId, updates) {
+function update(templateId, updates, expectedVersion = null) {
   const allowedFields = [
     'template_name', 'description', 'num_colors',
     'print_time_minutes', 'print_cost'
@@ -185,11 +180,17 @@ function update(templateId, updates) {
 
   const stmt = db.prepare(`
     UPDATE product_templates
-    SET ${setClause}, updated_at = CURRENT_TIMESTAMP
-    WHERE template_id = ?
+    SET ${setClause}, updated_at = CURRENT_TIMESTAMP, version = version + 1
+    WHERE template_id = ? AND (? IS NULL OR version = ?)
   `);
 
-  const result = stmt.run(...values, templateId);
+  const result = stmt.run(...values, templateId, expectedVersion, expectedVersion);
+  if (result.changes === 0) {
+    const current = db.prepare('SELECT * FROM product_templates WHERE template_id = ?').get(templateId);
+    if (current) {
+      checkVersion('Template', current, expectedVersion, () => getById(templateId));
+    }
+  }
   return result.changes > 0;
 }
 
@@ -253,7 +254,7 @@ function updatePartQuantity(templateId, partId, quantity) {
  * @returns {boolean} True if deactivated, false if not found
  */
 function deactivate(templateId) {
-  const stmt = db.prepare('UPDATE product_templates SET is_active = 0 WHERE template_id = ?');
+  const stmt = db.prepare('UPDATE product_templates SET is_active = 0, version = version + 1 WHERE template_id = ?');
   const result = stmt.run(templateId);
   return result.changes > 0;
 }
@@ -264,7 +265,7 @@ function deactivate(templateId) {
  * @returns {boolean} True if activated, false if not found
  */
 function activate(templateId) {
-  const stmt = db.prepare('UPDATE product_templates SET is_active = 1 WHERE template_id = ?');
+  const stmt = db.prepare('UPDATE product_templates SET is_active = 1, version = version + 1 WHERE template_id = ?');
   const result = stmt.run(templateId);
   return result.changes > 0;
 }
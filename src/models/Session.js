@@ -0,0 +1,114 @@
+/**
+ * Session Model
+ *
+ * Sign-in sessions. The browser keeps a random token in a cookie; the sessions
+ * table stores only its SHA-256, with the user and an expiry time. Sessions of
+ * inactive users are ignored.
+ *
+ * Operations:
+ * - SESSION_DAYS - How long a sign-in lasts
+ * - create(userId, userAgent) - Start a session, returns the cookie token
+ * - getUser(token) - The signed-in user of a token (and mark the session as seen)
+ * - destroy(token) - End a session (sign out)
+ * - destroyForUser(userId) - End every session of a user
+ * - purgeExpired() - Remove expired sessions
+ */
+
+const crypto = require('crypto');
+const { db } = require('../database/db');
+
+const SESSION_DAYS = 14;
+
+// last_seen_at is only written when it is older than this (not on every request)
+const SEEN_INTERVAL_MINUTES = 5;
+
+/**
+ * Hash a cookie token for storage / lookup
+ * @param {string} token - Cookie token
+ * @returns {string} SHA-256 (hex)
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Start a session
+ * @param {number} userId - The signed-in user
+ * @param {string} userAgent - Browser user agent (optional, shown to admins)
+ * @returns {string} Token for the session cookie
+ */
+function create(userId, userAgent = null) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  db.prepare(`
+    INSERT INTO sessions (session_id, user_id, user_agent, expires_at)
+    VALUES (?, ?, ?, DATETIME('now', ?))
+  `).run(hashToken(token), userId, userAgent ? String(userAgent).slice(0, 200) : null, `+${SESSION_DAYS} days`);
+  return token;
+}
+
+/**
+ * Get the user signed in with a token
+ * @param {string} token - Cookie token
+ * @returns {Object|null} { user_id, username, display_name, role }, or null if the
+ *   session is unknown, expired or the user is inactive
+ */
+function getUser(token) {
+  if (!token) {
+    return null;
+  }
+  const sessionId = hashToken(token);
+  const row = db.prepare(`
+    SELECT u.user_id, u.username, u.display_name, u.role,
+      s.last_seen_at < DATETIME('now', ?) AS needs_touch
+    FROM sessions s
+    JOIN users u ON s.user_id = u.user_id
+    WHERE s.session_id = ? AND s.expires_at > DATETIME('now') AND u.is_active = 1
+  `).get(`-${SEEN_INTERVAL_MINUTES} minutes`, sessionId);
+  if (!row) {
+    return null;
+  }
+
+  const { needs_touch, ...user } = row;
+  if (needs_touch) {
+    db.prepare('UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE session_id = ?').run(sessionId);
+  }
+  return user;
+}
+
+/**
+ * End a session (sign out)
+ * @param {string} token - Cookie token
+ * @returns {boolean} True if a session was ended
+ */
+function destroy(token) {
+  if (!token) {
+    return false;
+  }
+  return db.prepare('DELETE FROM sessions WHERE session_id = ?').run(hashToken(token)).changes > 0;
+}
+
+/**
+ * End every session of a user (e.g. after a password change or deactivation)
+ * @param {number} userId - The user ID
+ * @returns {number} Number of sessions ended
+ */
+function destroyForUser(userId) {
+  return db.prepare('DELETE FROM sessions WHERE user_id = ?').run(userId).changes;
+}
+
+/**
+ * Remove expired sessions
+ * @returns {number} Number of sessions removed
+ */
+function purgeExpired() {
+  return db.prepare("DELETE FROM sessions WHERE expires_at <= DATETIME('now')").run().changes;
+}
+
+module.exports = {
+  SESSION_DAYS,
+  create,
+  getUser,
+  destroy,
+  destroyForUser,
+  purgeExpired
+};
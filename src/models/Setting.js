@@ -0,0 +1,70 @@
+/**
+ * Setting Model
+ *
+ * Reads and writes system-wide configuration stored in the system_settings table.
+ * Values are always stored as text - callers convert them to numbers/booleans.
+ *
+ * Operations:
+ * - getAll() - Get all settings
+ * - get(key, defaultValue) - Get a single setting value
+ * - getNumber(key, defaultValue) - Get a setting parsed as a number
+ * - set(key, value, description) - Create or update a setting
+ */
+
+const { db } = require('../database/db');
+
+/**
+ * Get all system settings
+ * @returns {Array} Array of setting objects
+ */
+function getAll() {
+  return db.prepare('SELECT * FROM system_settings ORDER BY setting_key ASC').all();
+}
+
+/**
+ * Get a single setting value
+ * @param {string} key - The setting key (e.g., "order_number_prefix")
+ * @param {string} defaultValue - Returned when the setting does not exist
+ * @returns {string} The setting value
+ */
+function get(key, defaultValue = null) {
+  const row = db.prepare('SELECT setting_value FROM system_settings WHERE setting_key = ?').get(key);
+  return row ? row.setting_value : defaultValue;
+}
+
+/**
+ * Get a setting parsed as a number
+ * Falls back to the default if the setting is missing or not numeric.
+ * @param {string} key - The setting key
+ * @param {number} defaultValue - Returned when the value is missing or invalid
+ * @returns {number} The numeric setting value
+ */
+function getNumber(key, defaultValue = 0) {
+  const value = parseFloat(get(key));
+  return Number.isFinite(value) ? value : defaultValue;
+}
+
+/**
+ * Create or update a setting
+ * @param {string} key - The setting key
+ * @param {string|number} value - The new value (stored as text)
+ * @param {string} description - Optional description (only used when creating)
+ * @returns {string} The stored value
+ */
+function set(key, value, description = null) {
+  db.prepare(`
+    INSERT INTO system_settings (setting_key, setting_value, description)
+    VALUES (?, ?, ?)
+    ON CONFLICT(setting_key)
+    DO UPDATE SET setting_value = excluded.setting_value, updated_at = CURRENT_TIMESTAMP
+  `).run(key, String(value), description);
+
+  return get(key);
+}
+
+module.exports = {
+  getAll,
+  get,
+  getNumber,
+  set
+};
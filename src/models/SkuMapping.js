@@ -0,0 +1,467 @@
+/**
+ * SKU Mapping Model
+ *
+ * Maps shop SKUs to our catalog so orders can be taken in automatically. A mapping
+ * links a platform plus external SKU (and optionally one variant of it) to a
+ * product template and, optionally, fixed colors (sku_mapping_colors).
+ *
+ * The color rule decides where a line's colors come from:
+ * - fixed: the mapping's colors
+ * - variant: the mapping's colors fill the first slots, the colors named in the
+ *   line's variant fill the rest ("Black / Gold", "Color: Black")
+ *
+ * Resolving a line tries the exact SKU + variant first, then the SKU's catch-all
+ * mapping (empty variant).
+ *
+ * Mappings list their issues: a deactivated template, color, or part in the
+ * template. Such mappings still resolve, but their lines end up in review.
+ *
+ * Operations:
+ * - getAll(includeInactive) - List mappings with template, colors and issues
+ * - getById(id) - Get a mapping with template, colors and issues
+ * - getByKey(platform, sku, variant) - Get the mapping for exactly this SKU and variant
+ * - validate(data, partial) - Validate mapping data before create/update
+ * - create(data) - Add a mapping (with colors)
+ * - update(id, data, expectedVersion) - Update a mapping (and its colors, if given)
+ * - saveMany(mappings) - Create or update mappings by platform, SKU and variant (one transaction)
+ * - deactivate(id) / activate(id) - Soft delete / reactivate
+ * - resolve(platform, sku, variant) - Find the active mapping for a shop line
+ * - resolveColors(mapping, variant) - The colors a mapping gives a shop line
+ */
+
+const { db } = require('../database/db');
+const { checkVersion } = require('../utils/concurrency');
+
+// Platforms we take orders in from (mirrors the CHECK constraint in the schema migrations)
+const PLATFORMS = ['Shopify', 'Etsy'];
+
+// Mappings can fix between 0 and 4 colors
+const MAX_COLORS = 4;
+
+// Allowed values for color_rule (mirrors the CHECK constraint in the schema migrations)
+const COLOR_RULES = ['fixed', 'variant'];
+
+/**
+ * Normalize a SKU or variant for storing and matching (trimmed, empty string if missing)
+ * @param {string} value - SKU or variant
+ * @returns {string} Normalized value
+ */
+function normalize(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Get the fixed colors for a list of mappings, grouped by mapping ID
+ * @param {Array<number>} mappingIds - Mapping IDs
+ * @returns {Object} Map of mapping_id -> array of colors in color_order
+ */
+function getColorsForMappings(mappingIds) {
+  const grouped = {};
+  for (const mappingId of mappingIds) {
+    grouped[mappingId] = [];
+  }
+  if (mappingIds.length === 0) {
+    return grouped;
+  }
+
+  const rows = db.prepare(`
+    SELECT mc.mapping_id, mc.color_order, c.color_id, c.color_name, c.hex_code, c.is_active
+    FROM sku_mapping_colors mc
+    JOIN colors c ON mc.color_id = c.color_id
+    WHERE mc.mapping_id IN (${mappingIds.map(() => '?').join(', ')})
+    ORDER BY mc.mapping_id, mc.color_order
+  `).all(...mappingIds);
+
+  for (const { mapping_id, ...color } of rows) {
+    grouped[mapping_id].push(color);
+  }
+  return grouped;
+}
+
+/**
+ * Get the deactivated parts in a list of templates, grouped by template ID
+ * @param {Array<number>} templateIds - Template IDs
+ * @returns {Object} Map of template_id -> array of part names
+ */
+function getInactivePartsForTemplates(templateIds) {
+  const grouped = {};
+  const uniqueIds = [...new Set(templateIds)];
+  if (uniqueIds.length === 0) {
+    return grouped;
+  }
+
+  const rows = db.prepare(`
+    SELECT tp.template_id, p.part_name
+    FROM template_parts tp
+    JOIN parts p ON tp.part_id = p.part_id
+    WHERE tp.template_id IN (${uniqueIds.map(() => '?').join(', ')}) AND p.is_active = 0
+    ORDER BY p.part_name
+  `).all(...uniqueIds);
+
+  for (const row of rows) {
+    (grouped[row.template_id] = grouped[row.template_id] || []).push(row.part_name);
+  }
+  return grouped;
+}
+
+/**
+ * Attach colors, color_ids and issues to mapping rows
+ * @param {Array} mappings - Mapping rows
+ * @returns {Array} Mappings with colors, color_ids and issues (empty if the mapping is usable)
+ */
+function withDetails(mappings) {
+  const colorsByMapping = getColorsForMappings(mappings.map(mapping => mapping.mapping_id));
+  const inactivePartsByTemplate = getInactivePartsForTemplates(mappings.map(mapping => mapping.template_id));
+
+  return mappings.map(mapping => {
+    const colors = colorsByMapping[mapping.mapping_id];
+    const issues = [];
+    if (!mapping.template_is_active) {
+      issues.push(`Template "${mapping.template_name}" is deactivated`);
+    }
+    for (const color of colors.filter(color => !color.is_active)) {
+      issues.push(`Color "${color.color_name}" is deactivated`);
+    }
+    for (const partName of inactivePartsByTemplate[mapping.template_id] || []) {
+      issues.push(`Part "${partName}" is deactivated`);
+    }
+    return { ...mapping, colors, color_ids: colors.map(color => color.color_id), issues };
+  });
+}
+
+const SELECT_MAPPINGS = `
+  SELECT m.*, pt.template_name, pt.num_colors, pt.is_active as template_is_active
+  FROM sku_mappings m
+  JOIN product_templates pt ON m.template_id = pt.template_id
+`;
+
+/**
+ * Get all SKU mappings
+ * @param {boolean} includeInactive - Include deactivated mappings (default: false)
+ * @returns {Array} Mappings with template name, colors and issues
+ */
+function getAll(includeInactive = false) {
+  const mappings = db.prepare(`
+    ${SELECT_MAPPINGS}
+    ${includeInactive ? '' : 'WHERE m.is_active = 1'}
+    ORDER BY m.platform, m.external_sku, m.external_variant
+  `).all();
+  return withDetails(mappings);
+}
+
+/**
+ * Get a SKU mapping by ID
+ * @param {number} mappingId - The mapping ID
+ * @returns {Object|null} Mapping with template name, colors and issues, or null if not found
+ */
+function getById(mappingId) {
+  const mapping = db.prepare(`${SELECT_MAPPINGS} WHERE m.mapping_id = ?`).get(mappingId);
+  return mapping ? withDetails([mapping])[0] : null;
+}
+
+/**
+ * Get the mapping for exactly this SKU and variant (active or not)
+ * @param {string} platform - Shopify or Etsy
+ * @param {string} sku - The shop's SKU
+ * @param {string} variant - The variant ('' for the SKU's catch-all mapping)
+ * @returns {Object|null} Mapping, or null if there is none
+ */
+function getByKey(platform, sku, variant = '') {
+  const mapping = db.prepare(`
+    ${SELECT_MAPPINGS}
+    WHERE m.platform = ? AND m.external_sku = ? AND m.external_variant = ?
+  `).get(platform, normalize(sku), normalize(variant));
+  return mapping ? withDetails([mapping])[0] : null;
+}
+
+/**
+ * Validate mapping data
+ *
+ * @param {Object} mappingData - { platform, external_sku, external_variant, template_id, color_rule, color_ids, notes }
+ * @param {boolean} partial - True for updates (required fields only checked when given)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validate(mappingData, partial = false) {
+  if (!mappingData) {
+    return 'Mapping data is required';
+  }
+  if ((!partial || 'platform' in mappingData) && !PLATFORMS.includes(mappingData.platform)) {
+    return `platform must be one of: ${PLATFORMS.join(', ')}`;
+  }
+  if ((!partial || 'external_sku' in mappingData) && !normalize(mappingData.external_sku)) {
+    return 'external_sku is required';
+  }
+  if (!partial || 'template_id' in mappingData) {
+    const template = db.prepare('SELECT 1 FROM product_templates WHERE template_id = ?')
+      .get(mappingData.template_id);
+    if (!template) {
+      return 'template_id must be an existing product template';
+    }
+  }
+  if (mappingData.color_rule !== undefined && !COLOR_RULES.includes(mappingData.color_rule)) {
+    return `color_rule must be one of: ${COLOR_RULES.join(', ')}`;
+  }
+  if (mappingData.color_ids !== undefined) {
+    const colorIds = mappingData.color_ids;
+    if (!Array.isArray(colorIds) || colorIds.length > MAX_COLORS) {
+      return `color_ids must be an array of at most ${MAX_COLORS} color IDs`;
+    }
+    if (new Set(colorIds.map(Number)).size !== colorIds.length) {
+      return 'color_ids uses the same color more than once';
+    }
+    const unknown = colorIds.filter(colorId => (
+      !db.prepare('SELECT 1 FROM colors WHERE color_id = ?').get(colorId)
+    ));
+    if (unknown.length > 0) {
+      return `Unknown color(s): ${unknown.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Replace a mapping's fixed colors - no transaction of its own
+ * @param {number} mappingId - The mapping ID
+ * @param {Array<number>} colorIds - Color IDs in order
+ */
+function saveColors(mappingId, colorIds) {
+  db.prepare('DELETE FROM sku_mapping_colors WHERE mapping_id = ?').run(mappingId);
+  const insertColor = db.prepare(`
+    INSERT INTO sku_mapping_colors (mapping_id, color_order, color_id) VALUES (?, ?, ?)
+  `);
+  colorIds.forEach((colorId, index) => insertColor.run(mappingId, index + 1, colorId));
+}
+
+/**
+ * Create a new SKU mapping
+ * @param {Object} mappingData - { platform, external_sku, external_variant, template_id, color_rule, color_ids, notes }
+ * @returns {Object} The created mapping
+ */
+function create(mappingData) {
+  const error = validate(mappingData);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const transaction = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO sku_mappings (platform, external_sku, external_variant, template_id, color_rule, notes)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      mappingData.platform,
+      normalize(mappingData.external_sku),
+      normalize(mappingData.external_variant),
+      mappingData.template_id,
+      mappingData.color_rule || 'fixed',
+      mappingData.notes || null
+    );
+
+    saveColors(result.lastInsertRowid, mappingData.color_ids || []);
+    return getById(result.lastInsertRowid);
+  });
+
+  return transaction();
+}
+
+/**
+ * Update a SKU mapping (and its colors, if color_ids is given)
+ * @param {number} mappingId - The mapping ID
+ * @param {Object} updates - Fields to update
+ * @param {number} expectedVersion - Optional version the client last saw
+ * @returns {Object|null} Updated mapping, or null if not found
+ */
+function update(mappingId, updates, expectedVersion = null) {
+  const error = validate(updates, true);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const allowedFields = ['platform', 'external_sku', 'external_variant', 'template_id', 'color_rule', 'notes'];
+  const fields = Object.keys(updates).filter(field => allowedFields.includes(field));
+
+  const transaction = db.transaction(() => {
+    const mapping = db.prepare('SELECT mapping_id, version FROM sku_mappings WHERE mapping_id = ?').get(mappingId);
+    if (!mapping) {
+      return null;
+    }
+    checkVersion('SKU mapping', mapping, expectedVersion, () => getById(mappingId));
+
+    const setClause = fields.map(field => `${field} = ?`).join(', ');
+    const values = fields.map(field => (
+      ['external_sku', 'external_variant'].includes(field) ? normalize(updates[field]) : (updates[field] || null)
+    ));
+    db.prepare(`
+      UPDATE sku_mappings
+      SET ${setClause}${fields.length > 0 ? ',' : ''} updated_at = CURRENT_TIMESTAMP, version = version + 1
+      WHERE mapping_id = ?
+    `).run(...values, mappingId);
+
+    if (updates.color_ids !== undefined) {
+      saveColors(mappingId, updates.color_ids);
+    }
+    return getById(mappingId);
+  });
+
+  return transaction();
+}
+
+/**
+ * Check whether saving mapping data would change an existing mapping
+ * @param {Object} mapping - Existing mapping (from getById)
+ * @param {Object} mappingData - { template_id, color_rule, color_ids, notes }
+ * @returns {boolean} True if anything differs (or the mapping is deactivated)
+ */
+function isChangedBy(mapping, mappingData) {
+  return !mapping.is_active
+    || mapping.template_id !== Number(mappingData.template_id)
+    || mapping.color_rule !== (mappingData.color_rule || 'fixed')
+    || mapping.color_ids.join(',') !== (mappingData.color_ids || []).join(',')
+    || (mapping.notes || null) !== (mappingData.notes || null);
+}
+
+/**
+ * Create or update several mappings in one transaction (e.g. a CSV upload)
+ *
+ * Mappings are matched by platform, SKU and variant. Existing mappings are
+ * updated (and reactivated), missing ones created. Nothing is saved if one fails.
+ *
+ * @param {Array} mappings - Mapping data, as for create()
+ * @returns {Array} One result per mapping: { status, mapping }
+ *   status is "created", "updated" or "unchanged"
+ */
+function saveMany(mappings) {
+  const transaction = db.transaction(() => mappings.map(mappingData => {
+    const existing = getByKey(mappingData.platform, mappingData.external_sku, mappingData.external_variant);
+    if (!existing) {
+      return { status: 'created', mapping: create(mappingData) };
+    }
+    if (!isChangedBy(existing, mappingData)) {
+      return { status: 'unchanged', mapping: existing };
+    }
+
+    update(existing.mapping_id, {
+      template_id: mappingData.template_id,
+      color_rule: mappingData.color_rule || 'fixed',
+      color_ids: mappingData.color_ids || [],
+      notes: mappingData.notes || null
+    });
+    if (!existing.is_active) {
+      activate(existing.mapping_id);
+    }
+    return { status: 'updated', mapping: getById(existing.mapping_id) };
+  }));
+
+  return transaction();
+}
+
+/**
+ * Deactivate a SKU mapping (soft delete)
+ * @param {number} mappingId - The mapping ID
+ * @returns {boolean} True if successful
+ */
+function deactivate(mappingId) {
+  const stmt = db.prepare('UPDATE sku_mappings SET is_active = 0, version = version + 1 WHERE mapping_id = ?');
+  return stmt.run(mappingId).changes > 0;
+}
+
+/**
+ * Reactivate a deactivated SKU mapping
+ * @param {number} mappingId - The mapping ID
+ * @returns {boolean} True if successful
+ */
+function activate(mappingId) {
+  const stmt = db.prepare('UPDATE sku_mappings SET is_active = 1, version = version + 1 WHERE mapping_id = ?');
+  return stmt.run(mappingId).changes > 0;
+}
+
+/**
+ * Find the active mapping for a shop order line
+ *
+ * @param {string} platform - Shopify or Etsy
+ * @param {string} sku - The line's SKU
+ * @param {string} variant - The line's variant (optional)
+ * @returns {Object|null} The mapping (with colors), or null if the SKU isn't mapped
+ *
+ * Example usage:
+ * const mapping = resolve('Shopify', 'TB-5L-SKULL', 'Black / Gold');
+ */
+function resolve(platform, sku, variant = '') {
+  const externalSku = normalize(sku);
+  if (!externalSku) {
+    return null;
+  }
+
+  // Exact variant first, then the catch-all mapping for the SKU
+  const mapping = db.prepare(`
+    ${SELECT_MAPPINGS}
+    WHERE m.platform = ? AND m.external_sku = ? AND m.is_active = 1
+      AND m.external_variant IN (?, '')
+    ORDER BY m.external_variant = '' ASC
+    LIMIT 1
+  `).get(platform, externalSku, normalize(variant));
+
+  return mapping ? withDetails([mapping])[0] : null;
+}
+
+/**
+ * Read the color names from a variant
+ * @param {string} variant - e.g. "Black / Gold" or "Primary: Black, Secondary: Gold"
+ * @returns {Array<string>} Names in order, option labels ("Primary:") removed
+ */
+function getVariantColorNames(variant) {
+  return normalize(variant)
+    .split(/[/,|+]/)
+    .map(option => option.replace(/^[^:]*:/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Get the colors a mapping gives a shop line
+ *
+ * For the variant rule, variant options that aren't the name of an active color
+ * (e.g. "Size: Large") are skipped. Whether the number of colors fits the
+ * template is left to the caller (Order.validateTemplateSelection).
+ *
+ * @param {Object} mapping - Mapping (from resolve/getById)
+ * @param {string} variant - The line's variant
+ * @returns {Object} { colors } - Colors in slot order ({ color_id, color_name, ... }),
+ *   or { error } when the variant names no known color
+ *
+ * Example usage:
+ * resolveColors(mapping, 'Black / Gold'); // { colors: [{ color_id: 1, ... }, { color_id: 7, ... }] }
+ */
+function resolveColors(mapping, variant = '') {
+  if (mapping.color_rule !== 'variant') {
+    return { colors: mapping.colors };
+  }
+
+  const findColor = db.prepare(`
+    SELECT color_id, color_name, hex_code, is_active FROM colors
+    WHERE color_name = ? COLLATE NOCASE AND is_active = 1
+  `);
+  const variantColors = getVariantColorNames(variant)
+    .map(name => findColor.get(name))
+    .filter(Boolean);
+
+  if (variantColors.length === 0) {
+    return { error: `Variant "${normalize(variant)}" doesn't name an active color` };
+  }
+  return { colors: [...mapping.colors, ...variantColors] };
+}
+
+module.exports = {
+  PLATFORMS,
+  MAX_COLORS,
+  COLOR_RULES,
+  getAll,
+  getById,
+  getByKey,
+  validate,
+  create,
+  update,
+  saveMany,
+  deactivate,
+  activate,
+  resolve,
+  resolveColors
+};
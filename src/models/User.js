@@ -0,0 +1,369 @@
+/**
+ * User Model
+ *
+ * Handles the people who can sign in. Passwords and PINs are stored as scrypt
+ * hashes with a random salt. After MAX_FAILED_ATTEMPTS wrong passwords in a row
+ * password sign-in is locked for LOCK_MINUTES; wrong PINs are counted (and
+ * locked) separately, so guessing a PIN can't lock someone's password sign-in.
+ * Admins can't switch in with a PIN - they always sign in with their password.
+ * A sign-in for an unknown user still runs a hash check, so the response time
+ * doesn't tell which usernames exist.
+ *
+ * Roles (what each one may open is in src/utils/auth.js):
+ * - admin - Everything, including admin and user management
+ * - order_entry - Orders, intake review, queue, archive, forecast and margins
+ * - operator - Queue, printfarm and assembly
+ * - packer - Packing
+ *
+ * Users returned by this model never include the password or PIN hash.
+ *
+ * Operations:
+ * - ROLES / ROLE_LABELS - Allowed roles and their names
+ * - getAll(includeInactive) - List users
+ * - getById(id) / getByUsername(username) - Get a user
+ * - getPinUsers() - Active non-admin users with a PIN (for the quick switch)
+ * - countActiveAdmins() - Number of active admins
+ * - validate(data, partial) - Validate user data before create/update
+ * - create(data) / update(id, data) - Add or change a user
+ * - deactivate(id) / activate(id) - Soft delete / reactivate
+ * - authenticate(username, password) - Check a password sign-in
+ * - authenticatePin(userId, pin) - Check a PIN sign-in
+ */
+
+const crypto = require('crypto');
+const { db } = require('../database/db');
+
+// Allowed values for users.role (mirrors the CHECK constraint in the schema migrations)
+const ROLES = ['admin', 'order_entry', 'operator', 'packer'];
+
+const ROLE_LABELS = {
+  admin: 'Admin',
+  order_entry: 'Order Entry',
+  operator: 'Printfarm Operator',
+  packer: 'Packer'
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+const PIN_PATTERN = /^\d{4,8}$/;
+
+// Wrong passwords/PINs in a row before the account is locked, and for how long
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+// Error code used when an account is locked (routes turn this into a 429)
+const ACCOUNT_LOCKED = 'ACCOUNT_LOCKED';
+
+// Columns of each sign-in method: the secret's hash and its own lockout counter
+const PASSWORD_SIGN_IN = { hash: 'password_hash', failed: 'failed_attempts', locked: 'locked_until' };
+const PIN_SIGN_IN = { hash: 'pin_hash', failed: 'pin_failed_attempts', locked: 'pin_locked_until' };
+
+// Columns returned to callers (never the hashes)
+const PUBLIC_COLUMNS = `
+  user_id, username, display_name, role, (pin_hash IS NOT NULL) AS has_pin,
+  failed_attempts, locked_until, pin_failed_attempts, pin_locked_until,
+  last_login_at, is_active, created_at, updated_at
+`;
+
+/**
+ * Hash a password or PIN
+ * @param {string} secret - Password or PIN
+ * @returns {string} "scrypt$<salt>$<hash>" (hex)
+ */
+function hashSecret(secret) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(secret), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Check a password or PIN against a stored hash
+ * @param {string} secret - Password or PIN that was entered
+ * @param {string} stored - Stored hash from hashSecret()
+ * @returns {boolean} True if it matches
+ */
+function verifySecret(secret, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(secret), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked when there is no user (or no hash) to check against, so a failed
+// sign-in takes as long whether or not the username exists
+let dummyHash = null;
+
+/**
+ * Spend the time of a real check without a user to check against
+ * @param {string} secret - Password or PIN that was entered
+ */
+function verifyDummy(secret) {
+  dummyHash = dummyHash || hashSecret(crypto.randomBytes(16).toString('hex'));
+  verifySecret(secret, dummyHash);
+}
+
+/**
+ * Get all users
+ * @param {boolean} includeInactive - Include deactivated users (default: false)
+ * @returns {Array} Users ordered by display name
+ */
+function getAll(includeInactive = false) {
+  return db.prepare(`
+    SELECT ${PUBLIC_COLUMNS} FROM users
+    ${includeInactive ? '' : 'WHERE is_active = 1'}
+    ORDER BY display_name COLLATE NOCASE ASC
+  `).all();
+}
+
+/**
+ * Get a user by ID
+ * @param {number} userId - The user ID
+ * @returns {Object|undefined} User, or undefined if not found
+ */
+function getById(userId) {
+  return db.prepare(`SELECT ${PUBLIC_COLUMNS} FROM users WHERE user_id = ?`).get(userId);
+}
+
+/**
+ * Get a user by username (case-insensitive)
+ * @param {string} username - The username
+ * @returns {Object|undefined} User, or undefined if not found
+ */
+function getByUsername(username) {
+  return db.prepare(`SELECT ${PUBLIC_COLUMNS} FROM users WHERE username = ?`).get(String(username || '').trim());
+}
+
+/**
+ * Get the active users who have a PIN (for the quick switch on shared devices)
+ *
+ * Admins are left out - a short PIN is not enough to open admin.
+ *
+ * @returns {Array} [{ user_id, display_name, role }] ordered by display name
+ */
+function getPinUsers() {
+  return db.prepare(`
+    SELECT user_id, display_name, role FROM users
+    WHERE is_active = 1 AND pin_hash IS NOT NULL AND role != 'admin'
+    ORDER BY display_name COLLATE NOCASE ASC
+  `).all();
+}
+
+/**
+ * Count the active admins (the last one can't be demoted or deactivated)
+ * @returns {number} Number of active admins
+ */
+function countActiveAdmins() {
+  return db.prepare("SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND is_active = 1").get().count;
+}
+
+/**
+ * Validate user data before create/update
+ * @param {Object} userData - { username, display_name, role, password, pin }
+ * @param {boolean} partial - Only check the fields present (for updates)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validate(userData, partial = false) {
+  if (!userData) {
+    return 'User data is required';
+  }
+  if ((!partial || 'username' in userData) && !/^[\w.-]{2,40}$/.test(String(userData.username || '').trim())) {
+    return 'username must be 2-40 letters, digits, dots, dashes or underscores';
+  }
+  if ((!partial || 'display_name' in userData) && !String(userData.display_name || '').trim()) {
+    return 'display_name is required';
+  }
+  if ((!partial || 'role' in userData) && !ROLES.includes(userData.role)) {
+    return `role must be one of: ${ROLES.join(', ')}`;
+  }
+  // On update an empty password/PIN means "keep the current one"
+  const password = userData.password;
+  if ((!partial || password) && String(password || '').length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (userData.pin && !PIN_PATTERN.test(String(userData.pin))) {
+    return 'pin must be 4-8 digits';
+  }
+  return null;
+}
+
+/**
+ * Create a new user
+ * @param {Object} userData - { username, display_name, role, password, pin (optional) }
+ * @returns {Object} The created user
+ */
+function create(userData) {
+  const error = validate(userData);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const result = db.prepare(`
+    INSERT INTO users (username, display_name, role, password_hash, pin_hash)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(
+    userData.username.trim(),
+    userData.display_name.trim(),
+    userData.role,
+    hashSecret(userData.password),
+    userData.pin ? hashSecret(userData.pin) : null
+  );
+  return getById(result.lastInsertRowid);
+}
+
+/**
+ * Update a user
+ *
+ * A new password unlocks password sign-in, a new PIN unlocks PIN sign-in. Callers should end the user's
+ * sessions when the password, role or PIN changes (see Session.destroyForUser).
+ *
+ * @param {number} userId - The user ID
+ * @param {Object} updates - Fields to update (display_name, role, password, pin, clear_pin)
+ * @returns {Object|null} Updated user, or null if not found
+ */
+function update(userId, updates) {
+  const error = validate(updates, true);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const sets = [];
+  const values = [];
+  if ('display_name' in updates) {
+    sets.push('display_name = ?');
+    values.push(String(updates.display_name).trim());
+  }
+  if ('role' in updates) {
+    sets.push('role = ?');
+    values.push(updates.role);
+  }
+  if (updates.password) {
+    sets.push('password_hash = ?', 'failed_attempts = 0', 'locked_until = NULL');
+    values.push(hashSecret(updates.password));
+  }
+  if (updates.pin) {
+    sets.push('pin_hash = ?', 'pin_failed_attempts = 0', 'pin_locked_until = NULL');
+    values.push(hashSecret(updates.pin));
+  } else if (updates.clear_pin) {
+    sets.push('pin_hash = NULL', 'pin_failed_attempts = 0', 'pin_locked_until = NULL');
+  }
+
+  const result = db.prepare(`
+    UPDATE users
+    SET ${sets.map(set => `${set}, `).join('')}updated_at = CURRENT_TIMESTAMP
+    WHERE user_id = ?
+  `).run(...values, userId);
+  return result.changes > 0 ? getById(userId) : null;
+}
+
+/**
+ * Deactivate a user (soft delete - they can no longer sign in)
+ * @param {number} userId - The user ID
+ * @returns {boolean} True if successful
+ */
+function deactivate(userId) {
+  const stmt = db.prepare('UPDATE users SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?');
+  return stmt.run(userId).changes > 0;
+}
+
+/**
+ * Reactivate a deactivated user
+ * @param {number} userId - The user ID
+ * @returns {boolean} True if successful
+ */
+function activate(userId) {
+  const stmt = db.prepare('UPDATE users SET is_active = 1, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?');
+  return stmt.run(userId).changes > 0;
+}
+
+/**
+ * Check a secret for a user row and record the attempt
+ *
+ * Throws an error with code ACCOUNT_LOCKED while this sign-in method is locked.
+ * Unknown or inactive users are checked against a dummy hash (same timing).
+ *
+ * @param {Object|undefined} row - users row (with hashes)
+ * @param {string} secret - Password or PIN that was entered
+ * @param {Object} method - PASSWORD_SIGN_IN or PIN_SIGN_IN
+ * @returns {Object|null} The user if the secret matches, otherwise null
+ */
+function checkAttempt(row, secret, method) {
+  if (!row || !row.is_active || !row[method.hash]) {
+    verifyDummy(secret);
+    return null;
+  }
+
+  const lockedValue = row[method.locked];
+  const lockedUntil = lockedValue ? new Date(`${lockedValue.replace(' ', 'T')}Z`) : null;
+  if (lockedUntil && lockedUntil > new Date()) {
+    const minutes = Math.ceil((lockedUntil - new Date()) / 60000);
+    const error = new Error(`Too many failed attempts - try again in ${minutes} minute(s)`);
+    error.code = ACCOUNT_LOCKED;
+    throw error;
+  }
+
+  if (!verifySecret(secret, row[method.hash])) {
+    const failedAttempts = row[method.failed] + 1;
+    db.prepare(`
+      UPDATE users
+      SET ${method.failed} = ?,
+        ${method.locked} = CASE WHEN ? >= ? THEN DATETIME('now', ?) ELSE NULL END
+      WHERE user_id = ?
+    `).run(
+      failedAttempts >= MAX_FAILED_ATTEMPTS ? 0 : failedAttempts,
+      failedAttempts, MAX_FAILED_ATTEMPTS, `+${LOCK_MINUTES} minutes`,
+      row.user_id
+    );
+    return null;
+  }
+
+  db.prepare(`
+    UPDATE users
+    SET ${method.failed} = 0, ${method.locked} = NULL, last_login_at = CURRENT_TIMESTAMP
+    WHERE user_id = ?
+  `).run(row.user_id);
+  return getById(row.user_id);
+}
+
+/**
+ * Check a username and password
+ * @param {string} username - The username
+ * @param {string} password - The password
+ * @returns {Object|null} The user, or null if the username or password is wrong
+ */
+function authenticate(username, password) {
+  const row = db.prepare('SELECT * FROM users WHERE username = ?').get(String(username || '').trim());
+  return checkAttempt(row, password, PASSWORD_SIGN_IN);
+}
+
+/**
+ * Check a PIN (quick switch on a shared device)
+ * @param {number} userId - The user picked from the switch list
+ * @param {string} pin - The PIN
+ * @returns {Object|null} The user, or null if the PIN is wrong or the user is an admin
+ */
+function authenticatePin(userId, pin) {
+  const row = db.prepare('SELECT * FROM users WHERE user_id = ?').get(userId);
+  // Admins can't switch in by PIN - treated like an unknown user
+  return checkAttempt(row && row.role !== 'admin' ? row : null, pin, PIN_SIGN_IN);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  MIN_PASSWORD_LENGTH,
+  ACCOUNT_LOCKED,
+  getAll,
+  getById,
+  getByUsername,
+  getPinUsers,
+  countActiveAdmins,
+  validate,
+  create,
+  update,
+  deactivate,
+  activate,
+  authenticate,
+  authenticatePin
+};
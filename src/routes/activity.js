@@ -0,0 +1,82 @@
+/**
+ * Operator Activity Routes
+ *
+ * Who moved which items through the workflow, per operator per day:
+ * - /admin/activity - Report page with filters and the reprint list
+ * - /admin/api/activity - Actions per operator per day and reprints (JSON)
+ *
+ * Built from status_history (see OperatorActivity).
+ */
+
+const OperatorActivity = require('../models/OperatorActivity');
+const { formatTimestamp } = require('../utils/viewHelpers');
+
+// Days shown when no date range is picked
+const DEFAULT_DAYS = 14;
+
+/**
+ * Read the report filters from the query string
+ * @param {Object} query - request.query
+ * @returns {Object} { from, to, user_id, station } - from defaults to DEFAULT_DAYS ago
+ */
+function getFilters(query) {
+  const defaultFrom = new Date(Date.now() - (DEFAULT_DAYS - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  return {
+    from: query.from === undefined ? defaultFrom : query.from,
+    to: query.to || '',
+    user_id: query.user_id || '',
+    station: query.station || ''
+  };
+}
+
+async function activityRoutes(fastify, options) {
+  /**
+   * GET /admin/activity
+   * Operator activity page
+   *
+   * Query parameters: from, to, user_id, station
+   */
+  fastify.get('/admin/activity', async (request, reply) => {
+    const filters = getFilters(request.query);
+    const error = OperatorActivity.validateFilters(filters);
+
+    return reply.view('activity.ejs', {
+      days: error ? [] : OperatorActivity.getDailyActions(filters),
+      reprints: error ? [] : OperatorActivity.getReprints(filters),
+      filters,
+      error,
+      actionStatuses: OperatorActivity.ACTION_STATUSES,
+      operators: OperatorActivity.getOperators(),
+      stations: OperatorActivity.getStations(),
+      reprintLimit: OperatorActivity.REPRINT_LIMIT,
+      formatTimestamp,
+      title: 'Operator Activity - ToT Print Farm'
+    });
+  });
+
+  /**
+   * GET /admin/api/activity
+   * Actions per operator per day (newest day first) and reprint requests
+   *
+   * Query parameters:
+   * - from / to (optional) - Date range (YYYY-MM-DD, inclusive; from defaults to 14 days ago,
+   *   pass from= for everything)
+   * - user_id (optional) - Only this operator
+   * - station (optional) - Only this station (device name or page, e.g. printfarm)
+   */
+  fastify.get('/admin/api/activity', async (request, reply) => {
+    const filters = getFilters(request.query);
+    const error = OperatorActivity.validateFilters(filters);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    return {
+      filters,
+      days: OperatorActivity.getDailyActions(filters),
+      reprints: OperatorActivity.getReprints(filters)
+    };
+  });
+}
+
+module.exports = activityRoutes;
@@ -3,14 +3,86 @@
  *
  * Handles all admin-related routes:
  * - /admin - Main admin page
- * - /admin/colors - Color management API
+ * - /admin/colors - Color management API (including filament stock and ledger)
  * - /admin/parts - Part management API
  * - /admin/templates - Product Template management API
+ * - /admin/printers - Printer fleet management API
+ *
+ * The SKU Mappings tab uses the SKU mapping API in intake.js, the Import / Export
+ * tab the catalog API in catalog.js, the Backups tab the backup API in backups.js, the
+ * Users tab the user API in users.js and the Devices tab the device API in devices.js.
  */
 
+const { db } = require('../database/db');
 const Color = require('../models/Color');
 const Part = require('../models/Part');
 const ProductTemplate = require('../models/ProductTemplate');
+const Printer = require('../models/Printer');
+const Filament = require('../models/Filament');
+const Intake = require('../models/Intake');
+const SkuMapping = require('../models/SkuMapping');
+const Setting = require('../models/Setting');
+const Catalog = require('../models/Catalog');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const { isLowStock } = require('../services/restockPlanner');
+const events = require('../utils/events');
+const backup = require('../utils/backup');
+const { formatDateTime } = require('../utils/viewHelpers');
+const { getActor } = require('../utils/actor');
+const { VERSION_CONFLICT, validateVersion } = require('../utils/concurrency');
+const { sendVersionConflict } = require('../utils/responses');
+
+/**
+ * Tell connected stations that the catalog changed
+ * @param {string} entity - "color", "part", "template" or "printer"
+ * @param {number} id - ID of the changed record
+ * @param {string} action - e.g. "created", "updated", "deactivated"
+ */
+function publishCatalogChange(entity, id, action) {
+  events.publish(events.EVENT_TYPES.CATALOG_CHANGED, { entity, id: Number(id), action });
+}
+
+/**
+ * Get a color, part or template as a catalog record, for the audit log
+ * @param {string} entity - "color", "part" or "template"
+ * @param {number} id - Record ID
+ * @returns {Object|null} Record, or null if not found
+ */
+function getSnapshot(entity, id) {
+  return Catalog.getRecord(AuditLog.ENTITY_CONFIG[entity].catalog, id);
+}
+
+/**
+ * Make a catalog change and write its audit log entry in one transaction, so
+ * a failed audit entry rolls the change back
+ * @param {Object} request - Fastify request (for the actor)
+ * @param {string} entity - "color", "part" or "template"
+ * @param {number|null} id - ID of the record to change (null when creating)
+ * @param {string} action - "created", "updated", "deactivated", "activated" or "parts_changed"
+ * @param {Function} change - Makes the change, returns a falsy value if the record was not found
+ * @returns {*} What change returned
+ */
+function auditedCatalogChange(request, entity, id, action, change) {
+  return db.transaction(() => {
+    const before = id === null ? null : getSnapshot(entity, id);
+    const result = change();
+    if (result) {
+      // New records are returned by create (color_id, part_id or template_id)
+      const recordId = id === null ? result[`${entity}_id`] : id;
+      AuditLog.record({
+        entity_type: entity,
+        entity_id: recordId,
+        action,
+        before,
+        after: getSnapshot(entity, recordId),
+        actor: getActor(request)
+      });
+    }
+    return result;
+  })();
+}
 
 async function adminRoutes(fastify, options) {
   // ============================================================================
@@ -22,14 +94,40 @@ async function adminRoutes(fastify, options) {
    * Main admin page with tabs for Colors and Parts management
    */
   fastify.get('/admin', async (request, reply) => {
-    const colors = Color.getAll();
+    const stockSummary = Filament.getStockSummary();
+    const colors = Color.getAll().map(color => ({
+      ...color,
+      ...stockSummary[color.color_id],
+      is_low_stock: isLowStock(color)
+    }));
     const parts = Part.getAll();
     const templates = ProductTemplate.getAll();
+    const printers = Printer.getAll(true);
+    const skuMappings = SkuMapping.getAll(true);
 
     return reply.view('admin.ejs', {
       colors,
       parts,
       templates,
+      printers,
+      skuMappings,
+      flaggedMappingCount: skuMappings.filter(mapping => mapping.is_active && mapping.issues.length > 0).length,
+      skuPlatforms: SkuMapping.PLATFORMS,
+      printerStatuses: Printer.STATUSES,
+      usageDays: Filament.USAGE_DAYS,
+      lowStockCount: colors.filter(color => color.is_low_stock).length,
+      pendingIntakeCount: Intake.getPendingCount(),
+      backups: backup.listBackups(),
+      backupSettings: {
+        enabled: Setting.get('backup_enabled', '1') === '1',
+        interval_hours: Setting.getNumber('backup_interval_hours', 1)
+      },
+      backupRetention: backup.RETENTION,
+      users: User.getAll(true),
+      roleLabels: User.ROLE_LABELS,
+      devices: Device.getAll(true),
+      deviceRoles: Device.ROLES,
+      formatDateTime,
       title: 'Admin - Colors, Parts & Templates Management'
     });
   });
@@ -73,6 +171,7 @@ async function adminRoutes(fastify, options) {
    * - category (optional)
    * - cost_per_gram (optional)
    * - stock_grams (optional)
+   * - reorder_threshold_grams (optional) - Low-stock threshold (empty = no alert)
    */
   fastify.post('/admin/api/colors', async (request, reply) => {
     try {
@@ -84,8 +183,13 @@ async function adminRoutes(fastify, options) {
           error: 'color_name and hex_code are required'
         });
       }
+      const threshold = colorData.reorder_threshold_grams;
+      if (threshold !== undefined && threshold !== null && threshold !== '' && !(Number(threshold) >= 0)) {
+        return reply.code(400).send({ error: 'reorder_threshold_grams must be a non-negative number' });
+      }
 
-      const color = Color.create(colorData);
+      const color = auditedCatalogChange(request, 'color', null, 'created', () => Color.create(colorData));
+      publishCatalogChange('color', color.color_id, 'created');
       return reply.code(201).send({ color, message: 'Color created successfully' });
     } catch (error) {
       if (error.message.includes('UNIQUE constraint failed')) {
@@ -99,7 +203,8 @@ async function adminRoutes(fastify, options) {
    * PUT /admin/api/colors/:id
    * Update an existing color
    *
-   * Body parameters: Same as POST
+   * Body parameters: Same as POST, plus
+   * - version (optional) - Color version the client last saw (409 if it changed since)
    */
   fastify.put('/admin/api/colors/:id', async (request, reply) => {
     try {
@@ -111,14 +216,28 @@ async function adminRoutes(fastify, options) {
           error: 'color_name and hex_code are required'
         });
       }
+      const threshold = colorData.reorder_threshold_grams;
+      if (threshold !== undefined && threshold !== null && threshold !== '' && !(Number(threshold) >= 0)) {
+        return reply.code(400).send({ error: 'reorder_threshold_grams must be a non-negative number' });
+      }
+
+      const versionError = validateVersion(colorData.version);
+      if (versionError) {
+        return reply.code(400).send({ error: versionError });
+      }
 
-      const color = Color.update(request.params.id, colorData);
+      const color = auditedCatalogChange(request, 'color', request.params.id, 'updated', () =>
+        Color.update(request.params.id, colorData, colorData.version)
+      );
       if (!color) {
         return reply.code(404).send({ error: 'Color not found' });
       }
-
+      publishCatalogChange('color', color.color_id, 'updated');
       return { color, message: 'Color updated successfully' };
     } catch (error) {
+      if (error.code === VERSION_CONFLICT) {
+        return sendVersionConflict(reply, error);
+      }
       if (error.message.includes('UNIQUE constraint failed')) {
         return reply.code(409).send({ error: 'Color with this name already exists' });
       }
@@ -131,10 +250,13 @@ async function adminRoutes(fastify, options) {
    * Deactivate a color (soft delete)
    */
   fastify.delete('/admin/api/colors/:id', async (request, reply) => {
-    const success = Color.deactivate(request.params.id);
+    const success = auditedCatalogChange(request, 'color', request.params.id, 'deactivated', () =>
+      Color.deactivate(request.params.id)
+    );
     if (!success) {
       return reply.code(404).send({ error: 'Color not found' });
     }
+    publishCatalogChange('color', request.params.id, 'deactivated');
     return { message: 'Color deactivated successfully' };
   });
 
@@ -143,13 +265,59 @@ async function adminRoutes(fastify, options) {
    * Reactivate a deactivated color
    */
   fastify.post('/admin/api/colors/:id/activate', async (request, reply) => {
-    const success = Color.activate(request.params.id);
+    const success = auditedCatalogChange(request, 'color', request.params.id, 'activated', () =>
+      Color.activate(request.params.id)
+    );
     if (!success) {
       return reply.code(404).send({ error: 'Color not found' });
     }
+    publishCatalogChange('color', request.params.id, 'activated');
     return { message: 'Color activated successfully' };
   });
 
+  /**
+   * GET /admin/api/colors/:id/stock
+   * Current stock, recent use and the latest filament ledger entries of a color
+   */
+  fastify.get('/admin/api/colors/:id/stock', async (request, reply) => {
+    const color = Color.getById(request.params.id);
+    if (!color) {
+      return reply.code(404).send({ error: 'Color not found' });
+    }
+    return {
+      color,
+      summary: Filament.getStockSummary()[color.color_id],
+      ledger: Filament.getLedger(color.color_id)
+    };
+  });
+
+  /**
+   * POST /admin/api/colors/:id/stock
+   * Record a manual stock adjustment or restock in the filament ledger
+   *
+   * Body parameters:
+   * - entry_type (required) - "adjustment" or "restock"
+   * - grams (required) - Grams added (negative to remove; restocks must be positive)
+   * - note (optional) - e.g. "Weighed spools", "Order #1234 from Bambu Lab"
+   */
+  fastify.post('/admin/api/colors/:id/stock', async (request, reply) => {
+    const movement = request.body || {};
+
+    // Validation
+    const validationError = Filament.validateMovement(movement);
+    if (validationError) {
+      return reply.code(400).send({ error: validationError });
+    }
+
+    const result = Filament.adjustStock(request.params.id, movement);
+    if (!result) {
+      return reply.code(404).send({ error: 'Color not found' });
+    }
+
+    publishCatalogChange('color', request.params.id, 'stock_changed');
+    return { ...result, message: `Stock updated to ${result.stock_grams} g` };
+  });
+
   // ============================================================================
   // PART API ENDPOINTS
   // ============================================================================
@@ -184,6 +352,7 @@ async function adminRoutes(fastify, options) {
    * - part_code (required) - Unique SKU code
    * - part_name (required)
    * - description (optional)
+   * - filament_grams (optional) - Grams of filament per color slot, e.g. [12.5, 3]
    */
   fastify.post('/admin/api/parts', async (request, reply) => {
     try {
@@ -195,8 +364,13 @@ async function adminRoutes(fastify, options) {
           error: 'part_code and part_name are required'
         });
       }
+      const filamentError = Part.validateFilamentGrams(partData.filament_grams);
+      if (filamentError) {
+        return reply.code(400).send({ error: filamentError });
+      }
 
-      const part = Part.create(partData);
+      const part = auditedCatalogChange(request, 'part', null, 'created', () => Part.create(partData));
+      publishCatalogChange('part', part.part_id, 'created');
       return reply.code(201).send({ part, message: 'Part created successfully' });
     } catch (error) {
       if (error.message.includes('UNIQUE constraint failed')) {
@@ -210,7 +384,8 @@ async function adminRoutes(fastify, options) {
    * PUT /admin/api/parts/:id
    * Update an existing part
    *
-   * Body parameters: Same as POST
+   * Body parameters: Same as POST, plus
+   * - version (optional) - Part version the client last saw (409 if it changed since)
    */
   fastify.put('/admin/api/parts/:id', async (request, reply) => {
     try {
@@ -222,14 +397,28 @@ async function adminRoutes(fastify, options) {
           error: 'part_code and part_name are required'
         });
       }
+      const filamentError = Part.validateFilamentGrams(partData.filament_grams);
+      if (filamentError) {
+        return reply.code(400).send({ error: filamentError });
+      }
 
-      const part = Part.update(request.params.id, partData);
+      const versionError = validateVersion(partData.version);
+      if (versionError) {
+        return reply.code(400).send({ error: versionError });
+      }
+
+      const part = auditedCatalogChange(request, 'part', request.params.id, 'updated', () =>
+        Part.update(request.params.id, partData, partData.version)
+      );
       if (!part) {
         return reply.code(404).send({ error: 'Part not found' });
       }
-
+      publishCatalogChange('part', part.part_id, 'updated');
       return { part, message: 'Part updated successfully' };
     } catch (error) {
+      if (error.code === VERSION_CONFLICT) {
+        return sendVersionConflict(reply, error);
+      }
       if (error.message.includes('UNIQUE constraint failed')) {
         return reply.code(409).send({ error: 'Part with this code or name already exists' });
       }
@@ -242,10 +431,13 @@ async function adminRoutes(fastify, options) {
    * Deactivate a part (soft delete)
    */
   fastify.delete('/admin/api/parts/:id', async (request, reply) => {
-    const success = Part.deactivate(request.params.id);
+    const success = auditedCatalogChange(request, 'part', request.params.id, 'deactivated', () =>
+      Part.deactivate(request.params.id)
+    );
     if (!success) {
       return reply.code(404).send({ error: 'Part not found' });
     }
+    publishCatalogChange('part', request.params.id, 'deactivated');
     return { message: 'Part deactivated successfully' };
   });
 
@@ -254,10 +446,13 @@ async function adminRoutes(fastify, options) {
    * Reactivate a deactivated part
    */
   fastify.post('/admin/api/parts/:id/activate', async (request, reply) => {
-    const success = Part.activate(request.params.id);
+    const success = auditedCatalogChange(request, 'part', request.params.id, 'activated', () =>
+      Part.activate(request.params.id)
+    );
     if (!success) {
       return reply.code(404).send({ error: 'Part not found' });
     }
+    publishCatalogChange('part', request.params.id, 'activated');
     return { message: 'Part activated successfully' };
   });
 
@@ -316,7 +511,10 @@ async function adminRoutes(fastify, options) {
         });
       }
 
-      const template = ProductTemplate.create(templateData);
+      const template = auditedCatalogChange(request, 'template', null, 'created', () =>
+        ProductTemplate.create(templateData)
+      );
+      publishCatalogChange('template', template.template_id, 'created');
       return reply.code(201).send({ template, message: 'Product template created successfully' });
     } catch (error) {
       if (error.message.includes('UNIQUE constraint failed')) {
@@ -333,7 +531,8 @@ async function adminRoutes(fastify, options) {
    * PUT /admin/api/templates/:id
    * Update an existing product template (metadata only, not parts)
    *
-   * Body parameters: Same as POST (except parts)
+   * Body parameters: Same as POST (except parts), plus
+   * - version (optional) - Template version the client last saw (409 if it changed since)
    */
   fastify.put('/admin/api/templates/:id', async (request, reply) => {
     try {
@@ -346,14 +545,25 @@ async function adminRoutes(fastify, options) {
         });
       }
 
-      const success = ProductTemplate.update(request.params.id, templateData);
+      const versionError = validateVersion(templateData.version);
+      if (versionError) {
+        return reply.code(400).send({ error: versionError });
+      }
+
+      const success = auditedCatalogChange(request, 'template', request.params.id, 'updated', () =>
+        ProductTemplate.update(request.params.id, templateData, templateData.version)
+      );
       if (!success) {
         return reply.code(404).send({ error: 'Template not found' });
       }
 
       const template = ProductTemplate.getById(request.params.id);
+      publishCatalogChange('template', request.params.id, 'updated');
       return { template, message: 'Template updated successfully' };
     } catch (error) {
+      if (error.code === VERSION_CONFLICT) {
+        return sendVersionConflict(reply, error);
+      }
       if (error.message.includes('UNIQUE constraint failed')) {
         return reply.code(409).send({ error: 'Template with this name already exists' });
       }
@@ -376,16 +586,14 @@ async function adminRoutes(fastify, options) {
       return reply.code(400).send({ error: 'part_id is required' });
     }
 
-    const success = ProductTemplate.addPart(
-      request.params.id,
-      part_id,
-      quantity || 1
+    const success = auditedCatalogChange(request, 'template', request.params.id, 'parts_changed', () =>
+      ProductTemplate.addPart(request.params.id, part_id, quantity || 1)
     );
 
     if (!success) {
       return reply.code(404).send({ error: 'Template or part not found' });
     }
-
+    publishCatalogChange('template', request.params.id, 'part_added');
     return { message: 'Part added to template successfully' };
   });
 
@@ -403,16 +611,14 @@ async function adminRoutes(fastify, options) {
       return reply.code(400).send({ error: 'quantity must be at least 1' });
     }
 
-    const success = ProductTemplate.updatePartQuantity(
-      request.params.id,
-      request.params.partId,
-      quantity
+    const success = auditedCatalogChange(request, 'template', request.params.id, 'parts_changed', () =>
+      ProductTemplate.updatePartQuantity(request.params.id, request.params.partId, quantity)
     );
 
     if (!success) {
       return reply.code(404).send({ error: 'Template or part not found' });
     }
-
+    publishCatalogChange('template', request.params.id, 'part_updated');
     return { message: 'Part quantity updated successfully' };
   });
 
@@ -421,15 +627,14 @@ async function adminRoutes(fastify, options) {
    * Remove a part from a template
    */
   fastify.delete('/admin/api/templates/:id/parts/:partId', async (request, reply) => {
-    const success = ProductTemplate.removePart(
-      request.params.id,
-      request.params.partId
+    const success = auditedCatalogChange(request, 'template', request.params.id, 'parts_changed', () =>
+      ProductTemplate.removePart(request.params.id, request.params.partId)
     );
 
     if (!success) {
       return reply.code(404).send({ error: 'Template or part not found' });
     }
-
+    publishCatalogChange('template', request.params.id, 'part_removed');
     return { message: 'Part removed from template successfully' };
   });
 
@@ -438,10 +643,13 @@ async function adminRoutes(fastify, options) {
    * Deactivate a template (soft delete)
    */
   fastify.delete('/admin/api/templates/:id', async (request, reply) => {
-    const success = ProductTemplate.deactivate(request.params.id);
+    const success = auditedCatalogChange(request, 'template', request.params.id, 'deactivated', () =>
+      ProductTemplate.deactivate(request.params.id)
+    );
     if (!success) {
       return reply.code(404).send({ error: 'Template not found' });
     }
+    publishCatalogChange('template', request.params.id, 'deactivated');
     return { message: 'Template deactivated successfully' };
   });
 
@@ -450,12 +658,138 @@ async function adminRoutes(fastify, options) {
    * Reactivate a deactivated template
    */
   fastify.post('/admin/api/templates/:id/activate', async (request, reply) => {
-    const success = ProductTemplate.activate(request.params.id);
+    const success = auditedCatalogChange(request, 'template', request.params.id, 'activated', () =>
+      ProductTemplate.activate(request.params.id)
+    );
     if (!success) {
       return reply.code(404).send({ error: 'Template not found' });
     }
+    publishCatalogChange('template', request.params.id, 'activated');
     return { message: 'Template activated successfully' };
   });
+
+  // ============================================================================
+  // PRINTER API ENDPOINTS
+  // ============================================================================
+
+  /**
+   * GET /admin/api/printers
+   * Get all printers with their AMS slots (active by default, or all if includeInactive=true)
+   */
+  fastify.get('/admin/api/printers', async (request, reply) => {
+    const includeInactive = request.query.includeInactive === 'true';
+    const printers = Printer.getAll(includeInactive);
+    return { printers };
+  });
+
+  /**
+   * GET /admin/api/printers/:id
+   * Get a specific printer with its AMS slots
+   */
+  fastify.get('/admin/api/printers/:id', async (request, reply) => {
+    const printer = Printer.getById(request.params.id);
+    if (!printer) {
+      return reply.code(404).send({ error: 'Printer not found' });
+    }
+    return { printer };
+  });
+
+  /**
+   * POST /admin/api/printers
+   * Create a new printer
+   *
+   * Body parameters:
+   * - printer_name (required)
+   * - printer_model (optional) - e.g. "Bambu Lab X1C"
+   * - build_volume (optional) - e.g. "256x256x256"
+   * - status (optional) - Idle, Printing, Maintenance or Offline (default: Idle)
+   * - slots (optional) - Up to 4 color IDs (null for an empty slot), in AMS slot order
+   */
+  fastify.post('/admin/api/printers', async (request, reply) => {
+    const printerData = request.body || {};
+
+    // Validation
+    const validationError = Printer.validate(printerData);
+    if (validationError) {
+      return reply.code(400).send({ error: validationError });
+    }
+
+    try {
+      const printer = Printer.create(printerData);
+      publishCatalogChange('printer', printer.printer_id, 'created');
+      return reply.code(201).send({ printer, message: 'Printer created successfully' });
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        return reply.code(409).send({ error: 'Printer with this name already exists' });
+      }
+      throw error;
+    }
+  });
+
+  /**
+   * PUT /admin/api/printers/:id
+   * Update an existing printer (slots are replaced if given)
+   *
+   * Body parameters: Same as POST (all optional), plus
+   * - version (optional) - Printer version the client last saw (409 if it changed since)
+   */
+  fastify.put('/admin/api/printers/:id', async (request, reply) => {
+    const printerData = request.body || {};
+
+    // Validation
+    const validationError = Printer.validate(printerData, true);
+    if (validationError) {
+      return reply.code(400).send({ error: validationError });
+    }
+    const versionError = validateVersion(printerData.version);
+    if (versionError) {
+      return reply.code(400).send({ error: versionError });
+    }
+
+    try {
+      const printer = Printer.update(request.params.id, printerData, printerData.version);
+      if (!printer) {
+        return reply.code(404).send({ error: 'Printer not found' });
+      }
+
+      publishCatalogChange('printer', printer.printer_id, 'updated');
+      return { printer, message: 'Printer updated successfully' };
+    } catch (error) {
+      if (error.code === VERSION_CONFLICT) {
+        return sendVersionConflict(reply, error);
+      }
+      if (error.message.includes('UNIQUE constraint failed')) {
+        return reply.code(409).send({ error: 'Printer with this name already exists' });
+      }
+      throw error;
+    }
+  });
+
+  /**
+   * DELETE /admin/api/printers/:id
+   * Deactivate a printer (soft delete)
+   */
+  fastify.delete('/admin/api/printers/:id', async (request, reply) => {
+    const success = Printer.deactivate(request.params.id);
+    if (!success) {
+      return reply.code(404).send({ error: 'Printer not found' });
+    }
+    publishCatalogChange('printer', request.params.id, 'deactivated');
+    return { message: 'Printer deactivated successfully' };
+  });
+
+  /**
+   * POST /admin/api/printers/:id/activate
+   * Reactivate a deactivated printer
+   */
+  fastify.post('/admin/api/printers/:id/activate', async (request, reply) => {
+    const success = Printer.activate(request.params.id);
+    if (!success) {
+      return reply.code(404).send({ error: 'Printer not found' });
+    }
+    publishCatalogChange('printer', request.params.id, 'activated');
+    return { message: 'Printer activated successfully' };
+  });
 }
 
 module.exports = adminRoutes;
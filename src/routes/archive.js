@@ -0,0 +1,140 @@
+/**
+ * Archive Routes
+ *
+ * Browse and export shipped (archived) orders:
+ * - /archive - Archive browser with search, paging and expandable orders
+ * - /api/archive - Paged JSON search
+ * - /api/archive/export.csv - Streaming CSV export of the filtered set
+ * - /api/archive/:id - Archived order with products, items and status history
+ */
+
+const { Readable } = require('stream');
+const Archive = require('../models/Archive');
+const Order = require('../models/Order');
+const { toCsvLine } = require('../utils/csv');
+const { formatTimestamp } = require('../utils/viewHelpers');
+
+// Columns of the CSV export (header row)
+const CSV_COLUMNS = [
+  'order_number', 'customer_name', 'platform', 'is_express', 'ship_by_date',
+  'created_at', 'shipped_at', 'product_count', 'item_count', 'products', 'order_notes'
+];
+
+/**
+ * Read the archive filters from the query string
+ * @param {Object} query - request.query
+ * @returns {Object} { search, platform, shipped_from, shipped_to }
+ */
+function getFilters(query) {
+  return {
+    search: (query.search || '').trim(),
+    platform: query.platform || '',
+    shipped_from: query.shipped_from || '',
+    shipped_to: query.shipped_to || ''
+  };
+}
+
+async function archiveRoutes(fastify, options) {
+  /**
+   * GET /archive
+   * Archive browser page
+   *
+   * Query parameters: search, platform, shipped_from, shipped_to, page
+   */
+  fastify.get('/archive', async (request, reply) => {
+    const filters = getFilters(request.query);
+    const error = Archive.validateFilters(filters);
+
+    const result = error
+      ? { orders: [], total: 0, page: 1, page_size: Archive.DEFAULT_PAGE_SIZE, total_pages: 1 }
+      : Archive.search(filters, { page: request.query.page });
+
+    // Expanded details (products, items, history) for the orders on this page
+    const orders = result.orders.map(order => Archive.getById(order.order_id));
+
+    return reply.view('archive.ejs', {
+      ...result,
+      orders,
+      filters,
+      error,
+      platforms: Order.PLATFORMS,
+      formatTimestamp,
+      title: 'Archive - ToT Print Farm'
+    });
+  });
+
+  /**
+   * GET /api/archive
+   * Search archived orders
+   *
+   * Query parameters:
+   * - search (optional) - Match order number or customer name
+   * - platform (optional) - Filter by platform
+   * - shipped_from / shipped_to (optional) - shipped_at date range (YYYY-MM-DD, inclusive)
+   * - page, page_size (optional) - Paging (default page size 25, max 100)
+   */
+  fastify.get('/api/archive', async (request, reply) => {
+    const filters = getFilters(request.query);
+    const error = Archive.validateFilters(filters);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    return Archive.search(filters, {
+      page: request.query.page,
+      page_size: request.query.page_size
+    });
+  });
+
+  /**
+   * GET /api/archive/export.csv
+   * Download the filtered archive as CSV (same filters as /api/archive, no paging)
+   * Rows are streamed in batches, so large exports don't load every order at once.
+   */
+  fastify.get('/api/archive/export.csv', async (request, reply) => {
+    const filters = getFilters(request.query);
+    const error = Archive.validateFilters(filters);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    function* lines() {
+      yield toCsvLine(CSV_COLUMNS);
+      for (const order of Archive.iterateForExport(filters)) {
+        yield toCsvLine([
+          order.order_number,
+          order.customer_name,
+          order.platform,
+          order.is_express ? 'yes' : 'no',
+          order.ship_by_date,
+          order.created_at,
+          order.shipped_at,
+          order.product_count,
+          order.item_count,
+          order.product_names,
+          order.order_notes
+        ]);
+      }
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    reply
+      .header('Content-Type', 'text/csv; charset=utf-8')
+      .header('Content-Disposition', `attachment; filename="archive-${date}.csv"`);
+    return reply.send(Readable.from(lines()));
+  });
+
+  /**
+   * GET /api/archive/:id
+   * Get an archived order with products, items, colors, parts and status history
+   */
+  fastify.get('/api/archive/:id', async (request, reply) => {
+    const order = Archive.getById(request.params.id);
+    if (!order) {
+      return reply.code(404).send({ error: 'Archived order not found' });
+    }
+    return { order };
+  });
+}
+
+module.exports = archiveRoutes;
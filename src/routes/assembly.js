@@ -0,0 +1,78 @@
+/**
+ * Assembly Routes
+ *
+ * Handles the Assembly/QC view (iPad station):
+ * - /assembly - Products whose items are all "Printed", grouped by order
+ * - /api/products/:id/assemble - Mark a whole product as assembled
+ */
+
+const Item = require('../models/Item');
+const Product = require('../models/Product');
+const events = require('../utils/events');
+const { VERSION_CONFLICT, validateVersionMap } = require('../utils/concurrency');
+const { sendTransitionError, sendVersionConflict } = require('../utils/responses');
+const { getIdentity } = require('../utils/actor');
+const { shipByClass } = require('../utils/viewHelpers');
+
+async function assemblyRoutes(fastify, options) {
+  /**
+   * GET /assembly
+   * Assembly/QC page
+   */
+  fastify.get('/assembly', async (request, reply) => {
+    const orders = Product.getReadyForAssembly();
+
+    return reply.view('assembly.ejs', {
+      orders,
+      shipByClass,
+      title: 'Assembly - ToT Print Farm'
+    });
+  });
+
+  /**
+   * POST /api/products/:id/assemble
+   * Move every item of a product from "Printed" to "Assembled"
+   * Rejected with 422 unless all items are "Printed".
+   *
+   * Body parameters:
+   * - versions (optional) - Object of item_id -> version the client last saw
+   */
+  fastify.post('/api/products/:id/assemble', async (request, reply) => {
+    const { id } = request.params;
+    const { versions } = request.body || {};
+
+    const versionError = validateVersionMap(versions);
+    if (versionError) {
+      return reply.code(400).send({ error: versionError });
+    }
+
+    try {
+      const product = Product.markAssembled(id, versions, getIdentity(request));
+      if (!product) {
+        return reply.code(404).send({ error: 'Product not found' });
+      }
+      events.publish(events.EVENT_TYPES.ITEM_STATUS_CHANGED, {
+        item_ids: product.items.map(item => item.item_id),
+        status: 'Assembled'
+      });
+      return { product, message: `"${product.product_name}" marked as assembled` };
+    } catch (error) {
+      if (error.code === Product.PRODUCT_NOT_READY) {
+        return reply.code(422).send({
+          error: error.message,
+          product_id: Number(id),
+          not_ready_items: error.not_ready_items
+        });
+      }
+      if (error.code === VERSION_CONFLICT) {
+        return sendVersionConflict(reply, error);
+      }
+      if (error.code === Item.INVALID_TRANSITION) {
+        return sendTransitionError(reply, error);
+      }
+      throw error;
+    }
+  });
+}
+
+module.exports = assemblyRoutes;
@@ -0,0 +1,93 @@
+/**
+ * Audit Routes
+ *
+ * Who changed which color, part or product template, and what changed:
+ * - /admin/history - Change feed with filters
+ * - /admin/api/audit - Change feed (JSON)
+ * - /admin/api/audit/:entity/:id - History of one record (admin → History buttons)
+ *
+ * Entries are written by the admin routes and the catalog import (see AuditLog).
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { formatTimestamp } = require('../utils/viewHelpers');
+
+/**
+ * Read the feed filters from the query string
+ * @param {Object} query - request.query
+ * @returns {Object} { entity_type, action, actor, field, search, from, to }
+ */
+function getFilters(query) {
+  return {
+    entity_type: query.entity_type || '',
+    action: query.action || '',
+    actor: query.actor || '',
+    field: (query.field || '').trim(),
+    search: (query.search || '').trim(),
+    from: query.from || '',
+    to: query.to || ''
+  };
+}
+
+async function auditRoutes(fastify, options) {
+  /**
+   * GET /admin/history
+   * Change feed page
+   *
+   * Query parameters: entity_type, action, actor, field, search, from, to
+   */
+  fastify.get('/admin/history', async (request, reply) => {
+    const filters = getFilters(request.query);
+    const error = AuditLog.validateFilters(filters);
+
+    return reply.view('history.ejs', {
+      entries: error ? [] : AuditLog.getFeed(filters),
+      filters,
+      error,
+      entityTypes: AuditLog.ENTITY_TYPES,
+      actions: AuditLog.ACTIONS,
+      actors: AuditLog.getActors(),
+      limit: AuditLog.FEED_LIMIT,
+      formatTimestamp,
+      title: 'Change History - ToT Print Farm'
+    });
+  });
+
+  /**
+   * GET /admin/api/audit
+   * Change feed, newest first
+   *
+   * Query parameters:
+   * - entity_type (optional) - color, part or template
+   * - action (optional) - created, updated, deactivated, activated or parts_changed
+   * - actor (optional) - Who made the change
+   * - field (optional) - Only changes to this field, e.g. cost_per_gram
+   * - search (optional) - Part of the record's name
+   * - from / to (optional) - Date range (YYYY-MM-DD, inclusive)
+   * - limit (optional) - Number of entries (default 100, max 500)
+   */
+  fastify.get('/admin/api/audit', async (request, reply) => {
+    const filters = getFilters(request.query);
+    const error = AuditLog.validateFilters(filters);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    return { entries: AuditLog.getFeed({ ...filters, limit: request.query.limit }) };
+  });
+
+  /**
+   * GET /admin/api/audit/:entity/:id
+   * History of one color, part or template, newest first
+   */
+  fastify.get('/admin/api/audit/:entity/:id', async (request, reply) => {
+    const { entity, id } = request.params;
+    if (!AuditLog.ENTITY_TYPES.includes(entity)) {
+      return reply.code(404).send({ error: `Unknown entity "${entity}" (use ${AuditLog.ENTITY_TYPES.join(', ')})` });
+    }
+
+    return { entries: AuditLog.getHistory(entity, id) };
+  });
+}
+
+module.exports = auditRoutes;
@@ -0,0 +1,187 @@
+/**
+ * Sign-In Routes
+ *
+ * Handles signing in and out (access rules are in src/utils/auth.js):
+ * - /login - Sign-in page and username/password sign-in
+ * - /switch-user - Pick a user and enter their PIN (shared iPads)
+ * - /login/pin - PIN sign-in (only from a browser that is already signed in or paired)
+ * - /login/device - Pair this browser with a station device token
+ * - /logout - Sign out
+ * - /logout/device - Unpair this browser
+ */
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Device = require('../models/Device');
+const { HOME_PAGES, canAccess, sessionCookie, deviceCookie, getSessionToken } = require('../utils/auth');
+
+/**
+ * Get a safe page to continue to after signing in
+ * @param {string} next - Requested page (from the sign-in link)
+ * @param {string} role - Role of the signed-in user or paired device
+ * @returns {string} A local path the role may open (its home page otherwise)
+ */
+function getRedirect(next, role) {
+  const isLocal = typeof next === 'string' && next.startsWith('/') && !next.startsWith('//');
+  if (isLocal && !next.startsWith('/login') && canAccess(role, 'GET', next)) {
+    return next;
+  }
+  return HOME_PAGES[role];
+}
+
+/**
+ * Start a session for a user and set the cookie (replaces the current session)
+ * @param {Object} request - Fastify request
+ * @param {Object} reply - Fastify reply
+ * @param {Object} user - The user who signed in
+ * @param {string} next - Requested page
+ * @returns {Object} { user, redirect }
+ */
+function signIn(request, reply, user, next) {
+  Session.destroy(getSessionToken(request));
+  const token = Session.create(user.user_id, request.headers['user-agent']);
+  reply.header('Set-Cookie', sessionCookie(token));
+  return { user, redirect: getRedirect(next, user.role) };
+}
+
+async function authRoutes(fastify, options) {
+  /**
+   * GET /login
+   * Sign-in page
+   */
+  fastify.get('/login', async (request, reply) => {
+    return reply.view('login.ejs', {
+      mode: 'login',
+      next: request.query.next || '',
+      hasUsers: User.getAll(true).length > 0,
+      pinUsers: [],
+      denied: false,
+      title: 'Sign In - ToT Print Farm'
+    });
+  });
+
+  /**
+   * POST /login
+   * Sign in with username and password
+   *
+   * Body parameters:
+   * - username (required)
+   * - password (required)
+   * - next (optional) - Page to continue to
+   */
+  fastify.post('/login', async (request, reply) => {
+    const { username, password, next } = request.body || {};
+    if (!username || !password) {
+      return reply.code(400).send({ error: 'username and password are required' });
+    }
+
+    try {
+      const user = User.authenticate(username, password);
+      if (!user) {
+        return reply.code(401).send({ error: 'Wrong username or password' });
+      }
+      Session.purgeExpired();
+      return signIn(request, reply, user, next);
+    } catch (error) {
+      if (error.code === User.ACCOUNT_LOCKED) {
+        return reply.code(429).send({ error: error.message });
+      }
+      throw error;
+    }
+  });
+
+  /**
+   * GET /switch-user
+   * Pick a user and enter their PIN
+   *
+   * Query parameters:
+   * - next (optional) - Page to continue to
+   * - denied (optional) - Set when the current user may not open that page
+   */
+  fastify.get('/switch-user', async (request, reply) => {
+    return reply.view('login.ejs', {
+      mode: 'switch',
+      next: request.query.next || '',
+      hasUsers: true,
+      pinUsers: User.getPinUsers(),
+      denied: request.query.denied === '1',
+      title: 'Switch User - ToT Print Farm'
+    });
+  });
+
+  /**
+   * POST /login/pin
+   * Switch to another user with their PIN
+   *
+   * PINs are short, so they only work in a browser someone already signed in
+   * to with a password or a paired device (the access rules require one of
+   * them for this route).
+   *
+   * Body parameters:
+   * - user_id (required)
+   * - pin (required)
+   * - next (optional) - Page to continue to
+   */
+  fastify.post('/login/pin', async (request, reply) => {
+    const { user_id, pin, next } = request.body || {};
+    if (!user_id || !pin) {
+      return reply.code(400).send({ error: 'user_id and pin are required' });
+    }
+
+    try {
+      const user = User.authenticatePin(user_id, pin);
+      if (!user) {
+        return reply.code(401).send({ error: 'Wrong PIN' });
+      }
+      return signIn(request, reply, user, next);
+    } catch (error) {
+      if (error.code === User.ACCOUNT_LOCKED) {
+        return reply.code(429).send({ error: error.message });
+      }
+      throw error;
+    }
+  });
+
+  /**
+   * POST /login/device
+   * Pair this browser with a station device (the token comes from Admin → Devices)
+   *
+   * Body parameters:
+   * - token (required) - Device token
+   * - next (optional) - Page to continue to
+   */
+  fastify.post('/login/device', async (request, reply) => {
+    const { token, next } = request.body || {};
+    if (!token) {
+      return reply.code(400).send({ error: 'token is required' });
+    }
+
+    const device = Device.authenticate(String(token).trim());
+    if (!device) {
+      return reply.code(401).send({ error: 'Unknown or deactivated device token' });
+    }
+    reply.header('Set-Cookie', deviceCookie(String(token).trim()));
+    return { device, redirect: getRedirect(next, device.role) };
+  });
+
+  /**
+   * POST /logout
+   * Sign out (a paired device goes back to the user switch)
+   */
+  fastify.post('/logout', async (request, reply) => {
+    Session.destroy(getSessionToken(request));
+    reply.header('Set-Cookie', sessionCookie(null));
+    return { message: 'Signed out', redirect: request.device ? '/switch-user' : '/login' };
+  });
+
+  /**
+   * POST /logout/device
+   * Unpair this browser from its device (the device itself stays active)
+   */
+  fastify.post('/logout/device', async (request, reply) => {
+    reply.header('Set-Cookie', deviceCookie(null));
+    return { message: 'Device unpaired', redirect: request.user ? HOME_PAGES[request.user.role] : '/login' };
+  });
+}
+
+module.exports = authRoutes;
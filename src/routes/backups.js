@@ -0,0 +1,168 @@
+/**
+ * Backup Routes
+ *
+ * Handles database backups (admin → Backups tab):
+ * - /admin/api/backups - List backups / take one now
+ * - /admin/api/backups/settings - Turn scheduled backups on/off and set their interval
+ * - /admin/api/backups/:file/download - Download a backup file
+ * - /admin/api/backups/:file/verify - Check a backup's checksum, integrity and schema version
+ * - /admin/api/backups/:file/restore - Replace the live database with a backup (guarded)
+ *
+ * Scheduling, retention and the restore steps live in src/utils/backup.js.
+ */
+
+const fs = require('fs');
+const backup = require('../utils/backup');
+const Setting = require('../models/Setting');
+const events = require('../utils/events');
+
+/**
+ * Send the 409 for a backup or restore that is already running, or rethrow
+ * @param {Object} reply - Fastify reply
+ * @param {Error} error - The error thrown
+ * @returns {Object} Fastify reply
+ */
+function sendBusyOrThrow(reply, error) {
+  if (error.code === 'BACKUP_BUSY') {
+    return reply.code(409).send({ error: error.message });
+  }
+  throw error;
+}
+
+async function backupRoutes(fastify, options) {
+  /**
+   * GET /admin/api/backups
+   * List backups (newest first) with the backup settings and retention policy
+   */
+  fastify.get('/admin/api/backups', async (request, reply) => {
+    return {
+      backups: backup.listBackups(),
+      backup_dir: backup.BACKUP_DIR,
+      enabled: Setting.get('backup_enabled', '1') === '1',
+      interval_hours: Setting.getNumber('backup_interval_hours', 1),
+      retention: backup.RETENTION
+    };
+  });
+
+  /**
+   * POST /admin/api/backups
+   * Take a backup now (retention is applied afterwards)
+   */
+  fastify.post('/admin/api/backups', async (request, reply) => {
+    try {
+      const result = await backup.createBackup('manual');
+      return reply.code(201).send({
+        ...result,
+        message: `Backup ${result.backup.file} created`
+          + (result.removed.length > 0 ? ` (${result.removed.length} old backup(s) removed)` : '')
+      });
+    } catch (error) {
+      return sendBusyOrThrow(reply, error);
+    }
+  });
+
+  /**
+   * PUT /admin/api/backups/settings
+   * Update the scheduled backup settings (the scheduler picks them up on its next check)
+   *
+   * Body parameters:
+   * - enabled (required) - true to take scheduled backups
+   * - interval_hours (required) - Hours between scheduled backups (more than 0)
+   */
+  fastify.put('/admin/api/backups/settings', async (request, reply) => {
+    const { enabled, interval_hours } = request.body || {};
+    const intervalHours = Number(interval_hours);
+    if (typeof enabled !== 'boolean') {
+      return reply.code(400).send({ error: 'enabled must be true or false' });
+    }
+    if (!Number.isFinite(intervalHours) || intervalHours <= 0) {
+      return reply.code(400).send({ error: 'interval_hours must be a number greater than 0' });
+    }
+
+    Setting.set('backup_enabled', enabled ? '1' : '0');
+    Setting.set('backup_interval_hours', intervalHours);
+    return {
+      enabled,
+      interval_hours: intervalHours,
+      message: enabled ? `Backups every ${intervalHours} hour(s)` : 'Scheduled backups turned off'
+    };
+  });
+
+  /**
+   * GET /admin/api/backups/:file/download
+   * Download a backup file
+   */
+  fastify.get('/admin/api/backups/:file/download', async (request, reply) => {
+    const backupPath = backup.getBackupPath(request.params.file);
+    if (!backupPath || !fs.existsSync(backupPath)) {
+      return reply.code(404).send({ error: 'Backup not found' });
+    }
+
+    reply
+      .header('Content-Type', 'application/vnd.sqlite3')
+      .header('Content-Disposition', `attachment; filename="${request.params.file}"`);
+    return reply.send(fs.createReadStream(backupPath));
+  });
+
+  /**
+   * POST /admin/api/backups/:file/verify
+   * Check a backup without restoring it
+   */
+  fastify.post('/admin/api/backups/:file/verify', async (request, reply) => {
+    const backupPath = backup.getBackupPath(request.params.file);
+    if (!backupPath || !fs.existsSync(backupPath)) {
+      return reply.code(404).send({ error: 'Backup not found' });
+    }
+
+    const result = await backup.verifyBackup(request.params.file);
+    return {
+      ok: result.ok,
+      errors: result.errors,
+      message: result.ok ? `${request.params.file} verified` : `${request.params.file} did not verify`
+    };
+  });
+
+  /**
+   * POST /admin/api/backups/:file/restore
+   * Replace the live database with a backup
+   *
+   * The backup is verified first, and the current database is backed up
+   * ("pre-restore") before anything is replaced.
+   *
+   * Body parameters:
+   * - confirm (required) - The backup's file name, typed again
+   */
+  fastify.post('/admin/api/backups/:file/restore', async (request, reply) => {
+    const { file } = request.params;
+    const backupPath = backup.getBackupPath(file);
+    if (!backupPath || !fs.existsSync(backupPath)) {
+      return reply.code(404).send({ error: 'Backup not found' });
+    }
+    if ((request.body || {}).confirm !== file) {
+      return reply.code(400).send({ error: 'Type the backup\'s file name to confirm the restore' });
+    }
+
+    let result;
+    try {
+      result = await backup.restoreBackup(file);
+    } catch (error) {
+      return sendBusyOrThrow(reply, error);
+    }
+    if (!result.ok) {
+      return reply.code(422).send({
+        error: `${file} did not verify - nothing was restored`,
+        errors: result.errors
+      });
+    }
+
+    // Everything may have changed - connected stations reload
+    events.publish(events.EVENT_TYPES.DATABASE_RESTORED, { file });
+
+    return {
+      ...result,
+      message: `Restored ${file}. The previous database was saved as ${result.pre_restore_backup}.`
+    };
+  });
+}
+
+module.exports = backupRoutes;
@@ -0,0 +1,144 @@
+/**
+ * Catalog Routes
+ *
+ * Handles the catalog import/export (admin → Import / Export tab):
+ * - /admin/api/catalog/:entity/export - Download colors, parts or templates as CSV or JSON
+ * - /admin/api/catalog/:entity/preview - Show what an import file would change
+ * - /admin/api/catalog/:entity/import - Import a file (one transaction, never deletes, audit logged)
+ *
+ * :entity is colors, parts or templates. See src/services/catalogTransfer.js for
+ * the file formats.
+ */
+
+const { FORMATS, isEntity, exportCatalog, previewImport, importCatalog } = require('../services/catalogTransfer');
+const events = require('../utils/events');
+const { getActor } = require('../utils/actor');
+
+// Catalog files can be large - allow more than Fastify's 1 MB default
+const FILE_BODY_LIMIT = 10 * 1024 * 1024;
+
+// Entity names used in catalog.changed events (as the admin routes publish them)
+const EVENT_ENTITIES = {
+  colors: 'color',
+  parts: 'part',
+  templates: 'template'
+};
+
+/**
+ * Check the entity and format of a request
+ * @param {string} entity - :entity route parameter
+ * @param {string} format - Requested format
+ * @returns {Object|null} { code, error } if invalid, null if OK
+ */
+function checkRequest(entity, format) {
+  if (!isEntity(entity)) {
+    return { code: 404, error: `Unknown catalog "${entity}" (use ${Object.keys(EVENT_ENTITIES).join(', ')})` };
+  }
+  if (!FORMATS.includes(format)) {
+    return { code: 400, error: `format must be one of: ${FORMATS.join(', ')}` };
+  }
+  return null;
+}
+
+async function catalogRoutes(fastify, options) {
+  /**
+   * GET /admin/api/catalog/:entity/export
+   * Download a catalog, inactive rows included
+   *
+   * Query parameters:
+   * - format (optional) - csv (default) or json
+   */
+  fastify.get('/admin/api/catalog/:entity/export', async (request, reply) => {
+    const { entity } = request.params;
+    const format = request.query.format || 'csv';
+    const invalid = checkRequest(entity, format);
+    if (invalid) {
+      return reply.code(invalid.code).send({ error: invalid.error });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    reply
+      .header('Content-Type', format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8')
+      .header('Content-Disposition', `attachment; filename="${entity}-${date}.${format}"`);
+    return exportCatalog(entity, format);
+  });
+
+  /**
+   * POST /admin/api/catalog/:entity/preview
+   * Compare an import file with the database (nothing is saved)
+   *
+   * Body parameters:
+   * - format (required) - csv or json
+   * - data (required) - File contents
+   */
+  fastify.post('/admin/api/catalog/:entity/preview', { bodyLimit: FILE_BODY_LIMIT }, async (request, reply) => {
+    const { entity } = request.params;
+    const { format, data } = request.body || {};
+    const invalid = checkRequest(entity, format);
+    if (invalid) {
+      return reply.code(invalid.code).send({ error: invalid.error });
+    }
+    if (!data) {
+      return reply.code(400).send({ error: 'data is required' });
+    }
+
+    try {
+      return previewImport(entity, format, data);
+    } catch (error) {
+      if (!error.code) {
+        return reply.code(400).send({ error: error.message });
+      }
+      throw error;
+    }
+  });
+
+  /**
+   * POST /admin/api/catalog/:entity/import
+   * Insert new and update changed rows from an import file
+   * (one transaction, nothing saved if any row is invalid)
+   *
+   * Body parameters:
+   * - format (required) - csv or json
+   * - data (required) - File contents
+   * - deactivate_missing (optional) - Deactivate active rows that aren't in the file
+   */
+  fastify.post('/admin/api/catalog/:entity/import', { bodyLimit: FILE_BODY_LIMIT }, async (request, reply) => {
+    const { entity } = request.params;
+    const { format, data, deactivate_missing } = request.body || {};
+    const invalid = checkRequest(entity, format);
+    if (invalid) {
+      return reply.code(invalid.code).send({ error: invalid.error });
+    }
+    if (!data) {
+      return reply.code(400).send({ error: 'data is required' });
+    }
+
+    let result;
+    try {
+      result = importCatalog(entity, format, data, { deactivate_missing, actor: getActor(request) });
+    } catch (error) {
+      if (!error.code) {
+        return reply.code(400).send({ error: error.message });
+      }
+      throw error;
+    }
+    if (result.errors.length > 0) {
+      return reply.code(400).send({
+        error: `${result.errors.length} row(s) can't be imported - nothing was saved`,
+        errors: result.errors
+      });
+    }
+
+    if (result.new_count + result.changed_count + result.deactivated_count > 0) {
+      events.publish(events.EVENT_TYPES.CATALOG_CHANGED, { entity: EVENT_ENTITIES[entity], id: null, action: 'imported' });
+    }
+
+    return {
+      ...result,
+      message: `${result.new_count} added, ${result.changed_count} updated, ${result.unchanged_count} unchanged`
+        + (result.deactivated_count > 0 ? `, ${result.deactivated_count} deactivated` : '')
+    };
+  });
+}
+
+module.exports = catalogRoutes;
@@ -0,0 +1,51 @@
+/**
+ * Costing Routes
+ *
+ * Handles costs and margins (PC station):
+ * - /margins - Cost and margin per open order (with sale price entry) and per template
+ * - /api/orders/:id/costs - Cost breakdown and margin of one order
+ * - /api/margins/templates - Estimated cost and realised margin per template
+ *
+ * Sale prices are set through PUT /api/orders/:id/products/:productId/price.
+ */
+
+const Order = require('../models/Order');
+const { getOrderCosts, getTemplateMargins } = require('../services/costing');
+
+async function costingRoutes(fastify, options) {
+  /**
+   * GET /margins
+   * Margins page - open orders with their costs, then every template
+   */
+  fastify.get('/margins', async (request, reply) => {
+    const orders = Order.getAll().map(order => getOrderCosts(order.order_id));
+
+    return reply.view('margins.ejs', {
+      orders,
+      ...getTemplateMargins(),
+      title: 'Margins - ToT Print Farm'
+    });
+  });
+
+  /**
+   * GET /api/orders/:id/costs
+   * Cost breakdown (per item, product and order) and margin of an order
+   */
+  fastify.get('/api/orders/:id/costs', async (request, reply) => {
+    const costs = getOrderCosts(request.params.id);
+    if (!costs) {
+      return reply.code(404).send({ error: 'Order not found' });
+    }
+    return costs;
+  });
+
+  /**
+   * GET /api/margins/templates
+   * Estimated cost and realised margin of every template
+   */
+  fastify.get('/api/margins/templates', async (request, reply) => {
+    return getTemplateMargins();
+  });
+}
+
+module.exports = costingRoutes;
@@ -0,0 +1,126 @@
+/**
+ * Device Routes
+ *
+ * Handles station devices (admin → Devices tab, admins only):
+ * - /admin/api/devices - List / add devices
+ * - /admin/api/devices/:id - Rename / change role / deactivate a device
+ * - /admin/api/devices/:id/activate - Reactivate a device
+ * - /admin/api/devices/:id/token - Regenerate a device's token
+ *
+ * A device token is only returned when the device is added or its token is
+ * regenerated. The station pairs itself by entering it on the sign-in page
+ * (or sends it as "Authorization: Bearer <token>").
+ */
+
+const Device = require('../models/Device');
+
+async function deviceRoutes(fastify, options) {
+  /**
+   * GET /admin/api/devices
+   * Get all devices (active by default, or all if includeInactive=true)
+   */
+  fastify.get('/admin/api/devices', async (request, reply) => {
+    const includeInactive = request.query.includeInactive === 'true';
+    return { devices: Device.getAll(includeInactive) };
+  });
+
+  /**
+   * POST /admin/api/devices
+   * Add a device
+   *
+   * Body parameters:
+   * - device_name (required) - e.g. "Printfarm iPad" (recorded as the station)
+   * - role (required) - order_entry, operator or packer
+   */
+  fastify.post('/admin/api/devices', async (request, reply) => {
+    const deviceData = request.body || {};
+    const error = Device.validate(deviceData);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    try {
+      const { device, token } = Device.create(deviceData);
+      return reply.code(201).send({ device, token, message: `Device ${device.device_name} added` });
+    } catch (err) {
+      if (err.message.includes('UNIQUE constraint failed')) {
+        return reply.code(409).send({ error: 'A device with this name already exists' });
+      }
+      throw err;
+    }
+  });
+
+  /**
+   * PUT /admin/api/devices/:id
+   * Rename a device or change its role
+   *
+   * Body parameters (all optional):
+   * - device_name
+   * - role
+   */
+  fastify.put('/admin/api/devices/:id', async (request, reply) => {
+    const { device_name, role } = request.body || {};
+    const updates = {};
+    if (device_name !== undefined) {
+      updates.device_name = device_name;
+    }
+    if (role !== undefined) {
+      updates.role = role;
+    }
+    const error = Device.validate(updates, true);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    try {
+      const device = Device.update(request.params.id, updates);
+      if (!device) {
+        return reply.code(404).send({ error: 'Device not found' });
+      }
+      return { device, message: `Device ${device.device_name} updated` };
+    } catch (err) {
+      if (err.message.includes('UNIQUE constraint failed')) {
+        return reply.code(409).send({ error: 'A device with this name already exists' });
+      }
+      throw err;
+    }
+  });
+
+  /**
+   * POST /admin/api/devices/:id/token
+   * Regenerate a device's token (the device has to be paired again)
+   */
+  fastify.post('/admin/api/devices/:id/token', async (request, reply) => {
+    const token = Device.regenerateToken(request.params.id);
+    if (!token) {
+      return reply.code(404).send({ error: 'Device not found' });
+    }
+    return { token, message: 'New token created - pair the device with it again' };
+  });
+
+  /**
+   * DELETE /admin/api/devices/:id
+   * Deactivate a device (soft delete - its token stops working)
+   */
+  fastify.delete('/admin/api/devices/:id', async (request, reply) => {
+    const success = Device.deactivate(request.params.id);
+    if (!success) {
+      return reply.code(404).send({ error: 'Device not found' });
+    }
+    return { message: 'Device deactivated' };
+  });
+
+  /**
+   * POST /admin/api/devices/:id/activate
+   * Reactivate a deactivated device
+   */
+  fastify.post('/admin/api/devices/:id/activate', async (request, reply) => {
+    const success = Device.activate(request.params.id);
+    if (!success) {
+      return reply.code(404).send({ error: 'Device not found' });
+    }
+    return { message: 'Device activated' };
+  });
+}
+
+module.exports = deviceRoutes;
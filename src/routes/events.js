@@ -0,0 +1,119 @@
+/**
+ * Event Stream Routes
+ *
+ * Server-Sent Events endpoint for live updates:
+ * - /events - Stream of events (see utils/events.js for the event types)
+ *
+ * Query parameters:
+ * - topics (optional) - Comma-separated topics to receive (e.g., "item,order");
+ *   all topics if omitted
+ *
+ * Clients that reconnect send Last-Event-ID (EventSource does this automatically)
+ * and get the events they missed. If those can't be replayed, a "resync" event
+ * tells the client to reload its data.
+ *
+ * Open streams are ended when the server closes (e.g. on SIGTERM), so shutting
+ * down doesn't wait for the stations to disconnect.
+ */
+
+const events = require('../utils/events');
+
+// Comment line sent periodically so proxies don't close idle connections
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// How long browsers wait before reconnecting after a dropped connection
+const RETRY_MS = 3000;
+
+/**
+ * Format an event for the SSE wire format
+ * @param {Object} event - Event from the event bus
+ * @returns {string} SSE message
+ */
+function formatEvent(event) {
+  return `id: ${event.id}\ndata: ${JSON.stringify({
+    type: event.type,
+    topic: event.topic,
+    data: event.data,
+    published_at: event.published_at
+  })}\n\n`;
+}
+
+async function eventRoutes(fastify, options) {
+  // End function of every open stream - hijacked responses aren't closed by
+  // fastify.close(), so the server would wait for the clients to leave. Ended
+  // in preClose: onClose hooks only run once the server has stopped, which
+  // these connections would hold up.
+  const openStreams = new Set();
+
+  fastify.addHook('preClose', async () => {
+    for (const end of openStreams) {
+      end();
+    }
+  });
+
+  /**
+   * GET /events
+   * Open a Server-Sent Events stream
+   */
+  fastify.get('/events', (request, reply) => {
+    const requested = (request.query.topics || '')
+      .split(',')
+      .map(topic => topic.trim())
+      .filter(Boolean);
+
+    const unknown = requested.filter(topic => !events.TOPICS.includes(topic));
+    if (unknown.length > 0) {
+      return reply.code(400).send({
+        error: `Unknown topic(s): ${unknown.join(', ')}. Available: ${events.TOPICS.join(', ')}`
+      });
+    }
+
+    const topics = requested.length > 0 ? requested : events.TOPICS;
+    // Every view shows database data - a restore concerns all of them
+    const wants = event => event.topic === 'database' || topics.includes(event.topic);
+
+    // Take over the raw response - the stream stays open until the client leaves
+    reply.hijack();
+    const res = reply.raw;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // Resume after a reconnect
+    const lastEventId = request.headers['last-event-id'] || request.query.lastEventId;
+    if (lastEventId) {
+      const missed = events.getEventsSince(lastEventId);
+      if (missed === null) {
+        res.write('event: resync\ndata: {}\n\n');
+      } else {
+        missed.filter(wants).forEach(event => res.write(formatEvent(event)));
+      }
+    }
+
+    const unsubscribe = events.subscribe(event => {
+      if (wants(event)) {
+        res.write(formatEvent(event));
+      }
+    });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    const end = () => {
+      if (!openStreams.delete(end)) {
+        return;
+      }
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+    openStreams.add(end);
+
+    request.raw.on('close', end);
+  });
+}
+
+module.exports = eventRoutes;
@@ -0,0 +1,75 @@
+/**
+ * Forecast Routes
+ *
+ * Handles the capacity forecast (PC station):
+ * - /forecast - Projected print completion per open order, late orders flagged
+ * - /api/forecast - The same forecast as JSON
+ *
+ * Both accept what-if overrides for the configured capacity (see getOverrides).
+ */
+
+const { forecast, validateOverrides } = require('../services/capacityForecast');
+const { formatMinutes, formatDateTime } = require('../utils/viewHelpers');
+
+/**
+ * Read the forecast overrides from the query string
+ * @param {Object} query - request.query
+ * @returns {Object} { printer_count, work_start_hour, work_end_hour } (only those given)
+ */
+function getOverrides(query) {
+  const overrides = {};
+  if (query.printers) {
+    overrides.printer_count = Number(query.printers);
+  }
+  if (query.work_start_hour) {
+    overrides.work_start_hour = Number(query.work_start_hour);
+  }
+  if (query.work_end_hour) {
+    overrides.work_end_hour = Number(query.work_end_hour);
+  }
+  return overrides;
+}
+
+async function forecastRoutes(fastify, options) {
+  /**
+   * GET /forecast
+   * Capacity forecast page
+   *
+   * Query parameters:
+   * - printers (optional) - Plan with this many printers instead of the configured count
+   * - work_start_hour / work_end_hour (optional) - Plan with different working hours
+   */
+  fastify.get('/forecast', async (request, reply) => {
+    const overrides = getOverrides(request.query);
+    const validationError = validateOverrides(overrides);
+    if (validationError) {
+      return reply.code(400).send({ error: validationError });
+    }
+
+    return reply.view('forecast.ejs', {
+      ...forecast(overrides),
+      overrides,
+      formatMinutes,
+      formatDateTime,
+      title: 'Capacity Forecast - ToT Print Farm'
+    });
+  });
+
+  /**
+   * GET /api/forecast
+   * Capacity forecast as JSON
+   *
+   * Query parameters: same as /forecast
+   */
+  fastify.get('/api/forecast', async (request, reply) => {
+    const overrides = getOverrides(request.query);
+    const validationError = validateOverrides(overrides);
+    if (validationError) {
+      return reply.code(400).send({ error: validationError });
+    }
+
+    return forecast(overrides);
+  });
+}
+
+module.exports = forecastRoutes;
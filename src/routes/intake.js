@@ -0,0 +1,394 @@
+/**
+ * Intake Routes
+ *
+ * Handles orders taken in from the shops (PC station):
+ * - /admin/intake - Review queue for shop lines that couldn't be mapped
+ * - /admin/api/intake/review - Review queue API (resolve / dismiss)
+ * - /admin/api/intake/etsy - Etsy "Sold Order Items" CSV import (preview / import)
+ * - /admin/api/sku-mappings - SKU mapping API (shop SKU -> template and colors,
+ *   CSV export/upload, SKU resolver)
+ */
+
+const Intake = require('../models/Intake');
+const SkuMapping = require('../models/SkuMapping');
+const ProductTemplate = require('../models/ProductTemplate');
+const Color = require('../models/Color');
+const { previewImport, importOrders } = require('../services/etsyImport');
+const { exportMappings, importMappings } = require('../services/skuMappingCsv');
+const events = require('../utils/events');
+const { formatTimestamp } = require('../utils/viewHelpers');
+const { VERSION_CONFLICT, validateVersion } = require('../utils/concurrency');
+const { sendVersionConflict } = require('../utils/responses');
+
+// CSV uploads (Etsy exports, SKU mappings) can be large - allow more than Fastify's 1 MB default
+const CSV_BODY_LIMIT = 10 * 1024 * 1024;
+
+async function intakeRoutes(fastify, options) {
+  // ============================================================================
+  // REVIEW QUEUE
+  // ============================================================================
+
+  /**
+   * GET /admin/intake
+   * Review queue page
+   */
+  fastify.get('/admin/intake', async (request, reply) => {
+    return reply.view('intake.ejs', {
+      lines: Intake.getReviewLines('Pending'),
+      templates: ProductTemplate.getAll(),
+      colors: Color.getAll(),
+      formatTimestamp,
+      title: 'Intake Review - ToT Print Farm'
+    });
+  });
+
+  /**
+   * GET /admin/api/intake/review
+   * Review queue lines
+   *
+   * Query parameters:
+   * - status (optional) - Pending (default), Resolved or Dismissed
+   */
+  fastify.get('/admin/api/intake/review', async (request, reply) => {
+    const status = request.query.status || 'Pending';
+    if (!Intake.REVIEW_STATUSES.includes(status)) {
+      return reply.code(400).send({ error: `status must be one of: ${Intake.REVIEW_STATUSES.join(', ')}` });
+    }
+    return { lines: Intake.getReviewLines(status) };
+  });
+
+  /**
+   * POST /admin/api/intake/review/:id/resolve
+   * Add a review line to its order as template products (one per quantity)
+   *
+   * Body parameters:
+   * - template_id (required)
+   * - color_ids (required) - Chosen color IDs in order, must match the template's num_colors
+   * - save_mapping (optional) - true to map the line's SKU (and variant) to this selection
+   *   so future orders are taken in automatically
+   */
+  fastify.post('/admin/api/intake/review/:id/resolve', async (request, reply) => {
+    const selection = request.body || {};
+
+    // Validation
+    if (!selection.template_id) {
+      return reply.code(400).send({ error: 'template_id is required' });
+    }
+
+    let result;
+    try {
+      result = Intake.resolveLine(request.params.id, selection);
+    } catch (error) {
+      if (error.code === Intake.REVIEW_NOT_PENDING) {
+        return reply.code(422).send({ error: error.message });
+      }
+      if (!error.code) {
+        return reply.code(400).send({ error: error.message });
+      }
+      throw error;
+    }
+    if (!result) {
+      return reply.code(404).send({ error: 'Review line not found' });
+    }
+
+    let mapping = null;
+    if (selection.save_mapping && result.line.external_sku) {
+      try {
+        mapping = SkuMapping.create({
+          platform: result.line.platform,
+          external_sku: result.line.external_sku,
+          external_variant: result.line.external_variant,
+          template_id: selection.template_id,
+          color_ids: selection.color_ids
+        });
+      } catch (error) {
+        // A mapping for this SKU already exists (e.g. deactivated) - the line is resolved anyway
+        if (!error.message.includes('UNIQUE constraint failed')) {
+          throw error;
+        }
+      }
+    }
+
+    events.publish(events.EVENT_TYPES.ORDER_UPDATED, { order_id: result.order.order_id });
+    return {
+      ...result,
+      mapping,
+      message: `Added to order ${result.order.order_number}${mapping ? ' and saved the SKU mapping' : ''}`
+    };
+  });
+
+  /**
+   * POST /admin/api/intake/review/:id/dismiss
+   * Dismiss a review line without adding it to an order
+   */
+  fastify.post('/admin/api/intake/review/:id/dismiss', async (request, reply) => {
+    let line;
+    try {
+      line = Intake.dismissLine(request.params.id);
+    } catch (error) {
+      if (error.code === Intake.REVIEW_NOT_PENDING) {
+        return reply.code(422).send({ error: error.message });
+      }
+      throw error;
+    }
+    if (!line) {
+      return reply.code(404).send({ error: 'Review line not found' });
+    }
+    return { line, message: 'Review line dismissed' };
+  });
+
+  // ============================================================================
+  // ETSY CSV IMPORT
+  // ============================================================================
+
+  /**
+   * POST /admin/api/intake/etsy/preview
+   * Show what an Etsy CSV import would do, without writing anything
+   *
+   * Body parameters:
+   * - csv (required) - Contents of Etsy's "Sold Order Items" CSV export
+   */
+  fastify.post('/admin/api/intake/etsy/preview', { bodyLimit: CSV_BODY_LIMIT }, async (request, reply) => {
+    const { csv } = request.body || {};
+    if (!csv) {
+      return reply.code(400).send({ error: 'csv is required' });
+    }
+
+    try {
+      return previewImport(csv);
+    } catch (error) {
+      return reply.code(400).send({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /admin/api/intake/etsy/import
+   * Import the orders from an Etsy CSV export (one transaction, duplicates skipped)
+   *
+   * Body parameters:
+   * - csv (required) - Contents of Etsy's "Sold Order Items" CSV export
+   */
+  fastify.post('/admin/api/intake/etsy/import', { bodyLimit: CSV_BODY_LIMIT }, async (request, reply) => {
+    const { csv } = request.body || {};
+    if (!csv) {
+      return reply.code(400).send({ error: 'csv is required' });
+    }
+
+    let result;
+    try {
+      result = importOrders(csv);
+    } catch (error) {
+      if (!error.code) {
+        return reply.code(400).send({ error: error.message });
+      }
+      throw error;
+    }
+
+    for (const { status, order } of result.results) {
+      if (status === 'created') {
+        events.publish(events.EVENT_TYPES.ORDER_CREATED, { order_id: order.order_id });
+      }
+    }
+
+    return {
+      ...result,
+      message: `Imported ${result.created_count} order(s), ${result.review_line_count} line(s) to review, `
+        + `${result.duplicate_count} duplicate(s) skipped`
+    };
+  });
+
+  // ============================================================================
+  // SKU MAPPING API ENDPOINTS
+  // ============================================================================
+
+  /**
+   * GET /admin/api/sku-mappings
+   * Get all SKU mappings (active by default, or all if includeInactive=true)
+   */
+  fastify.get('/admin/api/sku-mappings', async (request, reply) => {
+    const includeInactive = request.query.includeInactive === 'true';
+    return { mappings: SkuMapping.getAll(includeInactive) };
+  });
+
+  /**
+   * GET /admin/api/sku-mappings/resolve
+   * Test how a shop line would be taken in (nothing is written)
+   *
+   * Query parameters:
+   * - platform (required) - Shopify or Etsy
+   * - sku (required) - The shop's SKU
+   * - variant (optional) - The line's variant
+   */
+  fastify.get('/admin/api/sku-mappings/resolve', async (request, reply) => {
+    const { platform, sku, variant } = request.query;
+
+    // Validation
+    if (!SkuMapping.PLATFORMS.includes(platform)) {
+      return reply.code(400).send({ error: `platform must be one of: ${SkuMapping.PLATFORMS.join(', ')}` });
+    }
+    if (!sku) {
+      return reply.code(400).send({ error: 'sku is required' });
+    }
+
+    const mapped = Intake.mapLine(platform, { sku, variant: variant || '', quantity: 1, unit_price: null });
+    return {
+      mapped: !!mapped.products,
+      mapping: mapped.mapping || null,
+      colors: mapped.colors || [],
+      reason: mapped.reason || null
+    };
+  });
+
+  /**
+   * GET /admin/api/sku-mappings/export.csv
+   * Download the active SKU mappings as CSV (the format the upload takes)
+   */
+  fastify.get('/admin/api/sku-mappings/export.csv', async (request, reply) => {
+    const date = new Date().toISOString().slice(0, 10);
+    reply
+      .header('Content-Type', 'text/csv; charset=utf-8')
+      .header('Content-Disposition', `attachment; filename="sku-mappings-${date}.csv"`);
+    return exportMappings();
+  });
+
+  /**
+   * POST /admin/api/sku-mappings/import
+   * Create or update SKU mappings from CSV (one transaction, nothing saved on errors)
+   *
+   * Body parameters:
+   * - csv (required) - CSV text (see src/services/skuMappingCsv.js for the columns)
+   */
+  fastify.post('/admin/api/sku-mappings/import', { bodyLimit: CSV_BODY_LIMIT }, async (request, reply) => {
+    const { csv } = request.body || {};
+    if (!csv) {
+      return reply.code(400).send({ error: 'csv is required' });
+    }
+
+    let result;
+    try {
+      result = importMappings(csv);
+    } catch (error) {
+      if (!error.code) {
+        return reply.code(400).send({ error: error.message });
+      }
+      throw error;
+    }
+    if (result.errors.length > 0) {
+      return reply.code(400).send({
+        error: `${result.errors.length} line(s) can't be used - nothing was saved`,
+        errors: result.errors
+      });
+    }
+
+    return {
+      ...result,
+      message: `${result.created_count} mapping(s) created, ${result.updated_count} updated, `
+        + `${result.unchanged_count} unchanged`
+    };
+  });
+
+  /**
+   * GET /admin/api/sku-mappings/:id
+   * Get a specific SKU mapping
+   */
+  fastify.get('/admin/api/sku-mappings/:id', async (request, reply) => {
+    const mapping = SkuMapping.getById(request.params.id);
+    if (!mapping) {
+      return reply.code(404).send({ error: 'SKU mapping not found' });
+    }
+    return { mapping };
+  });
+
+  /**
+   * POST /admin/api/sku-mappings
+   * Create a new SKU mapping
+   *
+   * Body parameters:
+   * - platform (required) - Shopify or Etsy
+   * - external_sku (required) - The shop's SKU
+   * - external_variant (optional) - Only this variant of the SKU (empty = every variant)
+   * - template_id (required) - The product template it maps to
+   * - color_rule (optional) - fixed (default) or variant (colors named in the line's variant
+   *   fill the slots after the fixed colors)
+   * - color_ids (optional) - Fixed colors in order (up to 4)
+   * - notes (optional)
+   */
+  fastify.post('/admin/api/sku-mappings', async (request, reply) => {
+    const mappingData = request.body || {};
+
+    // Validation
+    const validationError = SkuMapping.validate(mappingData);
+    if (validationError) {
+      return reply.code(400).send({ error: validationError });
+    }
+
+    try {
+      const mapping = SkuMapping.create(mappingData);
+      return reply.code(201).send({ mapping, message: 'SKU mapping created successfully' });
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        return reply.code(409).send({ error: 'This SKU and variant are already mapped' });
+      }
+      throw error;
+    }
+  });
+
+  /**
+   * PUT /admin/api/sku-mappings/:id
+   * Update an existing SKU mapping (colors are replaced if color_ids is given)
+   *
+   * Body parameters: Same as POST (all optional), plus
+   * - version (optional) - Mapping version the client last saw (409 if it changed since)
+   */
+  fastify.put('/admin/api/sku-mappings/:id', async (request, reply) => {
+    const mappingData = request.body || {};
+
+    // Validation
+    const validationError = SkuMapping.validate(mappingData, true) || validateVersion(mappingData.version);
+    if (validationError) {
+      return reply.code(400).send({ error: validationError });
+    }
+
+    try {
+      const mapping = SkuMapping.update(request.params.id, mappingData, mappingData.version);
+      if (!mapping) {
+        return reply.code(404).send({ error: 'SKU mapping not found' });
+      }
+      return { mapping, message: 'SKU mapping updated successfully' };
+    } catch (error) {
+      if (error.code === VERSION_CONFLICT) {
+        return sendVersionConflict(reply, error);
+      }
+      if (error.message.includes('UNIQUE constraint failed')) {
+        return reply.code(409).send({ error: 'This SKU and variant are already mapped' });
+      }
+      throw error;
+    }
+  });
+
+  /**
+   * DELETE /admin/api/sku-mappings/:id
+   * Deactivate a SKU mapping (soft delete)
+   */
+  fastify.delete('/admin/api/sku-mappings/:id', async (request, reply) => {
+    const success = SkuMapping.deactivate(request.params.id);
+    if (!success) {
+      return reply.code(404).send({ error: 'SKU mapping not found' });
+    }
+    return { message: 'SKU mapping deactivated successfully' };
+  });
+
+  /**
+   * POST /admin/api/sku-mappings/:id/activate
+   * Reactivate a deactivated SKU mapping
+   */
+  fastify.post('/admin/api/sku-mappings/:id/activate', async (request, reply) => {
+    const success = SkuMapping.activate(request.params.id);
+    if (!success) {
+      return reply.code(404).send({ error: 'SKU mapping not found' });
+    }
+    return { message: 'SKU mapping activated successfully' };
+  });
+}
+
+module.exports = intakeRoutes;
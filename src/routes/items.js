@@ -0,0 +1,267 @@
+/**
+ * Item Routes
+ *
+ * Handles the item REST API. All status changes go through the Item model's
+ * transition rules - invalid moves are rejected with 422 and the allowed next statuses.
+ * The status endpoints only move items forward: back to "In Queue" is a reprint,
+ * which needs a reason and flags the parts to print again (/reprint). Assembly is
+ * done per product once all its items are printed (POST /api/products/:id/assemble),
+ * packing and shipping per order (POST /api/orders/:id/pack and /ship, which also
+ * archives the order).
+ * - GET  /api/items/:id - Get an item with its allowed next statuses
+ * - GET  /api/items/:id/history - Get an item's status history
+ * - POST /api/items/:id/status - Change one item's status
+ * - POST /api/items/status - Change several items' status in one transaction
+ * - POST /api/items/:id/reprint - Send an item (or some of its parts) back to the queue
+ * - POST /api/items/:id/printer - Assign an item in the print farm to a printer
+ */
+
+const Item = require('../models/Item');
+const Printer = require('../models/Printer');
+const events = require('../utils/events');
+const { VERSION_CONFLICT, validateVersion, validateVersionMap } = require('../utils/concurrency');
+const { sendTransitionError, sendVersionConflict } = require('../utils/responses');
+const { getIdentity } = require('../utils/actor');
+
+// Statuses the status endpoints refuse (422), with the endpoint that makes the move instead
+const ROUTED_STATUS_ERRORS = {
+  'In Queue': 'Items go back to "In Queue" only through a reprint - '
+    + 'use POST /api/items/:id/reprint with a reason and the parts to reprint',
+  Assembled: 'Items are assembled per product, once all its items are printed - '
+    + 'use POST /api/products/:id/assemble',
+  Packed: 'Items are packed per order - use POST /api/orders/:id/pack',
+  Shipped: 'Items are shipped per order - use POST /api/orders/:id/ship (it also archives the order)'
+};
+
+async function itemRoutes(fastify, options) {
+  /**
+   * GET /api/items/:id
+   * Get an item with its order/product context and allowed next statuses
+   */
+  fastify.get('/api/items/:id', async (request, reply) => {
+    const item = Item.getById(request.params.id);
+    if (!item) {
+      return reply.code(404).send({ error: 'Item not found' });
+    }
+    return {
+      item,
+      allowed_statuses: item.is_archived ? [] : Item.getAllowedTransitions(item.status)
+    };
+  });
+
+  /**
+   * GET /api/items/:id/history
+   * Get the full status history of an item (oldest first)
+   */
+  fastify.get('/api/items/:id/history', async (request, reply) => {
+    const item = Item.getById(request.params.id);
+    if (!item) {
+      return reply.code(404).send({ error: 'Item not found' });
+    }
+    return { history: Item.getHistory(request.params.id) };
+  });
+
+  /**
+   * POST /api/items/:id/status
+   * Change the status of one item
+   *
+   * Body parameters:
+   * - status (required) - The new status ("In Queue", "Assembled", "Packed" and "Shipped"
+   *   are rejected with 422 - use /reprint, the product's /assemble or the order's /pack and /ship)
+   * - reason (optional) - Stored in status_history
+   * - version (optional) - Item version the client last saw (409 if it changed since)
+   */
+  fastify.post('/api/items/:id/status', async (request, reply) => {
+    const { status, reason, version } = request.body || {};
+
+    if (!Item.STATUSES.includes(status)) {
+      return reply.code(400).send({
+        error: `status must be one of: ${Item.STATUSES.join(', ')}`
+      });
+    }
+    if (ROUTED_STATUS_ERRORS[status]) {
+      return reply.code(422).send({ error: ROUTED_STATUS_ERRORS[status] });
+    }
+    const versionError = validateVersion(version);
+    if (versionError) {
+      return reply.code(400).send({ error: versionError });
+    }
+
+    try {
+      const item = Item.transitionStatus(request.params.id, status, reason, version, getIdentity(request));
+      if (!item) {
+        return reply.code(404).send({ error: 'Item not found' });
+      }
+      events.publish(events.EVENT_TYPES.ITEM_STATUS_CHANGED, { item_ids: [item.item_id], status });
+      return { item, message: `Item moved to ${status}` };
+    } catch (error) {
+      if (error.code === VERSION_CONFLICT) {
+        return sendVersionConflict(reply, error);
+      }
+      if (error.code === Item.INVALID_TRANSITION) {
+        return sendTransitionError(reply, error);
+      }
+      throw error;
+    }
+  });
+
+  /**
+   * POST /api/items/:id/reprint
+   * Flag an item (or individual parts) for reprint and move it back to "In Queue"
+   *
+   * Body parameters:
+   * - whole_item (optional) - true to reprint every part
+   * - part_ids (required unless whole_item) - Array of part IDs to reprint
+   * - reason (required) - Why the reprint is needed (stored in status_history)
+   * - version (optional) - Item version the client last saw (409 if it changed since)
+   */
+  fastify.post('/api/items/:id/reprint', async (request, reply) => {
+    const reprintRequest = request.body || {};
+    const { whole_item, part_ids, reason } = reprintRequest;
+
+    // Validation
+    if (!reason || !String(reason).trim()) {
+      return reply.code(400).send({ error: 'reason is required' });
+    }
+    const versionError = validateVersion(reprintRequest.version);
+    if (versionError) {
+      return reply.code(400).send({ error: versionError });
+    }
+    if (!whole_item) {
+      if (!Array.isArray(part_ids) || part_ids.length === 0) {
+        return reply.code(400).send({ error: 'Choose whole_item or at least one part in part_ids' });
+      }
+
+      const itemPartIds = Item.getParts(request.params.id).map(part => part.part_id);
+      const unknown = part_ids.filter(partId => !itemPartIds.includes(Number(partId)));
+      if (unknown.length > 0) {
+        return reply.code(400).send({
+          error: `Part(s) ${unknown.join(', ')} are not part of this item`
+        });
+      }
+    }
+
+    try {
+      const item = Item.reprint(request.params.id, reprintRequest, getIdentity(request));
+      if (!item) {
+        return reply.code(404).send({ error: 'Item not found' });
+      }
+      events.publish(events.EVENT_TYPES.ITEM_REPRINT, {
+        item_ids: [item.item_id],
+        status: item.status,
+        part_ids: item.parts.filter(part => part.needs_reprint).map(part => part.part_id)
+      });
+      return { item, message: 'Item sent back to the queue for reprint' };
+    } catch (error) {
+      if (error.code === VERSION_CONFLICT) {
+        return sendVersionConflict(reply, error);
+      }
+      if (error.code === Item.INVALID_TRANSITION) {
+        return sendTransitionError(reply, error);
+      }
+      throw error;
+    }
+  });
+
+  /**
+   * POST /api/items/:id/printer
+   * Assign an item "In Printfarm" to a printer (or clear the assignment)
+   *
+   * The assignment is allowed even if the printer doesn't have all of the item's
+   * colors loaded - the response lists them in missing_colors with a warning.
+   *
+   * Body parameters:
+   * - printer_id (required) - Printer ID, or null to unassign
+   * - version (optional) - Item version the client last saw (409 if it changed since)
+   */
+  fastify.post('/api/items/:id/printer', async (request, reply) => {
+    const { printer_id, version } = request.body || {};
+
+    const printerId = printer_id === null ? null : Number(printer_id);
+    if (printer_id === undefined || (printerId !== null && (!Number.isInteger(printerId) || printerId < 1))) {
+      return reply.code(400).send({ error: 'printer_id must be a printer ID or null' });
+    }
+    const versionError = validateVersion(version);
+    if (versionError) {
+      return reply.code(400).send({ error: versionError });
+    }
+
+    try {
+      const result = Printer.assignItem(request.params.id, printerId, version);
+      if (!result) {
+        return reply.code(404).send({ error: 'Item not found' });
+      }
+      events.publish(events.EVENT_TYPES.ITEM_PRINTER_ASSIGNED, {
+        item_ids: [result.item.item_id],
+        printer_id: result.item.printer_id
+      });
+
+      const { item, printer, missing_colors } = result;
+      let message = printer ? `Item assigned to ${printer.printer_name}` : 'Printer assignment cleared';
+      let warning = null;
+      if (missing_colors.length > 0) {
+        warning = `${printer.printer_name} doesn't have ${missing_colors.map(color => color.color_name).join(', ')} loaded`;
+        message = `${message} - ${warning}`;
+      }
+      return { item, missing_colors, warning, message };
+    } catch (error) {
+      if (error.code === VERSION_CONFLICT) {
+        return sendVersionConflict(reply, error);
+      }
+      if (error.code === Printer.ASSIGNMENT_NOT_ALLOWED) {
+        return reply.code(422).send({ error: error.message });
+      }
+      throw error;
+    }
+  });
+
+  /**
+   * POST /api/items/status
+   * Change the status of several items at once (all-or-nothing)
+   *
+   * Body parameters:
+   * - item_ids (required) - Array of item IDs
+   * - status (required) - The new status ("In Queue", "Assembled", "Packed" and "Shipped"
+   *   are rejected with 422 - use /reprint, the product's /assemble or the order's /pack and /ship)
+   * - reason (optional) - Stored in status_history
+   * - versions (optional) - Object of item_id -> version the client last saw
+   */
+  fastify.post('/api/items/status', async (request, reply) => {
+    const { item_ids, status, reason, versions } = request.body || {};
+
+    if (!Array.isArray(item_ids) || item_ids.length === 0) {
+      return reply.code(400).send({ error: 'item_ids must be a non-empty array' });
+    }
+    if (!Item.STATUSES.includes(status)) {
+      return reply.code(400).send({
+        error: `status must be one of: ${Item.STATUSES.join(', ')}`
+      });
+    }
+    if (ROUTED_STATUS_ERRORS[status]) {
+      return reply.code(422).send({ error: ROUTED_STATUS_ERRORS[status] });
+    }
+    const versionError = validateVersionMap(versions);
+    if (versionError) {
+      return reply.code(400).send({ error: versionError });
+    }
+
+    try {
+      const items = Item.transitionMany(item_ids, status, reason, versions, getIdentity(request));
+      if (!items) {
+        return reply.code(404).send({ error: 'One or more items not found' });
+      }
+      events.publish(events.EVENT_TYPES.ITEM_STATUS_CHANGED, { item_ids: items.map(item => item.item_id), status });
+      return { items, message: `${items.length} item(s) moved to ${status}` };
+    } catch (error) {
+      if (error.code === VERSION_CONFLICT) {
+        return sendVersionConflict(reply, error);
+      }
+      if (error.code === Item.INVALID_TRANSITION) {
+        return sendTransitionError(reply, error);
+      }
+      throw error;
+    }
+  });
+}
+
+module.exports = itemRoutes;
@@ -0,0 +1,285 @@
+/**
+ * Order Routes
+ *
+ * Handles the order REST API:
+ * - GET    /api/orders - List orders
+ * - GET    /api/orders/next-number - Preview the next order number
+ * - GET    /api/orders/:id - Get an order with products, items, colors and parts
+ * - POST   /api/orders - Create an order (with products and items)
+ * - POST   /api/orders/:id/products/from-template - Add a product built from a template
+ * - PUT    /api/orders/:id/products/:productId/price - Set a product's sale price
+ * - PUT    /api/orders/:id - Update order details
+ * - POST   /api/orders/:id/archive - Archive an order
+ */
+
+const Order = require('../models/Order');
+const events = require('../utils/events');
+const { VERSION_CONFLICT, validateVersion } = require('../utils/concurrency');
+const { sendVersionConflict } = require('../utils/responses');
+
+async function orderRoutes(fastify, options) {
+  /**
+   * GET /api/orders
+   * Get all orders (active by default)
+   *
+   * Query parameters:
+   * - includeArchived (optional) - "true" to include archived orders
+   * - platform (optional) - Filter by platform
+   * - search (optional) - Match order number or customer name
+   */
+  fastify.get('/api/orders', async (request, reply) => {
+    const orders = Order.getAll({
+      includeArchived: request.query.includeArchived === 'true',
+      platform: request.query.platform,
+      search: request.query.search
+    });
+    return { orders };
+  });
+
+  /**
+   * GET /api/orders/next-number
+   * Preview the next auto-generated order number
+   */
+  fastify.get('/api/orders/next-number', async (request, reply) => {
+    return { order_number: Order.getNextOrderNumber() };
+  });
+
+  /**
+   * GET /api/orders/:id
+   * Get a specific order with all its products and items
+   */
+  fastify.get('/api/orders/:id', async (request, reply) => {
+    const order = Order.getById(request.params.id);
+    if (!order) {
+      return reply.code(404).send({ error: 'Order not found' });
+    }
+    return { order };
+  });
+
+  /**
+   * POST /api/orders
+   * Create a new order with products and items (single transaction)
+   *
+   * Body parameters:
+   * - order_number (optional) - Auto-generated if empty
+   * - customer_name (required)
+   * - platform (required) - Shopify, Etsy or Custom Order
+   * - order_notes (optional)
+   * - ship_by_date (required) - YYYY-MM-DD
+   * - is_express (optional)
+   * - products (required) - Array of {product_name, items: [{item_name, color_ids, part_ids}]}
+   *   or template selections {template_id, color_ids, product_name}
+   */
+  fastify.post('/api/orders', async (request, reply) => {
+    try {
+      const orderData = request.body || {};
+
+      // Validation
+      const validationError = Order.validate(orderData);
+      if (validationError) {
+        return reply.code(400).send({ error: validationError });
+      }
+
+      // JSON clients may send the order number as a number
+      orderData.order_number = String(orderData.order_number || '').trim();
+      if (orderData.order_number && !Order.isOrderNumberAvailable(orderData.order_number)) {
+        return reply.code(409).send({ error: 'Order with this order number already exists' });
+      }
+
+      const order = Order.create(orderData);
+      events.publish(events.EVENT_TYPES.ORDER_CREATED, { order_id: order.order_id });
+      return reply.code(201).send({ order, message: 'Order created successfully' });
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        return reply.code(409).send({ error: 'Order with this order number already exists' });
+      }
+      if (error.message.includes('FOREIGN KEY constraint failed')) {
+        return reply.code(400).send({ error: 'Unknown color or part in order' });
+      }
+      throw error;
+    }
+  });
+
+  /**
+   * POST /api/orders/:id/products/from-template
+   * Add a product built from a product template to an order
+   *
+   * Creates the product, its item, item_parts (active template parts) and
+   * item_colors (in the chosen order) in one transaction.
+   *
+   * Body parameters:
+   * - template_id (required)
+   * - color_ids (required) - Chosen color IDs in order, must match the template's num_colors
+   * - product_name (optional) - Defaults to the template name
+   * - sale_price (optional) - Price the customer paid for the product
+   * - version (optional) - Order version the client last saw (409 if it changed since)
+   */
+  fastify.post('/api/orders/:id/products/from-template', async (request, reply) => {
+    const selection = request.body || {};
+
+    // Validation
+    if (!selection.template_id) {
+      return reply.code(400).send({ error: 'template_id is required' });
+    }
+
+    const validationError = Order.validateTemplateSelection(selection.template_id, selection.color_ids)
+      || (Order.isValidPrice(selection.sale_price) ? null : 'sale_price must be a non-negative number')
+      || validateVersion(selection.version);
+    if (validationError) {
+      return reply.code(400).send({ error: validationError });
+    }
+
+    let productId;
+    try {
+      productId = Order.addProductFromTemplate(request.params.id, selection);
+    } catch (error) {
+      if (error.code === VERSION_CONFLICT) {
+        return sendVersionConflict(reply, error);
+      }
+      throw error;
+    }
+    if (!productId) {
+      return reply.code(404).send({ error: 'Order not found' });
+    }
+
+    const order = Order.getById(request.params.id);
+    const product = order.products.find(p => p.product_id === productId);
+    events.publish(events.EVENT_TYPES.ORDER_UPDATED, { order_id: order.order_id, product_id: productId });
+    return reply.code(201).send({ order, product, message: 'Product added from template successfully' });
+  });
+
+  /**
+   * PUT /api/orders/:id/products/:productId/price
+   * Set what the customer paid for a product (used for margins)
+   *
+   * Body parameters:
+   * - sale_price (required) - Non-negative amount, or null to clear it
+   * - version (optional) - Order version the client last saw (409 if it changed since)
+   */
+  fastify.put('/api/orders/:id/products/:productId/price', async (request, reply) => {
+    const body = request.body || {};
+
+    // Validation
+    if (!('sale_price' in body)) {
+      return reply.code(400).send({ error: 'sale_price is required' });
+    }
+    const validationError = (Order.isValidPrice(body.sale_price) ? null : 'sale_price must be a non-negative number')
+      || validateVersion(body.version);
+    if (validationError) {
+      return reply.code(400).send({ error: validationError });
+    }
+
+    let updated;
+    try {
+      updated = Order.setProductPrice(request.params.id, request.params.productId, body.sale_price, body.version);
+    } catch (error) {
+      if (error.code === VERSION_CONFLICT) {
+        return sendVersionConflict(reply, error);
+      }
+      throw error;
+    }
+    if (!updated) {
+      return reply.code(404).send({ error: 'Order or product not found' });
+    }
+
+    const order = Order.getById(request.params.id);
+    events.publish(events.EVENT_TYPES.ORDER_UPDATED, {
+      order_id: order.order_id,
+      product_id: Number(request.params.productId)
+    });
+    return { order, message: 'Sale price updated successfully' };
+  });
+
+  /**
+   * PUT /api/orders/:id
+   * Update order details (not products or items)
+   *
+   * Body parameters (all optional):
+   * - order_number, customer_name, platform, order_notes, ship_by_date, is_express
+   * - version - Order version the client last saw (409 if it changed since)
+   */
+  fastify.put('/api/orders/:id', async (request, reply) => {
+    try {
+      const orderData = request.body || {};
+
+      // Validation
+      if ('order_number' in orderData) {
+        orderData.order_number = String(orderData.order_number || '').trim();
+        if (!orderData.order_number) {
+          return reply.code(400).send({ error: 'order_number cannot be empty' });
+        }
+        if (!Order.isOrderNumberAvailable(orderData.order_number, request.params.id)) {
+          return reply.code(409).send({ error: 'Order with this order number already exists' });
+        }
+      }
+      if ('customer_name' in orderData && !orderData.customer_name) {
+        return reply.code(400).send({ error: 'customer_name cannot be empty' });
+      }
+      if ('platform' in orderData && !Order.PLATFORMS.includes(orderData.platform)) {
+        return reply.code(400).send({
+          error: `platform must be one of: ${Order.PLATFORMS.join(', ')}`
+        });
+      }
+      if ('ship_by_date' in orderData && !Order.isValidDate(orderData.ship_by_date)) {
+        return reply.code(400).send({ error: 'ship_by_date must be a valid date (YYYY-MM-DD)' });
+      }
+      const versionError = validateVersion(orderData.version);
+      if (versionError) {
+        return reply.code(400).send({ error: versionError });
+      }
+      if (!Order.UPDATABLE_FIELDS.some(field => field in orderData)) {
+        return reply.code(400).send({ error: `Nothing to update - send one of: ${Order.UPDATABLE_FIELDS.join(', ')}` });
+      }
+
+      const success = Order.update(request.params.id, orderData, orderData.version);
+      if (!success) {
+        return reply.code(404).send({ error: 'Order not found' });
+      }
+
+      const order = Order.getById(request.params.id);
+      events.publish(events.EVENT_TYPES.ORDER_UPDATED, { order_id: order.order_id });
+      return { order, message: 'Order updated successfully' };
+    } catch (error) {
+      if (error.code === VERSION_CONFLICT) {
+        return sendVersionConflict(reply, error);
+      }
+      if (error.message.includes('UNIQUE constraint failed')) {
+        return reply.code(409).send({ error: 'Order with this order number already exists' });
+      }
+      throw error;
+    }
+  });
+
+  /**
+   * POST /api/orders/:id/archive
+   * Archive an order (removes it from all production views)
+   *
+   * Body parameters:
+   * - version (optional) - Order version the client last saw (409 if it changed since)
+   */
+  fastify.post('/api/orders/:id/archive', async (request, reply) => {
+    const { version } = request.body || {};
+
+    const versionError = validateVersion(version);
+    if (versionError) {
+      return reply.code(400).send({ error: versionError });
+    }
+
+    let success;
+    try {
+      success = Order.archive(request.params.id, version);
+    } catch (error) {
+      if (error.code === VERSION_CONFLICT) {
+        return sendVersionConflict(reply, error);
+      }
+      throw error;
+    }
+    if (!success) {
+      return reply.code(404).send({ error: 'Order not found' });
+    }
+    events.publish(events.EVENT_TYPES.ORDER_ARCHIVED, { order_id: Number(request.params.id) });
+    return { message: 'Order archived successfully' };
+  });
+}
+
+module.exports = orderRoutes;
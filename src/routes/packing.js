@@ -0,0 +1,127 @@
+/**
+ * Packing Routes
+ *
+ * Handles the Packing/Shipping view (iPad station):
+ * - /packing - Orders whose items are all "Assembled" (to pack) or all "Packed" (to ship)
+ * - /api/orders/:id/pack - Move every item of an order to "Packed"
+ * - /api/orders/:id/ship - Move every item to "Shipped" and archive the order
+ */
+
+const Item = require('../models/Item');
+const Order = require('../models/Order');
+const events = require('../utils/events');
+const { VERSION_CONFLICT, validateVersion } = require('../utils/concurrency');
+const { sendTransitionError, sendVersionConflict } = require('../utils/responses');
+const { getIdentity } = require('../utils/actor');
+const { shipByClass } = require('../utils/viewHelpers');
+
+/**
+ * Publish the status change of every item in an order
+ * @param {Object} order - Order from Order.getById
+ * @param {string} status - New item status
+ */
+function publishOrderItems(order, status) {
+  events.publish(events.EVENT_TYPES.ITEM_STATUS_CHANGED, {
+    item_ids: order.products.flatMap(product => product.items.map(item => item.item_id)),
+    status
+  });
+}
+
+/**
+ * Send the error response for a failed pack/ship step
+ * @param {Object} reply - Fastify reply
+ * @param {Error} error - Error thrown by Order.pack / Order.ship
+ * @param {number} orderId - The order ID
+ */
+function sendPackingError(reply, error, orderId) {
+  if (error.code === Order.ORDER_NOT_READY) {
+    return reply.code(422).send({
+      error: error.message,
+      order_id: Number(orderId),
+      not_ready_items: error.not_ready_items
+    });
+  }
+  if (error.code === VERSION_CONFLICT) {
+    return sendVersionConflict(reply, error);
+  }
+  if (error.code === Item.INVALID_TRANSITION) {
+    return sendTransitionError(reply, error);
+  }
+  throw error;
+}
+
+async function packingRoutes(fastify, options) {
+  /**
+   * GET /packing
+   * Packing/Shipping page
+   */
+  fastify.get('/packing', async (request, reply) => {
+    const orders = Order.getReadyForPacking();
+
+    return reply.view('packing.ejs', {
+      orders,
+      shipByClass,
+      title: 'Packing - ToT Print Farm'
+    });
+  });
+
+  /**
+   * POST /api/orders/:id/pack
+   * Move every item of the order from "Assembled" to "Packed"
+   *
+   * Body parameters:
+   * - version (optional) - Order version the client last saw (409 if it changed since)
+   */
+  fastify.post('/api/orders/:id/pack', async (request, reply) => {
+    const { id } = request.params;
+    const { version } = request.body || {};
+
+    const versionError = validateVersion(version);
+    if (versionError) {
+      return reply.code(400).send({ error: versionError });
+    }
+
+    try {
+      const order = Order.pack(id, version, getIdentity(request));
+      if (!order) {
+        return reply.code(404).send({ error: 'Order not found' });
+      }
+      publishOrderItems(order, 'Packed');
+      return { order, message: `Order ${order.order_number} packed` };
+    } catch (error) {
+      return sendPackingError(reply, error, id);
+    }
+  });
+
+  /**
+   * POST /api/orders/:id/ship
+   * Move every item of the order from "Packed" to "Shipped",
+   * archive the order and stamp shipped_at
+   *
+   * Body parameters:
+   * - version (optional) - Order version the client last saw (409 if it changed since)
+   */
+  fastify.post('/api/orders/:id/ship', async (request, reply) => {
+    const { id } = request.params;
+    const { version } = request.body || {};
+
+    const versionError = validateVersion(version);
+    if (versionError) {
+      return reply.code(400).send({ error: versionError });
+    }
+
+    try {
+      const order = Order.ship(id, version, getIdentity(request));
+      if (!order) {
+        return reply.code(404).send({ error: 'Order not found' });
+      }
+      publishOrderItems(order, 'Shipped');
+      events.publish(events.EVENT_TYPES.ORDER_ARCHIVED, { order_id: order.order_id });
+      return { order, message: `Order ${order.order_number} shipped and archived` };
+    } catch (error) {
+      return sendPackingError(reply, error, id);
+    }
+  });
+}
+
+module.exports = packingRoutes;
@@ -0,0 +1,45 @@
+/**
+ * Printfarm Routes
+ *
+ * Handles the Printfarm Removal view (iPad station):
+ * - /printfarm - List of all items "In Printfarm", express first, then by ship-by date
+ *   (?printer_id= shows one printer's items, or "unassigned")
+ *
+ * Actions on this page use the item API (/api/items/:id/status, /api/items/:id/reprint
+ * and /api/items/:id/printer).
+ */
+
+const Item = require('../models/Item');
+const Printer = require('../models/Printer');
+const { shipByClass, formatTimestamp } = require('../utils/viewHelpers');
+
+async function printfarmRoutes(fastify, options) {
+  /**
+   * GET /printfarm
+   * Printfarm Removal page
+   */
+  fastify.get('/printfarm', async (request, reply) => {
+    const printerId = request.query.printer_id || '';
+    const printers = Printer.getAll();
+    const printersById = Object.fromEntries(printers.map(printer => [printer.printer_id, printer]));
+
+    // Warn when the assigned printer doesn't have all of the item's colors loaded
+    const items = Item.getByStatus('In Printfarm', { printer_id: printerId }).map(item => ({
+      ...item,
+      missing_colors: printersById[item.printer_id]
+        ? Printer.getMissingColors(printersById[item.printer_id], item.colors)
+        : []
+    }));
+
+    return reply.view('printfarm.ejs', {
+      items,
+      printers,
+      printerId,
+      shipByClass,
+      formatTimestamp,
+      title: 'Printfarm - ToT Print Farm'
+    });
+  });
+}
+
+module.exports = printfarmRoutes;
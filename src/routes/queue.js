@@ -0,0 +1,130 @@
+/**
+ * Queue Routes
+ *
+ * Handles the Queue Management view (PC station):
+ * - /queue - List of all items "In Queue", express first, then by ship-by date
+ * - /queue/batches - Suggested print batches (same colors and material printed together)
+ * - /api/queue/batches - Suggested print batches as JSON
+ * - /api/queue/dispatch - Send selected items to the print farm in one batch
+ */
+
+const Item = require('../models/Item');
+const Order = require('../models/Order');
+const { planBatches } = require('../services/batchPlanner');
+const events = require('../utils/events');
+const { VERSION_CONFLICT, validateVersionMap } = require('../utils/concurrency');
+const { sendTransitionError, sendVersionConflict } = require('../utils/responses');
+const { getIdentity } = require('../utils/actor');
+const { shipByClass, formatTimestamp, formatMinutes } = require('../utils/viewHelpers');
+
+/**
+ * Read the queue filters from the query string
+ * @param {Object} query - request.query
+ * @returns {Object} { platform, search }
+ */
+function getFilters(query) {
+  return {
+    platform: Order.PLATFORMS.includes(query.platform) ? query.platform : '',
+    search: (query.search || '').trim()
+  };
+}
+
+async function queueRoutes(fastify, options) {
+  /**
+   * GET /queue
+   * Queue Management page
+   *
+   * Query parameters:
+   * - platform (optional) - Filter by platform
+   * - search (optional) - Match order number or customer name
+   */
+  fastify.get('/queue', async (request, reply) => {
+    const filters = getFilters(request.query);
+
+    const items = Item.getByStatus('In Queue', filters);
+
+    return reply.view('queue.ejs', {
+      items,
+      filters,
+      platforms: Order.PLATFORMS,
+      shipByClass,
+      formatTimestamp,
+      title: 'Queue - ToT Print Farm'
+    });
+  });
+
+  /**
+   * GET /queue/batches
+   * Batch planner page - queued items grouped by color combination and material
+   *
+   * Query parameters: same as /queue
+   */
+  fastify.get('/queue/batches', async (request, reply) => {
+    const filters = getFilters(request.query);
+    const plan = planBatches(filters);
+
+    return reply.view('batches.ejs', {
+      ...plan,
+      filters,
+      platforms: Order.PLATFORMS,
+      shipByClass,
+      formatMinutes,
+      title: 'Batch Planner - ToT Print Farm'
+    });
+  });
+
+  /**
+   * GET /api/queue/batches
+   * Suggested print batches for the queue
+   *
+   * Query parameters: same as /queue
+   */
+  fastify.get('/api/queue/batches', async (request, reply) => {
+    return planBatches(getFilters(request.query));
+  });
+
+  /**
+   * POST /api/queue/dispatch
+   * Move the selected items from "In Queue" to "In Printfarm"
+   * All-or-nothing: if any item can't be moved, none are.
+   *
+   * Body parameters:
+   * - item_ids (required) - Array of item IDs
+   * - versions (optional) - Object of item_id -> version the client last saw
+   * - batch_label (optional) - Name of the accepted planner batch (stored in status_history)
+   */
+  fastify.post('/api/queue/dispatch', async (request, reply) => {
+    const { item_ids, versions, batch_label } = request.body || {};
+
+    if (!Array.isArray(item_ids) || item_ids.length === 0) {
+      return reply.code(400).send({ error: 'item_ids must be a non-empty array' });
+    }
+    const versionError = validateVersionMap(versions);
+    if (versionError) {
+      return reply.code(400).send({ error: versionError });
+    }
+
+    try {
+      const reason = batch_label ? `Sent to printfarm (batch: ${batch_label})` : 'Sent to printfarm';
+      const items = Item.transitionMany(item_ids, 'In Printfarm', reason, versions, getIdentity(request));
+      if (!items) {
+        return reply.code(404).send({ error: 'One or more items not found' });
+      }
+      events.publish(events.EVENT_TYPES.ITEM_STATUS_CHANGED, {
+        item_ids: items.map(item => item.item_id),
+        status: 'In Printfarm'
+      });
+      return { items, message: `${items.length} item(s) sent to the print farm` };
+    } catch (error) {
+      if (error.code === VERSION_CONFLICT) {
+        return sendVersionConflict(reply, error);
+      }
+      if (error.code === Item.INVALID_TRANSITION) {
+        return sendTransitionError(reply, error);
+      }
+      throw error;
+    }
+  });
+}
+
+module.exports = queueRoutes;
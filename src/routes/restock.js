@@ -0,0 +1,98 @@
+/**
+ * Restock Routes
+ *
+ * Handles the admin restock list (colors below their reorder threshold):
+ * - /admin/restock - Restock page grouped by supplier (printable)
+ * - /admin/api/restock - The restock list as JSON
+ * - /admin/api/restock/export.csv - Purchase list as CSV (optionally one supplier)
+ *
+ * Receiving a delivery uses the ledgered stock API (POST /admin/api/colors/:id/stock
+ * with entry_type "restock").
+ */
+
+const { getRestockList } = require('../services/restockPlanner');
+const { toCsvLine } = require('../utils/csv');
+
+// Columns of the purchase list CSV (header row)
+const CSV_COLUMNS = [
+  'supplier', 'color_name', 'material_type', 'category', 'stock_grams',
+  'reorder_threshold_grams', 'used_grams_30d', 'suggested_grams', 'cost_per_gram', 'estimated_cost'
+];
+
+/**
+ * Read the restock filters from the query string
+ * @param {Object} query - request.query
+ * @returns {Object} { supplier }
+ */
+function getFilters(query) {
+  return {
+    supplier: (query.supplier || '').trim()
+  };
+}
+
+async function restockRoutes(fastify, options) {
+  /**
+   * GET /admin/restock
+   * Restock page - low-stock colors grouped by supplier with suggested quantities
+   *
+   * Query parameters:
+   * - supplier (optional) - Only this supplier (for printing one purchase list)
+   */
+  fastify.get('/admin/restock', async (request, reply) => {
+    const filters = getFilters(request.query);
+
+    return reply.view('restock.ejs', {
+      ...getRestockList(filters),
+      filters,
+      title: 'Restock - ToT Print Farm'
+    });
+  });
+
+  /**
+   * GET /admin/api/restock
+   * Low-stock colors grouped by supplier with suggested quantities
+   *
+   * Query parameters: same as /admin/restock
+   */
+  fastify.get('/admin/api/restock', async (request, reply) => {
+    return getRestockList(getFilters(request.query));
+  });
+
+  /**
+   * GET /admin/api/restock/export.csv
+   * Download the purchase list as CSV
+   *
+   * Query parameters: same as /admin/restock
+   */
+  fastify.get('/admin/api/restock/export.csv', async (request, reply) => {
+    const filters = getFilters(request.query);
+    const { suppliers } = getRestockList(filters);
+
+    let csv = toCsvLine(CSV_COLUMNS);
+    for (const group of suppliers) {
+      for (const color of group.colors) {
+        csv += toCsvLine([
+          group.supplier,
+          color.color_name,
+          color.material_type,
+          color.category,
+          color.stock_grams,
+          color.reorder_threshold_grams,
+          color.used_grams,
+          color.suggested_grams,
+          color.cost_per_gram,
+          color.estimated_cost.toFixed(2)
+        ]);
+      }
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    const suffix = filters.supplier ? `-${filters.supplier.replace(/[^A-Za-z0-9]+/g, '-')}` : '';
+    reply
+      .header('Content-Type', 'text/csv; charset=utf-8')
+      .header('Content-Disposition', `attachment; filename="restock${suffix}-${date}.csv"`);
+    return csv;
+  });
+}
+
+module.exports = restockRoutes;
@@ -0,0 +1,137 @@
+/**
+ * User Routes
+ *
+ * Handles user management (admin → Users tab, admins only):
+ * - /admin/api/users - List / add users
+ * - /admin/api/users/:id - Change / deactivate a user
+ * - /admin/api/users/:id/activate - Reactivate a user
+ *
+ * Changing a user's password, PIN or role, or deactivating them, signs them
+ * out everywhere. The last active admin can't be demoted or deactivated.
+ */
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+/**
+ * Check whether a change would leave no active admin
+ * @param {Object} user - The user being changed
+ * @param {boolean} staysAdmin - Whether they are still an active admin afterwards
+ * @returns {boolean} True if this is the last active admin and they would stop being one
+ */
+function removesLastAdmin(user, staysAdmin) {
+  return user.role === 'admin' && user.is_active && !staysAdmin && User.countActiveAdmins() <= 1;
+}
+
+async function userRoutes(fastify, options) {
+  /**
+   * GET /admin/api/users
+   * Get all users (active by default, or all if includeInactive=true)
+   */
+  fastify.get('/admin/api/users', async (request, reply) => {
+    const includeInactive = request.query.includeInactive === 'true';
+    return { users: User.getAll(includeInactive), roles: User.ROLE_LABELS };
+  });
+
+  /**
+   * POST /admin/api/users
+   * Add a user
+   *
+   * Body parameters:
+   * - username (required) - Sign-in name
+   * - display_name (required)
+   * - role (required) - admin, order_entry, operator or packer
+   * - password (required) - At least 8 characters
+   * - pin (optional) - 4-8 digits, for switching user on shared devices
+   */
+  fastify.post('/admin/api/users', async (request, reply) => {
+    const userData = request.body || {};
+    const error = User.validate(userData);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    try {
+      const user = User.create(userData);
+      return reply.code(201).send({ user, message: `User ${user.username} created` });
+    } catch (err) {
+      if (err.message.includes('UNIQUE constraint failed')) {
+        return reply.code(409).send({ error: 'A user with this username already exists' });
+      }
+      throw err;
+    }
+  });
+
+  /**
+   * PUT /admin/api/users/:id
+   * Change a user (the username can't be changed)
+   *
+   * Body parameters (all optional):
+   * - display_name
+   * - role
+   * - password - New password (empty = keep)
+   * - pin - New PIN (empty = keep)
+   * - clear_pin - true to remove the PIN
+   */
+  fastify.put('/admin/api/users/:id', async (request, reply) => {
+    const { username, ...updates } = request.body || {};
+    const error = User.validate(updates, true);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    const user = User.getById(request.params.id);
+    if (!user) {
+      return reply.code(404).send({ error: 'User not found' });
+    }
+    if (updates.role && removesLastAdmin(user, updates.role === 'admin')) {
+      return reply.code(422).send({ error: 'The last admin can\'t be given another role' });
+    }
+
+    const updated = User.update(request.params.id, updates);
+    const signsOut = Boolean(updates.password || updates.pin || updates.clear_pin)
+      || (updates.role && updates.role !== user.role);
+    if (signsOut) {
+      Session.destroyForUser(user.user_id);
+    }
+    return {
+      user: updated,
+      message: `User ${user.username} updated` + (signsOut ? ' (signed out everywhere)' : '')
+    };
+  });
+
+  /**
+   * DELETE /admin/api/users/:id
+   * Deactivate a user (soft delete) and sign them out
+   */
+  fastify.delete('/admin/api/users/:id', async (request, reply) => {
+    const user = User.getById(request.params.id);
+    if (!user) {
+      return reply.code(404).send({ error: 'User not found' });
+    }
+    if (user.user_id === request.user.user_id) {
+      return reply.code(422).send({ error: 'You can\'t deactivate yourself' });
+    }
+    if (removesLastAdmin(user, false)) {
+      return reply.code(422).send({ error: 'The last admin can\'t be deactivated' });
+    }
+
+    User.deactivate(user.user_id);
+    Session.destroyForUser(user.user_id);
+    return { message: `User ${user.username} deactivated` };
+  });
+
+  /**
+   * POST /admin/api/users/:id/activate
+   * Reactivate a deactivated user
+   */
+  fastify.post('/admin/api/users/:id/activate', async (request, reply) => {
+    const success = User.activate(request.params.id);
+    if (!success) {
+      return reply.code(404).send({ error: 'User not found' });
+    }
+    return { message: 'User activated' };
+  });
+}
+
+module.exports = userRoutes;
@@ -0,0 +1,65 @@
+/**
+ * Webhook Routes
+ *
+ * Endpoints called by the shops:
+ * - POST /webhooks/shopify/orders - Shopify order webhook (orders/create)
+ *
+ * Webhooks must be verified against the exact bytes that were sent, so JSON
+ * bodies in this plugin are kept raw (request.rawBody) as well as parsed.
+ */
+
+const { getSecret, verifySignature, takeInOrder } = require('../services/shopifyIntake');
+const events = require('../utils/events');
+
+async function webhookRoutes(fastify, options) {
+  // Scoped to this plugin - other routes keep Fastify's default JSON parser
+  fastify.addContentTypeParser('application/json', { parseAs: 'buffer' }, (request, body, done) => {
+    request.rawBody = body;
+    try {
+      done(null, JSON.parse(body.toString('utf8')));
+    } catch (error) {
+      error.statusCode = 400;
+      done(error);
+    }
+  });
+
+  /**
+   * POST /webhooks/shopify/orders
+   * Take in a Shopify order
+   *
+   * Headers:
+   * - X-Shopify-Hmac-Sha256 (required) - Base64 HMAC-SHA256 of the body with SHOPIFY_WEBHOOK_SECRET
+   *
+   * Mapped lines become an order, unmapped lines go to the intake review queue.
+   * Deliveries of an order that was already taken in are acknowledged without
+   * changes (Shopify retries webhooks and may deliver them more than once).
+   */
+  fastify.post('/webhooks/shopify/orders', async (request, reply) => {
+    const secret = getSecret();
+    if (!secret) {
+      return reply.code(503).send({ error: 'Shopify webhook secret is not configured' });
+    }
+    if (!verifySignature(request.rawBody, request.headers['x-shopify-hmac-sha256'], secret)) {
+      return reply.code(401).send({ error: 'Invalid webhook signature' });
+    }
+
+    const payload = request.body || {};
+    if (!payload.id) {
+      return reply.code(400).send({ error: 'Order ID is missing from the payload' });
+    }
+
+    const result = takeInOrder(payload);
+    if (result.status === 'created') {
+      events.publish(events.EVENT_TYPES.ORDER_CREATED, { order_id: result.order.order_id });
+    }
+
+    return {
+      status: result.status,
+      order_id: result.order ? result.order.order_id : null,
+      order_number: result.order ? result.order.order_number : null,
+      review_count: result.review_count
+    };
+  });
+}
+
+module.exports = webhookRoutes;
@@ -13,6 +13,8 @@ const path = require('path');
 
 // Import database (this initializes the connection)
 const { db, getDatabaseStats } = require('./database/db');
+const { startScheduler: startBackupScheduler } = require('./utils/backup');
+const { authenticate, exposeUser } = require('./utils/auth');
 
 // Server configuration from environment variables
 const PORT = process.env.PORT || 3000;
@@ -28,8 +30,48 @@ fastify.register(require('@fastify/view'), {
   layout: false
 });
 
+// Sign-in and role-based access for every route (rules in src/utils/auth.js)
+fastify.addHook('onRequest', authenticate);
+fastify.addHook('preHandler', exposeUser);
+fastify.register(require('./routes/auth'));
+
 // Register admin routes
 fastify.register(require('./routes/admin'));
+fastify.register(require('./routes/restock'));
+fastify.register(require('./routes/intake'));
+fastify.register(require('./routes/catalog'));
+fastify.register(require('./routes/backups'));
+fastify.register(require('./routes/audit'));
+fastify.register(require('./routes/users'));
+fastify.register(require('./routes/devices'));
+fastify.register(require('./routes/activity'));
+
+// Register order API routes
+fastify.register(require('./routes/orders'));
+
+// Register shop webhooks (Shopify order intake)
+fastify.register(require('./routes/webhooks'));
+
+// Register item API routes (status changes)
+fastify.register(require('./routes/items'));
+
+// Register station views
+fastify.register(require('./routes/queue'));
+fastify.register(require('./routes/printfarm'));
+fastify.register(require('./routes/assembly'));
+fastify.register(require('./routes/packing'));
+
+// Register live update stream (Server-Sent Events)
+fastify.register(require('./routes/events'));
+
+// Register archive browser and export
+fastify.register(require('./routes/archive'));
+
+// Register capacity forecast
+fastify.register(require('./routes/forecast'));
+
+// Register costing and margins
+fastify.register(require('./routes/costing'));
 
 /**
  * Health check endpoint
@@ -222,6 +264,13 @@ fastify.get('/', async (request, reply) => {
         <div class="footer">
           <p>Ready to start managing your print farm!</p>
           <p style="margin-top: 10px;">
+            <a href="/queue">Queue</a> ·
+            <a href="/printfarm">Printfarm</a> ·
+            <a href="/assembly">Assembly</a> ·
+            <a href="/packing">Packing</a> ·
+            <a href="/archive">Archive</a> ·
+            <a href="/forecast">Forecast</a> ·
+            <a href="/margins">Margins</a> ·
             <a href="/admin">Admin Panel</a> ·
             <a href="/health">Health Check</a> ·
             <a href="https://github.com/anthropics/claude-code" target="_blank">Built with Claude Code</a>
@@ -239,6 +288,9 @@ fastify.get('/', async (request, reply) => {
 const start = async () => {
   try {
     await fastify.listen({ port: PORT, host: HOST });
+
+    // Scheduled backups (backup_enabled / backup_interval_hours settings)
+    startBackupScheduler();
     console.log(`
 ╔════════════════════════════════════════════════════════════╗
 ║                                                            ║
@@ -0,0 +1,112 @@
+/**
+ * Batch Planner
+ *
+ * Suggests print batches for the queue so filament is swapped as rarely as
+ * possible. Queued items are grouped by their exact color combination (in
+ * item_colors order, since the AMS slot order matters) and the material types
+ * of those colors. Items without colors get their own batch.
+ *
+ * Batches are ordered by urgency: batches containing an express item first,
+ * then by the earliest ship-by date in the batch. Inside a batch, items keep the
+ * queue order (express first, then ship-by date).
+ *
+ * Estimated minutes come from the product template's print_time_minutes;
+ * items not created from a template count as 0 and are reported as unestimated.
+ *
+ * Example usage:
+ * const { batches } = planBatches({ platform: 'Etsy' });
+ */
+
+const Item = require('../models/Item');
+const { shipByClass } = require('../utils/viewHelpers');
+
+/**
+ * Build the grouping key for an item
+ * @param {Object} item - Queued item with a colors array
+ * @returns {string} Key like "PLA+PLA|4,17" (materials | ordered color IDs)
+ */
+function getBatchKey(item) {
+  const materials = item.colors.map(color => color.material_type || '?').join('+');
+  const colorIds = item.colors.map(color => color.color_id).join(',');
+  return `${materials}|${colorIds}`;
+}
+
+/**
+ * Compare two batches by urgency (express first, then earliest ship-by date)
+ * @param {Object} a - Batch
+ * @param {Object} b - Batch
+ * @returns {number} Sort order
+ */
+function compareBatches(a, b) {
+  if (a.has_express !== b.has_express) {
+    return a.has_express ? -1 : 1;
+  }
+  if (a.earliest_ship_by !== b.earliest_ship_by) {
+    return a.earliest_ship_by < b.earliest_ship_by ? -1 : 1;
+  }
+  return b.item_count - a.item_count;
+}
+
+/**
+ * Plan print batches for all items "In Queue"
+ *
+ * @param {Object} filters - Optional queue filters (same as Item.getByStatus: platform, search)
+ * @returns {Object} { batches, item_count, total_minutes }
+ *   Each batch: { batch_key, label, colors, material_types, items, item_count,
+ *   total_minutes, unestimated_count, has_express, earliest_ship_by, ship_by_class }
+ */
+function planBatches(filters = {}) {
+  // Already sorted express first, then ship-by date
+  const items = Item.getByStatus('In Queue', filters);
+
+  const batches = [];
+  const batchesByKey = {};
+  for (const item of items) {
+    const key = getBatchKey(item);
+    if (!batchesByKey[key]) {
+      batchesByKey[key] = {
+        batch_key: key,
+        label: item.colors.length > 0
+          ? item.colors.map(color => color.color_name).join(' + ')
+          : 'No colors',
+        colors: item.colors,
+        material_types: [...new Set(item.colors.map(color => color.material_type).filter(Boolean))],
+        items: [],
+        item_count: 0,
+        total_minutes: 0,
+        unestimated_count: 0,
+        has_express: false,
+        earliest_ship_by: item.ship_by_date
+      };
+      batches.push(batchesByKey[key]);
+    }
+
+    const batch = batchesByKey[key];
+    batch.items.push(item);
+    batch.item_count += 1;
+    batch.total_minutes += item.print_time_minutes || 0;
+    if (!item.print_time_minutes) {
+      batch.unestimated_count += 1;
+    }
+    batch.has_express = batch.has_express || Boolean(item.is_express);
+    if (item.ship_by_date < batch.earliest_ship_by) {
+      batch.earliest_ship_by = item.ship_by_date;
+    }
+  }
+
+  for (const batch of batches) {
+    batch.ship_by_class = shipByClass(batch.earliest_ship_by);
+  }
+  batches.sort(compareBatches);
+
+  return {
+    batches,
+    item_count: items.length,
+    total_minutes: batches.reduce((sum, batch) => sum + batch.total_minutes, 0)
+  };
+}
+
+module.exports = {
+  getBatchKey,
+  planBatches
+};
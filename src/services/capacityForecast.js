@@ -0,0 +1,274 @@
+/**
+ * Capacity Forecast
+ *
+ * Projects when every open order will be fully printed, so orders that will miss
+ * their ship-by date show up while there's still time to expedite them.
+ *
+ * The simulation works through the print farm and the queue in priority order
+ * (items already "In Printfarm" first, then the queue: express first, then
+ * ship-by date). Each item goes to the printer that frees up first. A print can
+ * only be started during working hours, but once started it runs to the end
+ * (overnight prints are fine, starting one at 2am is not).
+ *
+ * Print times come from the product template's print_time_minutes; items not
+ * created from a template count as 0 minutes and are reported as unestimated.
+ * Items already in the print farm only count the time left since they entered it.
+ *
+ * Configuration (system_settings, can be overridden per call):
+ * - forecast_work_start_hour / forecast_work_end_hour - Working hours (0-24)
+ * - forecast_work_days - Working weekdays, comma separated (0 = Sunday ... 6 = Saturday)
+ * - forecast_printer_count - Printers to plan with (0 = active printers in the registry)
+ *
+ * Example usage:
+ * const { orders, late_count } = forecast({ printer_count: 6 });
+ */
+
+const Item = require('../models/Item');
+const Order = require('../models/Order');
+const Printer = require('../models/Printer');
+const Setting = require('../models/Setting');
+
+// Printers in these statuses can't take new prints
+const UNAVAILABLE_PRINTER_STATUSES = ['Maintenance', 'Offline'];
+
+// Orders finishing on their ship-by day (no buffer left) are flagged as at risk
+const FORECAST_STATUSES = ['late', 'at_risk', 'on_track'];
+
+// Safety limit when searching for the next working hour (e.g. no working days configured)
+const MAX_SEARCH_DAYS = 14;
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Parse an SQLite timestamp (UTC, "YYYY-MM-DD HH:MM:SS")
+ * @param {string} timestamp - SQLite CURRENT_TIMESTAMP value
+ * @returns {Date|null} Date, or null if missing/invalid
+ */
+function parseTimestamp(timestamp) {
+  if (!timestamp) {
+    return null;
+  }
+  const date = new Date(`${timestamp.replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format a date as a local calendar day (matches ship_by_date)
+ * @param {Date} date - Date
+ * @returns {string} "YYYY-MM-DD"
+ */
+function toDateString(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Number of calendar days from one "YYYY-MM-DD" date to another
+ * @param {string} from - Start date
+ * @param {string} to - End date
+ * @returns {number} Days (negative if `to` is before `from`)
+ */
+function daysBetween(from, to) {
+  const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+  const [toYear, toMonth, toDay] = to.split('-').map(Number);
+  const difference = new Date(toYear, toMonth - 1, toDay) - new Date(fromYear, fromMonth - 1, fromDay);
+  return Math.round(difference / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Read the forecast configuration, with optional overrides
+ * @param {Object} overrides - Any of printer_count, work_start_hour, work_end_hour, work_days
+ * @returns {Object} { printer_count, work_start_hour, work_end_hour, work_days }
+ */
+function getConfig(overrides = {}) {
+  const workDays = overrides.work_days
+    || Setting.get('forecast_work_days', '1,2,3,4,5')
+      .split(',')
+      .map(day => parseInt(day, 10))
+      .filter(day => day >= 0 && day <= 6);
+
+  let printerCount = overrides.printer_count || Setting.getNumber('forecast_printer_count', 0);
+  if (!printerCount) {
+    printerCount = Printer.getAll()
+      .filter(printer => !UNAVAILABLE_PRINTER_STATUSES.includes(printer.status))
+      .length;
+  }
+
+  return {
+    // Plan with at least one printer, even before the fleet is registered
+    printer_count: Math.max(1, printerCount),
+    work_start_hour: overrides.work_start_hour ?? Setting.getNumber('forecast_work_start_hour', 8),
+    work_end_hour: overrides.work_end_hour ?? Setting.getNumber('forecast_work_end_hour', 17),
+    work_days: workDays
+  };
+}
+
+/**
+ * Validate forecast overrides (e.g., from a query string), merged with the
+ * configured settings
+ * @param {Object} overrides - { printer_count, work_start_hour, work_end_hour }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateOverrides(overrides) {
+  const { printer_count, work_start_hour, work_end_hour } = overrides;
+  if (printer_count !== undefined && (!Number.isInteger(printer_count) || printer_count < 1)) {
+    return 'printers must be a positive integer';
+  }
+  for (const [name, hour] of [['work_start_hour', work_start_hour], ['work_end_hour', work_end_hour]]) {
+    if (hour !== undefined && (!Number.isFinite(hour) || hour < 0 || hour > 24)) {
+      return `${name} must be between 0 and 24`;
+    }
+  }
+  // Compare the hours the forecast will use, so a single overridden hour is
+  // checked against the configured other one
+  const config = getConfig(overrides);
+  if (config.work_start_hour >= config.work_end_hour) {
+    return `work_start_hour (${config.work_start_hour}) must be before work_end_hour (${config.work_end_hour})`;
+  }
+  return null;
+}
+
+/**
+ * Find the earliest time a print can be started, at or after a given time
+ * @param {Date} date - Earliest possible start
+ * @param {Object} config - Forecast configuration
+ * @returns {Date} Start time inside working hours
+ */
+function nextWorkingTime(date, config) {
+  const candidate = new Date(date);
+  for (let day = 0; day <= MAX_SEARCH_DAYS; day++) {
+    const dayStart = new Date(candidate);
+    dayStart.setHours(0, 0, 0, 0);
+    const workStart = new Date(dayStart.getTime() + config.work_start_hour * 60 * MINUTE);
+    const workEnd = new Date(dayStart.getTime() + config.work_end_hour * 60 * MINUTE);
+
+    if (config.work_days.includes(candidate.getDay()) && candidate < workEnd) {
+      return candidate < workStart ? workStart : candidate;
+    }
+
+    // Try the next day from midnight
+    candidate.setTime(dayStart.getTime());
+    candidate.setDate(candidate.getDate() + 1);
+  }
+
+  // No working time found (misconfigured) - don't block the forecast, start right away
+  return new Date(date);
+}
+
+/**
+ * Forecast the print completion of every open order
+ *
+ * @param {Object} options - Optional overrides
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @param {number} options.printer_count - Printers to plan with
+ * @param {number} options.work_start_hour - Start of the working day (hour, 0-24)
+ * @param {number} options.work_end_hour - End of the working day (hour, 0-24)
+ * @param {Array<number>} options.work_days - Working weekdays (0 = Sunday)
+ * @returns {Object} { generated_at, config, orders, late_count, at_risk_count,
+ *   total_minutes, queue_finished_at }
+ *   Each order: { order_id, order_number, customer_name, platform, is_express, ship_by_date,
+ *   remaining_items, remaining_minutes, unestimated_count, projected_completion,
+ *   projected_date, days_to_spare, forecast_status }
+ */
+function forecast(options = {}) {
+  const now = options.now || new Date();
+  const config = getConfig(options);
+
+  // Printer "free at" times - all printers start free now
+  const printerFreeAt = Array.from({ length: config.printer_count }, () => now);
+
+  const printing = Item.getByStatus('In Printfarm');
+  const queued = Item.getByStatus('In Queue');
+  const completionByOrder = {};
+  const remainingByOrder = {};
+  let totalMinutes = 0;
+
+  for (const item of [...printing, ...queued]) {
+    let minutes = item.print_time_minutes || 0;
+    if (item.status === 'In Printfarm') {
+      const startedAt = parseTimestamp(item.status_changed_at);
+      const elapsed = startedAt ? Math.max(0, (now - startedAt) / MINUTE) : 0;
+      minutes = Math.max(0, minutes - elapsed);
+    }
+    totalMinutes += minutes;
+
+    // Give the item to the printer that frees up first
+    const printerIndex = printerFreeAt.reduce(
+      (best, freeAt, index) => (freeAt < printerFreeAt[best] ? index : best),
+      0
+    );
+    // Items already on a printer keep running - they don't wait for working hours
+    const start = item.status === 'In Printfarm'
+      ? printerFreeAt[printerIndex]
+      : nextWorkingTime(printerFreeAt[printerIndex], config);
+    const finish = new Date(start.getTime() + minutes * MINUTE);
+    printerFreeAt[printerIndex] = finish;
+
+    if (!completionByOrder[item.order_id] || finish > completionByOrder[item.order_id]) {
+      completionByOrder[item.order_id] = finish;
+    }
+    const remaining = remainingByOrder[item.order_id] || { items: 0, minutes: 0, unestimated: 0 };
+    remaining.items += 1;
+    remaining.minutes += minutes;
+    remaining.unestimated += item.print_time_minutes ? 0 : 1;
+    remainingByOrder[item.order_id] = remaining;
+  }
+
+  const today = toDateString(now);
+  const orders = Order.getAll().map(order => {
+    // Orders with nothing left to print are done printing now
+    const completion = completionByOrder[order.order_id] || now;
+    const remaining = remainingByOrder[order.order_id] || { items: 0, minutes: 0, unestimated: 0 };
+    const projectedDate = toDateString(completion);
+    const daysToSpare = order.ship_by_date ? daysBetween(projectedDate, order.ship_by_date) : null;
+
+    let forecastStatus = 'on_track';
+    if (daysToSpare !== null && (daysToSpare < 0 || order.ship_by_date < today)) {
+      forecastStatus = 'late';
+    } else if (daysToSpare === 0) {
+      forecastStatus = 'at_risk';
+    }
+
+    return {
+      order_id: order.order_id,
+      order_number: order.order_number,
+      customer_name: order.customer_name,
+      platform: order.platform,
+      is_express: order.is_express,
+      ship_by_date: order.ship_by_date,
+      remaining_items: remaining.items,
+      remaining_minutes: Math.round(remaining.minutes),
+      unestimated_count: remaining.unestimated,
+      projected_completion: completion.toISOString(),
+      projected_date: projectedDate,
+      days_to_spare: daysToSpare,
+      forecast_status: forecastStatus
+    };
+  });
+
+  // Most urgent first: late, then at risk, then by projected completion
+  orders.sort((a, b) => (
+    FORECAST_STATUSES.indexOf(a.forecast_status) - FORECAST_STATUSES.indexOf(b.forecast_status)
+    || a.projected_completion.localeCompare(b.projected_completion)
+  ));
+
+  const queueFinishedAt = printerFreeAt.reduce((latest, freeAt) => (freeAt > latest ? freeAt : latest), now);
+
+  return {
+    generated_at: now.toISOString(),
+    config,
+    orders,
+    late_count: orders.filter(order => order.forecast_status === 'late').length,
+    at_risk_count: orders.filter(order => order.forecast_status === 'at_risk').length,
+    total_minutes: Math.round(totalMinutes),
+    queue_finished_at: queueFinishedAt.toISOString()
+  };
+}
+
+module.exports = {
+  FORECAST_STATUSES,
+  getConfig,
+  validateOverrides,
+  nextWorkingTime,
+  forecast
+};
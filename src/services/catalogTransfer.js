@@ -0,0 +1,436 @@
+/**
+ * Catalog Transfer
+ *
+ * CSV and JSON import/export of colors, parts and product templates (admin →
+ * Import / Export). Exports include inactive rows; stock figures are not part of
+ * the catalog and are neither exported nor imported (use the filament ledger).
+ *
+ * Imports upsert by color_name, part_code or template_name (see Catalog). A
+ * preview shows what would be new, changed, unchanged or missing before anything
+ * is written; an import with any invalid row writes nothing. Every row an import
+ * changes gets an audit log entry (see AuditLog).
+ *
+ * CSV columns:
+ * - colors: color_name, hex_code, pantone_code, material_type, supplier, category,
+ *   cost_per_gram, reorder_threshold_grams, is_active
+ * - parts: part_code, part_name, description, grams_slot_1 ... grams_slot_4, is_active
+ * - templates: template_name, description, num_colors, print_time_minutes, print_cost,
+ *   parts ("WM16001 x2; TOK0025 x1"), is_active
+ * Only the key column is required - columns left out of a file are not changed, and
+ * an empty cost or is_active cell keeps the current value.
+ *
+ * JSON is { entity, exported_at, records } (or just the records array), with
+ * filament_grams and parts as arrays.
+ *
+ * Example usage:
+ * const preview = previewImport('colors', 'csv', csvText);
+ * const result = importCatalog('colors', 'csv', csvText, { deactivate_missing: false, actor: 'ip:127.0.0.1' });
+ */
+
+const { db } = require('../database/db');
+const Catalog = require('../models/Catalog');
+const AuditLog = require('../models/AuditLog');
+const { toCsvLine, parseCsvRecords } = require('../utils/csv');
+
+const FORMATS = ['csv', 'json'];
+
+// Audit log entity type per catalog
+const AUDIT_ENTITY_TYPES = {
+  colors: 'color',
+  parts: 'part',
+  templates: 'template'
+};
+
+const COLOR_SLOTS = 4;
+const GRAMS_COLUMNS = Array.from({ length: COLOR_SLOTS }, (_, index) => `grams_slot_${index + 1}`);
+
+const CSV_COLUMNS = {
+  colors: [
+    'color_name', 'hex_code', 'pantone_code', 'material_type', 'supplier', 'category',
+    'cost_per_gram', 'reorder_threshold_grams', 'is_active'
+  ],
+  parts: ['part_code', 'part_name', 'description', ...GRAMS_COLUMNS, 'is_active'],
+  templates: ['template_name', 'description', 'num_colors', 'print_time_minutes', 'print_cost', 'parts', 'is_active']
+};
+
+// Fields a new row can't be created without (the key is always required)
+const REQUIRED_FOR_NEW = {
+  colors: ['hex_code'],
+  parts: ['part_name'],
+  templates: ['num_colors']
+};
+
+/**
+ * Check that a catalog name is known
+ * @param {string} entity - colors, parts or templates
+ * @returns {boolean} True if known
+ */
+function isEntity(entity) {
+  return Object.prototype.hasOwnProperty.call(Catalog.ENTITIES, entity);
+}
+
+/**
+ * Write a template's parts for CSV
+ * @param {Array} parts - [{ part_code, quantity }]
+ * @returns {string} e.g. "WM16001 x2; TOK0025 x1"
+ */
+function formatParts(parts) {
+  return parts.map(part => `${part.part_code} x${part.quantity}`).join('; ');
+}
+
+/**
+ * Export a catalog
+ * @param {string} entity - colors, parts or templates
+ * @param {string} format - csv or json
+ * @returns {string} File contents
+ */
+function exportCatalog(entity, format) {
+  const records = Catalog.getRecords(entity).map(({ id, ...record }) => record);
+
+  if (format === 'json') {
+    return JSON.stringify({ entity, exported_at: new Date().toISOString(), records }, null, 2);
+  }
+
+  let csv = toCsvLine(CSV_COLUMNS[entity]);
+  for (const record of records) {
+    csv += toCsvLine(CSV_COLUMNS[entity].map(column => {
+      if (GRAMS_COLUMNS.includes(column)) {
+        return record.filament_grams[GRAMS_COLUMNS.indexOf(column)];
+      }
+      if (column === 'parts') {
+        return formatParts(record.parts);
+      }
+      return record[column];
+    }));
+  }
+  return csv;
+}
+
+// ============================================================================
+// READING IMPORT FILES
+// ============================================================================
+
+/**
+ * Read text (empty = null)
+ * @param {*} value - Raw value
+ * @returns {string|null} Trimmed text or null
+ */
+function toText(value) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Read a non-negative number
+ * @param {*} value - Raw value
+ * @param {string} field - Field name for the error message
+ * @param {Object} options - { nullable, integer, min, max }
+ * @returns {number|null} The number (null if empty and nullable; 0 if empty otherwise)
+ */
+function toNumber(value, field, { nullable = false, integer = false, min = 0, max = Infinity } = {}) {
+  const text = toText(value);
+  if (text === null) {
+    return nullable ? null : 0;
+  }
+  const number = Number(text);
+  if (!Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+    const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+    throw new Error(`${field} must be ${integer ? 'a whole number' : 'a number'} ${range} (got "${text}")`);
+  }
+  return number;
+}
+
+/**
+ * Read an active flag
+ * @param {*} value - 1/0, true/false, yes/no or active/inactive
+ * @returns {number} 1 or 0
+ */
+function toActive(value) {
+  const text = String(value).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'active'].includes(text)) {
+    return 1;
+  }
+  if (['0', 'false', 'no', 'inactive'].includes(text)) {
+    return 0;
+  }
+  throw new Error(`is_active must be 1 or 0 (got "${value}")`);
+}
+
+/**
+ * Read a template's parts
+ * @param {string|Array} value - "WM16001 x2; TOK0025" (CSV) or [{ part_code, quantity }] (JSON)
+ * @returns {Array} [{ part_code, quantity }] sorted by part_code
+ */
+function toParts(value) {
+  const parts = Array.isArray(value)
+    ? value.map(part => ({ part_code: toText(part.part_code), quantity: part.quantity === undefined ? 1 : part.quantity }))
+    : String(value || '').split(';').map(text => text.trim()).filter(Boolean).map(text => {
+      const match = text.match(/^(.+?)(?:\s+x\s*(\d+))?$/i);
+      return { part_code: match[1].trim(), quantity: match[2] || 1 };
+    });
+
+  const seen = new Set();
+  return parts
+    .map(part => {
+      if (!part.part_code) {
+        throw new Error('Every template part needs a part_code');
+      }
+      if (seen.has(part.part_code)) {
+        throw new Error(`Part ${part.part_code} is listed twice`);
+      }
+      seen.add(part.part_code);
+      return { part_code: part.part_code, quantity: toNumber(part.quantity, `Quantity of ${part.part_code}`, { integer: true, min: 1 }) };
+    })
+    .sort((a, b) => a.part_code.localeCompare(b.part_code));
+}
+
+/**
+ * Convert a raw row into a record (only fields present in the row)
+ * @param {string} entity - colors, parts or templates
+ * @param {Object} raw - Raw row (CSV record or JSON object)
+ * @returns {Object} Record for Catalog.diff()/apply()
+ * @throws {Error} If a value is invalid
+ */
+function toRecord(entity, raw) {
+  const { key, fields } = Catalog.ENTITIES[entity];
+  const record = { [key]: toText(raw[key]) };
+  if (!record[key]) {
+    throw new Error(`${key} is required`);
+  }
+
+  for (const field of fields) {
+    const present = field === 'filament_grams'
+      ? 'filament_grams' in raw || GRAMS_COLUMNS.some(column => column in raw)
+      : field in raw;
+    if (!present) {
+      continue;
+    }
+
+    switch (field) {
+      case 'hex_code':
+        if (!/^#[0-9A-Fa-f]{6}$/.test(String(raw.hex_code).trim())) {
+          throw new Error(`hex_code must look like #A1B2C3 (got "${raw.hex_code}")`);
+        }
+        // Kept as written - the admin forms store hex codes as entered, so
+        // upper-casing would make an unmodified export differ on re-import
+        record.hex_code = String(raw.hex_code).trim();
+        break;
+      case 'cost_per_gram':
+      case 'print_cost':
+        // An empty cost keeps the current one (new rows get the column default)
+        if (toText(raw[field]) !== null) {
+          record[field] = toNumber(raw[field], field);
+        }
+        break;
+      case 'reorder_threshold_grams':
+        record[field] = toNumber(raw[field], field, { nullable: true });
+        break;
+      case 'num_colors':
+        record[field] = toNumber(raw[field], field, { integer: true, min: 1, max: 4 });
+        break;
+      case 'print_time_minutes':
+        record[field] = toNumber(raw[field], field, { integer: true });
+        break;
+      case 'filament_grams': {
+        const grams = Array.isArray(raw.filament_grams)
+          ? raw.filament_grams
+          : GRAMS_COLUMNS.map(column => raw[column]);
+        if (grams.length > COLOR_SLOTS) {
+          throw new Error(`filament_grams can have at most ${COLOR_SLOTS} values`);
+        }
+        // No figure and 0 g are the same thing
+        record.filament_grams = Array.from({ length: COLOR_SLOTS }, (_, index) => (
+          toNumber(grams[index], `Grams for slot ${index + 1}`, { nullable: true }) || null
+        ));
+        break;
+      }
+      case 'parts':
+        record.parts = toParts(raw.parts);
+        break;
+      case 'is_active':
+        // An empty flag keeps the current state (new rows are active)
+        if (toText(raw.is_active) !== null) {
+          record.is_active = toActive(raw.is_active);
+        }
+        break;
+      default:
+        record[field] = toText(raw[field]);
+    }
+  }
+  return record;
+}
+
+/**
+ * Get the raw rows of an import file
+ * @param {string} entity - colors, parts or templates
+ * @param {string} format - csv or json
+ * @param {string} text - File contents
+ * @returns {Array} [{ label, raw }] - label names the row in error messages
+ */
+function readRows(entity, format, text) {
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Not valid JSON: ${error.message}`);
+    }
+    const records = Array.isArray(data) ? data : data && data.records;
+    if (!Array.isArray(records)) {
+      throw new Error('JSON must be an array of records or { records: [...] }');
+    }
+    if (data.entity && data.entity !== entity) {
+      throw new Error(`This file holds ${data.entity}, not ${entity}`);
+    }
+    return records.map((raw, index) => ({ label: `Record ${index + 1}`, raw: raw || {} }));
+  }
+
+  const { columns, records } = parseCsvRecords(text);
+  const { key } = Catalog.ENTITIES[entity];
+  if (!columns.includes(key)) {
+    throw new Error(`Missing column ${key} (expected ${CSV_COLUMNS[entity].join(', ')})`);
+  }
+  // Line 1 is the header
+  return records.map((raw, index) => ({ label: `Line ${index + 2}`, raw }));
+}
+
+/**
+ * Read and validate an import file
+ *
+ * @param {string} entity - colors, parts or templates
+ * @param {string} format - csv or json
+ * @param {string} text - File contents
+ * @returns {Object} { records, errors } - errors lists rows that can't be imported
+ * @throws {Error} If the file itself can't be read (wrong format, missing key column)
+ */
+function readRecords(entity, format, text) {
+  const { key } = Catalog.ENTITIES[entity];
+  const existing = Catalog.getRecords(entity);
+  const existingKeys = new Set(existing.map(record => record[key]));
+  const knownPartCodes = entity === 'templates'
+    ? new Set(Catalog.getRecords('parts').map(part => part.part_code))
+    : null;
+
+  // Part names are unique too - remember which part code owns each name
+  const partCodeByName = new Map(entity === 'parts' ? existing.map(part => [part.part_name, part.part_code]) : []);
+
+  const records = [];
+  const errors = [];
+  const seenKeys = new Set();
+
+  for (const { label, raw } of readRows(entity, format, text)) {
+    try {
+      const record = toRecord(entity, raw);
+      if (seenKeys.has(record[key])) {
+        throw new Error(`${record[key]} is listed twice`);
+      }
+      seenKeys.add(record[key]);
+
+      if (!existingKeys.has(record[key])) {
+        const missing = REQUIRED_FOR_NEW[entity].filter(field => record[field] === undefined || record[field] === null);
+        if (missing.length > 0) {
+          throw new Error(`${record[key]} is new and needs ${missing.join(', ')}`);
+        }
+      }
+      if (record.parts) {
+        const unknown = record.parts.filter(part => !knownPartCodes.has(part.part_code));
+        if (unknown.length > 0) {
+          throw new Error(`Unknown part code(s): ${unknown.map(part => part.part_code).join(', ')} - import the parts first`);
+        }
+      }
+      if (record.part_name) {
+        const owner = partCodeByName.get(record.part_name);
+        if (owner !== undefined && owner !== record.part_code) {
+          throw new Error(`Part name "${record.part_name}" already belongs to ${owner || 'a part without a code'}`);
+        }
+        partCodeByName.set(record.part_name, record.part_code);
+      }
+
+      records.push(record);
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+    }
+  }
+
+  return { records, errors };
+}
+
+/**
+ * Summarize a diff for the preview/import response
+ * @param {string} entity - colors, parts or templates
+ * @param {Object} result - Catalog.diff()/apply() result
+ * @returns {Object} Counts plus new keys, changes per key, unchanged and missing keys
+ */
+function summarize(entity, result) {
+  const { key } = Catalog.ENTITIES[entity];
+  return {
+    new_count: result.new.length,
+    changed_count: result.changed.length,
+    unchanged_count: result.unchanged.length,
+    missing_count: result.missing.length,
+    new: result.new.map(record => record[key]),
+    changed: result.changed.map(change => ({ key: change.key, changes: change.changes })),
+    unchanged: result.unchanged,
+    missing: result.missing.map(row => row.key)
+  };
+}
+
+/**
+ * Preview an import without writing anything
+ * @param {string} entity - colors, parts or templates
+ * @param {string} format - csv or json
+ * @param {string} text - File contents
+ * @returns {Object} { entity, errors, new_count, changed_count, unchanged_count, missing_count,
+ *   new, changed, unchanged, missing }
+ */
+function previewImport(entity, format, text) {
+  const { records, errors } = readRecords(entity, format, text);
+  return { entity, errors, ...summarize(entity, Catalog.diff(entity, records)) };
+}
+
+/**
+ * Import a catalog file in one transaction
+ *
+ * Nothing is written if any row is invalid. Changed rows are written to the
+ * audit log in the same transaction.
+ *
+ * @param {string} entity - colors, parts or templates
+ * @param {string} format - csv or json
+ * @param {string} text - File contents
+ * @param {Object} options - Import options
+ * @param {boolean} options.deactivate_missing - Deactivate active rows missing from the file
+ * @param {string} options.actor - Who imported the file (audit log)
+ * @returns {Object} { errors } when rows are invalid, otherwise the preview fields plus deactivated_count
+ */
+function importCatalog(entity, format, text, options = {}) {
+  const { records, errors } = readRecords(entity, format, text);
+  if (errors.length > 0) {
+    return { entity, errors };
+  }
+
+  const transaction = db.transaction(() => {
+    const before = Catalog.getRecords(entity);
+    const result = Catalog.apply(entity, records, { deactivateMissing: !!options.deactivate_missing });
+    AuditLog.recordChanges(
+      AUDIT_ENTITY_TYPES[entity],
+      before,
+      Catalog.getRecords(entity),
+      options.actor || 'import',
+      `Catalog import (${entity}, ${format})`
+    );
+    return result;
+  });
+
+  const result = transaction();
+  return { entity, errors, ...summarize(entity, result), deactivated_count: result.deactivated_count };
+}
+
+module.exports = {
+  FORMATS,
+  CSV_COLUMNS,
+  isEntity,
+  exportCatalog,
+  readRecords,
+  previewImport,
+  importCatalog
+};
@@ -0,0 +1,268 @@
+/**
+ * Costing
+ *
+ * Combines what we know about costs into a cost per item, product and order,
+ * and compares it with what the customer paid (products.sale_price):
+ * - Material - grams of filament per chosen color (see Filament.getUsageForItems)
+ *   times the color's cost_per_gram
+ * - Machine - the template's print_cost, or its print_time_minutes at
+ *   cost_machine_per_hour when no print_cost is set (per product)
+ * - Labor - cost_labor_per_item for every item (assembly, post-processing)
+ * - Packaging - cost_packaging_per_order once per order
+ *
+ * Template margins compare an estimated cost for each template (its filament at
+ * the average cost_per_gram of the active colors) with the prices and actual
+ * costs of the products sold from it.
+ *
+ * Example usage:
+ * const costs = getOrderCosts(12);
+ * // { total_cost: 4.35, revenue: 25, margin: 20.65, margin_percent: 82.6, ... }
+ */
+
+const Color = require('../models/Color');
+const Filament = require('../models/Filament');
+const Order = require('../models/Order');
+const ProductTemplate = require('../models/ProductTemplate');
+const Setting = require('../models/Setting');
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Read the cost rates from the system settings
+ * @returns {Object} { machine_cost_per_hour, labor_cost_per_item, packaging_cost_per_order }
+ */
+function getConfig() {
+  return {
+    machine_cost_per_hour: Setting.getNumber('cost_machine_per_hour', 0),
+    labor_cost_per_item: Setting.getNumber('cost_labor_per_item', 0),
+    packaging_cost_per_order: Setting.getNumber('cost_packaging_per_order', 0)
+  };
+}
+
+/**
+ * Margin and margin percentage for a price and a cost
+ * @param {number|null} revenue - What the customer paid (null = not priced)
+ * @param {number} cost - Total cost
+ * @returns {Object} { margin, margin_percent } (both null when not priced)
+ */
+function getMargin(revenue, cost) {
+  if (revenue === null || revenue === undefined) {
+    return { margin: null, margin_percent: null };
+  }
+  const margin = roundMoney(revenue - cost);
+  return {
+    margin,
+    margin_percent: revenue > 0 ? Math.round((margin / revenue) * 1000) / 10 : null
+  };
+}
+
+/**
+ * Machine cost of one product built from a template
+ * @param {Object|null} template - Template row (null for products not built from a template)
+ * @param {Object} config - Cost rates
+ * @returns {number} Machine cost
+ */
+function getMachineCost(template, config) {
+  if (!template) {
+    return 0;
+  }
+  if (template.print_cost > 0) {
+    return roundMoney(template.print_cost);
+  }
+  return roundMoney(((template.print_time_minutes || 0) / 60) * config.machine_cost_per_hour);
+}
+
+/**
+ * Material and labor cost of several items
+ * @param {Array<number>} itemIds - Item IDs
+ * @param {Object} config - Cost rates
+ * @returns {Object} Map of item_id -> { grams, material_cost, labor_cost, colors }
+ *   Each color: { color_id, color_name, grams, cost_per_gram, cost }
+ */
+function getItemCosts(itemIds, config) {
+  const costs = {};
+  for (const itemId of itemIds) {
+    costs[itemId] = { grams: 0, material_cost: 0, labor_cost: config.labor_cost_per_item, colors: [] };
+  }
+
+  for (const usage of Filament.getUsageForItems(itemIds)) {
+    const cost = usage.grams * (usage.cost_per_gram || 0);
+    const itemCost = costs[usage.item_id];
+    itemCost.grams += usage.grams;
+    itemCost.material_cost += cost;
+    itemCost.colors.push({
+      color_id: usage.color_id,
+      color_name: usage.color_name,
+      grams: usage.grams,
+      cost_per_gram: usage.cost_per_gram || 0,
+      cost: roundMoney(cost)
+    });
+  }
+
+  for (const itemCost of Object.values(costs)) {
+    itemCost.material_cost = roundMoney(itemCost.material_cost);
+  }
+  return costs;
+}
+
+/**
+ * Total cost of a product from its item costs
+ * @param {Array<number>} itemIds - The product's item IDs
+ * @param {Object|null} template - The product's template, if any
+ * @param {Object} itemCosts - Map from getItemCosts()
+ * @param {Object} config - Cost rates
+ * @returns {Object} { material_cost, machine_cost, labor_cost, total_cost }
+ */
+function sumProductCost(itemIds, template, itemCosts, config) {
+  const materialCost = roundMoney(itemIds.reduce((sum, itemId) => sum + itemCosts[itemId].material_cost, 0));
+  const laborCost = roundMoney(itemIds.reduce((sum, itemId) => sum + itemCosts[itemId].labor_cost, 0));
+  const machineCost = getMachineCost(template, config);
+  return {
+    material_cost: materialCost,
+    machine_cost: machineCost,
+    labor_cost: laborCost,
+    total_cost: roundMoney(materialCost + machineCost + laborCost)
+  };
+}
+
+/**
+ * Get the costs and margin of an order
+ *
+ * The order margin is only calculated once every product has a sale price.
+ *
+ * @param {number} orderId - The order ID
+ * @returns {Object|null} { order_id, order_number, customer_name, platform, version, products,
+ *   material_cost, machine_cost, labor_cost, packaging_cost, total_cost, revenue,
+ *   unpriced_count, margin, margin_percent }, or null if the order was not found
+ *   Each product: { product_id, product_name, template_id, sale_price, items, material_cost,
+ *   machine_cost, labor_cost, total_cost, margin, margin_percent }
+ */
+function getOrderCosts(orderId) {
+  const order = Order.getById(orderId);
+  if (!order) {
+    return null;
+  }
+
+  const config = getConfig();
+  const itemIds = order.products.flatMap(product => product.items.map(item => item.item_id));
+  const itemCosts = getItemCosts(itemIds, config);
+
+  const products = order.products.map(product => {
+    const template = product.template_id ? ProductTemplate.getById(product.template_id) : null;
+    const productItemIds = product.items.map(item => item.item_id);
+    const cost = sumProductCost(productItemIds, template, itemCosts, config);
+
+    return {
+      product_id: product.product_id,
+      product_name: product.product_name,
+      template_id: product.template_id,
+      sale_price: product.sale_price,
+      items: product.items.map(item => ({
+        item_id: item.item_id,
+        item_name: item.item_name,
+        ...itemCosts[item.item_id]
+      })),
+      ...cost,
+      ...getMargin(product.sale_price, cost.total_cost)
+    };
+  });
+
+  const sum = field => roundMoney(products.reduce((total, product) => total + product[field], 0));
+  const packagingCost = products.length > 0 ? config.packaging_cost_per_order : 0;
+  const totalCost = roundMoney(sum('total_cost') + packagingCost);
+  const unpricedCount = products.filter(product => product.sale_price === null).length;
+  const revenue = roundMoney(products.reduce((total, product) => total + (product.sale_price || 0), 0));
+
+  return {
+    order_id: order.order_id,
+    order_number: order.order_number,
+    customer_name: order.customer_name,
+    platform: order.platform,
+    version: order.version,
+    products,
+    material_cost: sum('material_cost'),
+    machine_cost: sum('machine_cost'),
+    labor_cost: sum('labor_cost'),
+    packaging_cost: packagingCost,
+    total_cost: totalCost,
+    revenue,
+    unpriced_count: unpricedCount,
+    ...getMargin(unpricedCount === 0 ? revenue : null, totalCost)
+  };
+}
+
+/**
+ * Get the estimated cost and the realised margin of every template
+ *
+ * Active templates are always listed; inactive ones only if something was sold
+ * from them. Packaging is a per-order cost and is not included.
+ *
+ * @returns {Object} { templates, config, average_cost_per_gram }
+ *   Each template: { template_id, template_name, is_active, estimated_grams,
+ *   estimated_material_cost, machine_cost, labor_cost, estimated_cost, sold_count,
+ *   average_sale_price, average_cost, margin, margin_percent }
+ */
+function getTemplateMargins() {
+  const config = getConfig();
+  const templateGrams = Filament.getTemplateGrams();
+
+  const pricedColors = Color.getAll().filter(color => color.cost_per_gram > 0);
+  const averageCostPerGram = pricedColors.length > 0
+    ? pricedColors.reduce((sum, color) => sum + color.cost_per_gram, 0) / pricedColors.length
+    : 0;
+
+  const sold = Order.getPricedTemplateProducts();
+  const itemCosts = getItemCosts(sold.flatMap(product => product.item_ids), config);
+
+  const templates = ProductTemplate.getAll(true).map(template => {
+    const grams = templateGrams[template.template_id] || 0;
+    const materialCost = roundMoney(grams * averageCostPerGram);
+    const machineCost = getMachineCost(template, config);
+    const laborCost = config.labor_cost_per_item;
+
+    const products = sold.filter(product => product.template_id === template.template_id);
+    const averageSalePrice = products.length > 0
+      ? roundMoney(products.reduce((sum, product) => sum + product.sale_price, 0) / products.length)
+      : null;
+    const averageCost = products.length > 0
+      ? roundMoney(products.reduce((sum, product) => (
+        sum + sumProductCost(product.item_ids, template, itemCosts, config).total_cost
+      ), 0) / products.length)
+      : null;
+
+    return {
+      template_id: template.template_id,
+      template_name: template.template_name,
+      is_active: template.is_active,
+      estimated_grams: Math.round(grams * 100) / 100,
+      estimated_material_cost: materialCost,
+      machine_cost: machineCost,
+      labor_cost: laborCost,
+      estimated_cost: roundMoney(materialCost + machineCost + laborCost),
+      sold_count: products.length,
+      average_sale_price: averageSalePrice,
+      average_cost: averageCost,
+      ...getMargin(averageSalePrice, averageCost)
+    };
+  });
+
+  return {
+    templates: templates.filter(template => template.is_active || template.sold_count > 0),
+    config,
+    average_cost_per_gram: Math.round(averageCostPerGram * 10000) / 10000
+  };
+}
+
+module.exports = {
+  getConfig,
+  getMachineCost,
+  getOrderCosts,
+  getTemplateMargins
+};
@@ -0,0 +1,210 @@
+/**
+ * Etsy Import
+ *
+ * Takes in orders from Etsy's "Sold Order Items" CSV export (Shop Manager →
+ * Settings → Options → Download Data). Every CSV line is one order item; lines
+ * are grouped into orders by Etsy's Order ID.
+ *
+ * Lines are mapped like every other shop order (see Intake): through sku_mappings
+ * with platform "Etsy", using the listing's SKU - or the Listing ID for listings
+ * without a SKU - and the Variations text as the variant. Unmapped lines go to
+ * the review queue. Orders that were taken in before are flagged as duplicates
+ * and skipped.
+ *
+ * The ship-by date is the sale date plus etsy_processing_days.
+ *
+ * Example usage:
+ * const preview = previewImport(csvText);   // nothing is written
+ * const result = importOrders(csvText);     // one transaction
+ */
+
+const Intake = require('../models/Intake');
+const Setting = require('../models/Setting');
+const { parseCsvRecords } = require('../utils/csv');
+
+// Columns the import can't work without
+const REQUIRED_COLUMNS = ['Sale Date', 'Order ID', 'Item Name', 'Quantity'];
+
+/**
+ * Parse an Etsy sale date
+ * @param {string} value - "MM/DD/YY", "MM/DD/YYYY" or "YYYY-MM-DD"
+ * @returns {string|null} Date as YYYY-MM-DD, or null if not a date
+ */
+function parseSaleDate(value) {
+  const text = String(value || '').trim();
+  let year;
+  let month;
+  let day;
+
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (us) {
+    [month, day, year] = us.slice(1).map(Number);
+    year = year < 100 ? 2000 + year : year;
+  } else if (iso) {
+    [year, month, day] = iso.slice(1).map(Number);
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Read the orders from an Etsy CSV export
+ *
+ * @param {string} csvText - Contents of the "Sold Order Items" CSV
+ * @param {number} processingDays - Days between the sale and the ship-by date
+ * @returns {Object} { intakes, errors } - intakes for Intake.ingest() (plus order_date),
+ *   errors lists CSV lines that couldn't be read
+ */
+function readOrders(csvText, processingDays) {
+  const { columns, records } = parseCsvRecords(csvText);
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`Not an Etsy "Sold Order Items" export - missing column(s): ${missing.join(', ')}`);
+  }
+
+  const intakesById = new Map();
+  const errors = [];
+
+  records.forEach((record, index) => {
+    // Line 1 is the header
+    const lineNumber = index + 2;
+    const orderId = String(record['Order ID'] || '').trim();
+    const orderDate = parseSaleDate(record['Sale Date']);
+    const quantity = Number(record.Quantity);
+
+    if (!orderId) {
+      errors.push(`Line ${lineNumber}: Order ID is missing`);
+      return;
+    }
+    if (!orderDate) {
+      errors.push(`Line ${lineNumber}: Sale Date "${record['Sale Date']}" is not a date`);
+      return;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`Line ${lineNumber}: Quantity "${record.Quantity}" is not a whole number`);
+      return;
+    }
+
+    if (!intakesById.has(orderId)) {
+      intakesById.set(orderId, {
+        platform: 'Etsy',
+        external_order_id: orderId,
+        order_date: orderDate,
+        order: {
+          customer_name: String(record['Ship Name'] || record.Buyer || '').trim() || 'Etsy customer',
+          ship_by_date: Intake.shipByFromOrderDate(orderDate, processingDays),
+          is_express: false,
+          order_notes: `Etsy order ${orderId}`
+        },
+        lines: []
+      });
+    }
+
+    intakesById.get(orderId).lines.push({
+      sku: String(record.SKU || record['Listing ID'] || '').trim(),
+      variant: String(record.Variations || '').trim(),
+      title: record['Item Name'],
+      quantity,
+      unit_price: record.Price
+    });
+  });
+
+  return { intakes: [...intakesById.values()], errors };
+}
+
+/**
+ * Get the configured processing time
+ * @returns {number} Days between an Etsy sale and its ship-by date
+ */
+function getProcessingDays() {
+  return Setting.getNumber('etsy_processing_days', 3);
+}
+
+/**
+ * Preview an Etsy import without writing anything
+ *
+ * @param {string} csvText - Contents of the "Sold Order Items" CSV
+ * @returns {Object} { orders, errors, processing_days, order_count, new_count,
+ *   duplicate_count, review_line_count }
+ *   Each order: { external_order_id, customer_name, order_date, ship_by_date, duplicate, lines }
+ *   Each line: { sku, variant, title, quantity, unit_price, template_name, color_names, reason }
+ *   (template_name when it maps, reason when it would go to the review queue)
+ */
+function previewImport(csvText) {
+  const processingDays = getProcessingDays();
+  const { intakes, errors } = readOrders(csvText, processingDays);
+
+  const orders = intakes.map(intake => ({
+    external_order_id: intake.external_order_id,
+    customer_name: intake.order.customer_name,
+    order_date: intake.order_date,
+    ship_by_date: intake.order.ship_by_date,
+    duplicate: Intake.isTakenIn('Etsy', intake.external_order_id),
+    lines: intake.lines.map(line => {
+      const mapped = Intake.mapLine('Etsy', line);
+      return {
+        ...line,
+        template_name: mapped.products ? mapped.mapping.template_name : null,
+        color_names: mapped.products ? mapped.colors.map(color => color.color_name) : [],
+        reason: mapped.reason || null
+      };
+    })
+  }));
+
+  const newOrders = orders.filter(order => !order.duplicate);
+  return {
+    orders,
+    errors,
+    processing_days: processingDays,
+    order_count: orders.length,
+    new_count: newOrders.length,
+    duplicate_count: orders.length - newOrders.length,
+    review_line_count: newOrders.reduce((sum, order) => sum + order.lines.filter(line => line.reason).length, 0)
+  };
+}
+
+/**
+ * Import the orders from an Etsy CSV export in one transaction
+ *
+ * Refuses the whole file if any line can't be read (fix the file and try again).
+ * Orders taken in before are skipped.
+ *
+ * @param {string} csvText - Contents of the "Sold Order Items" CSV
+ * @returns {Object} { created_count, review_only_count, duplicate_count, review_line_count, results }
+ *   Each result: { external_order_id, status, order, review_count } (see Intake.ingest)
+ */
+function importOrders(csvText) {
+  const { intakes, errors } = readOrders(csvText, getProcessingDays());
+  if (errors.length > 0) {
+    throw new Error(`The file has ${errors.length} line(s) that can't be read - first: ${errors[0]}`);
+  }
+
+  const results = Intake.ingestMany(intakes).map((result, index) => ({
+    external_order_id: intakes[index].external_order_id,
+    ...result
+  }));
+
+  const count = status => results.filter(result => result.status === status).length;
+  return {
+    created_count: count('created'),
+    review_only_count: count('review'),
+    duplicate_count: count('duplicate'),
+    review_line_count: results.reduce((sum, result) => sum + result.review_count, 0),
+    results
+  };
+}
+
+module.exports = {
+  REQUIRED_COLUMNS,
+  parseSaleDate,
+  readOrders,
+  previewImport,
+  importOrders
+};
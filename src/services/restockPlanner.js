@@ -0,0 +1,113 @@
+/**
+ * Restock Planner
+ *
+ * Lists the colors that have fallen below their reorder threshold, grouped by
+ * supplier, with a suggested order quantity and its estimated cost.
+ *
+ * The suggestion tops stock up to the threshold plus enough filament to cover
+ * restock_cover_days of recent use (from the filament ledger), rounded up to
+ * restock_round_grams (e.g. whole 1 kg spools). Colors without a threshold are
+ * never listed.
+ *
+ * Example usage:
+ * const { suppliers } = getRestockList({ supplier: 'Bambu Lab' });
+ */
+
+const Color = require('../models/Color');
+const Filament = require('../models/Filament');
+const Setting = require('../models/Setting');
+
+// Group name for colors without a supplier
+const NO_SUPPLIER = 'No supplier';
+
+/**
+ * Suggest how many grams to order for a color
+ * @param {Object} color - Color with stock_grams and reorder_threshold_grams
+ * @param {number} dailyGrams - Average daily use
+ * @param {Object} config - { cover_days, round_grams }
+ * @returns {number} Grams to order (0 if none needed)
+ */
+function suggestQuantity(color, dailyGrams, config) {
+  const target = color.reorder_threshold_grams + dailyGrams * config.cover_days;
+  const missing = target - (color.stock_grams || 0);
+  if (missing <= 0) {
+    return 0;
+  }
+  return config.round_grams > 0
+    ? Math.ceil(missing / config.round_grams) * config.round_grams
+    : Math.ceil(missing);
+}
+
+/**
+ * Check whether a color is below its reorder threshold
+ * @param {Object} color - Color row
+ * @returns {boolean} True if a threshold is set and stock is below it
+ */
+function isLowStock(color) {
+  return color.reorder_threshold_grams !== null
+    && color.reorder_threshold_grams !== undefined
+    && (color.stock_grams || 0) < color.reorder_threshold_grams;
+}
+
+/**
+ * Build the restock list
+ *
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.supplier - Only this supplier ("No supplier" for colors without one)
+ * @returns {Object} { suppliers, config, color_count, total_cost }
+ *   Each supplier: { supplier, colors, total_grams, total_cost }
+ *   Each color: color fields plus used_grams, daily_grams, days_of_cover,
+ *   suggested_grams and estimated_cost
+ */
+function getRestockList(filters = {}) {
+  const config = {
+    cover_days: Setting.getNumber('restock_cover_days', 30),
+    round_grams: Setting.getNumber('restock_round_grams', 1000)
+  };
+  const summary = Filament.getStockSummary();
+
+  const lowColors = Color.getAll().filter(isLowStock);
+  const supplierNames = [...new Set(lowColors.map(color => color.supplier || NO_SUPPLIER))]
+    .filter(supplier => !filters.supplier || supplier === filters.supplier)
+    .sort((a, b) => a.localeCompare(b));
+
+  const suppliers = supplierNames.map(supplier => {
+    const supplierColors = supplier === NO_SUPPLIER
+      ? lowColors.filter(color => !color.supplier)
+      : Color.getBySupplier(supplier).filter(isLowStock);
+
+    const colors = supplierColors.map(color => {
+      const usage = summary[color.color_id];
+      const suggestedGrams = suggestQuantity(color, usage.daily_grams, config);
+      return {
+        ...color,
+        used_grams: usage.used_grams,
+        daily_grams: usage.daily_grams,
+        days_of_cover: usage.days_of_cover,
+        suggested_grams: suggestedGrams,
+        estimated_cost: Math.round(suggestedGrams * (color.cost_per_gram || 0) * 100) / 100
+      };
+    });
+
+    return {
+      supplier,
+      colors,
+      total_grams: colors.reduce((sum, color) => sum + color.suggested_grams, 0),
+      total_cost: Math.round(colors.reduce((sum, color) => sum + color.estimated_cost, 0) * 100) / 100
+    };
+  });
+
+  return {
+    suppliers,
+    config,
+    color_count: suppliers.reduce((sum, group) => sum + group.colors.length, 0),
+    total_cost: Math.round(suppliers.reduce((sum, group) => sum + group.total_cost, 0) * 100) / 100
+  };
+}
+
+module.exports = {
+  NO_SUPPLIER,
+  isLowStock,
+  suggestQuantity,
+  getRestockList
+};
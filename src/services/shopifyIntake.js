@@ -0,0 +1,131 @@
+/**
+ * Shopify Intake
+ *
+ * Turns Shopify order webhooks into orders. Shopify signs every webhook with the
+ * app's shared secret: X-Shopify-Hmac-Sha256 is the base64 HMAC-SHA256 of the raw
+ * request body. The secret comes from the SHOPIFY_WEBHOOK_SECRET environment
+ * variable (e.g. `fly secrets set SHOPIFY_WEBHOOK_SECRET=...`).
+ *
+ * The payload is converted into a shop-neutral intake (see Intake.ingest), so
+ * SKU mapping, the review queue and idempotency work the same for every shop.
+ * Nothing here talks to Shopify - recorded payloads can be replayed offline
+ * (see src/utils/replay-shopify-webhook.js).
+ *
+ * Example usage:
+ * if (verifySignature(request.rawBody, request.headers['x-shopify-hmac-sha256'], getSecret())) {
+ *   const result = takeInOrder(request.body);
+ * }
+ */
+
+const crypto = require('crypto');
+const Intake = require('../models/Intake');
+const Setting = require('../models/Setting');
+
+// Shipping methods whose title or code contains one of these are express orders
+const EXPRESS_PATTERN = /express|priority|overnight/i;
+
+/**
+ * Get the configured webhook secret
+ * @returns {string|null} The secret, or null if not configured
+ */
+function getSecret() {
+  return process.env.SHOPIFY_WEBHOOK_SECRET || null;
+}
+
+/**
+ * Sign a raw body the way Shopify does
+ * @param {Buffer|string} rawBody - Exact request body
+ * @param {string} secret - Shared secret
+ * @returns {string} Base64 HMAC-SHA256
+ */
+function sign(rawBody, secret) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+}
+
+/**
+ * Check a webhook signature (constant-time comparison)
+ * @param {Buffer|string} rawBody - Exact request body
+ * @param {string} signature - X-Shopify-Hmac-Sha256 header value
+ * @param {string} secret - Shared secret
+ * @returns {boolean} True if the signature matches
+ */
+function verifySignature(rawBody, signature, secret) {
+  if (!rawBody || !signature || !secret) {
+    return false;
+  }
+  const expected = Buffer.from(sign(rawBody, secret));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Get the customer name from a Shopify order
+ * @param {Object} payload - Shopify order
+ * @returns {string} Customer name (falls back to the email or "Shopify customer")
+ */
+function getCustomerName(payload) {
+  const customer = payload.customer || {};
+  const name = [customer.first_name, customer.last_name].filter(Boolean).join(' ').trim();
+  return name
+    || (payload.shipping_address && payload.shipping_address.name)
+    || (payload.billing_address && payload.billing_address.name)
+    || payload.email
+    || 'Shopify customer';
+}
+
+/**
+ * Convert a Shopify order payload into an intake for Intake.ingest()
+ *
+ * Gift cards are skipped (nothing to print). The order date is the shop's local
+ * date from created_at; the ship-by date adds shopify_processing_days to it.
+ *
+ * @param {Object} payload - Shopify order (webhook body)
+ * @param {number} processingDays - Days between the order and its ship-by date
+ * @returns {Object} Intake ({ platform, external_order_id, order, lines })
+ */
+function toIntake(payload, processingDays) {
+  const orderName = payload.name || (payload.order_number ? `#${payload.order_number}` : `#${payload.id}`);
+  const shippingLines = payload.shipping_lines || [];
+
+  return {
+    platform: 'Shopify',
+    external_order_id: payload.id,
+    order: {
+      customer_name: getCustomerName(payload),
+      ship_by_date: Intake.shipByFromOrderDate(payload.created_at || new Date().toISOString(), processingDays),
+      is_express: shippingLines.some(line => EXPRESS_PATTERN.test(`${line.title || ''} ${line.code || ''}`)),
+      order_notes: [`Shopify order ${orderName}`, payload.note].filter(Boolean).join(' - ')
+    },
+    lines: (payload.line_items || [])
+      .filter(line => !line.gift_card)
+      .map(line => ({
+        sku: line.sku,
+        variant: line.variant_title,
+        title: line.variant_title ? `${line.title} - ${line.variant_title}` : line.title,
+        quantity: line.quantity,
+        unit_price: line.price
+      }))
+  };
+}
+
+/**
+ * Take in a Shopify order
+ * @param {Object} payload - Shopify order (webhook body)
+ * @returns {Object} Result of Intake.ingest() ({ status, order, review_count }), or
+ *   status "ignored" when the order has nothing to print (e.g. only gift cards)
+ */
+function takeInOrder(payload) {
+  const intake = toIntake(payload, Setting.getNumber('shopify_processing_days', 3));
+  if (intake.lines.length === 0) {
+    return { status: 'ignored', order: null, review_count: 0 };
+  }
+  return Intake.ingest(intake);
+}
+
+module.exports = {
+  getSecret,
+  sign,
+  verifySignature,
+  toIntake,
+  takeInOrder
+};
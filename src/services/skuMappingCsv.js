@@ -0,0 +1,159 @@
+/**
+ * SKU Mapping CSV
+ *
+ * Bulk editing of SKU mappings: export the active mappings as CSV, edit them in
+ * a spreadsheet and upload the file again. Templates and colors are written by
+ * name so the file can be read and edited by hand.
+ *
+ * Columns:
+ * - platform (required) - Shopify or Etsy
+ * - external_sku (required)
+ * - external_variant - Empty = every variant of the SKU
+ * - template_name (required) - Product template name
+ * - colors - Fixed color names in order, separated by " / "
+ * - color_rule - fixed (default) or variant
+ * - notes
+ *
+ * Uploads create or update mappings by platform, SKU and variant (see
+ * SkuMapping.saveMany). Mappings missing from the file are left alone.
+ *
+ * Example usage:
+ * const csv = exportMappings();
+ * const result = importMappings(csv); // { errors } or { created_count, ... }
+ */
+
+const SkuMapping = require('../models/SkuMapping');
+const ProductTemplate = require('../models/ProductTemplate');
+const Color = require('../models/Color');
+const { toCsvLine, parseCsvRecords } = require('../utils/csv');
+
+const CSV_COLUMNS = ['platform', 'external_sku', 'external_variant', 'template_name', 'colors', 'color_rule', 'notes'];
+
+// Columns an upload can't work without
+const REQUIRED_COLUMNS = ['platform', 'external_sku', 'template_name'];
+
+// Separates color names in the colors column
+const COLOR_SEPARATOR = ' / ';
+
+/**
+ * Export the active SKU mappings as CSV
+ * @returns {string} CSV text (header line first)
+ */
+function exportMappings() {
+  let csv = toCsvLine(CSV_COLUMNS);
+  for (const mapping of SkuMapping.getAll()) {
+    csv += toCsvLine([
+      mapping.platform,
+      mapping.external_sku,
+      mapping.external_variant,
+      mapping.template_name,
+      mapping.colors.map(color => color.color_name).join(COLOR_SEPARATOR),
+      mapping.color_rule,
+      mapping.notes
+    ]);
+  }
+  return csv;
+}
+
+/**
+ * Read SKU mappings from an uploaded CSV
+ *
+ * @param {string} csvText - CSV text with the columns above
+ * @returns {Object} { mappings, errors } - mappings ready for SkuMapping.saveMany(),
+ *   errors lists CSV lines that can't be used
+ */
+function readMappings(csvText) {
+  const { columns, records } = parseCsvRecords(csvText);
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`Missing column(s): ${missing.join(', ')} (expected ${CSV_COLUMNS.join(', ')})`);
+  }
+
+  // Look templates and colors up by name, ignoring case (inactive ones too, so they get flagged)
+  const templatesByName = new Map(
+    ProductTemplate.getAll(true).map(template => [template.template_name.toLowerCase(), template])
+  );
+  const colorsByName = new Map(Color.getAll(true).map(color => [color.color_name.toLowerCase(), color]));
+
+  const mappings = [];
+  const errors = [];
+  const seenKeys = new Set();
+
+  records.forEach((record, index) => {
+    // Line 1 is the header
+    const lineNumber = index + 2;
+    const templateName = String(record.template_name || '').trim();
+    const template = templatesByName.get(templateName.toLowerCase());
+    if (!template) {
+      errors.push(`Line ${lineNumber}: No product template named "${templateName}"`);
+      return;
+    }
+
+    const colorNames = String(record.colors || '').split('/').map(name => name.trim()).filter(Boolean);
+    const unknownColors = colorNames.filter(name => !colorsByName.has(name.toLowerCase()));
+    if (unknownColors.length > 0) {
+      errors.push(`Line ${lineNumber}: Unknown color(s): ${unknownColors.join(', ')}`);
+      return;
+    }
+
+    const mappingData = {
+      platform: String(record.platform || '').trim(),
+      external_sku: String(record.external_sku || '').trim(),
+      external_variant: String(record.external_variant || '').trim(),
+      template_id: template.template_id,
+      color_rule: String(record.color_rule || '').trim() || 'fixed',
+      color_ids: colorNames.map(name => colorsByName.get(name.toLowerCase()).color_id),
+      notes: String(record.notes || '').trim() || null
+    };
+
+    const validationError = SkuMapping.validate(mappingData);
+    if (validationError) {
+      errors.push(`Line ${lineNumber}: ${validationError}`);
+      return;
+    }
+
+    const key = [mappingData.platform, mappingData.external_sku, mappingData.external_variant].join('\u0000');
+    if (seenKeys.has(key)) {
+      errors.push(`Line ${lineNumber}: ${mappingData.platform} SKU "${mappingData.external_sku}"`
+        + `${mappingData.external_variant ? ` (${mappingData.external_variant})` : ''} is listed twice`);
+      return;
+    }
+    seenKeys.add(key);
+    mappings.push(mappingData);
+  });
+
+  return { mappings, errors };
+}
+
+/**
+ * Upload SKU mappings from CSV in one transaction
+ *
+ * Nothing is saved if any line can't be used.
+ *
+ * @param {string} csvText - CSV text with the columns above
+ * @returns {Object} { errors } when lines can't be used, otherwise
+ *   { errors: [], created_count, updated_count, unchanged_count, results } (see SkuMapping.saveMany)
+ */
+function importMappings(csvText) {
+  const { mappings, errors } = readMappings(csvText);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const results = SkuMapping.saveMany(mappings);
+  const count = status => results.filter(result => result.status === status).length;
+  return {
+    errors,
+    created_count: count('created'),
+    updated_count: count('updated'),
+    unchanged_count: count('unchanged'),
+    results
+  };
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  exportMappings,
+  readMappings,
+  importMappings
+};
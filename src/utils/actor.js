@@ -0,0 +1,65 @@
+/**
+ * Request Actor
+ *
+ * Works out who made a request, for records that say who changed something:
+ * - getActor(request) - A name for the audit log: the signed-in user's
+ *   username, the paired device, or the client's address for requests
+ *   without either (e.g. shop webhooks)
+ * - getIdentity(request) - Operator and station for status_history rows
+ */
+
+const path = require('path');
+
+/**
+ * Get the actor of a request
+ * @param {Object} request - Fastify request (request.user / request.device are set by utils/auth.js)
+ * @returns {string} Who made the request, e.g. "sarah", "device:Printfarm iPad" or "ip:192.168.1.20"
+ */
+function getActor(request) {
+  if (request.user) {
+    return request.user.username;
+  }
+  if (request.device) {
+    return `device:${request.device.device_name}`;
+  }
+  return `ip:${request.ip || 'unknown'}`;
+}
+
+/**
+ * Get the station a request was made from
+ *
+ * A paired device is its own station. Otherwise the station is the page the
+ * request came from (e.g. "printfarm" for the printfarm view's buttons).
+ *
+ * @param {Object} request - Fastify request
+ * @returns {string|null} Station name, or null if unknown
+ */
+function getStation(request) {
+  if (request.device) {
+    return request.device.device_name;
+  }
+  try {
+    const page = path.posix.basename(new URL(request.headers.referer).pathname);
+    return page ? page.slice(0, 60) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the operator and station of a request (recorded with every status change)
+ * @param {Object} request - Fastify request
+ * @returns {Object} { user_id, device_id, station } - each null if unknown
+ */
+function getIdentity(request) {
+  return {
+    user_id: request.user ? request.user.user_id : null,
+    device_id: request.device ? request.device.device_id : null,
+    station: getStation(request)
+  };
+}
+
+module.exports = {
+  getActor,
+  getIdentity
+};
@@ -0,0 +1,282 @@
+/**
+ * Authentication and Role-Based Access
+ *
+ * Every request goes through authenticate() (an onRequest hook registered in
+ * server.js): it reads the session cookie, puts the signed-in user on
+ * request.user and checks ACCESS_RULES for the user's role.
+ *
+ * Station devices can be paired instead (models/Device.js): their token comes
+ * in the device cookie or an "Authorization: Bearer <token>" header and is put
+ * on request.device. Without a signed-in user the device's role applies, and
+ * people can still switch to themselves on the device with their PIN.
+ *
+ * - Not signed in (and no device): pages redirect to /login, API calls get a 401
+ * - Signed in with the wrong role: pages redirect to /switch-user (so a shared
+ *   iPad can switch to someone who may open the page), API calls get a 403
+ *
+ * Rules are checked in order and the first one whose method and path match
+ * decides. Admins may open everything; anything without a rule is admin-only.
+ *
+ * The session cookie is HttpOnly and SameSite=Lax, so other sites can't send
+ * requests with it (and JSON APIs need a same-origin fetch anyway).
+ */
+
+const Session = require('../models/Session');
+const Device = require('../models/Device');
+
+const SESSION_COOKIE = 'tot_session';
+const DEVICE_COOKIE = 'tot_device';
+
+// A paired device stays paired until its token is regenerated or it is deactivated
+const DEVICE_COOKIE_DAYS = 365;
+
+// Access levels besides role lists
+const PUBLIC = 'public';
+const SIGNED_IN = 'signed_in';
+
+// First match wins - paths are matched decoded and without the query string (see getPath)
+const ACCESS_RULES = [
+  // Health check, sign-in and shop webhooks (verified by their own signature)
+  { path: /^\/health$/, access: PUBLIC },
+  { path: /^\/login(\/device)?$/, access: PUBLIC },
+  { path: /^\/webhooks\//, access: PUBLIC },
+
+  // Anyone signed in
+  { path: /^\/$/, methods: ['GET'], access: SIGNED_IN },
+  { path: /^\/(logout|logout\/device|switch-user|login\/pin)$/, access: SIGNED_IN },
+  { path: /^\/events$/, access: SIGNED_IN },
+
+  // Packing and shipping (before the order rules below)
+  { path: /^\/packing$/, access: ['packer'] },
+  { path: /^\/api\/orders\/\d+\/(pack|ship)$/, access: ['packer'] },
+
+  // Order entry
+  { path: /^\/api\/orders(\/|$)/, access: ['order_entry'] },
+  { path: /^\/(archive|api\/archive)(\/|$)/, access: ['order_entry'] },
+  { path: /^\/(margins|api\/margins)(\/|$)/, access: ['order_entry'] },
+  { path: /^\/admin\/(intake|api\/intake)(\/|$)/, access: ['order_entry'] },
+
+  // Printfarm
+  { path: /^\/queue$/, methods: ['GET'], access: ['order_entry', 'operator'] },
+  { path: /^\/(queue\/batches|api\/queue\/)/, access: ['operator'] },
+  { path: /^\/(printfarm|assembly)$/, access: ['operator'] },
+  { path: /^\/api\/items(\/|$)/, access: ['operator'] },
+  { path: /^\/api\/products\/\d+\/assemble$/, access: ['operator'] },
+  { path: /^\/(forecast|api\/forecast)$/, access: ['order_entry', 'operator'] }
+];
+
+// Where each role lands after signing in
+const HOME_PAGES = {
+  admin: '/admin',
+  order_entry: '/queue',
+  operator: '/printfarm',
+  packer: '/packing'
+};
+
+/**
+ * Get the path of a URL the way the router sees it, for matching ACCESS_RULES
+ *
+ * Fastify routes on the percent-decoded path and also ends the path at ";"
+ * (useSemicolonDelimiter), so "/api/orders/1/%73hip" and "/api/orders/1/ship;x"
+ * both reach the ship route - the rules have to see "/api/orders/1/ship" too.
+ * Like the router, escapes of reserved characters (e.g. %2F) stay encoded and
+ * "%25" is decoded only once.
+ *
+ * @param {string} url - Request URL
+ * @returns {string|null} Decoded path, or null if it can't be decoded
+ */
+function getPath(url) {
+  const path = String(url).split(/[?#;]/)[0];
+  try {
+    return decodeURI(path.replace(/%25/g, '%2525'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the access level of a route
+ * @param {string} method - HTTP method
+ * @param {string} path - Decoded URL path (see getPath)
+ * @returns {string|Array} PUBLIC, SIGNED_IN or the roles allowed besides admin ([] = admin only)
+ */
+function getAccess(method, path) {
+  const checkedMethod = method === 'HEAD' ? 'GET' : method;
+  const rule = ACCESS_RULES.find(candidate => (
+    candidate.path.test(path) && (!candidate.methods || candidate.methods.includes(checkedMethod))
+  ));
+  return rule ? rule.access : [];
+}
+
+/**
+ * Check whether a role may use a route
+ * @param {string} role - User role
+ * @param {string} method - HTTP method
+ * @param {string} url - URL (a query string is ignored)
+ * @returns {boolean} True if allowed
+ */
+function canAccess(role, method, url) {
+  const path = getPath(url);
+  if (path === null) {
+    return false;
+  }
+  const access = getAccess(method, path);
+  if (access === PUBLIC || access === SIGNED_IN || role === 'admin') {
+    return true;
+  }
+  return access.includes(role);
+}
+
+/**
+ * Read the cookies of a request
+ * @param {string} header - Cookie request header
+ * @returns {Object} Map of cookie name -> value
+ */
+function parseCookies(header) {
+  const cookies = {};
+  for (const pair of String(header || '').split(';')) {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      const value = pair.slice(index + 1).trim();
+      try {
+        cookies[pair.slice(0, index).trim()] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[pair.slice(0, index).trim()] = value;
+      }
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Build the Set-Cookie header for a session
+ * @param {string|null} token - Session token, or null to clear the cookie
+ * @returns {string} Set-Cookie header value
+ */
+function sessionCookie(token) {
+  const maxAge = token ? Session.SESSION_DAYS * 24 * 60 * 60 : 0;
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${token || ''}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+}
+
+/**
+ * Build the Set-Cookie header that pairs a browser with a device
+ * @param {string|null} token - Device token, or null to clear the cookie
+ * @returns {string} Set-Cookie header value
+ */
+function deviceCookie(token) {
+  const maxAge = token ? DEVICE_COOKIE_DAYS * 24 * 60 * 60 : 0;
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  return `${DEVICE_COOKIE}=${token || ''}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+}
+
+/**
+ * Get the session token sent with a request
+ * @param {Object} request - Fastify request
+ * @returns {string|null} Token, or null if there is no session cookie
+ */
+function getSessionToken(request) {
+  return parseCookies(request.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+/**
+ * Get the device token sent with a request
+ * @param {Object} request - Fastify request
+ * @returns {string|null} Token from the Authorization header or the device cookie, or null
+ */
+function getDeviceToken(request) {
+  const match = /^Bearer\s+(\S+)$/i.exec(String(request.headers.authorization || ''));
+  if (match) {
+    return match[1];
+  }
+  return parseCookies(request.headers.cookie)[DEVICE_COOKIE] || null;
+}
+
+/**
+ * Get the role a request acts with
+ * @param {Object} request - Fastify request (after authenticate())
+ * @returns {string|null} The signed-in user's role, else the device's role, else null
+ */
+function getRole(request) {
+  if (request.user) {
+    return request.user.role;
+  }
+  return request.device ? request.device.role : null;
+}
+
+/**
+ * Check whether a request is a browser opening a page (rather than an API call)
+ * @param {Object} request - Fastify request
+ * @returns {boolean} True for page requests
+ */
+function isPageRequest(request) {
+  return ['GET', 'HEAD'].includes(request.method) && String(request.headers.accept || '').includes('text/html');
+}
+
+/**
+ * Fastify onRequest hook: sign the request in and enforce ACCESS_RULES
+ * @param {Object} request - Fastify request (request.user is set to the signed-in
+ *   user or null, request.device to the paired device or null)
+ * @param {Object} reply - Fastify reply
+ */
+async function authenticate(request, reply) {
+  const path = getPath(request.url);
+  if (path === null) {
+    return reply.code(400).send({ error: 'Malformed URL' });
+  }
+  request.user = Session.getUser(getSessionToken(request));
+  request.device = Device.authenticate(getDeviceToken(request));
+
+  const access = getAccess(request.method, path);
+  if (access === PUBLIC) {
+    return;
+  }
+
+  const role = getRole(request);
+  if (!role) {
+    if (isPageRequest(request)) {
+      return reply.redirect(`/login?next=${encodeURIComponent(request.url)}`);
+    }
+    return reply.code(401).send({ error: 'Sign in required' });
+  }
+
+  if (!canAccess(role, request.method, path)) {
+    if (isPageRequest(request)) {
+      return reply.redirect(`/switch-user?next=${encodeURIComponent(request.url)}&denied=1`);
+    }
+    return reply.code(403).send({ error: 'Your role is not allowed to do this' });
+  }
+}
+
+/**
+ * Fastify preHandler hook: make the signed-in user available to every view
+ * (currentUser, currentDevice, and canOpen(path) for showing only the links
+ * the user - or the device - may open)
+ * @param {Object} request - Fastify request
+ * @param {Object} reply - Fastify reply
+ */
+async function exposeUser(request, reply) {
+  const role = getRole(request);
+  reply.locals = {
+    ...reply.locals,
+    currentUser: request.user || null,
+    currentDevice: request.device || null,
+    canOpen: path => Boolean(role) && canAccess(role, 'GET', path)
+  };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  DEVICE_COOKIE,
+  ACCESS_RULES,
+  HOME_PAGES,
+  canAccess,
+  parseCookies,
+  sessionCookie,
+  deviceCookie,
+  getSessionToken,
+  getDeviceToken,
+  getRole,
+  authenticate,
+  exposeUser
+};
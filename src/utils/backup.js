@@ -0,0 +1,461 @@
+/**
+ * Database Backups
+ *
+ * Online backups of the live database with better-sqlite3's backup API (safe
+ * while the app is writing). Each backup is checked before it is kept: the copy
+ * must pass PRAGMA integrity_check, and its SHA-256 checksum, size and schema
+ * version are written to a manifest next to it (<backup>.json).
+ *
+ * Backups live in the backups directory next to the database (/data/backups in
+ * production, ./backups in development; BACKUP_DIR overrides it). The scheduler
+ * takes one every backup_interval_hours while backup_enabled is 1 (both read
+ * from system_settings on every check, so changes apply without a restart).
+ *
+ * Retention keeps the newest backup of each of the last RETENTION.hourly hours,
+ * RETENTION.daily days and RETENTION.weekly weeks, plus the newest backup
+ * overall; older backups are removed after every new backup.
+ *
+ * A restore verifies the backup (checksum, integrity, schema not newer than the
+ * code), takes a "pre-restore" backup of the current database, stages the file
+ * on the database volume, verifies the staged copy and only then copies it
+ * over the live database (backup API again, so open connections see the
+ * restored data). Pending migrations are applied to the restored database.
+ *
+ * Usage:
+ *   npm run db:backup                        # Take a backup now (and apply retention)
+ *   npm run db:backup -- --list              # List backups
+ *   npm run db:backup -- --verify <file>     # Verify a backup
+ *
+ * Operations:
+ * - BACKUP_DIR - Where backups are stored
+ * - createBackup(reason) - Back up the live database (async)
+ * - listBackups() - Backups newest first, with their manifest
+ * - getBackupPath(file) - Full path of a backup (null for unknown or unsafe names)
+ * - verifyBackup(file) - Check a backup's checksum, integrity and schema version (async)
+ * - applyRetention() - Remove backups the retention policy doesn't keep
+ * - restoreBackup(file) - Replace the live database with a verified backup (async)
+ * - startScheduler() - Take backups per the settings (returns a stop function)
+ */
+
+const Database = require('better-sqlite3');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { db, DB_PATH } = require('../database/db');
+const { getMigrations, migrate } = require('../database/migrate');
+const Setting = require('../models/Setting');
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(path.dirname(DB_PATH), 'backups');
+
+// Backup file names: printfarm-<UTC timestamp>.db, e.g. printfarm-2025-03-01T14-00-00-000Z.db
+const BACKUP_FILE_PATTERN = /^printfarm-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.db$/;
+
+// Why a backup was taken
+const REASONS = ['scheduled', 'manual', 'pre-restore'];
+
+// How many hours, days and weeks keep their newest backup
+const RETENTION = {
+  hourly: 24,
+  daily: 7,
+  weekly: 4
+};
+
+// How often the scheduler checks whether a backup is due
+const SCHEDULER_CHECK_MS = 5 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Only one backup or restore at a time
+let busy = false;
+
+/**
+ * Run a backup task, refusing to start while another one is running
+ * @param {Function} task - Async function
+ * @returns {Promise<*>} The task's result
+ */
+async function exclusive(task) {
+  if (busy) {
+    const error = new Error('A backup or restore is already running - try again in a moment');
+    error.code = 'BACKUP_BUSY';
+    throw error;
+  }
+  busy = true;
+  try {
+    return await task();
+  } finally {
+    busy = false;
+  }
+}
+
+/**
+ * Get the full path of a backup
+ * @param {string} file - Backup file name
+ * @returns {string|null} Path, or null if the name isn't a backup name (guards against ../ tricks)
+ */
+function getBackupPath(file) {
+  return BACKUP_FILE_PATTERN.test(String(file)) ? path.join(BACKUP_DIR, file) : null;
+}
+
+/**
+ * Compute the SHA-256 checksum of a file
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} Hex digest
+ */
+function checksumFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Check a database file on its own connection
+ * @param {string} filePath - Database file
+ * @returns {Object} { integrity, schema_version } - integrity is "ok" when the file is sound
+ */
+function inspectDatabase(filePath) {
+  let backupDb;
+  try {
+    backupDb = new Database(filePath, { readonly: true, fileMustExist: true });
+    const integrity = backupDb.pragma('integrity_check', { simple: true });
+    const hasMigrations = backupDb.prepare(`
+      SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'
+    `).get();
+    const schemaVersion = hasMigrations
+      ? backupDb.prepare('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations').get().version
+      : 0;
+    return { integrity, schema_version: schemaVersion };
+  } catch (error) {
+    return { integrity: error.message, schema_version: null };
+  } finally {
+    if (backupDb) {
+      backupDb.close();
+    }
+  }
+}
+
+/**
+ * Read the manifest of a backup
+ * @param {string} backupPath - Backup file path
+ * @returns {Object|null} Manifest, or null if missing or unreadable
+ */
+function readManifest(backupPath) {
+  try {
+    return JSON.parse(fs.readFileSync(`${backupPath}.json`, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Remove a backup and its manifest
+ * @param {string} backupPath - Backup file path
+ */
+function removeBackup(backupPath) {
+  fs.rmSync(backupPath, { force: true });
+  fs.rmSync(`${backupPath}.json`, { force: true });
+}
+
+/**
+ * Back up the live database (without the exclusive guard)
+ * @param {string} reason - One of REASONS
+ * @returns {Promise<Object>} The manifest
+ */
+async function writeBackup(reason) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const createdAt = new Date();
+  const file = `printfarm-${createdAt.toISOString().replace(/[:.]/g, '-')}.db`;
+  const backupPath = path.join(BACKUP_DIR, file);
+
+  await db.backup(backupPath);
+
+  // The copy inherits WAL mode - switch it to a self-contained single file
+  const backupDb = new Database(backupPath);
+  backupDb.pragma('journal_mode = DELETE');
+  backupDb.close();
+
+  const { integrity, schema_version } = inspectDatabase(backupPath);
+  if (integrity !== 'ok') {
+    removeBackup(backupPath);
+    throw new Error(`Backup failed its integrity check (${integrity}) and was removed`);
+  }
+
+  const manifest = {
+    file,
+    created_at: createdAt.toISOString(),
+    reason,
+    size_bytes: fs.statSync(backupPath).size,
+    sha256: await checksumFile(backupPath),
+    integrity,
+    schema_version
+  };
+  fs.writeFileSync(`${backupPath}.json`, JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+/**
+ * Back up the live database and apply retention
+ * @param {string} reason - One of REASONS (default "manual")
+ * @returns {Promise<Object>} { backup (the manifest), removed (file names deleted by retention) }
+ */
+async function createBackup(reason = 'manual') {
+  if (!REASONS.includes(reason)) {
+    throw new Error(`reason must be one of: ${REASONS.join(', ')}`);
+  }
+  return exclusive(async () => {
+    const backup = await writeBackup(reason);
+    return { backup, removed: applyRetention() };
+  });
+}
+
+/**
+ * List the backups, newest first
+ * @returns {Array} [{ file, created_at, reason, size_bytes, sha256, integrity, schema_version, has_manifest }]
+ */
+function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(BACKUP_DIR)
+    .filter(file => BACKUP_FILE_PATTERN.test(file))
+    .map(file => {
+      const backupPath = path.join(BACKUP_DIR, file);
+      const manifest = readManifest(backupPath);
+      return {
+        file,
+        // Without a manifest, fall back to the file itself
+        created_at: manifest ? manifest.created_at : fs.statSync(backupPath).mtime.toISOString(),
+        reason: manifest ? manifest.reason : null,
+        size_bytes: fs.statSync(backupPath).size,
+        sha256: manifest ? manifest.sha256 : null,
+        integrity: manifest ? manifest.integrity : null,
+        schema_version: manifest ? manifest.schema_version : null,
+        has_manifest: !!manifest
+      };
+    })
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * Verify a backup file
+ * @param {string} file - Backup file name
+ * @param {string} filePath - File to check (default: the backup itself, e.g. a staged copy)
+ * @returns {Promise<Object>} { ok, errors, manifest }
+ */
+async function verifyFile(file, filePath = getBackupPath(file)) {
+  const backupPath = getBackupPath(file);
+  if (!backupPath || !fs.existsSync(backupPath)) {
+    return { ok: false, errors: ['Backup not found'], manifest: null };
+  }
+
+  const errors = [];
+  const manifest = readManifest(backupPath);
+  if (!manifest) {
+    errors.push('The backup has no manifest, so its checksum can\'t be checked');
+  } else if (await checksumFile(filePath) !== manifest.sha256) {
+    errors.push('Checksum mismatch - the file changed since the backup was taken');
+  }
+
+  const { integrity, schema_version } = inspectDatabase(filePath);
+  if (integrity !== 'ok') {
+    errors.push(`Integrity check failed: ${integrity}`);
+  }
+  const migrations = getMigrations();
+  const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  if (schema_version > latestVersion) {
+    errors.push(`The backup's schema (version ${schema_version}) is newer than this code (version ${latestVersion})`);
+  }
+
+  return { ok: errors.length === 0, errors, manifest };
+}
+
+/**
+ * Verify a backup's checksum, integrity and schema version
+ * @param {string} file - Backup file name
+ * @returns {Promise<Object>} { ok, errors, manifest }
+ */
+function verifyBackup(file) {
+  return verifyFile(file);
+}
+
+/**
+ * Remove the backups the retention policy doesn't keep
+ *
+ * Keeps the newest backup overall plus the newest one in each of the last
+ * RETENTION.hourly hours, RETENTION.daily days and RETENTION.weekly weeks (UTC).
+ *
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Array} File names removed
+ */
+function applyRetention(now = new Date()) {
+  const backups = listBackups();
+  const keep = new Set(backups.slice(0, 1).map(backup => backup.file));
+
+  const tiers = [
+    { count: RETENTION.hourly, periodMs: HOUR_MS, bucket: date => date.toISOString().slice(0, 13) },
+    { count: RETENTION.daily, periodMs: 24 * HOUR_MS, bucket: date => date.toISOString().slice(0, 10) },
+    {
+      count: RETENTION.weekly,
+      periodMs: 7 * 24 * HOUR_MS,
+      // Weeks start on Monday
+      bucket: date => new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * 24 * HOUR_MS).toISOString().slice(0, 10)
+    }
+  ];
+
+  for (const tier of tiers) {
+    const seen = new Set();
+    for (const backup of backups) {
+      const createdAt = new Date(backup.created_at);
+      const bucket = tier.bucket(createdAt);
+      if (now - createdAt < tier.count * tier.periodMs && !seen.has(bucket)) {
+        seen.add(bucket);
+        keep.add(backup.file);
+      }
+    }
+  }
+
+  const removed = backups.filter(backup => !keep.has(backup.file)).map(backup => backup.file);
+  removed.forEach(file => removeBackup(path.join(BACKUP_DIR, file)));
+  return removed;
+}
+
+/**
+ * Replace the live database with a backup
+ *
+ * Nothing is changed unless the backup and its staged copy both verify. The
+ * current database is backed up first ("pre-restore").
+ *
+ * @param {string} file - Backup file name
+ * @returns {Promise<Object>} { ok: true, restored, pre_restore_backup, migrated } or { ok: false, errors }
+ */
+async function restoreBackup(file) {
+  return exclusive(async () => {
+    const verification = await verifyFile(file);
+    if (!verification.ok) {
+      return { ok: false, errors: verification.errors };
+    }
+
+    const preRestore = await writeBackup('pre-restore');
+
+    // Stage the file on the database volume, and check the copy before it goes live
+    const stagedPath = `${DB_PATH}.restore`;
+    fs.copyFileSync(getBackupPath(file), stagedPath);
+    try {
+      const staged = await verifyFile(file, stagedPath);
+      if (!staged.ok) {
+        return { ok: false, errors: staged.errors.map(error => `Staged copy: ${error}`) };
+      }
+
+      const stagedDb = new Database(stagedPath, { readonly: true, fileMustExist: true });
+      try {
+        await stagedDb.backup(DB_PATH);
+      } finally {
+        stagedDb.close();
+      }
+    } finally {
+      fs.rmSync(stagedPath, { force: true });
+    }
+
+    // An older backup may need the migrations added since it was taken
+    const migrated = migrate(db).map(migration => migration.file);
+    return { ok: true, restored: file, pre_restore_backup: preRestore.file, migrated };
+  });
+}
+
+/**
+ * Check whether a scheduled backup is due, and take it
+ * @returns {Promise<Object|null>} createBackup() result, or null if none was due
+ */
+async function runScheduledBackup() {
+  if (busy || Setting.get('backup_enabled', '1') !== '1') {
+    return null;
+  }
+  const intervalHours = Setting.getNumber('backup_interval_hours', 1);
+  if (intervalHours <= 0) {
+    return null;
+  }
+
+  const latest = listBackups()[0];
+  if (latest && Date.now() - new Date(latest.created_at) < intervalHours * HOUR_MS) {
+    return null;
+  }
+  return createBackup('scheduled');
+}
+
+/**
+ * Start taking backups per the backup_enabled and backup_interval_hours settings
+ * @returns {Function} Stops the scheduler
+ */
+function startScheduler() {
+  const check = () => {
+    runScheduledBackup()
+      .then(result => {
+        if (result) {
+          console.log(`✓ Scheduled backup ${result.backup.file}`
+            + (result.removed.length > 0 ? ` (removed ${result.removed.length} old backup(s))` : ''));
+        }
+      })
+      .catch(error => console.error('❌ Scheduled backup failed:', error.message));
+  };
+
+  const timer = setInterval(check, SCHEDULER_CHECK_MS);
+  // Don't keep the process alive just for backups
+  timer.unref();
+  check();
+  return () => clearInterval(timer);
+}
+
+// Run from the command line: node src/utils/backup.js [--list | --verify <file>]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  const run = async () => {
+    console.log(`\nBackups: ${BACKUP_DIR}\n`);
+
+    if (args[0] === '--list') {
+      const backups = listBackups();
+      backups.forEach(backup => console.log(`  ${backup.file}  ${(backup.size_bytes / 1024).toFixed(0)} KB  `
+        + `${backup.reason || 'no manifest'}  schema v${backup.schema_version === null ? '?' : backup.schema_version}`));
+      console.log(`\n${backups.length} backup(s)`);
+      return;
+    }
+
+    if (args[0] === '--verify') {
+      const result = await verifyBackup(args[1]);
+      if (!result.ok) {
+        result.errors.forEach(error => console.error(`  ✗ ${error}`));
+        throw new Error(`${args[1]} did not verify`);
+      }
+      console.log(`✓ ${args[1]} verified (checksum, integrity, schema version ${result.manifest.schema_version})`);
+      return;
+    }
+
+    const { backup, removed } = await createBackup('manual');
+    console.log(`✓ Backup created: ${backup.file} (${(backup.size_bytes / 1024).toFixed(0)} KB)`);
+    console.log(`  SHA-256: ${backup.sha256}`);
+    removed.forEach(file => console.log(`  Removed by retention: ${file}`));
+  };
+
+  run()
+    .then(() => db.close())
+    .catch(error => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  BACKUP_DIR,
+  RETENTION,
+  createBackup,
+  listBackups,
+  getBackupPath,
+  verifyBackup,
+  applyRetention,
+  restoreBackup,
+  startScheduler
+};
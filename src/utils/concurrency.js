@@ -0,0 +1,94 @@
+/**
+ * Optimistic Concurrency Helpers
+ *
+ * Orders, items, colors, parts, product templates and printers have a `version` column that
+ * the models bump on every update (version = version + 1). Clients send back the version
+ * they last saw; if the row changed in the meantime the write is refused with a
+ * VERSION_CONFLICT error carrying the current record (routes turn this into a 409).
+ *
+ * The expected version is optional - requests without one are not checked.
+ */
+
+// Error code used when the expected version doesn't match (routes turn this into a 409)
+const VERSION_CONFLICT = 'VERSION_CONFLICT';
+
+/**
+ * Check whether an expected version was sent
+ * @param {*} value - Value from the request body
+ * @returns {boolean} True if the client sent a version
+ */
+function hasVersion(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Validate an expected version from a request
+ * @param {*} value - Value from the request body (may be omitted)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateVersion(value) {
+  if (!hasVersion(value)) {
+    return null;
+  }
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    return 'version must be a positive integer';
+  }
+  return null;
+}
+
+/**
+ * Validate a map of expected versions per ID (for batch endpoints)
+ * @param {*} versions - Object of id -> version (may be omitted)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateVersionMap(versions) {
+  if (versions === undefined || versions === null) {
+    return null;
+  }
+  if (typeof versions !== 'object' || Array.isArray(versions)) {
+    return 'versions must be an object of id -> version';
+  }
+  for (const value of Object.values(versions)) {
+    if (validateVersion(value)) {
+      return 'versions must map each id to a positive integer';
+    }
+  }
+  return null;
+}
+
+/**
+ * Create the error thrown on a version mismatch
+ * @param {string} entity - Record type (e.g., "Item", "Order")
+ * @param {Object} current - The current record (returned to the client)
+ * @returns {Error} Error with code VERSION_CONFLICT and a current property
+ */
+function createVersionConflict(entity, current) {
+  const error = new Error(`${entity} was changed by someone else (now version ${current.version})`);
+  error.code = VERSION_CONFLICT;
+  error.current = current;
+  return error;
+}
+
+/**
+ * Throw a VERSION_CONFLICT error if the record's version isn't the expected one
+ * @param {string} entity - Record type (e.g., "Item", "Order")
+ * @param {Object} record - The current row (needs a version property)
+ * @param {*} expectedVersion - Version sent by the client (skipped if omitted)
+ * @param {Function} getCurrent - Optional loader for the full record returned to the client
+ */
+function checkVersion(entity, record, expectedVersion, getCurrent) {
+  if (!hasVersion(expectedVersion) || Number(expectedVersion) === record.version) {
+    return;
+  }
+  throw createVersionConflict(entity, getCurrent ? getCurrent() : record);
+}
+
+module.exports = {
+  VERSION_CONFLICT,
+  hasVersion,
+  validateVersion,
+  validateVersionMap,
+  createVersionConflict,
+  checkVersion
+};
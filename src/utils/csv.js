@@ -0,0 +1,108 @@
+/**
+ * CSV Helpers
+ *
+ * Minimal CSV writing for exports and reading for imports (RFC 4180 quoting).
+ */
+
+/**
+ * Quote a single CSV value if needed
+ * @param {*} value - Value to write (null/undefined become an empty field)
+ * @returns {string} CSV-safe field
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build one CSV line (including the trailing newline)
+ * @param {Array} values - Field values
+ * @returns {string} CSV line
+ *
+ * Example usage:
+ * toCsvLine(['TOT-001', 'Smith, Jane']); // 'TOT-001,"Smith, Jane"\r\n'
+ */
+function toCsvLine(values) {
+  return `${values.map(escapeCsvValue).join(',')}\r\n`;
+}
+
+/**
+ * Parse CSV text into rows of fields
+ *
+ * Handles quoted fields (with commas, doubled quotes and line breaks inside),
+ * CRLF or LF line endings and a leading byte order mark. Empty lines are skipped.
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+}
+
+/**
+ * Parse CSV text with a header line into objects keyed by column name
+ * @param {string} text - CSV text (first line is the header)
+ * @returns {Object} { columns, records } - records are { column: value } objects
+ *
+ * Example usage:
+ * const { records } = parseCsvRecords('Order ID,Quantity\r\n123,2\r\n');
+ * // [{ 'Order ID': '123', Quantity: '2' }]
+ */
+function parseCsvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(column => column.trim());
+  const records = rows.map(fields => Object.fromEntries(
+    columns.map((column, index) => [column, fields[index] === undefined ? '' : fields[index]])
+  ));
+  return { columns, records };
+}
+
+module.exports = {
+  escapeCsvValue,
+  toCsvLine,
+  parseCsv,
+  parseCsvRecords
+};
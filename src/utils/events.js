@@ -0,0 +1,112 @@
+/**
+ * Event Bus
+ *
+ * In-process publish/subscribe for live updates. Routes publish an event after a
+ * successful change; the /events SSE endpoint forwards them to connected browsers.
+ *
+ * Every event has a type from EVENT_TYPES. The part before the dot is its topic
+ * ("item", "order", "catalog"), which clients use to subscribe per view. Events of
+ * the "database" topic (a restored backup) go to every client, whatever it subscribed to.
+ *
+ * Recent events are kept in a small in-memory buffer so a client that reconnects
+ * with Last-Event-ID can catch up. Event IDs are "<bootId>-<sequence>"; an ID from
+ * before a server restart (or older than the buffer) can't be resumed, and the
+ * client is told to resync (reload) instead.
+ *
+ * Example usage:
+ * events.publish(events.EVENT_TYPES.ORDER_CREATED, { order_id: 12 });
+ */
+
+const { EventEmitter } = require('events');
+
+// Event types - "<topic>.<action>"
+const EVENT_TYPES = {
+  ITEM_STATUS_CHANGED: 'item.status_changed',
+  ITEM_REPRINT: 'item.reprint',
+  ITEM_PRINTER_ASSIGNED: 'item.printer_assigned',
+  ORDER_CREATED: 'order.created',
+  ORDER_UPDATED: 'order.updated',
+  ORDER_ARCHIVED: 'order.archived',
+  CATALOG_CHANGED: 'catalog.changed',
+  DATABASE_RESTORED: 'database.restored'
+};
+
+const TOPICS = [...new Set(Object.values(EVENT_TYPES).map(type => type.split('.')[0]))];
+
+// Number of recent events kept for Last-Event-ID resume
+const BUFFER_SIZE = 500;
+
+// Identifies this server process, so IDs from before a restart are recognized
+const BOOT_ID = Date.now().toString(36);
+
+const emitter = new EventEmitter();
+// One listener per connected browser - don't warn about "leaks" with many iPads
+emitter.setMaxListeners(0);
+
+const buffer = [];
+let sequence = 0;
+
+/**
+ * Publish an event to all subscribers
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event payload (JSON-serializable)
+ * @returns {Object} The event ({ id, sequence, type, topic, data, published_at })
+ */
+function publish(type, data = {}) {
+  sequence += 1;
+  const event = {
+    id: `${BOOT_ID}-${sequence}`,
+    sequence,
+    type,
+    topic: type.split('.')[0],
+    data,
+    published_at: new Date().toISOString()
+  };
+
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) {
+    buffer.shift();
+  }
+
+  emitter.emit('event', event);
+  return event;
+}
+
+/**
+ * Listen for all published events
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Call to unsubscribe
+ */
+function subscribe(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+/**
+ * Get the events published after the given event ID
+ * @param {string} lastEventId - Last-Event-ID sent by the client
+ * @returns {Array|null} Missed events (oldest first), or null if they can't be replayed
+ */
+function getEventsSince(lastEventId) {
+  const [bootId, lastSequence] = String(lastEventId).split('-');
+  const seq = Number(lastSequence);
+
+  if (bootId !== BOOT_ID || !Number.isInteger(seq) || seq > sequence) {
+    return null;
+  }
+
+  const missed = buffer.filter(event => event.sequence > seq);
+  // Events were dropped from the buffer in between - can't replay all of them
+  if (seq < sequence && (missed.length === 0 || missed[0].sequence !== seq + 1)) {
+    return null;
+  }
+  return missed;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  TOPICS,
+  publish,
+  subscribe,
+  getEventsSince
+};
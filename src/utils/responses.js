@@ -0,0 +1,48 @@
+/**
+ * Shared Route Responses
+ *
+ * Helpers for error responses that several route files send in the same shape.
+ */
+
+/**
+ * Send a 422 response for a rejected item status change
+ *
+ * @param {Object} reply - Fastify reply
+ * @param {Error} error - Error thrown by the Item model (code INVALID_STATUS_TRANSITION)
+ * @returns {Object} Fastify reply
+ *
+ * Example usage:
+ * if (error.code === Item.INVALID_TRANSITION) {
+ *   return sendTransitionError(reply, error);
+ * }
+ */
+function sendTransitionError(reply, error) {
+  return reply.code(422).send({
+    error: error.message,
+    item_id: error.item_id,
+    current_status: error.current_status,
+    allowed_statuses: error.allowed_statuses
+  });
+}
+
+/**
+ * Send a 409 response for a stale write (optimistic concurrency)
+ *
+ * The body includes the current record so the client can show what changed.
+ *
+ * @param {Object} reply - Fastify reply
+ * @param {Error} error - Error with code VERSION_CONFLICT (see utils/concurrency.js)
+ * @returns {Object} Fastify reply
+ */
+function sendVersionConflict(reply, error) {
+  return reply.code(409).send({
+    error: error.message,
+    conflict: true,
+    current: error.current
+  });
+}
+
+module.exports = {
+  sendTransitionError,
+  sendVersionConflict
+};
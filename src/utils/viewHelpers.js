@@ -0,0 +1,89 @@
+/**
+ * View Helpers
+ *
+ * Small formatting helpers passed to the EJS station views
+ * (queue, printfarm, assembly, packing, forecast).
+ */
+
+// Highlight ship-by dates that are this many days away or closer
+const SHIP_BY_WARNING_DAYS = 3;
+
+/**
+ * Classify a ship-by date for highlighting
+ *
+ * @param {string} shipByDate - Ship-by date (YYYY-MM-DD)
+ * @param {Date} today - Reference date (defaults to now)
+ * @returns {string} "overdue", "soon" or "" (CSS class suffix)
+ *
+ * Example usage:
+ * shipByClass('2025-01-01'); // "overdue"
+ */
+function shipByClass(shipByDate, today = new Date()) {
+  if (!shipByDate) {
+    return '';
+  }
+
+  const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const [year, month, day] = shipByDate.split('-').map(Number);
+  const shipBy = new Date(year, month - 1, day);
+  const daysLeft = Math.round((shipBy - todayStart) / (24 * 60 * 60 * 1000));
+
+  if (daysLeft < 0) {
+    return 'overdue';
+  }
+  if (daysLeft < SHIP_BY_WARNING_DAYS) {
+    return 'soon';
+  }
+  return '';
+}
+
+/**
+ * Format an SQLite timestamp (UTC, "YYYY-MM-DD HH:MM:SS") for display
+ * @param {string} timestamp - SQLite CURRENT_TIMESTAMP value
+ * @returns {string} Short local date/time (e.g., "2025-10-20 14:05")
+ */
+function formatTimestamp(timestamp) {
+  if (!timestamp) {
+    return '-';
+  }
+  const date = new Date(`${timestamp.replace(' ', 'T')}Z`);
+  if (Number.isNaN(date.getTime())) {
+    return timestamp;
+  }
+  return formatDateTime(date);
+}
+
+/**
+ * Format a date (or ISO 8601 string) as short local date/time
+ * @param {Date|string} value - Date or ISO timestamp
+ * @returns {string} e.g. "2025-10-20 14:05"
+ */
+function formatDateTime(value) {
+  const date = new Date(value);
+  const pad = part => String(part).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+    + `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Format a duration in minutes for display
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} e.g. "45m", "2h 15m"
+ */
+function formatMinutes(minutes) {
+  const total = Math.round(minutes || 0);
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  if (hours === 0) {
+    return `${rest}m`;
+  }
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+}
+
+module.exports = {
+  SHIP_BY_WARNING_DAYS,
+  shipByClass,
+  formatTimestamp,
+  formatDateTime,
+  formatMinutes
+};
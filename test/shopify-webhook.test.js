@@ -0,0 +1,163 @@
+/**
+ * Shopify Webhook Tests
+ *
+ * Sends the recorded payload in samples/ through the real webhook route (Fastify
+ * inject, no network) against a throwaway database, and checks the signature
+ * check, the duplicate check and the review queue.
+ *
+ * Run with: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Must be set before the database module is loaded
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tot-webhook-test-'));
+process.env.DATABASE_PATH = path.join(tempDir, 'printfarm.db');
+process.env.SHOPIFY_WEBHOOK_SECRET = 'test-secret';
+
+const fastify = require('fastify');
+const { db } = require('../src/database/db');
+const Color = require('../src/models/Color');
+const Part = require('../src/models/Part');
+const ProductTemplate = require('../src/models/ProductTemplate');
+const SkuMapping = require('../src/models/SkuMapping');
+const Order = require('../src/models/Order');
+const Intake = require('../src/models/Intake');
+const { sign } = require('../src/services/shopifyIntake');
+
+// Recorded orders/create payload: one mapped SKU (x2), one unmapped SKU and a gift card
+const RECORDED_PAYLOAD = path.join(__dirname, '../samples/shopify-order.json');
+const rawBody = fs.readFileSync(RECORDED_PAYLOAD);
+const payload = JSON.parse(rawBody);
+
+let app;
+
+/**
+ * Deliver a webhook the way Shopify does
+ * @param {Buffer|string} body - Exact request body
+ * @param {string|null} signature - X-Shopify-Hmac-Sha256 (defaults to a valid one, null = none)
+ * @returns {Promise<Object>} Injected response
+ */
+function deliver(body, signature = sign(body, process.env.SHOPIFY_WEBHOOK_SECRET)) {
+  const headers = { 'content-type': 'application/json', 'x-shopify-topic': 'orders/create' };
+  if (signature !== null) {
+    headers['x-shopify-hmac-sha256'] = signature;
+  }
+  return app.inject({ method: 'POST', url: '/webhooks/shopify/orders', headers, payload: body });
+}
+
+/**
+ * Count the orders and review lines of a Shopify order ID
+ * @param {number} externalOrderId - Shopify order ID
+ * @returns {Object} { orders, reviewLines }
+ */
+function countTakenIn(externalOrderId) {
+  const count = table => db.prepare(`
+    SELECT COUNT(*) AS count FROM ${table} WHERE platform = 'Shopify' AND external_order_id = ?
+  `).get(String(externalOrderId)).count;
+  return { orders: count('orders'), reviewLines: count('intake_review') };
+}
+
+before(async () => {
+  const color = Color.create({ color_name: 'Webhook Test Black', hex_code: '#111111' });
+  const part = Part.create({ part_code: 'WHT001', part_name: 'Webhook Test Box' });
+  const template = ProductTemplate.create({
+    template_name: 'Webhook Test Token Box',
+    num_colors: 1,
+    print_time_minutes: 60,
+    print_cost: 1,
+    parts: [{ part_id: part.part_id, quantity: 1 }]
+  });
+  SkuMapping.create({
+    platform: 'Shopify',
+    external_sku: 'TB-5L-SKULL',
+    template_id: template.template_id,
+    color_rule: 'fixed',
+    color_ids: [color.color_id]
+  });
+
+  app = fastify();
+  app.register(require('../src/routes/webhooks'));
+  await app.ready();
+});
+
+after(async () => {
+  await app.close();
+  db.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('rejects deliveries without a valid signature and writes nothing', async () => {
+  const unsigned = await deliver(rawBody, null);
+  assert.equal(unsigned.statusCode, 401);
+
+  const wrongSecret = await deliver(rawBody, sign(rawBody, 'not-the-secret'));
+  assert.equal(wrongSecret.statusCode, 401);
+
+  // Signed for the recorded bytes, but the body was changed on the way
+  const tampered = Buffer.from(rawBody.toString('utf8').replace('"quantity": 2', '"quantity": 20'));
+  const tamperedResponse = await deliver(tampered, sign(rawBody, process.env.SHOPIFY_WEBHOOK_SECRET));
+  assert.equal(tamperedResponse.statusCode, 401);
+
+  assert.deepEqual(countTakenIn(payload.id), { orders: 0, reviewLines: 0 });
+});
+
+test('answers 503 while no webhook secret is configured', async () => {
+  const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+  delete process.env.SHOPIFY_WEBHOOK_SECRET;
+  try {
+    const response = await deliver(rawBody, sign(rawBody, secret));
+    assert.equal(response.statusCode, 503);
+  } finally {
+    process.env.SHOPIFY_WEBHOOK_SECRET = secret;
+  }
+});
+
+test('takes in the recorded order and queues the unmapped line for review', async () => {
+  const response = await deliver(rawBody);
+  assert.equal(response.statusCode, 200);
+
+  const result = response.json();
+  assert.equal(result.status, 'created');
+  assert.equal(result.review_count, 1);
+
+  const order = Order.getById(result.order_id);
+  assert.equal(order.platform, 'Shopify');
+  assert.equal(order.customer_name, 'Sam Rivera');
+  assert.equal(order.products.length, 2);
+
+  // The gift card is skipped, the dice tower has no mapping
+  const reviewLines = Intake.getReviewLines().filter(line => line.external_order_id === String(payload.id));
+  assert.equal(reviewLines.length, 1);
+  assert.equal(reviewLines[0].external_sku, 'DT-CASTLE');
+  assert.equal(reviewLines[0].order_id, result.order_id);
+});
+
+test('acknowledges a repeated delivery without taking the order in again', async () => {
+  const takenIn = countTakenIn(payload.id);
+
+  const response = await deliver(rawBody);
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.json().status, 'duplicate');
+  assert.equal(response.json().review_count, 0);
+
+  assert.deepEqual(countTakenIn(payload.id), takenIn);
+});
+
+test('sends an order without any mapped line to review only', async () => {
+  const unmapped = {
+    ...payload,
+    id: payload.id + 1,
+    line_items: payload.line_items.filter(line => line.sku === 'DT-CASTLE')
+  };
+  const response = await deliver(JSON.stringify(unmapped));
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.json().status, 'review');
+  assert.equal(response.json().order_id, null);
+
+  assert.deepEqual(countTakenIn(unmapped.id), { orders: 0, reviewLines: 1 });
+});